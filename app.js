@@ -1,834 +1,1091 @@
-// ---------- Small utilities ----------
-function deepClone(x) { return JSON.parse(JSON.stringify(x)); }
-function isLetter(ch) { return /[A-Za-z_]/.test(ch); }
-function isDigit(ch) { return /[0-9]/.test(ch); }
-function error(msg) { throw new Error(msg); }
-
-// ---------- Normalization ----------
-function normalizeInput(text) {
-  if (!text) return '';
-  // replace non-breaking spaces
-  text = text.replace(/\u00A0/g, ' ');
-  // collapse multiple backslashes into one
-  text = text.replace(/\\+/g, '\\');
-  // remove LaTeX spacing commands -> space
-  text = text.replace(/\\,|\\;|\\:|\\!|\\quad|\\qquad|\\ /g, ' ');
-  // map LaTeX or ASCII operators to single-char logical symbols
-  const map = {
-    '\\forall': '∀', '\\exists': '∃', '\\neg': '¬', '\\lnot': '¬',
-    '\\land': '∧', '\\lor': '∨', '\\leftrightarrow': '↔', '\\to': '→',
-    '<->': '↔', '->': '→',
-    '!': '¬', '~': '¬', '&': '∧', '|': '∨'
-  };
-  // do replacements (simple loop is clear)
-  for (const k in map) text = text.split(k).join(map[k]);
-  return text;
-}
-
-// ---------- Tokenizer ----------
-function tokenize(input) {
-  const tokens = [];
-  let i = 0;
-  while (i < input.length) {
-    const ch = input[i];
-    if (/\s/.test(ch)) { i++; continue; }
-    // single-char punctuation
-    if ('(),.:'.includes(ch)) { tokens.push({ type: ch, value: ch }); i++; continue; }
-    // single-char logical symbols
-    if (ch === '∀') { tokens.push({ type: 'forall', value: '∀' }); i++; continue; }
-    if (ch === '∃') { tokens.push({ type: 'exists', value: '∃' }); i++; continue; }
-    if (ch === '¬') { tokens.push({ type: 'not', value: '¬' }); i++; continue; }
-    if (ch === '∧') { tokens.push({ type: 'and', value: '∧' }); i++; continue; }
-    if (ch === '∨') { tokens.push({ type: 'or', value: '∨' }); i++; continue; }
-    if (ch === '→') { tokens.push({ type: 'implies', value: '→' }); i++; continue; }
-    if (ch === '↔') { tokens.push({ type: 'iff', value: '↔' }); i++; continue; }
-    // names (letters, digits allowed after first)
-    if (isLetter(ch)) {
-      let j = i + 1;
-      while (j < input.length && /[A-Za-z0-9_]/.test(input[j])) j++;
-      tokens.push({ type: 'name', value: input.slice(i, j) });
-      i = j;
-      continue;
-    }
-    error('Caractere inesperado: ' + ch);
-  }
-  return tokens;
-}
-
-// ---------- AST factories (standardized shapes) ----------
-const Node = {
-  ForAll: (variable, body) => ({ kind: 'ForAll', variable, body }),
-  Exists: (variable, body) => ({ kind: 'Exists', variable, body }),
-  Not: (child) => ({ kind: 'Not', child }),
-  And: (left, right) => ({ kind: 'And', left, right }),
-  Or: (left, right) => ({ kind: 'Or', left, right }),
-  Implies: (left, right) => ({ kind: 'Implies', left, right }),
-  Iff: (left, right) => ({ kind: 'Iff', left, right }),
-  Pred: (name, args=[]) => ({ kind: 'Pred', name, args })
-};
-const Term = {
-  Var: (name) => ({ term: 'Var', name }),
-  Func: (name, args=[]) => ({ term: 'Func', name, args })
-};
-
-// ---------- Parser (recursive descent, clearer) ----------
-function Parser(tokens) {
-  this.tokens = tokens;
-  this.i = 0;
-}
-Parser.prototype.peek = function(offset = 0) { return this.tokens[this.i + offset]; };
-Parser.prototype.consume = function(expectedType) {
-  const t = this.peek();
-  if (!t || (expectedType && t.type !== expectedType)) {
-    error('Esperado ' + expectedType + ', obtido ' + (t ? t.type : 'EOF'));
-  }
-  this.i++;
-  return t;
-};
-Parser.prototype.match = function(type) { const t = this.peek(); if (t && t.type === type) { this.i++; return true; } return false; };
-
-Parser.prototype.parse = function() {
-  const f = this.parseIff();
-  if (this.peek()) error('Tokens sobrando após a fórmula.');
-  return f;
-};
-// precedence chain: iff -> implies -> or -> and -> unary/atomic
-Parser.prototype.parseIff = function() {
-  let left = this.parseImplies();
-  while (this.match('iff')) { const right = this.parseImplies(); left = Node.Iff(left, right); }
-  return left;
-};
-Parser.prototype.parseImplies = function() {
-  let left = this.parseOr();
-  while (this.match('implies')) { const right = this.parseOr(); left = Node.Implies(left, right); }
-  return left;
-};
-Parser.prototype.parseOr = function() {
-  let left = this.parseAnd();
-  while (this.match('or')) { const right = this.parseAnd(); left = Node.Or(left, right); }
-  return left;
-};
-Parser.prototype.parseAnd = function() {
-  let left = this.parseUnary();
-  while (this.match('and')) { const right = this.parseUnary(); left = Node.And(left, right); }
-  return left;
-};
-Parser.prototype.parseUnary = function() {
-  const t = this.peek();
-  if (!t) error('Fórmula incompleta.');
-  if (t.type === 'not') { this.consume('not'); return Node.Not(this.parseUnary()); }
-  if (t.type === 'forall' || t.type === 'exists') {
-    const quant = this.consume(t.type).type;
-    const vars = this.parseVarList();
-    // optional dot or colon
-    if (this.match('.') || this.match(':')) {}
-    let body = this.parseUnary();
-    // multiple variables become nested quantifiers (right-assoc)
-    for (let k = vars.length - 1; k >= 0; k--) {
-      body = (quant === 'forall') ? Node.ForAll(vars[k], body) : Node.Exists(vars[k], body);
-    }
-    return body;
-  }
-  return this.parseAtomic();
-};
-Parser.prototype.parseVarList = function() {
-  const names = [];
-  names.push(this.consume('name').value);
-  while (this.match(',')) names.push(this.consume('name').value);
-  return names;
-};
-Parser.prototype.parseAtomic = function() {
-  if (this.match('(')) { const f = this.parseIff(); this.consume(')'); return f; }
-  const t = this.consume('name'); const name = t.value;
-  if (this.match('(')) {
-    // parse terms list (function/pred args)
-    const args = this.parseTermList();
-    this.consume(')');
-    return Node.Pred(name, args);
-  } else {
-    // bare name as predicate must start with uppercase (P) else it's invalid atomic usage
-    if (/^[A-Z]/.test(name)) return Node.Pred(name, []);
-    error('Uso atômico inválido de identificador: ' + name + '. Use Predicados como P(x) ou um nome iniciando com maiúscula.');
-  }
-};
-Parser.prototype.parseTermList = function() {
-  const arr = [ this.parseTerm() ];
-  while (this.match(',')) arr.push(this.parseTerm());
-  return arr;
-};
-Parser.prototype.parseTerm = function() {
-  const t = this.consume('name'); const name = t.value;
-  if (this.match('(')) {
-    // function application: f(t1, t2, ...)
-    const args = [ this.parseTerm() ];
-    while (this.match(',')) args.push(this.parseTerm());
-    this.consume(')');
-    return Term.Func(name, args);
-  }
-  return Term.Var(name);
-};
-
-// ---------- LaTeX rendering for display ----------
-function toLatexTerm(t) {
-  if (t.term === 'Var') return t.name;
-  if (t.term === 'Func') return t.name + '(' + t.args.map(toLatexTerm).join(',') + ')';
-  error('Termo desconhecido');
-}
-function atomToLatex(node) {
-  if (node.kind === 'Pred') {
-    return node.args.length ? `${node.name}(${node.args.map(toLatexTerm).join(',')})` : node.name;
-  }
-  if (node.kind === 'Not' && node.child.kind === 'Pred') {
-    return `\\lnot ${atomToLatex(node.child)}`;
-  }
-  return `(${toLatex(node)})`;
-}
-function toLatex(node) {
-  switch (node.kind) {
-    case 'ForAll': return `\\forall ${node.variable}\\, (${toLatex(node.body)})`;
-    case 'Exists': return `\\exists ${node.variable}\\, (${toLatex(node.body)})`;
-    case 'Not': return `\\lnot ${atomToLatex(node.child)}`;
-    case 'And': return `${atomToLatex(node.left)} \\land ${atomToLatex(node.right)}`;
-    case 'Or': return `${atomToLatex(node.left)} \\lor ${atomToLatex(node.right)}`;
-    case 'Implies': return `${atomToLatex(node.left)} \\to ${atomToLatex(node.right)}`;
-    case 'Iff': return `${atomToLatex(node.left)} \\leftrightarrow ${atomToLatex(node.right)}`;
-    case 'Pred': return node.args.length ? `${node.name}(${node.args.map(toLatexTerm).join(',')})` : node.name;
-    default: error('Nó desconhecido: ' + node.kind);
-  }
-}
-
-// ---------- Eliminate IFF/IMPLIES ----------
-// Mid-step helpers to show elimination in two stages
-function eliminateIffOnly(formula) {
-  switch (formula.kind) {
-    case 'Iff':
-      // expand ↔ into (A→B) ∧ (B→A) but keep → intact
-      return Node.And(
-        eliminateIffOnly(Node.Implies(formula.left, formula.right)),
-        eliminateIffOnly(Node.Implies(formula.right, formula.left))
-      );
-    case 'Not': return Node.Not(eliminateIffOnly(formula.child));
-    case 'And': return Node.And(eliminateIffOnly(formula.left), eliminateIffOnly(formula.right));
-    case 'Or': return Node.Or(eliminateIffOnly(formula.left), eliminateIffOnly(formula.right));
-    case 'ForAll': return Node.ForAll(formula.variable, eliminateIffOnly(formula.body));
-    case 'Exists': return Node.Exists(formula.variable, eliminateIffOnly(formula.body));
-    default: return formula; // Pred or Implies stay as-is
-  }
-}
-function eliminateImpOnly(formula) {
-  switch (formula.kind) {
-    case 'Implies':
-      return eliminateImpOnly(Node.Or(Node.Not(formula.left), formula.right));
-    case 'Not': return Node.Not(eliminateImpOnly(formula.child));
-    case 'And': return Node.And(eliminateImpOnly(formula.left), eliminateImpOnly(formula.right));
-    case 'Or': return Node.Or(eliminateImpOnly(formula.left), eliminateImpOnly(formula.right));
-    case 'ForAll': return Node.ForAll(formula.variable, eliminateImpOnly(formula.body));
-    case 'Exists': return Node.Exists(formula.variable, eliminateImpOnly(formula.body));
-    default: return formula; // Pred
-  }
-}
-function eliminateIffImp(formula) {
-  switch (formula.kind) {
-    case 'Iff':
-      return Node.And(
-        eliminateIffImp(Node.Implies(formula.left, formula.right)),
-        eliminateIffImp(Node.Implies(formula.right, formula.left))
-      );
-    case 'Implies':
-      return eliminateIffImp(Node.Or(Node.Not(formula.left), formula.right));
-    case 'Not':
-      return Node.Not(eliminateIffImp(formula.child));
-    case 'And':
-      return Node.And(eliminateIffImp(formula.left), eliminateIffImp(formula.right));
-    case 'Or':
-      return Node.Or(eliminateIffImp(formula.left), eliminateIffImp(formula.right));
-    case 'ForAll':
-      return Node.ForAll(formula.variable, eliminateIffImp(formula.body));
-    case 'Exists':
-      return Node.Exists(formula.variable, eliminateIffImp(formula.body));
-    default:
-      return formula;
-  }
-}
-
-// ---------- NNF (push negations in) ----------
-function toNNF(formula) {
-  switch (formula.kind) {
-    case 'Not': {
-      const inner = formula.child;
-      switch (inner.kind) {
-        case 'Not': return toNNF(inner.child);
-        case 'And': return Node.Or(toNNF(Node.Not(inner.left)), toNNF(Node.Not(inner.right)));
-        case 'Or': return Node.And(toNNF(Node.Not(inner.left)), toNNF(Node.Not(inner.right)));
-        case 'ForAll': return Node.Exists(inner.variable, toNNF(Node.Not(inner.body)));
-        case 'Exists': return Node.ForAll(inner.variable, toNNF(Node.Not(inner.body)));
-        case 'Pred': return Node.Not(inner);
-        default: error('Forma inesperada em NNF: ' + inner.kind);
-      }
-    }
-    case 'And': return Node.And(toNNF(formula.left), toNNF(formula.right));
-    case 'Or': return Node.Or(toNNF(formula.left), toNNF(formula.right));
-    case 'ForAll': return Node.ForAll(formula.variable, toNNF(formula.body));
-    case 'Exists': return Node.Exists(formula.variable, toNNF(formula.body));
-    default: return formula;
-  }
-}
-
-// ---------- Variable collection & standardization ----------
-function collectAllVarNames(f) {
-  const names = new Set();
-  function inTerm(t) {
-    if (t.term === 'Var') { names.add(t.name); return; }
-    t.args.forEach(inTerm);
-  }
-  function walk(n) {
-    switch (n.kind) {
-      case 'Pred': n.args.forEach(inTerm); break;
-      case 'Not': walk(n.child); break;
-      case 'And': walk(n.left); walk(n.right); break;
-      case 'Or': walk(n.left); walk(n.right); break;
-      case 'ForAll': names.add(n.variable); walk(n.body); break;
-      case 'Exists': names.add(n.variable); walk(n.body); break;
-    }
-  }
-  walk(f);
-  return Array.from(names);
-}
-function standardizeVariables(formula) {
-  const used = new Set(collectAllVarNames(formula));
-  let counter = 1;
-  function fresh(base) {
-    let name = base;
-    while (used.has(name)) { name = base + (counter++); }
-    used.add(name);
-    return name;
-  }
-  // substitute variable names inside terms/formulas
-  function substVarInTerm(t, from, to) {
-    if (t.term === 'Var') return (t.name === from) ? Term.Var(to) : t;
-    return Term.Func(t.name, t.args.map(a => substVarInTerm(a, from, to)));
-  }
-  function substVarInFormula(g, from, to) {
-    switch (g.kind) {
-      case 'Pred': return Node.Pred(g.name, g.args.map(a => substVarInTerm(a, from, to)));
-      case 'Not': return Node.Not(substVarInFormula(g.child, from, to));
-      case 'And': return Node.And(substVarInFormula(g.left, from, to), substVarInFormula(g.right, from, to));
-      case 'Or': return Node.Or(substVarInFormula(g.left, from, to), substVarInFormula(g.right, from, to));
-      case 'ForAll': {
-        if (g.variable === from) return g;
-        return Node.ForAll(g.variable, substVarInFormula(g.body, from, to));
-      }
-      case 'Exists': {
-        if (g.variable === from) return g;
-        return Node.Exists(g.variable, substVarInFormula(g.body, from, to));
-      }
-      default: return g;
-    }
-  }
-  function walk(g) {
-    switch (g.kind) {
-      case 'ForAll': {
-        const newV = fresh('x');
-        const renamedBody = substVarInFormula(g.body, g.variable, newV);
-        return Node.ForAll(newV, walk(renamedBody));
-      }
-      case 'Exists': {
-        const newV = fresh('x');
-        const renamedBody = substVarInFormula(g.body, g.variable, newV);
-        return Node.Exists(newV, walk(renamedBody));
-      }
-      case 'Not': return Node.Not(walk(g.child));
-      case 'And': return Node.And(walk(g.left), walk(g.right));
-      case 'Or': return Node.Or(walk(g.left), walk(g.right));
-      default: return g;
-    }
-  }
-  return walk(formula);
-}
-
-// ---------- Prenex (pull quantifiers to front) ----------
-function toPrenex(formula) {
-  switch (formula.kind) {
-    case 'ForAll': {
-      const r = toPrenex(formula.body);
-      return { prefix: [{ q: 'forall', v: formula.variable }, ...r.prefix], matrix: r.matrix };
-    }
-    case 'Exists': {
-      const r = toPrenex(formula.body);
-      return { prefix: [{ q: 'exists', v: formula.variable }, ...r.prefix], matrix: r.matrix };
-    }
-    case 'And': {
-      const L = toPrenex(formula.left), R = toPrenex(formula.right);
-      return { prefix: [...L.prefix, ...R.prefix], matrix: Node.And(L.matrix, R.matrix) };
-    }
-    case 'Or': {
-      const L = toPrenex(formula.left), R = toPrenex(formula.right);
-      return { prefix: [...L.prefix, ...R.prefix], matrix: Node.Or(L.matrix, R.matrix) };
-    }
-    case 'Not': return { prefix: [], matrix: formula };
-    case 'Pred': return { prefix: [], matrix: formula };
-    default: error('Forma não-NNF em prenex: ' + formula.kind);
-  }
-}
-function latexPrefix(prefix) {
-  if (!prefix.length) return '';
-  return prefix.map(p => (p.q === 'forall' ? `\\forall ${p.v}` : `\\exists ${p.v}`)).join(' ') + `\\, `;
-}
-
-// ---------- Substitution helper (replace variable with term everywhere, respecting quantifiers) ----------
-function substVarAll(formula, from, term) {
-  function inTerm(t) {
-    if (t.term === 'Var') return (t.name === from) ? term : t;
-    return Term.Func(t.name, t.args.map(inTerm));
-  }
-  function go(g) {
-    switch (g.kind) {
-      case 'Pred': return Node.Pred(g.name, g.args.map(inTerm));
-      case 'Not': return Node.Not(go(g.child));
-      case 'And': return Node.And(go(g.left), go(g.right));
-      case 'Or': return Node.Or(go(g.left), go(g.right));
-      case 'ForAll': {
-        if (g.variable === from) return g;
-        return Node.ForAll(g.variable, go(g.body));
-      }
-      case 'Exists': {
-        if (g.variable === from) return g;
-        return Node.Exists(g.variable, go(g.body));
-      }
-      default: return g;
-    }
-  }
-  return go(formula);
-}
-
-// ---------- Skolemization ----------
-function skolemize(prefix, matrix) {
-  let current = deepClone(matrix);
-  const universals = [];
-  let fCount = 1, cCount = 1;
-  for (const p of prefix) {
-    if (p.q === 'forall') universals.push(p.v);
-    else { // exists -> replace variable with Skolem term
-      let sk;
-      if (universals.length === 0) { sk = Term.Func('c' + (cCount++), []); }
-      else { sk = Term.Func('f' + (fCount++), universals.map(u => Term.Var(u))); }
-      current = substVarAll(current, p.v, sk);
-    }
-  }
-  // drop all quantifiers
-  function dropAllQuantifiers(g) {
-    switch (g.kind) {
-      case 'ForAll': return dropAllQuantifiers(g.body);
-      case 'Exists': return dropAllQuantifiers(g.body);
-      case 'Not': return Node.Not(dropAllQuantifiers(g.child));
-      case 'And': return Node.And(dropAllQuantifiers(g.left), dropAllQuantifiers(g.right));
-      case 'Or': return Node.Or(dropAllQuantifiers(g.left), dropAllQuantifiers(g.right));
-      default: return g;
-    }
-  }
-  return dropAllQuantifiers(current);
-}
-
-// ---------- Helpers for flattening/distribution ----------
-function flatten(op, node) {
-  // collect a list of nodes under repeated op
-  function collect(n, acc) {
-    if (n.kind === op) { collect(n.left, acc); collect(n.right, acc); }
-    else acc.push(n);
-  }
-  const arr = []; collect(node, arr);
-  // combine back into binary left-assoc chain (or single element)
-  return arr.reduce((a,b) => a ? Node[op](a,b) : b, null);
-}
-function isAnd(n) { return n.kind === 'And'; }
-function isOr(n) { return n.kind === 'Or'; }
-
-// distribute OR over AND (for CNF)
-function distributeOrOverAnd(n) {
-  if (n.kind !== 'Or') return n;
-  const A = n.left, B = n.right;
-  if (isAnd(B)) {
-    return Node.And(
-      distributeOrOverAnd(Node.Or(A, B.left)),
-      distributeOrOverAnd(Node.Or(A, B.right))
-    );
-  }
-  if (isAnd(A)) {
-    return Node.And(
-      distributeOrOverAnd(Node.Or(A.left, B)),
-      distributeOrOverAnd(Node.Or(A.right, B))
-    );
-  }
-  return Node.Or(A, B);
-}
-function toCNFMatrix(n) {
-  function step(x) {
-    if (x.kind === 'And') return Node.And(step(x.left), step(x.right));
-    if (x.kind === 'Or') return distributeOrOverAnd(Node.Or(step(x.left), step(x.right)));
-    if (x.kind === 'Not' || x.kind === 'Pred') return x;
-    error('Forma inesperada na matrix CNF: ' + x.kind);
-  }
-  let m = step(n);
-  function fix(y) {
-    if (y.kind === 'And') return flatten('And', Node.And(fix(y.left), fix(y.right)));
-    if (y.kind === 'Or') return flatten('Or', Node.Or(fix(y.left), fix(y.right)));
-    return y;
-  }
-  return fix(m);
-}
-
-// CNF with intermediate (pre/post flatten)
-function toCNFMatrixWithIntermediate(n) {
-  function step(x) {
-    if (x.kind === 'And') return Node.And(step(x.left), step(x.right));
-    if (x.kind === 'Or') return distributeOrOverAnd(Node.Or(step(x.left), step(x.right)));
-    if (x.kind === 'Not' || x.kind === 'Pred') return x;
-    error('Forma inesperada na matrix CNF: ' + x.kind);
-  }
-  const raw = step(n);
-  function fix(y) {
-    if (y.kind === 'And') return flatten('And', Node.And(fix(y.left), fix(y.right)));
-    if (y.kind === 'Or') return flatten('Or', Node.Or(fix(y.left), fix(y.right)));
-    return y;
-  }
-  const flat = fix(raw);
-  return { raw, flat };
-}
-
-// distribute AND over OR (for DNF)
-function distributeAndOverOr(n) {
-  if (n.kind !== 'And') return n;
-  const A = n.left, B = n.right;
-  if (isOr(B)) {
-    return Node.Or(
-      distributeAndOverOr(Node.And(A, B.left)),
-      distributeAndOverOr(Node.And(A, B.right))
-    );
-  }
-  if (isOr(A)) {
-    return Node.Or(
-      distributeAndOverOr(Node.And(A.left, B)),
-      distributeAndOverOr(Node.And(A.right, B))
-    );
-  }
-  return Node.And(A,B);
-}
-function toDNFMatrix(n) {
-  function step(x) {
-    if (x.kind === 'Or') return Node.Or(step(x.left), step(x.right));
-    if (x.kind === 'And') return distributeAndOverOr(Node.And(step(x.left), step(x.right)));
-    if (x.kind === 'Not' || x.kind === 'Pred') return x;
-    error('Forma inesperada na matrix DNF: ' + x.kind);
-  }
-  let m = step(n);
-  function fix(y) {
-    if (y.kind === 'And') return flatten('And', Node.And(fix(y.left), fix(y.right)));
-    if (y.kind === 'Or') return flatten('Or', Node.Or(fix(y.left), fix(y.right)));
-    return y;
-  }
-  return fix(m);
-}
-
-// DNF with intermediate (pre/post flatten)
-function toDNFMatrixWithIntermediate(n) {
-  function step(x) {
-    if (x.kind === 'Or') return Node.Or(step(x.left), step(x.right));
-    if (x.kind === 'And') return distributeAndOverOr(Node.And(step(x.left), step(x.right)));
-    if (x.kind === 'Not' || x.kind === 'Pred') return x;
-    error('Forma inesperada na matrix DNF: ' + x.kind);
-  }
-  const raw = step(n);
-  function fix(y) {
-    if (y.kind === 'And') return flatten('And', Node.And(fix(y.left), fix(y.right)));
-    if (y.kind === 'Or') return flatten('Or', Node.Or(fix(y.left), fix(y.right)));
-    return y;
-  }
-  const flat = fix(raw);
-  return { raw, flat };
-}
-
-// ---------- CNF -> clauses (array of clause arrays of {neg, pred}) ----------
-function cnfToClauses(n) {
-  function collectClauses(x) {
-    if (x.kind === 'And') return [...collectClauses(x.left), ...collectClauses(x.right)];
-    return [x];
-  }
-  function collectLits(x) {
-    if (x.kind === 'Or') return [...collectLits(x.left), ...collectLits(x.right)];
-    if (x.kind === 'Not' && x.child.kind === 'Pred') return [{ neg: true, pred: x.child }];
-    if (x.kind === 'Pred') return [{ neg: false, pred: x }];
-    error('Literal inválido na CNF');
-  }
-  return collectClauses(n).map(collectLits);
-}
-function latexClause(lits) {
-  const items = lits.map(L => L.neg ? `\\lnot ${toLatex(L.pred)}` : toLatex(L.pred));
-  return `\\{ ${items.join(', \\; ')} \\}`;
-}
-
-// ---------- UI & Wiring (same as original, simplified helper usage) ----------
-const inputEl = document.getElementById('input');
-const previewEl = document.getElementById('preview');
-const stepsEl = document.getElementById('steps');
-const errorEl = document.getElementById('error');
-const statusEl = document.getElementById('status');
-
-document.querySelectorAll('.chip').forEach(b => {
-  b.addEventListener('click', () => {
-    inputEl.value = b.getAttribute('data-example');
-    recompute();
-  });
-});
-function autoResizeTextarea(el) {
-  if (!el) return;
-  el.style.height = 'auto';
-  const newH = Math.min(el.scrollHeight, window.innerHeight * 0.6);
-  el.style.height = newH + 'px';
-}
-inputEl.addEventListener('input', () => { autoResizeTextarea(inputEl); recompute(); });
-
-function renderMath(el) {
-  if (window.MathJax && window.MathJax.typesetPromise) {
-    MathJax.typesetPromise([el]).catch(() => {});
-  }
-}
-function setPreview(tex) {
-  previewEl.innerHTML = tex ? `$$${tex}$$` : '&nbsp;';
-  renderMath(previewEl);
-}
-function addStep(title, tex, extraHtml='') {
-  const box = document.createElement('details');
-  box.open = true; // colapsável, mas abre por padrão
-  box.className = 'step-card';
-  const heading = document.createElement('summary');
-  heading.className = 'step-title';
-  heading.textContent = title;
-  const content = document.createElement('div');
-  content.className = 'step-content';
-  content.innerHTML = (tex ? `$$${tex}$$` : '') + (extraHtml ? `<div style="margin-top:6px">${extraHtml}</div>` : '');
-  box.appendChild(heading);
-  box.appendChild(content);
-  stepsEl.appendChild(box);
-  renderMath(content);
-}
-
-// Helpers to show mid-steps
-function tokensToHtml(tokens) {
-  const parts = tokens.map(t => {
-    if (t.type === 'name') return t.value;
-    return t.value;
-  });
-  return `<div class="mono" style="white-space: pre-wrap;">${parts.join(' ')}</div>`;
-}
-
-function standardizeVariablesWithMap(formula) {
-  const used = new Set(collectAllVarNames(formula));
-  let counter = 1;
-  const mapping = [];
-  function fresh(base) {
-    let name = base;
-    while (used.has(name)) { name = base + (counter++); }
-    used.add(name);
-    return name;
-  }
-  function substVarInTerm(t, from, to) {
-    if (t.term === 'Var') return (t.name === from) ? Term.Var(to) : t;
-    return Term.Func(t.name, t.args.map(a => substVarInTerm(a, from, to)));
-  }
-  function substVarInFormula(g, from, to) {
-    switch (g.kind) {
-      case 'Pred': return Node.Pred(g.name, g.args.map(a => substVarInTerm(a, from, to)));
-      case 'Not': return Node.Not(substVarInFormula(g.child, from, to));
-      case 'And': return Node.And(substVarInFormula(g.left, from, to), substVarInFormula(g.right, from, to));
-      case 'Or': return Node.Or(substVarInFormula(g.left, from, to), substVarInFormula(g.right, from, to));
-      case 'ForAll': {
-        if (g.variable === from) return g;
-        return Node.ForAll(g.variable, substVarInFormula(g.body, from, to));
-      }
-      case 'Exists': {
-        if (g.variable === from) return g;
-        return Node.Exists(g.variable, substVarInFormula(g.body, from, to));
-      }
-      default: return g;
-    }
-  }
-  function walk(g) {
-    switch (g.kind) {
-      case 'ForAll': {
-        const oldV = g.variable; const newV = fresh('x');
-        mapping.push(`${oldV} → ${newV}`);
-        const renamedBody = substVarInFormula(g.body, oldV, newV);
-        return Node.ForAll(newV, walk(renamedBody));
-      }
-      case 'Exists': {
-        const oldV = g.variable; const newV = fresh('x');
-        mapping.push(`${oldV} → ${newV}`);
-        const renamedBody = substVarInFormula(g.body, oldV, newV);
-        return Node.Exists(newV, walk(renamedBody));
-      }
-      case 'Not': return Node.Not(walk(g.child));
-      case 'And': return Node.And(walk(g.left), walk(g.right));
-      case 'Or': return Node.Or(walk(g.left), walk(g.right));
-      default: return g;
-    }
-  }
-  const standardized = walk(formula);
-  return { formula: standardized, mapping };
-}
-
-function skolemizeWithMap(prefix, matrix) {
-  let current = deepClone(matrix);
-  const universals = [];
-  let fCount = 1, cCount = 1;
-  const mapping = [];
-  for (const p of prefix) {
-    if (p.q === 'forall') universals.push(p.v);
-    else {
-      let sk;
-      if (universals.length === 0) { sk = Term.Func('c' + (cCount++), []); }
-      else { sk = Term.Func('f' + (fCount++), universals.map(u => Term.Var(u))); }
-      mapping.push(`${p.v} → ${toLatexTerm(sk)}`);
-      current = substVarAll(current, p.v, sk);
-    }
-  }
-  function dropAllQuantifiers(g) {
-    switch (g.kind) {
-      case 'ForAll': return dropAllQuantifiers(g.body);
-      case 'Exists': return dropAllQuantifiers(g.body);
-      case 'Not': return Node.Not(dropAllQuantifiers(g.child));
-      case 'And': return Node.And(dropAllQuantifiers(g.left), dropAllQuantifiers(g.right));
-      case 'Or': return Node.Or(dropAllQuantifiers(g.left), dropAllQuantifiers(g.right));
-      default: return g;
-    }
-  }
-  const result = dropAllQuantifiers(current);
-  return { matrix: result, mapping };
-}
-
-// ---------- Main pipeline: recompute ----------
-function recompute() {
-  const raw = (inputEl.value || '').trim();
-  const normalized = normalizeInput(raw);
-  setPreview(normalized ? normalized : '');
-  stepsEl.innerHTML = '';
-  errorEl.textContent = '';
-  if (statusEl) statusEl.textContent = '';
-  if (!normalized) return;
-
-  try {
-    const tokens = tokenize(normalized);
-    const parser = new Parser(tokens);
-    const original = parser.parse();
-
-    addStep('1) Original (normalizado)', toLatex(original));
-    // 1a) tokens
-    addStep('1.1) Tokens (após normalização)', '', tokensToHtml(tokens));
-
-    // 2) eliminate ↔ only
-    const noIff = eliminateIffOnly(deepClone(original));
-    addStep('2) Sem ↔ (somente ↔ expandido)', toLatex(noIff));
-    // 3) eliminate → only
-    const noImp = eliminateImpOnly(deepClone(noIff));
-    addStep('3) Sem → (somente → eliminado)', toLatex(noImp));
-
-    // 4) NNF
-    const nnf = toNNF(deepClone(noImp));
-    addStep('4) NNF (negações para dentro)', toLatex(nnf));
-
-    // 5) standardize variables (unique) + mapping
-    const stdInfo = standardizeVariablesWithMap(deepClone(nnf));
-    const std = stdInfo.formula;
-    const mappingHtml = stdInfo.mapping.length ? `<div class="mono">Renomeações: ${stdInfo.mapping.join(', ')}</div>` : '';
-    addStep('5) Variáveis padronizadas (únicas)', toLatex(std), mappingHtml);
-
-    // 6) prenex
-    const pren = toPrenex(deepClone(std));
-    const prenTex = `${latexPrefix(pren.prefix)}(${toLatex(pren.matrix)})`;
-    addStep('6) Prenex (quantificadores no prefixo)', prenTex);
-
-    // 7) prenex CNF (matrix converted) with intermediate
-    const cnfRes = toCNFMatrixWithIntermediate(deepClone(pren.matrix));
-    const cnfTexRaw = `${latexPrefix(pren.prefix)}(${toLatex(cnfRes.raw)})`;
-    addStep('7) Prenex CNF (pré-flatten: distribuição bruta)', cnfTexRaw);
-    const cnfMatrix = cnfRes.flat;
-    const cnfTex = `${latexPrefix(pren.prefix)}(${toLatex(cnfMatrix)})`;
-    addStep('7.1) Prenex CNF (após flatten)', cnfTex);
-
-    // 8) prenex DNF (matrix converted) with intermediate
-    const dnfRes = toDNFMatrixWithIntermediate(deepClone(pren.matrix));
-    const dnfTexRaw = `${latexPrefix(pren.prefix)}(${toLatex(dnfRes.raw)})`;
-    addStep('8) Prenex DNF (pré-flatten: distribuição bruta)', dnfTexRaw);
-    const dnfMatrix = dnfRes.flat;
-    const dnfTex = `${latexPrefix(pren.prefix)}(${toLatex(dnfMatrix)})`;
-    addStep('8.1) Prenex DNF (após flatten)', dnfTex);
-
-    // 9) Skolemize + clauses (with mapping)
-    const skRes = skolemizeWithMap(pren.prefix, deepClone(cnfMatrix));
-    const skoMatrix = skRes.matrix;
-    const skoClauses = cnfToClauses(skoMatrix);
-    const clauseLatex = skoClauses.map(latexClause).join(' \\land ');
-    // horn check: pos literals count <= 1
-    const hornInfo = skoClauses.map((cls, idx) => {
-      const pos = cls.filter(L => !L.neg).length;
-      const isHorn = pos <= 1;
-      return `<div>Cláusula ${idx+1}: ${isHorn ? '<span class="ok">Horn</span>' : '<span class="error">não-Horn</span>'} (positivos=${pos})</div>`;
-    }).join('');
-    const allHorn = skoClauses.every(cls => cls.filter(L => !L.neg).length <= 1);
-    const allHornHtml = `<div style="margin-top:6px"><strong>Conjunto Horn?</strong> ${allHorn ? '<span class="ok">Sim</span>' : '<span class="error">Não</span>'}</div>`;
-    const skMapHtml = skRes.mapping.length ? `<div class="mono" style="margin-top:6px">Skolem: ${skRes.mapping.join(', ')}</div>` : '';
-    addStep('9) Skolemização + Forma Cláusal (implícita ∀)', toLatex(skoMatrix),
-      `${skMapHtml}<div><strong>Cláusulas:</strong> $$${clauseLatex}$$</div>${hornInfo}${allHornHtml}`);
-
-    // 10) Resumo final (compacto)
-    const originalTex = toLatex(original);
-    const noIffTex = toLatex(noIff);
-    const noImpTex = toLatex(noImp);
-    const nnfTex = toLatex(nnf);
-    const stdTex = toLatex(std);
-    const skoTex = toLatex(skoMatrix);
-    const summaryHtml = [
-      `<div><strong>Original:</strong> $$${originalTex}$$</div>`,
-      `<div><strong>Sem ↔:</strong> $$${noIffTex}$$</div>`,
-      `<div><strong>Sem →:</strong> $$${noImpTex}$$</div>`,
-      `<div><strong>NNF:</strong> $$${nnfTex}$$</div>`,
-      `<div><strong>Variáveis padronizadas:</strong> $$${stdTex}$$</div>`,
-      `<div><strong>Prenex:</strong> $$${prenTex}$$</div>`,
-      `<div><strong>Prenex CNF:</strong> $$${cnfTex}$$</div>`,
-      `<div><strong>Prenex DNF:</strong> $$${dnfTex}$$</div>`,
-      `<div><strong>Skolem (∀ implícito):</strong> $$${skoTex}$$</div>`,
-      `<div><strong>Cláusulas:</strong> $$${clauseLatex}$$</div>`,
-      allHornHtml
-    ].join('');
-    addStep('10) Resumo (principais resultados)', '', summaryHtml);
-    if (statusEl) statusEl.textContent = 'Concluído.';
-
-  } catch (e) {
-    errorEl.textContent = (e && e.message) ? e.message : String(e);
-    if (statusEl) statusEl.textContent = 'Erro.';
-  }
-}
-
-window.addEventListener('DOMContentLoaded', () => {
-  const input = document.getElementById('input');
-  if (input) {
-    input.value = '\\forall x (P(x) \\to \\exists y\\, Q(x,y))';
-    autoResizeTextarea(input);
-    recompute();
-  }
-  // Controls: expand/collapse/copy summary
-  const expandAllBtn = document.getElementById('expand-all');
-  const collapseAllBtn = document.getElementById('collapse-all');
-  const copySummaryBtn = document.getElementById('copy-summary');
-  function allDetails() { return Array.from(document.querySelectorAll('#steps details')); }
-  if (expandAllBtn) expandAllBtn.addEventListener('click', () => { allDetails().forEach(d => d.open = true); });
-  if (collapseAllBtn) collapseAllBtn.addEventListener('click', () => { allDetails().forEach(d => d.open = false); });
-  if (copySummaryBtn) copySummaryBtn.addEventListener('click', async () => {
-    const last = Array.from(document.querySelectorAll('#steps details .step-title')).find(el => el.textContent && el.textContent.includes('Resumo'));
-    const summaryBox = last ? last.parentElement : null;
-    const text = summaryBox ? summaryBox.innerText : '';
-    try {
-      await navigator.clipboard.writeText(text);
-      if (statusEl) statusEl.textContent = 'Resumo copiado.';
-    } catch (_) { if (statusEl) statusEl.textContent = 'Não foi possível copiar.'; }
-  });
-});
+// ---------- UI & Wiring (DOM consumer of PrenexEngine, see engine.js) ----------
+const { convert, DEFAULT_CNF_THRESHOLD, normalizeInput, detectSyntax, hasConstants, toLatex, toLatexTerm, toUnicode, toUnicodeTerm, latexPrefix, latexClause, unicodePrefix, toText, textClause, applyPrefix, literalToNode, universalClosure, latexHighlight, Node } = PrenexEngine;
+
+const inputEl = document.getElementById('input');
+const previewEl = document.getElementById('preview');
+const stepsEl = document.getElementById('steps');
+const errorEl = document.getElementById('error');
+const inputErrorEl = document.getElementById('input-error');
+const statusEl = document.getElementById('status');
+const strategyEl = document.getElementById('prenex-strategy');
+const miniscopeEl = document.getElementById('miniscope');
+const cnfModeEl = document.getElementById('cnf-mode');
+const closeEl = document.getElementById('close-free');
+const warningsEl = document.getElementById('warnings');
+const syntaxEl = document.getElementById('syntax');
+const implicationEl = document.getElementById('implication');
+const printerEl = document.getElementById('printer');
+const printerNoteEl = document.getElementById('printer-note');
+const localeEl = document.getElementById('locale');
+// every text of the page comes from the catalogue in i18n.js
+const { t } = PrenexI18n;
+const LOCALE_KEY = 'prenex-locale';
+
+// ---------- Locale: static labels of index.html and the #locale selector ----------
+// Elements carry the key of their text: data-i18n (text), data-i18n-html (markup
+// from the catalogue) and data-i18n-placeholder. Generated content is rebuilt
+// by recompute and by the run* functions, so switching the locale redoes them.
+function applyLabels() {
+  document.documentElement.lang = PrenexI18n.getLocale();
+  document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  document.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+}
+function storedLocale() {
+  try { return PrenexI18n.matchLocale(localStorage.getItem(LOCALE_KEY) || ''); } catch (_) { return null; }
+}
+function setPageLocale(locale) {
+  PrenexI18n.setLocale(locale);
+  try { localStorage.setItem(LOCALE_KEY, locale); } catch (_) { /* storage disabled: the choice lasts for this page only */ }
+  if (localeEl) localeEl.value = locale;
+  applyLabels();
+  recompute();
+  clearResolution(); clearSLD(); clearEquivalence(); clearHerbrand(); clearModelCheck();
+  renderExerciseStages();
+  renderAttempts();
+}
+
+document.querySelectorAll('.chip[data-example]').forEach(b => {
+  b.addEventListener('click', () => {
+    inputEl.value = b.getAttribute('data-example');
+    recompute();
+    clearExercise();
+  });
+});
+function autoResizeTextarea(el) {
+  if (!el) return;
+  el.style.height = 'auto';
+  const newH = Math.min(el.scrollHeight, window.innerHeight * 0.6);
+  el.style.height = newH + 'px';
+}
+inputEl.addEventListener('input', () => { autoResizeTextarea(inputEl); scheduleRecompute(); clearResolution(); clearSLD(); clearEquivalence(); clearHerbrand(); clearModelCheck(); clearExercise(); });
+[strategyEl, miniscopeEl, cnfModeEl, syntaxEl, implicationEl, closeEl].forEach(el => { if (el) el.addEventListener('change', () => { recompute(); clearExercise(); }); });
+PrenexEngine.BUDGETS.forEach(name => {
+  const el = document.getElementById('budget-' + name);
+  if (el) el.addEventListener('change', recompute);
+});
+
+// ---------- Printers: MathJax (LaTeX) or Unicode/HTML ----------
+// Every formula on the page is written through `pr`. The LaTeX printer needs
+// MathJax to typeset it; the Unicode one (toText in engine.js, only the needed
+// parentheses) is plain HTML. #printer switches between them, and the Unicode
+// printer takes over when the MathJax script does not load (offline, blocked CDN).
+const PRINTERS = {
+  latex: {
+    formula: toLatex, term: toLatexTerm, prefix: latexPrefix, clause: latexClause,
+    prenex: (prefix, matrix) => `${latexPrefix(prefix)}(${toLatex(matrix)})`,
+    // `prefix` (optional) is put back around a CNF/DNF matrix
+    highlight: (formula, path, color, prefix) => prefix ? `${latexPrefix(prefix)}(${latexHighlight(formula, path, color)})` : latexHighlight(formula, path, color),
+    display: tex => `$$${tex}$$`, inline: tex => `\\(${tex}\\)`,
+    sym: { and: ' \\land ', wideAnd: ' \\;\\land\\; ', gap: ' \\;\\; ', to: ' \\to ', mapsto: ' \\mapsto ', sep: ',\\; ', lbrace: '\\{', rbrace: '\\}',
+      neg: '\\neg ', top: '\\top', empty: '\\emptyset', box: '\\square', theta: '\\theta', ellipsis: '\\ldots', none: '\\text{—}' }
+  },
+  unicode: textPrinter(escapeHtml)
+};
+// plain text for the clipboard and text exports
+const plainPrinter = textPrinter(s => s);
+function textPrinter(escape) {
+  const formula = f => toText(f, { escape });
+  return {
+    formula, term: x => escape(toUnicodeTerm(x)), prefix: p => escape(unicodePrefix(p)), clause: lits => textClause(lits, { escape }),
+    prenex: (prefix, matrix) => formula(applyPrefix(prefix, matrix)),
+    highlight: (f, path, color, prefix) => toText(prefix ? applyPrefix(prefix, f) : f, {
+      escape, mark: { path: (prefix || []).map(() => 'body').concat(path), wrap: s => `<mark class="formula-mark" style="background:${color}">${s}</mark>` }
+    }),
+    display: s => `<div class="formula formula-display">${s}</div>`, inline: s => `<span class="formula">${s}</span>`,
+    sym: { and: ' ∧ ', wideAnd: ' ∧ ', gap: '   ', to: ' → ', mapsto: ' ↦ ', sep: ', ', lbrace: '{', rbrace: '}',
+      neg: '¬', top: '⊤', empty: '∅', box: '□', theta: 'θ', ellipsis: '…', none: '—' }
+  };
+}
+let pr = PRINTERS.latex;
+// the steps are drawn again; cards that run on demand are cleared
+function setPrinter(name) {
+  pr = PRINTERS[name];
+  if (printerEl) printerEl.value = name;
+  recompute();
+  clearResolution(); clearEquivalence(); clearHerbrand();
+}
+function clausesText(cls, p = pr) { return cls.length ? cls.map(p.clause).join(p.sym.and) : p.sym.empty; }
+function mappingText(subst, p = pr) { return Object.keys(subst).map(v => `${v}${p.sym.mapsto}${p.term(subst[v])}`).join(p.sym.sep); }
+
+function renderMath(el) {
+  if (pr === PRINTERS.latex && window.MathJax && window.MathJax.typesetPromise) {
+    MathJax.typesetPromise([el]).catch(() => {});
+  }
+}
+function setPreview(tex) {
+  previewEl.innerHTML = tex ? pr.display(tex) : '&nbsp;';
+  renderMath(previewEl);
+}
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+// syntax errors (engine.js syntaxError): carets under the offending line of the
+// input and the same span marked in the preview
+function showSyntaxError(raw, e) {
+  const lineStart = raw.lastIndexOf('\n', e.start - 1) + 1;
+  const lineEnd = raw.indexOf('\n', e.start) < 0 ? raw.length : raw.indexOf('\n', e.start);
+  const width = Math.max(1, Math.min(e.end, lineEnd) - e.start);
+  if (inputErrorEl) inputErrorEl.textContent = raw.slice(lineStart, lineEnd) + '\n' + ' '.repeat(e.start - lineStart) + '^'.repeat(width);
+  const marked = e.end > e.start ? escapeHtml(raw.slice(e.start, e.end)) : '&nbsp;';
+  previewEl.innerHTML = `<span class="mono">${escapeHtml(raw.slice(0, e.start))}<mark class="error-mark">${marked}</mark>${escapeHtml(raw.slice(e.end))}</span>`;
+}
+// well-formedness warnings (engine.js analyzeFormula); free variables come with
+// the offer to close them universally
+function renderWarnings(analysis) {
+  if (!warningsEl) return;
+  const closed = !!(closeEl && closeEl.checked);
+  const items = analysis.warnings.map(w => {
+    if (w.code === 'free' && closed) return `<li class="muted">${escapeHtml(t('warnings.closed', { variables: analysis.free.join(', '), closure: '∀' + analysis.free.join('∀') }))}</li>`;
+    const offer = w.code === 'free' && closeEl ? ` <button id="close-free-now" class="chip" type="button">${t('warnings.close')}</button>` : '';
+    return `<li>${escapeHtml(w.message)}${offer}</li>`;
+  });
+  warningsEl.innerHTML = items.length ? `<div class="label">${t('warnings.title')}</div><ul>${items.join('')}</ul>` : '';
+  const btn = document.getElementById('close-free-now');
+  if (btn) btn.addEventListener('click', () => { closeEl.checked = true; recompute(); });
+}
+function addStep(title, tex, extraHtml='') {
+  const box = document.createElement('details');
+  box.open = true; // colapsável, mas abre por padrão
+  box.className = 'step-card';
+  const heading = document.createElement('summary');
+  heading.className = 'step-title';
+  heading.textContent = title;
+  const content = document.createElement('div');
+  content.className = 'step-content';
+  content.innerHTML = (tex ? pr.display(tex) : '') + (extraHtml ? `<div style="margin-top:6px">${extraHtml}</div>` : '');
+  box.appendChild(heading);
+  box.appendChild(content);
+  stepsEl.appendChild(box);
+  renderMath(content);
+  return box;
+}
+
+// ---------- Rule-by-rule traces (convert's `trace`, see traceSteps in engine.js) ----------
+// names of the children along a path ('child' is always ¬)
+const PATH_LABELS = { left: 'path.left', right: 'path.right', body: 'path.body' };
+const TRACE_COLORS = { before: '#5b1f1f', after: '#5b4a12' };
+// longest numbered list shown; the stepper still walks through every rule
+const TRACE_LIST_LIMIT = 300;
+function pathText(path) { return path.length ? path.map(k => k === 'child' ? '¬' : t(PATH_LABELS[k])).join(' › ') : t('path.root'); }
+// appends to a step card the numbered rules that led from `start` to the step's
+// formula and a stepper showing one rule at a time, the rewritten part boxed;
+// `prefix` is the prenex prefix to put back around CNF/DNF matrices
+function addTrace(box, start, steps, prefix = null) {
+  if (!box || !steps || !steps.length) return;
+  const el = document.createElement('details');
+  el.className = 'trace';
+  const items = steps.slice(0, TRACE_LIST_LIMIT).map((st, k) =>
+    `<li data-k="${k}">${escapeHtml(st.name)} <span class="muted">(${escapeHtml(st.law)})</span> ${escapeHtml(t('trace.at', { path: pathText(st.path) }))}: ` +
+    `<span class="mono">${PRINTERS.unicode.formula(st.before)} ⟹ ${PRINTERS.unicode.formula(st.after)}</span></li>`).join('');
+  const more = steps.length > TRACE_LIST_LIMIT ? `<div class="muted">${t('trace.more', { count: steps.length - TRACE_LIST_LIMIT })}</div>` : '';
+  el.innerHTML = `<summary>${t('trace.title', { count: steps.length })}</summary>` +
+    `<div class="trace-nav"><button class="chip" type="button" data-move="-1">${t('trace.previous')}</button> <span class="trace-pos"></span> ` +
+    `<button class="chip" type="button" data-move="1">${t('trace.next')}</button></div><div class="trace-view"></div><ol class="trace-list">${items}</ol>${more}`;
+  box.querySelector('.step-content').appendChild(el);
+  let current = -1;
+  function show(k) {
+    k = Math.max(0, Math.min(steps.length - 1, k));
+    if (k === current) return;
+    current = k;
+    const st = steps[k];
+    const before = k ? steps[k - 1].formula : start;
+    el.querySelector('.trace-pos').textContent = `${k + 1} / ${steps.length}`;
+    el.querySelector('.trace-view').innerHTML =
+      `<div><strong>${k + 1}. ${escapeHtml(st.name)}</strong>: ${escapeHtml(st.law)} <span class="muted">${escapeHtml(t('trace.position', { path: pathText(st.path) }))}</span></div>` +
+      `<div>${t('trace.before')} ${pr.display(pr.highlight(before, st.path, TRACE_COLORS.before, prefix))}</div>` +
+      `<div>${t('trace.after')} ${pr.display(pr.highlight(st.formula, st.path, TRACE_COLORS.after, prefix))}</div>`;
+    el.querySelectorAll('.trace-list li').forEach(li => li.classList.toggle('current', +li.dataset.k === k));
+    renderMath(el.querySelector('.trace-view'));
+  }
+  // the first rule is typeset only when the list is opened
+  el.addEventListener('toggle', () => { if (el.open && current < 0) show(0); });
+  el.querySelectorAll('[data-move]').forEach(b => b.addEventListener('click', () => show(current + Number(b.dataset.move))));
+  el.querySelector('.trace-list').addEventListener('click', e => {
+    const li = e.target.closest('li');
+    if (li) show(Number(li.dataset.k));
+  });
+}
+
+// Reasons reported by simplifyClauses / simplifyDNF
+function simplificationHtml(steps, ref) {
+  if (!steps.length) return `<div class="muted">${t('simplify.none')}</div>`;
+  const lit = L => pr.inline(pr.formula(L.pred ? literalToNode(L) : L));
+  const theta = subst => Object.keys(subst).length
+    ? ' ' + t('simplify.theta', { theta: pr.inline(`${pr.sym.theta} = ${pr.sym.lbrace}${mappingText(subst)}${pr.sym.rbrace}`) }) : '';
+  const text = st => {
+    switch (st.reason) {
+      case 'duplicate-literal': return t('simplify.duplicateLiteral', { literal: lit(st.literal) });
+      case 'tautology': return t(st.literal.pred.kind === 'Eq' && !st.literal.neg ? 'simplify.tautology' : 'simplify.tautologyPair', { literal: lit(st.literal) });
+      case 'contradiction': return t(st.literal.kind === 'Neq' ? 'simplify.contradiction' : 'simplify.contradictionPair', { literal: lit(st.literal) });
+      case 'duplicate-clause': case 'duplicate-conjunct': return t('simplify.duplicate', { ref: ref(st.by) });
+      case 'subsumed': return t('simplify.subsumed', { ref: ref(st.by) }) + theta(st.subst);
+      case 'absorbed': return t('simplify.absorbed', { ref: ref(st.by) });
+    }
+  };
+  return steps.map(st => `<div>${ref(st.index)}: ${text(st)}</div>`).join('');
+}
+
+// Truth tables (small inputs) or DPLL (larger ones) over the original formula
+// and the forms that must keep its truth values
+// truth values as the locale writes them
+function tv(b) { return t(b ? 'value.true' : 'value.false'); }
+function assignmentText(a) {
+  const names = Object.keys(a);
+  return names.length ? names.map(x => `${x}=${tv(a[x])}`).join(', ') : t('prop.anyAssignment');
+}
+function propositionalHtml(r) {
+  const P = PrenexPropositional;
+  const forms = [{ label: t('prop.original'), formula: r.ast }];
+  if (r.cnf && !r.cnf.skipped) forms.push({ label: t('prop.cnf'), formula: r.cnf.matrix });
+  if (r.dnf && !r.dnf.skipped) forms.push({ label: t('prop.dnf'), formula: r.dnf.matrix });
+  if (r.dnfSimplified) forms.push({ label: t('prop.dnfSimplified'), formula: r.dnfSimplified.matrix });
+  // clauses taken from the definitional CNF carry the D_k atoms: not comparable
+  if (r.simplified && r.skolem.source === 'classical') forms.push({ label: t('prop.clauses'), formula: P.clausesToFormula(r.simplified.clauses) });
+
+  const c = P.classify(r.ast);
+  const method = t(c.method === 'table' ? 'prop.methodTable' : 'prop.methodDpll');
+  const out = [
+    `<div><strong>${t('prop.classification')}</strong> ${c.status === 'contradiction' ? '<span class="error">' : '<span class="ok">'}${t('status.' + c.status)}</span> <span class="muted">(${method})</span></div>`,
+    c.satisfying ? `<div class="mono">${t('prop.satisfying', { assignment: assignmentText(c.satisfying) })}</div>` : '',
+    c.falsifying ? `<div class="mono">${t('prop.falsifying', { assignment: assignmentText(c.falsifying) })}</div>` : ''
+  ];
+
+  const atoms = P.atomsOf(...forms.map(f => f.formula));
+  if (atoms.length <= P.TRUTH_TABLE_MAX_ATOMS) {
+    const table = P.truthTable(forms.map(f => f.formula), atoms);
+    const head = atoms.map(a => `<th>${a}</th>`).join('') + forms.map(f => `<th>${f.label}</th>`).join('');
+    const rows = table.rows.map(row =>
+      '<tr>' + atoms.map(a => `<td>${tv(row.assignment[a])}</td>`).join('') +
+      row.values.map(v => `<td${v !== row.values[0] ? ' class="error"' : ''}>${tv(v)}</td>`).join('') + '</tr>').join('');
+    const same = table.rows.every(row => row.values.every(v => v === row.values[0]));
+    out.push(`<table class="table" style="margin-top:8px"><tr>${head}</tr>${rows}</table>`,
+      same ? `<div class="ok">${t('prop.same')}</div>` : `<div class="error">${t('prop.differs')}</div>`);
+  } else {
+    const rows = forms.slice(1).map(f => {
+      const size = P.formSize(f.formula);
+      if (size > P.DPLL_MAX_CLAUSES) return `<tr><td>${f.label}</td><td>—</td><td class="muted">${t('prop.notCompared', { count: size, limit: P.DPLL_MAX_CLAUSES })}</td></tr>`;
+      const diff = P.differ(r.ast, f.formula);
+      return `<tr><td>${f.label}</td><td>${t('status.' + P.classify(f.formula).status)}</td><td>${diff
+        ? `<span class="error">${t('common.no')}</span> <span class="mono">${t('prop.differsAt', { assignment: assignmentText(diff) })}</span>` : `<span class="ok">${t('common.yes')}</span>`}</td></tr>`;
+    }).join('');
+    out.push(`<div class="muted">${t('prop.tooMany', { count: atoms.length, limit: P.TRUTH_TABLE_MAX_ATOMS })}</div>`,
+      `<table class="table" style="margin-top:8px"><tr><th>${t('prop.form')}</th><th>${t('prop.classificationColumn')}</th><th>${t('prop.equivalent')}</th></tr>${rows}</table>`);
+  }
+  out.push(`<div class="muted">${t('prop.definitional')}</div>`);
+  return out.join('');
+}
+
+// Helpers to show mid-steps
+function tokensToHtml(tokens) {
+  const parts = tokens.map(tok => {
+    if (tok.type === 'name') return tok.value;
+    return tok.value;
+  });
+  return `<div class="mono" style="white-space: pre-wrap;">${parts.join(' ')}</div>`;
+}
+
+// ---------- Running the pipeline: worker.js, or this thread without Web Workers ----------
+// A formula whose CNF blows up must not freeze the page: convert runs in a
+// worker, under the budgets of the #budget-* inputs. Starting a run while
+// another is in flight terminates the worker (a busy worker never reads its
+// messages), so only the newest result is rendered. Pages opened from file://
+// may not start workers; then convert runs here, still under the budgets.
+const RECOMPUTE_DELAY = 200; // ms without typing before the input is converted
+let worker = null;
+let workerFailed = false;
+let running = null; // { id, text, options, done } of the run the worker is busy with
+let lastRunId = 0;
+function spawnWorker() {
+  if (workerFailed || typeof Worker === 'undefined') return null;
+  try {
+    const w = new Worker('./worker.js');
+    w.onmessage = e => {
+      if (!running || e.data.id !== running.id) return;
+      const { done } = running;
+      running = null;
+      done(e.data.error || null, e.data.result);
+    };
+    // the script did not load (e.g. file://): stop trying and redo the run here
+    w.onerror = e => {
+      e.preventDefault();
+      workerFailed = true;
+      const run = running; // cancelConversion forgets it
+      cancelConversion();
+      if (run) convertHere(run.text, run.options, run.done);
+    };
+    return w;
+  } catch (_) {
+    workerFailed = true;
+    return null;
+  }
+}
+function convertHere(text, options, done) {
+  let r;
+  try { r = convert(text, options); } catch (e) { done(e); return; }
+  done(null, r);
+}
+function cancelConversion() {
+  if (worker) worker.terminate();
+  worker = null;
+  running = null;
+}
+// done(error, result) is called once, and never for a run that was cancelled
+function startConversion(text, options, done) {
+  if (running) cancelConversion();
+  if (!worker) worker = spawnWorker();
+  if (!worker) { convertHere(text, options, done); return; }
+  running = { id: ++lastRunId, text, options, done };
+  worker.postMessage({ id: running.id, text, options, locale: PrenexI18n.getLocale() });
+}
+function budgetOptions() {
+  const budget = {};
+  PrenexEngine.BUDGETS.forEach(name => {
+    const el = document.getElementById('budget-' + name);
+    const value = el ? Number(el.value) : 0;
+    budget[name] = value > 0 ? value : PrenexEngine.DEFAULT_BUDGET[name];
+  });
+  return budget;
+}
+
+// ---------- Main pipeline: recompute (renders PrenexEngine.convert) ----------
+let summaryText = ''; // step 10 as plain Unicode text, for "Copiar resumo" and the text export
+let recomputeTimer = null;
+// typing waits for a pause; every other change (options, examples, locale) recomputes at once
+function scheduleRecompute() {
+  clearTimeout(recomputeTimer);
+  recomputeTimer = setTimeout(recompute, RECOMPUTE_DELAY);
+}
+function clearOutput() {
+  stepsEl.innerHTML = '';
+  errorEl.textContent = '';
+  if (warningsEl) warningsEl.innerHTML = '';
+  if (inputErrorEl) inputErrorEl.textContent = '';
+  if (statusEl) statusEl.textContent = '';
+  summaryText = '';
+}
+function recompute() {
+  clearTimeout(recomputeTimer);
+  const raw = (inputEl.value || '').trim();
+  const normalized = normalizeInput(raw);
+  // other syntaxes are previewed from the parsed formula (below)
+  const syntax = syntaxEl && syntaxEl.value !== 'auto' ? syntaxEl.value : detectSyntax(raw);
+  setPreview(normalized && syntax === 'latex' && pr === PRINTERS.latex ? normalized : '');
+  if (!normalized) {
+    cancelConversion();
+    clearOutput();
+    exportData = null;
+    if (exportOutEl) exportOutEl.textContent = '';
+    return;
+  }
+  // the previous result stays on the page until this one arrives
+  const options = pipelineOptions();
+  if (statusEl) statusEl.textContent = t('status.computing');
+  startConversion(raw, Object.assign({ trace: true }, options), (e, r) => {
+    clearOutput();
+    if (e) renderFailure(raw, e);
+    else renderResult(raw, options, r);
+  });
+}
+function renderResult(raw, options, r) {
+  try {
+    const original = r.ast;
+    // a stage over budget says so in its step; the steps that need it are left out
+    const missing = (stage, title) => {
+      const stop = r.stopped && r.stopped[stage];
+      if (stop) {
+        addStep(title, '', `<div class="error">${escapeHtml(t('budget.' + stop.budget, stop))}</div><div class="muted">${t('step.stoppedNote')}</div>`);
+      }
+      return r[stage] === undefined;
+    };
+    if (r.syntax !== 'latex' || pr !== PRINTERS.latex) setPreview(pr.formula(original));
+    renderWarnings(r.analysis);
+
+    addStep(t('step.original'), pr.formula(original),
+      r.syntax !== 'latex' ? `<div class="muted">${t('step.inputSyntax', { syntax: t('syntax.' + r.syntax) })}</div>` : '');
+    // 1a) tokens
+    addStep(t('step.tokens'), '', tokensToHtml(r.tokens));
+
+    // 1.2) extra connectives, one step each (only the ones that occur)
+    if (!missing('noExtra', t('step.noExtraAll'))) r.noExtra.steps.forEach((st, k) => {
+      const box = addStep(t('step.noExtra', { index: r.noExtra.steps.length > 1 ? '.' + (k + 1) : '', symbol: st.symbol }), pr.formula(st.formula),
+        `<div class="muted">${st.rule}</div>`);
+      addTrace(box, k ? r.noExtra.steps[k - 1].formula : original, r.trace.noExtra.filter(e => e.rule === st.kind.toLowerCase()));
+    });
+
+    // 2) eliminate ↔ only
+    if (!missing('noIff', t('step.noIff'))) addTrace(addStep(t('step.noIff'), pr.formula(r.noIff)), r.noExtra.formula, r.trace.noIff);
+    // 3) eliminate → only
+    if (!missing('noImp', t('step.noImp'))) addTrace(addStep(t('step.noImp'), pr.formula(r.noImp)), r.noIff, r.trace.noImp);
+
+    // 4) NNF
+    if (!missing('nnf', t('step.nnf'))) {
+      const constHtml = hasConstants(r.noImp) ? `<div class="muted">${t('step.constants')}</div>` : '';
+      addTrace(addStep(t('step.nnf'), pr.formula(r.nnf), constHtml), r.noImp, r.trace.nnf);
+    }
+
+    // 4.1) optional miniscoping
+    if (options.miniscope && !missing('miniscoped', t('step.miniscope'))) addStep(t('step.miniscope'), pr.formula(r.miniscoped));
+
+    // 5) standardize variables (unique) + mapping
+    const std = r.standardized && r.standardized.formula;
+    if (!missing('standardized', t('step.standardized'))) {
+      const renames = r.standardized.mapping.map(m => `${m.from} → ${m.to}`);
+      const mappingHtml = renames.length ? `<div class="mono">${t('step.renames', { renames: renames.join(', ') })}</div>` : '';
+      addStep(t('step.standardized'), pr.formula(std), mappingHtml);
+    }
+
+    // 6) prenex
+    const pren = r.prenex;
+    if (!missing('prenex', t('step.prenex'))) {
+      addTrace(addStep(t('step.prenex'), pr.prenex(pren.prefix, pren.matrix),
+        `<div class="muted">${t('step.strategy', { strategy: t('strategy.' + options.strategy) })}</div>`), std, r.trace.prenex);
+    }
+    // 6.1) every strategy side by side: the prefix order sets the Skolem arities
+    if (!missing('strategies', t('step.strategies'))) {
+      const strategyRows = r.strategies.map(st => {
+        const sk = st.skolem.map(m => `${m.variable}${pr.sym.mapsto}${pr.term(m.term)}`).join(pr.sym.sep);
+        const mark = st.strategy === options.strategy ? ` <span class="ok">${t('step.inUse')}</span>` : '';
+        return `<tr><td>${t('strategy.' + st.strategy)}${mark}</td><td>${pr.inline(pr.prefix(st.prefix) || pr.sym.none)}</td><td>${sk ? pr.inline(sk) : '—'}</td></tr>`;
+      }).join('');
+      addStep(t('step.strategies'), '',
+        `<table class="table"><tr><th>${t('step.strategyColumn')}</th><th>${t('step.prefixColumn')}</th><th>${t('step.skolemColumn')}</th></tr>${strategyRows}</table>`);
+    }
+
+    // 7) prenex CNF (matrix converted) with intermediate, unless distribution would blow up
+    if (missing('cnf', t('step.cnfRaw'))) {
+      // over budget, or the prenex form is missing
+    } else if (r.cnf.skipped) {
+      const why = options.cnfMode === 'definitional' ? { key: 'step.cnfDefinitionalMode' }
+        : { key: 'step.cnfTooLarge', params: { estimate: r.cnf.estimate, limit: DEFAULT_CNF_THRESHOLD } };
+      addStep(t('step.cnfSkipped'), '', `<div class="error">${t('step.cnfNotBuilt', { reason: why })}</div>`);
+    } else {
+      addTrace(addStep(t('step.cnfRaw'), pr.prenex(pren.prefix, r.cnf.raw)), pren.matrix,
+        r.trace.cnf.filter(e => e.rule !== 'associativity'), pren.prefix);
+      addTrace(addStep(t('step.cnf'), pr.prenex(pren.prefix, r.cnf.matrix)), r.cnf.raw,
+        r.trace.cnf.filter(e => e.rule === 'associativity'), pren.prefix);
+    }
+
+    // 7.2) definitional CNF: fresh D_k atoms name the conjunctions that distribution would copy
+    if (!missing('definitional', t('step.definitional'))) {
+      const def = r.definitional;
+      const defClauseCount = def.root.length + def.definitions.reduce((n, d) => n + d.clauses.length, 0);
+      const defHtml = [
+        `<div class="muted">${t('step.definitionalNote')}</div>`,
+        r.cnf ? `<div class="muted">${t('step.definitionalCount', { count: defClauseCount, estimate: r.cnf.estimate })}</div>` : '',
+        `<div><strong>${t('step.definitionalRoot')}</strong> ${pr.display(def.root.length ? def.root.map(c => `(${pr.formula(c)})`).join(pr.sym.wideAnd) : pr.sym.top)}</div>`,
+        ...def.definitions.map(d =>
+          `<div><strong>${t('step.definitionOf', { atom: pr.inline(pr.formula(d.atom)) })}</strong> ${pr.inline(`${pr.formula(d.atom)}${pr.sym.to}(${pr.formula(d.formula)})`)}` +
+          `${pr.display(d.clauses.map(c => `(${pr.formula(c)})`).join(pr.sym.wideAnd))}</div>`)
+      ].join('');
+      addStep(t('step.definitional'), def.definitions.length ? pr.prenex(pren.prefix, def.matrix) : '', defHtml);
+    }
+
+    // 8) prenex DNF (matrix converted) with intermediate
+    if (missing('dnf', t('step.dnfRaw'))) {
+      // over budget, or the prenex form is missing
+    } else if (r.dnf.skipped) {
+      addStep(t('step.dnfSkipped'), '',
+        `<div class="error">${t('step.dnfNotBuilt', { estimate: r.dnf.estimate, limit: DEFAULT_CNF_THRESHOLD })}</div>`);
+    } else {
+      addTrace(addStep(t('step.dnfRaw'), pr.prenex(pren.prefix, r.dnf.raw)), pren.matrix,
+        r.trace.dnf.filter(e => e.rule !== 'associativity'), pren.prefix);
+      addTrace(addStep(t('step.dnf'), pr.prenex(pren.prefix, r.dnf.matrix)), r.dnf.raw,
+        r.trace.dnf.filter(e => e.rule === 'associativity'), pren.prefix);
+    }
+
+    // 8.2) DNF simplification (contradictory / repeated / absorbed conjuncts)
+    if (!missing('dnfSimplified', t('step.dnfSimplified')) && r.dnfSimplified) {
+      const conjRef = i => t('step.conjunction', { n: i + 1 });
+      addStep(t('step.dnfSimplified'), pr.prenex(pren.prefix, r.dnfSimplified.matrix),
+        simplificationHtml(r.dnfSimplified.steps, conjRef));
+    }
+
+    // 9) Skolemize + clauses (with mapping)
+    const skoMatrix = r.skolem && r.skolem.matrix;
+    const yesNo = b => b ? `<span class="ok">${t('answer.yes')}</span>` : `<span class="error">${t('answer.no')}</span>`;
+    const allHornHtml = r.horn ? `<div style="margin-top:6px"><strong>${t('horn.all')}</strong> ${yesNo(r.horn.all)}</div>` : '';
+    if (!missing('skolem', t('step.skolem'))) {
+      const skTerms = r.skolem.mapping.map(m => `${m.variable} → ${PRINTERS.unicode.term(m.term)}`);
+      const skMapHtml = (r.skolem.source === 'definitional' ? `<div class="muted">${t('step.fromDefinitional')}</div>` : '') +
+        (skTerms.length ? `<div class="mono" style="margin-top:6px">${t('step.skolemMap', { terms: skTerms.join(', ') })}</div>` : '');
+      const clausesHtml = r.clauses ? `<div><strong>${t('step.clauses')}</strong> ${pr.display(clausesText(r.clauses))}</div>` : '';
+      addStep(t('step.skolem'), pr.formula(skoMatrix), skMapHtml + clausesHtml);
+      missing('clauses', t('step.clauses'));
+    }
+
+    // 9.1) clause-set simplification, then the Horn check on what is left
+    if (!missing('simplified', t('step.simplified')) && !missing('horn', t('step.simplified'))) {
+      const hornInfo = r.horn.clauses.map((h, idx) =>
+        `<div>${t('horn.clause', { n: idx + 1 })} ${h.horn ? `<span class="ok">${t('horn.horn')}</span>` : `<span class="error">${t('horn.notHorn')}</span>`}` +
+        `${h.dualHorn ? `, <span class="ok">${t('horn.dualHorn')}</span>` : ''} ${t('horn.counts', { positives: h.positives, negatives: h.negatives })}</div>`
+      ).join('');
+      const ren = r.horn.renamable;
+      let renamableHtml = `<div>${t('horn.dual')} ${yesNo(r.horn.dual)}</div>`;
+      if (!r.horn.all && ren.flip) {
+        renamableHtml += `<div><strong>${t('horn.renamable')}</strong> ${yesNo(true)}: ` + t('horn.flip', {
+          predicates: ren.flip.map(n => `<span class="mono">${n}</span>`).join(', '), literal: pr.inline('P'), negated: pr.inline(pr.sym.neg + "P'")
+        }) + `</div>${pr.display(clausesText(ren.clauses))}`;
+      } else if (!r.horn.all) {
+        renamableHtml += `<div><strong>${t('horn.renamable')}</strong> ${yesNo(false)}: ` +
+          `${t('horn.noFlip', { clauses: ren.blocking.map(i => `C${i + 1}`).join(', ') })}</div>`;
+      }
+      const clauseRef = i => `C${i+1} ${pr.inline(pr.clause(r.clauses[i]))}`;
+      addStep(t('step.simplified'), '',
+        `${simplificationHtml(r.simplified.steps, clauseRef)}<div><strong>${t('step.clauses')}</strong> ${pr.display(clausesText(r.simplified.clauses))}</div>${hornInfo}${allHornHtml}${renamableHtml}`);
+    }
+
+    // 9.2) propositional inputs: classification and truth values of every equivalent form
+    if (PrenexPropositional.isPropositional(original)) {
+      addStep(t('step.propositional'), '', propositionalHtml(r));
+    }
+
+    // 10) Resumo final (compacto); each row is printed on the page and as plain text for "Copiar resumo"
+    // rows of stages left out by a budget say so instead
+    const stoppedRow = t('summary.stopped');
+    const dnfMatrix = !r.dnf ? null : r.dnfSimplified ? r.dnfSimplified.matrix : r.dnf.skipped ? null : r.dnf.matrix;
+    const summary = [
+      [t('summary.original'), p => p.formula(original)],
+      ...(r.noExtra && r.noExtra.steps.length ? [[t('summary.noExtra', { symbols: r.noExtra.steps.map(st => st.symbol).join(', ') }), p => p.formula(r.noExtra.formula)]] : []),
+      [t('summary.noIff'), r.noIff ? p => p.formula(r.noIff) : stoppedRow],
+      [t('summary.noImp'), r.noImp ? p => p.formula(r.noImp) : stoppedRow],
+      [t('summary.nnf'), r.nnf ? p => p.formula(r.nnf) : stoppedRow],
+      [t('summary.standardized'), std ? p => p.formula(std) : stoppedRow],
+      [t('summary.prenex'), pren ? p => p.prenex(pren.prefix, pren.matrix) : stoppedRow],
+      [t('summary.cnf'), !r.cnf ? stoppedRow : r.cnf.skipped ? t('summary.cnfSkipped') : p => p.prenex(pren.prefix, r.cnf.matrix)],
+      [t('summary.dnf'), !r.dnf ? stoppedRow : dnfMatrix ? p => p.prenex(pren.prefix, dnfMatrix) : t('summary.skipped')],
+      [t('summary.skolem'), skoMatrix ? p => p.formula(skoMatrix) : stoppedRow],
+      [t('summary.clauses'), r.simplified ? p => clausesText(r.simplified.clauses, p) : stoppedRow]
+    ];
+    const summaryHtml = summary.map(([label, row]) =>
+      `<div><strong>${label}:</strong> ${typeof row === 'string' ? row : pr.display(row(pr))}</div>`).join('') + allHornHtml;
+    summaryText = summary.map(([label, row]) => `${label}: ${typeof row === 'string' ? row : row(plainPrinter)}`)
+      .concat(r.horn ? [`${t('horn.all')} ${t(r.horn.all ? 'answer.yes' : 'answer.no')}`] : []).join('\n');
+    addStep(t('step.summary'), '', summaryHtml);
+    if (statusEl) statusEl.textContent = t('status.done');
+    // the exports and reports need every stage
+    exportData = r.stopped ? null : { ast: original, clauses: r.simplified.clauses, input: raw, result: r, options, summary: summaryText };
+    if (exportData) renderExport();
+    else if (exportOutEl) exportOutEl.textContent = '';
+  } catch (e) {
+    renderFailure(raw, e);
+  }
+}
+function renderFailure(raw, e) {
+  errorEl.textContent = (e && e.message) ? e.message : String(e);
+  if (e && typeof e.start === 'number') {
+    if (e.expected && e.expected.length > 1) errorEl.textContent += '\n' + t('error.expectedHere', { expected: e.expected.join(', ') });
+    if (e.hint) errorEl.textContent += '\n' + t('error.hint', { hint: e.hint });
+    showSyntaxError(raw, e);
+  }
+  if (statusEl) statusEl.textContent = t('status.error');
+  exportData = null;
+  if (exportOutEl) exportOutEl.textContent = '';
+}
+
+// ---------- Resolution refutation (PrenexResolution, see resolution.js) ----------
+const resOutEl = document.getElementById('res-out');
+function clearResolution() { if (resOutEl) resOutEl.innerHTML = ''; }
+function pipelineOptions() {
+  return {
+    strategy: strategyEl ? strategyEl.value : 'left',
+    miniscope: !!(miniscopeEl && miniscopeEl.checked),
+    cnfMode: cnfModeEl ? cnfModeEl.value : 'auto',
+    close: !!(closeEl && closeEl.checked),
+    syntax: syntaxEl ? syntaxEl.value : 'auto',
+    implication: implicationEl ? implicationEl.value : 'right',
+    budget: budgetOptions()
+  };
+}
+// convert for the cards below, on the main thread but under the page budgets:
+// a stage left out is thrown as its budget error (see panelError)
+function convertWithin(text, options) {
+  const r = convert(text, Object.assign({ budget: budgetOptions() }, options));
+  if (r.stopped) {
+    const stop = Object.values(r.stopped)[0];
+    throw Object.assign(new Error(stop.message), { budget: stop.budget });
+  }
+  return r;
+}
+// text of an error caught by a card; a budget error points to the budget options
+function panelError(e) {
+  if (e && e.budget) return t('budget.panel', { reason: e.message });
+  return (e && e.message) ? e.message : String(e);
+}
+// refutation table shared by the resolution and equivalence cards
+function proofTableHtml(proof) {
+  const origin = c => {
+    if (c.rule === 'input') return t('proof.input');
+    if (c.rule === 'factor') return t('proof.factor', { parent: c.parents[0] });
+    return t('proof.resolvent', { left: c.parents[0], right: c.parents[1] });
+  };
+  const subst = c => Object.keys(c.subst).length ? pr.inline(`${pr.sym.lbrace}${mappingText(c.subst)}${pr.sym.rbrace}`) : '—';
+  const rows = proof.map(c =>
+    `<tr><td>${c.id}</td><td>${pr.inline(c.lits.length ? pr.clause(c.lits) : pr.sym.box)}</td><td>${origin(c)}</td><td>${subst(c)}</td></tr>`).join('');
+  return rows ? `<table class="table" style="margin-top:8px"><tr><th>#</th><th>${t('proof.clause')}</th><th>${t('proof.origin')}</th><th>${t('proof.unifier')}</th></tr>${rows}</table>` : '';
+}
+function runResolution() {
+  const raw = (inputEl.value || '').trim();
+  if (!raw || !resOutEl) return;
+  const goal = document.getElementById('res-goal').value;
+  const limits = {
+    maxSteps: Number(document.getElementById('res-steps').value) || PrenexResolution.DEFAULT_LIMITS.maxSteps,
+    maxClauses: Number(document.getElementById('res-clauses').value) || PrenexResolution.DEFAULT_LIMITS.maxClauses
+  };
+  try {
+    const r = convertWithin(raw, Object.assign(pipelineOptions(), { negate: goal === 'valid', targets: ['simplified'] }));
+    const res = PrenexResolution.prove(r.simplified.clauses, limits);
+    const subject = goal === 'valid' ? '¬F' : 'F';
+    let verdict;
+    if (res.status === 'unsatisfiable') {
+      verdict = `<span class="ok">${t('res.unsatisfiable')}</span>: ` + t(goal === 'valid' ? 'res.emptyClauseValid' : 'res.emptyClause', { subject });
+    } else if (res.status === 'saturated') {
+      verdict = res.equality
+        ? `<span class="error">${t('res.saturated')}</span> ${t('res.saturatedEquality')}`
+        : `<span class="error">${t('res.satisfiable')}</span>: ` + t(goal === 'valid' ? 'res.saturatedSatValid' : 'res.saturatedSat', { subject });
+    } else {
+      verdict = `<span class="error">${t('res.limit')}</span> ${t('res.noConclusion', { what: { key: 'res.limit.' + res.limit } })}`;
+    }
+    resOutEl.innerHTML = `<div style="margin:6px 0">${verdict}</div>` +
+      `<div class="muted">${t('res.stats', { steps: res.steps, generated: res.generated, kept: res.clauses.length })}</div>` +
+      proofTableHtml(res.proof);
+  } catch (e) {
+    resOutEl.innerHTML = `<div class="error">${escapeHtml(panelError(e))}</div>`;
+  }
+  renderMath(resOutEl);
+}
+
+// ---------- Logic program and SLD queries (PrenexSLD, see sld.js) ----------
+const sldOutEl = document.getElementById('sld-out');
+function clearSLD() { if (sldOutEl) sldOutEl.innerHTML = ''; }
+// class of each node status; the label is the message 'sld.<status>'
+const SLD_STATUS = { success: 'ok', failure: 'error', loop: 'error', depth: 'error', open: 'muted' };
+function substText(subst) {
+  const parts = Object.keys(subst).map(v => `${v} ↦ ${toUnicodeTerm(subst[v])}`);
+  return parts.length ? `{${parts.join(', ')}}` : '{}';
+}
+function sldTreeHtml(node) {
+  const goals = node.goals === null ? '' : node.goals.length ? '← ' + node.goals.map(toUnicode).join(', ') : '□';
+  const status = SLD_STATUS[node.status] ? ` <span class="${SLD_STATUS[node.status]}">${t('sld.' + node.status)}</span>` : '';
+  const children = node.children.map(c =>
+    `<li><span class="muted">R${c.rule + 1}, θ = ${substText(c.mgu)}</span>${sldTreeHtml(c.node)}</li>`).join('');
+  return `<div class="mono">${goals}${status}</div>` + (children ? `<ul class="sld-tree">${children}</ul>` : '');
+}
+function runSLD() {
+  const raw = (inputEl.value || '').trim();
+  if (!raw || !sldOutEl) return;
+  const queryText = (document.getElementById('sld-query').value || '').trim();
+  const maxDepth = Math.max(1, Math.min(100, Number(document.getElementById('sld-depth').value) || PrenexSLD.DEFAULT_LIMITS.maxDepth));
+  try {
+    const options = pipelineOptions();
+    const r = convertWithin(raw, Object.assign(options, { targets: ['simplified'] }));
+    const prog = PrenexSLD.program(r.simplified.clauses);
+    const rule = (x, k) => `<div>R${k + 1}: ${toUnicode(x.head)}${x.body.length ? ' ← ' + x.body.map(toUnicode).join(', ') : ''}.</div>`;
+    const out = [`<div class="mono" style="margin-top:6px">${prog.rules.map(rule).join('') || `<div class="muted">${t('sld.noRules')}</div>`}` +
+      prog.goals.map(g => `<div>← ${g.map(toUnicode).join(', ')}.</div>`).join('') + '</div>'];
+    let query;
+    if (queryText) query = PrenexSLD.parseQuery(queryText, prog, options.syntax);
+    else if (prog.goals.length) query = prog.goals[0];
+    else throw new Error(t('sld.noQuery'));
+    const res = PrenexSLD.solve(prog, query, { maxDepth });
+    const answers = res.answers.map(a => `<div>${Object.keys(a).length ? substText(a) : t('common.yes')}</div>`).join('');
+    out.push(`<div style="margin:6px 0"><strong>${t('sld.query')}</strong> <span class="mono">?- ${query.map(toUnicode).join(', ')}.</span></div>`);
+    out.push(res.answers.length ? `<div><span class="ok">${t('sld.answers', { count: res.answers.length })}</span><div class="mono">${answers}</div></div>`
+      : res.complete ? `<div><span class="error">${t('sld.noAnswers')}</span>: ${t('sld.finiteFailure')}</div>`
+      : `<div><span class="error">${t('sld.notFound')}</span> ${t('sld.withinLimits')}</div>`);
+    if (!res.complete) {
+      out.push(`<div class="muted">${t('sld.incomplete', { depth: maxDepth, nodes: PrenexSLD.DEFAULT_LIMITS.maxNodes, answers: PrenexSLD.DEFAULT_LIMITS.maxAnswers })}</div>`);
+    }
+    out.push(`<div style="margin-top:6px"><strong>${t('sld.tree')}</strong> ${t('sld.nodes', { count: res.nodes })}${sldTreeHtml(res.tree)}</div>`);
+    sldOutEl.innerHTML = out.join('');
+  } catch (e) {
+    sldOutEl.innerHTML = `<div class="error">${escapeHtml(panelError(e))}</div>`;
+  }
+}
+
+// ---------- Equivalence / entailment (PrenexEquivalence, see equivalence.js) ----------
+const eqOutEl = document.getElementById('eq-out');
+function clearEquivalence() { if (eqOutEl) eqOutEl.innerHTML = ''; }
+function modelHtml(model, env) {
+  const rows = [`<div>${t('model.domain', { domain: `{${model.domain.join(', ')}}` })}</div>`];
+  Object.keys(model.predicates).forEach(p => {
+    const ext = model.predicates[p];
+    rows.push(`<div>${p} = ${Array.isArray(ext) ? `{${ext.map(tuple => `(${tuple.join(',')})`).join(', ')}}` : tv(ext)}</div>`);
+  });
+  Object.keys(model.functions).forEach(f => {
+    const table = model.functions[f];
+    rows.push(`<div>${f} = ${typeof table === 'object' ? Object.keys(table).map(k => `${f}(${k})=${table[k]}`).join(', ') : table}</div>`);
+  });
+  const vars = Object.keys(env || {});
+  if (vars.length) rows.push(`<div>${t('model.freeVariables', { values: vars.map(v => `${v}=${env[v]}`).join(', ') })}</div>`);
+  return `<div class="mono">${rows.join('')}</div>`;
+}
+function runEquivalence() {
+  const raw = (inputEl.value || '').trim();
+  const other = (document.getElementById('eq-other').value || '').trim();
+  if (!raw || !other || !eqOutEl) return;
+  const relation = document.getElementById('eq-relation').value;
+  const limits = {
+    maxSteps: Number(document.getElementById('res-steps').value) || PrenexResolution.DEFAULT_LIMITS.maxSteps,
+    maxClauses: Number(document.getElementById('res-clauses').value) || PrenexResolution.DEFAULT_LIMITS.maxClauses
+  };
+  try {
+    const r = PrenexEquivalence.compare(raw, other, Object.assign({ relation, syntax: pipelineOptions().syntax, implication: pipelineOptions().implication, budget: budgetOptions() }, limits));
+    const claim = relation === 'equivalent' ? 'A ≡ B' : 'A ⊨ B';
+    const values = r.values ? { a: tv(r.values.a), b: tv(r.values.b) } : {};
+    let verdict, detail = '';
+    if (r.status === 'proved') {
+      verdict = `<span class="ok">${t('eq.proved')}</span>: ` + (r.method === 'dpll' ? t('eq.byDpll', { claim })
+        : t('eq.byResolution', { claim, negation: relation === 'equivalent' ? '¬∀(A ↔ B)' : 'A ∧ ¬B' }));
+      detail = proofTableHtml(r.proof);
+    } else if (r.status === 'disproved') {
+      verdict = `<span class="error">${t('eq.disproved')}</span>: ${t('eq.doesNotHold', { claim })}`;
+      if (r.method === 'dpll') {
+        detail = `<div class="mono">${t('eq.counterexample', Object.assign({ assignment: assignmentText(r.counterexample) }, values))}</div>`;
+      } else if (r.method === 'model') {
+        detail = `<div>${t('eq.countermodel', values)}</div>${modelHtml(r.counterexample.model, r.counterexample.env)}`;
+      } else {
+        detail = `<div class="muted">${t('eq.noSmallModel')}</div>`;
+      }
+    } else {
+      verdict = `<span class="error">${t('eq.unknown')}</span>: ${t('eq.noProof')}`;
+      if (r.resolution === 'saturated') detail = `<div class="muted">${t('eq.saturatedEquality')}</div>`;
+    }
+    eqOutEl.innerHTML = `<div style="margin:6px 0">${verdict}</div>` +
+      `<div class="muted">A: ${pr.inline(pr.formula(r.a))} &nbsp; B: ${pr.inline(pr.formula(r.b))}</div>` + detail;
+  } catch (e) {
+    eqOutEl.innerHTML = `<div class="error">${escapeHtml(panelError(e))}</div>`;
+  }
+  renderMath(eqOutEl);
+}
+
+// ---------- Guided exercises (PrenexExercises, see exercises.js) ----------
+const exStagesEl = document.getElementById('ex-stages');
+const exHistoryEl = document.getElementById('ex-history');
+// class of each check status; the label is the message 'exercise.<status>'
+const EX_STATUS = { correct: 'ok', incorrect: 'error', unknown: 'muted', invalid: 'error' };
+let exercise = null; // PrenexExercises.prepare of the current input and options, built on the first check
+const attempts = []; // { at, formula, stage, answer, status, messages (catalogue messages) } of this session
+function clearExercise() {
+  exercise = null;
+  if (exStagesEl) exStagesEl.querySelectorAll('.ex-feedback').forEach(el => { el.innerHTML = ''; });
+}
+function renderExerciseStages() {
+  if (!exStagesEl) return;
+  const typed = {};
+  exStagesEl.querySelectorAll('.ex-stage').forEach(box => { typed[box.dataset.stage] = box.querySelector('.ex-answer').value; });
+  exStagesEl.innerHTML = PrenexExercises.STAGES.map(st => `<div class="ex-stage" data-stage="${st.id}">
+    <div><strong>${st.title}</strong> <span class="muted">${st.prompt}</span></div>
+    <div class="row"><input class="ex-answer mono" type="text" placeholder="${t('exercise.answer')}" /><button class="chip" type="button">${t('exercise.check')}</button></div>
+    <div class="ex-feedback"></div>
+  </div>`).join('');
+  exStagesEl.querySelectorAll('.ex-stage').forEach(box => {
+    const answerEl = box.querySelector('.ex-answer');
+    answerEl.value = typed[box.dataset.stage] || '';
+    box.querySelector('button').addEventListener('click', () => checkExercise(box));
+    answerEl.addEventListener('keydown', e => { if (e.key === 'Enter') checkExercise(box); });
+    answerEl.addEventListener('input', () => { box.querySelector('.ex-feedback').innerHTML = ''; });
+  });
+}
+function checkExercise(box) {
+  const raw = (inputEl.value || '').trim();
+  const answer = box.querySelector('.ex-answer').value.trim();
+  const feedbackEl = box.querySelector('.ex-feedback');
+  if (!raw || !answer) return;
+  let r;
+  try {
+    const key = JSON.stringify([raw, pipelineOptions()]);
+    if (!exercise || exercise.key !== key) exercise = Object.assign(PrenexExercises.prepare(raw, pipelineOptions()), { key });
+    r = PrenexExercises.check(exercise, box.dataset.stage, answer);
+  } catch (e) {
+    feedbackEl.innerHTML = `<div class="error">${escapeHtml(panelError(e))}</div>`;
+    return;
+  }
+  feedbackEl.innerHTML = `<div class="${EX_STATUS[r.status]}">${t('exercise.' + r.status)}</div>` +
+    (r.messages.length ? `<ul>${r.messages.map(m => `<li>${escapeHtml(PrenexExercises.messageText(m))}</li>`).join('')}</ul>` : '');
+  attempts.push({ at: new Date().toISOString(), formula: raw, stage: box.dataset.stage, answer, status: r.status, messages: r.messages });
+  renderAttempts();
+}
+function renderAttempts() {
+  if (!exHistoryEl) return;
+  const correct = attempts.filter(a => a.status === 'correct').length;
+  exHistoryEl.textContent = attempts.length ? t('exercise.history', { attempts: attempts.length, correct }) : '';
+}
+function downloadText(text, name, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ---------- Herbrand universe explorer (PrenexHerbrand, see herbrand.js) ----------
+const hbOutEl = document.getElementById('hb-out');
+function clearHerbrand() { if (hbOutEl) hbOutEl.innerHTML = ''; }
+// show at most `max` items of a list, saying how many were left out
+function truncatedList(items, max, render, sep) {
+  const shown = items.slice(0, max).map(render).join(sep);
+  return items.length > max ? `${shown}${sep}${pr.inline(pr.sym.ellipsis)} <span class="muted">(+${items.length - max})</span>` : shown;
+}
+function runHerbrand() {
+  const raw = (inputEl.value || '').trim();
+  if (!raw || !hbOutEl) return;
+  const goal = document.getElementById('hb-goal').value;
+  const depth = Math.max(0, Math.min(6, Number(document.getElementById('hb-depth').value) || 0));
+  try {
+    const r = convertWithin(raw, Object.assign(pipelineOptions(), { negate: goal === 'valid', targets: ['simplified'] }));
+    const clauses = r.simplified.clauses;
+    const h = PrenexHerbrand.explore(clauses, depth);
+    const sig = h.signature;
+    const out = [];
+    if (sig.added) out.push(`<div class="muted">${t('hb.addedConstant', { constant: `<span class="mono">${sig.added}</span>` })}</div>`);
+    out.push(`<div class="mono">${t('hb.signature', {
+      constants: sig.constants.join(', '),
+      functions: sig.functions.map(f => `${f.name}/${f.arity}`).join(', ') || '—',
+      predicates: sig.predicates.map(p => `${p.name}/${p.arity}`).join(', ') || '—'
+    })}</div>`);
+    const rows = h.levels.map(l =>
+      `<tr><td>${l.depth}</td><td>${l.terms}</td><td>${l.atoms}</td><td>${l.instances}</td><td>${l.satisfiable ? t('hb.satisfiable') : `<span class="ok">${t('hb.unsatisfiable')}</span>`}${l.truncated ? ` <span class="error">${t('hb.truncated')}</span>` : ''}</td></tr>`).join('');
+    out.push(`<table class="table" style="margin-top:8px"><tr><th>${t('hb.depth')}</th><th>${t('hb.terms')}</th><th>${t('hb.atoms')}</th><th>${t('hb.instances')}</th><th>${t('hb.result')}</th></tr>${rows}</table>`);
+
+    const last = h.levels[h.levels.length - 1];
+    if (h.unsatisfiable) {
+      out.push(`<div style="margin:6px 0"><span class="ok">${t('hb.unsatSet')}</span> ${t(goal === 'valid' ? 'hb.herbrandValid' : 'hb.herbrand', { depth: last.depth })}</div>`);
+      if (h.core) out.push(`<div><strong>${t('hb.core', { count: h.core.length })}</strong> ${pr.display(h.core.map(i => pr.clause(i.lits)).join(pr.sym.gap))}</div>`);
+    } else if (!sig.functions.length && !last.truncated) {
+      out.push(`<div style="margin:6px 0"><span class="error">${t('hb.satisfiableSet')}</span>: ${t('hb.finiteUniverse')}</div>`);
+    } else {
+      out.push(`<div style="margin:6px 0"><span class="error">${t('hb.noContradiction', { depth: last.depth })}</span>: ${t('hb.increaseDepth')}</div>`);
+    }
+    if (clauses.some(c => c.some(L => L.pred.kind === 'Eq'))) out.push(`<div class="muted">${t('hb.equality')}</div>`);
+
+    const universeTex = h.universe.levels.map((lv, d) => `<div>${t('hb.level', { depth: d })} ${lv.length ? truncatedList(lv, 40, term => pr.inline(pr.term(term)), ', ') : '—'}</div>`).join('');
+    out.push(`<div style="margin-top:6px"><strong>${t('hb.universe')}</strong>${universeTex}</div>`);
+    out.push(`<div style="margin-top:6px"><strong>${t('hb.base')}</strong> ${t('hb.baseCount', { count: h.base.atoms.length + (h.base.truncated ? '+' : '') })} ${truncatedList(h.base.atoms, 60, a => pr.inline(pr.formula(a)), ', ') || '—'}</div>`);
+    const perClause = clauses.map((c, idx) => {
+      const inst = h.instances.filter(i => i.clause === idx);
+      return `<div>C${idx + 1} ${pr.inline(pr.clause(c))}: ${truncatedList(inst, 20, i => pr.inline(pr.clause(i.lits)), ', ') || '—'}</div>`;
+    }).join('');
+    out.push(`<div style="margin-top:6px"><strong>${t('hb.groundInstances')}</strong>${perClause}</div>`);
+    hbOutEl.innerHTML = out.join('');
+  } catch (e) {
+    hbOutEl.innerHTML = `<div class="error">${escapeHtml(panelError(e))}</div>`;
+  }
+  renderMath(hbOutEl);
+}
+
+// ---------- Finite-model evaluation of every step (PrenexModels, see models.js) ----------
+const modelOutEl = document.getElementById('model-out');
+function clearModelCheck() { if (modelOutEl) modelOutEl.innerHTML = ''; }
+// free variables are read universally, as everywhere else in the tool
+function withPrefix(prefix, matrix) {
+  return prefix.reduceRight((g, p) => p.q === 'forall' ? Node.ForAll(p.v, g) : Node.Exists(p.v, g), matrix);
+}
+function randomModel() {
+  const raw = (inputEl.value || '').trim();
+  const jsonEl = document.getElementById('model-json');
+  if (!raw || !jsonEl) return;
+  const size = Math.max(1, Math.min(5, Number(document.getElementById('model-size').value) || 2));
+  try {
+    const sym = PrenexModels.symbolsOf(convertWithin(raw, { targets: ['ast'] }).ast);
+    const domain = Array.from({ length: size }, (_, i) => i);
+    const pick = () => domain[Math.floor(Math.random() * size)];
+    const tuples = k => k ? [].concat(...tuples(k - 1).map(tuple => domain.map(d => tuple.concat([d])))) : [[]];
+    const model = { domain, predicates: {}, functions: {} };
+    Object.keys(sym.predicates).forEach(p => {
+      const k = sym.predicates[p];
+      model.predicates[p] = k ? tuples(k).filter(() => Math.random() < 0.5) : Math.random() < 0.5;
+    });
+    Object.keys(sym.functions).forEach(f => {
+      const k = sym.functions[f];
+      if (!k) { model.functions[f] = pick(); return; }
+      model.functions[f] = {};
+      tuples(k).forEach(tuple => { model.functions[f][tuple.join(',')] = pick(); });
+    });
+    jsonEl.value = JSON.stringify(model);
+    clearModelCheck();
+  } catch (e) {
+    if (modelOutEl) modelOutEl.innerHTML = `<div class="error">${escapeHtml(panelError(e))}</div>`;
+  }
+}
+function runModelCheck() {
+  const raw = (inputEl.value || '').trim();
+  if (!raw || !modelOutEl) return;
+  try {
+    const model = PrenexModels.parseModel(document.getElementById('model-json').value);
+    const options = pipelineOptions();
+    const r = convertWithin(raw, options);
+    const pre = r.prenex.prefix;
+    const forms = [
+      ['1) ' + t('summary.original'), r.ast],
+      r.noExtra.steps.length ? ['1.2) ' + t('summary.noExtra', { symbols: r.noExtra.steps.map(st => st.symbol).join(', ') }), r.noExtra.formula] : null,
+      ['2) ' + t('summary.noIff'), r.noIff], ['3) ' + t('summary.noImp'), r.noImp], ['4) ' + t('summary.nnf'), r.nnf],
+      options.miniscope ? ['4.1) ' + t('summary.miniscoped'), r.miniscoped] : null,
+      ['5) ' + t('summary.standardized'), r.standardized.formula], ['6) ' + t('summary.prenex'), withPrefix(pre, r.prenex.matrix)],
+      r.cnf.skipped ? null : ['7.1) ' + t('summary.cnf'), withPrefix(pre, r.cnf.matrix)],
+      r.dnf.skipped ? null : ['8.1) ' + t('summary.dnf'), withPrefix(pre, r.dnf.matrix)],
+      r.dnfSimplified ? ['8.2) ' + t('summary.dnfSimplified'), withPrefix(pre, r.dnfSimplified.matrix)] : null
+    ].filter(Boolean);
+    const original = PrenexModels.evaluate(universalClosure(r.ast), model);
+    let broken = 0;
+    const rows = forms.map(([label, f]) => {
+      const v = PrenexModels.evaluate(universalClosure(f), model);
+      if (v !== original) broken++;
+      return `<tr><td>${label}</td><td>${tv(v)}</td><td>${v === original ? `<span class="ok">${t('model.same')}</span>` : `<span class="error">${t('model.differs')}</span>`}</td></tr>`;
+    });
+
+    // Skolemization keeps only satisfiability: look for Skolem functions (and D_k atoms) that make the clauses true
+    const free = r.skolem.mapping.map(m => m.term.name)
+      .concat(r.skolem.source === 'definitional' ? r.definitional.definitions.map(d => d.atom.name) : []);
+    const extras = [];
+    [['9) ' + t('summary.skolem'), r.clauses], ['9.1) ' + t('summary.simplified'), r.simplified.clauses]].forEach(([label, clauses]) => {
+      const asIs = PrenexModels.evaluate(universalClosure(PrenexPropositional.clausesToFormula(clauses)), model);
+      const found = PrenexModels.extendModel(clauses, model, free);
+      let note;
+      if (found.limit) note = `<span class="error">${t('model.searchStopped')}</span>`;
+      else if (!!found.model !== original) { broken++; note = `<span class="error">${t('model.inconsistent')}</span>`; }
+      else note = `<span class="ok">${t(found.model ? 'model.extensionExists' : 'model.noExtension')}</span>`;
+      rows.push(`<tr><td>${label}</td><td>${tv(asIs)} <span class="muted">${t('model.defaults')}</span></td><td>${note}</td></tr>`);
+      if (found.model && !extras.length && free.length) {
+        extras.push(`<div style="margin-top:6px"><strong>${t('model.found', { symbols: free.join(', ') })}</strong></div>` +
+          modelHtml(PrenexModels.restrictModel(found.model, {
+            predicates: Object.fromEntries(free.map(n => [n, 0])), functions: Object.fromEntries(free.map(n => [n, 0]))
+          })));
+      }
+    });
+    modelOutEl.innerHTML = modelHtml(model) +
+      `<table class="table" style="margin-top:8px"><tr><th>${t('model.stage')}</th><th>${t('model.value')}</th><th>${t('model.check')}</th></tr>${rows.join('')}</table>` +
+      (broken ? `<div class="error">${t('model.broken', { count: broken })}</div>` : `<div class="ok">${t('model.agree')}</div>`) +
+      `<div class="muted">${t('model.skolemNote')}</div>` +
+      extras.join('');
+  } catch (e) {
+    modelOutEl.innerHTML = `<div class="error">${escapeHtml(panelError(e))}</div>`;
+  }
+}
+
+// ---------- Export to external tools (PrenexExport, see exporters.js) ----------
+const exportOutEl = document.getElementById('export-out');
+let exportData = null; // { ast, clauses, input, result, options, summary } of the last successful recompute
+function exportText() {
+  if (!exportData) return '';
+  const format = document.getElementById('export-format').value;
+  const source = document.getElementById('export-source').value;
+  const role = document.getElementById('export-role').value;
+  const input = source === 'formula' ? { formula: exportData.ast, role } : { clauses: exportData.clauses };
+  switch (format) {
+    case 'tptp': return PrenexExport.toTPTP(input);
+    case 'smtlib': return PrenexExport.toSMTLIB(input);
+    case 'dimacs': return PrenexExport.toDIMACS(exportData.clauses).text;
+    case 'prolog': return PrenexExport.toProlog(exportData.clauses).text;
+    case 'report-latex': return PrenexReport.toLatexReport([exportData]);
+    case 'report-markdown': return PrenexReport.toMarkdownReport([exportData]);
+    case 'text': return exportData.summary + '\n';
+  }
+}
+function renderExport() {
+  if (!exportOutEl) return;
+  const format = document.getElementById('export-format').value;
+  // DIMACS and Prolog only take the clause set; the reports and the text summary cover every step
+  const fixed = format === 'dimacs' || format === 'prolog' || format === 'text' || format.startsWith('report-');
+  document.getElementById('export-source').disabled = fixed;
+  document.getElementById('export-role').disabled = fixed || document.getElementById('export-source').value !== 'formula';
+  try {
+    exportOutEl.textContent = exportText();
+    exportOutEl.classList.remove('error');
+  } catch (e) {
+    exportOutEl.textContent = (e && e.message) ? e.message : String(e);
+    exportOutEl.classList.add('error');
+  }
+}
+function downloadExport() {
+  if (!exportData || exportOutEl.classList.contains('error')) return;
+  const format = document.getElementById('export-format').value;
+  const ext = format === 'text' ? 'txt'
+    : format.startsWith('report-') ? PrenexReport.EXTENSIONS[format.slice('report-'.length)] : PrenexExport.EXTENSIONS[format];
+  downloadText(exportOutEl.textContent, 'formula.' + ext, 'text/plain');
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  if (localeEl) {
+    localeEl.innerHTML = PrenexI18n.LOCALES.map(l => `<option value="${l}">${PrenexI18n.LOCALE_NAMES[l]}</option>`).join('');
+    localeEl.addEventListener('change', () => setPageLocale(localeEl.value));
+  }
+  PrenexI18n.setLocale(storedLocale() || PrenexI18n.DEFAULT_LOCALE);
+  if (localeEl) localeEl.value = PrenexI18n.getLocale();
+  applyLabels();
+  const input = document.getElementById('input');
+  if (input) {
+    input.value = '\\forall x (P(x) \\to \\exists y\\, Q(x,y))';
+    autoResizeTextarea(input);
+    recompute();
+  }
+  // Controls: expand/collapse/copy summary
+  const expandAllBtn = document.getElementById('expand-all');
+  const collapseAllBtn = document.getElementById('collapse-all');
+  const copySummaryBtn = document.getElementById('copy-summary');
+  function allDetails() { return Array.from(document.querySelectorAll('#steps > details')); }
+  if (expandAllBtn) expandAllBtn.addEventListener('click', () => { allDetails().forEach(d => d.open = true); });
+  if (collapseAllBtn) collapseAllBtn.addEventListener('click', () => { allDetails().forEach(d => d.open = false); });
+  const resRunBtn = document.getElementById('res-run');
+  if (resRunBtn) resRunBtn.addEventListener('click', runResolution);
+  const sldRunBtn = document.getElementById('sld-run');
+  if (sldRunBtn) sldRunBtn.addEventListener('click', runSLD);
+  const sldQueryEl = document.getElementById('sld-query');
+  if (sldQueryEl) sldQueryEl.addEventListener('keydown', e => { if (e.key === 'Enter') runSLD(); });
+  const eqRunBtn = document.getElementById('eq-run');
+  if (eqRunBtn) eqRunBtn.addEventListener('click', runEquivalence);
+  renderExerciseStages();
+  if (printerEl) printerEl.addEventListener('change', () => setPrinter(printerEl.value));
+  // the MathJax script is async: by `load` it has either run or failed
+  window.addEventListener('load', () => {
+    if (window.MathJax || pr !== PRINTERS.latex) return;
+    setPrinter('unicode');
+    if (printerNoteEl) {
+      printerNoteEl.dataset.i18n = 'printer.fallback';
+      printerNoteEl.textContent = t('printer.fallback');
+    }
+  });
+  const exModeEl = document.getElementById('ex-mode');
+  if (exModeEl) exModeEl.addEventListener('change', () => { document.body.classList.toggle('exercise-mode', exModeEl.checked); });
+  const exJsonBtn = document.getElementById('ex-json');
+  if (exJsonBtn) exJsonBtn.addEventListener('click', () => {
+    if (!attempts.length) return;
+    const exported = attempts.map(a => Object.assign({}, a, { messages: a.messages.map(m => PrenexExercises.messageText(m)) }));
+    downloadText(JSON.stringify(exported, null, 2) + '\n', t('page.exFile') + '.json', 'application/json');
+  });
+  const exCsvBtn = document.getElementById('ex-csv');
+  if (exCsvBtn) exCsvBtn.addEventListener('click', () => { if (attempts.length) downloadText(PrenexExercises.attemptsToCSV(attempts), t('page.exFile') + '.csv', 'text/csv'); });
+  const exClearBtn = document.getElementById('ex-clear');
+  if (exClearBtn) exClearBtn.addEventListener('click', () => { attempts.length = 0; renderAttempts(); });
+  const hbRunBtn = document.getElementById('hb-run');
+  if (hbRunBtn) hbRunBtn.addEventListener('click', runHerbrand);
+  const modelRunBtn = document.getElementById('model-run');
+  if (modelRunBtn) modelRunBtn.addEventListener('click', runModelCheck);
+  const modelRandomBtn = document.getElementById('model-random');
+  if (modelRandomBtn) modelRandomBtn.addEventListener('click', randomModel);
+  const eqOtherEl = document.getElementById('eq-other');
+  if (eqOtherEl) eqOtherEl.addEventListener('input', clearEquivalence);
+  ['export-format', 'export-source', 'export-role'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('change', renderExport);
+  });
+  const exportCopyBtn = document.getElementById('export-copy');
+  if (exportCopyBtn) exportCopyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(exportOutEl.textContent);
+      if (statusEl) statusEl.textContent = t('status.exportCopied');
+    } catch (_) { if (statusEl) statusEl.textContent = t('status.copyFailed'); }
+  });
+  const exportDownloadBtn = document.getElementById('export-download');
+  if (exportDownloadBtn) exportDownloadBtn.addEventListener('click', downloadExport);
+  if (copySummaryBtn) copySummaryBtn.addEventListener('click', async () => {
+    if (!summaryText) return;
+    try {
+      await navigator.clipboard.writeText(summaryText);
+      if (statusEl) statusEl.textContent = t('status.summaryCopied');
+    } catch (_) { if (statusEl) statusEl.textContent = t('status.copyFailed'); }
+  });
+});
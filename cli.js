@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+// prenex-cnf-dnf-calculator — batch converter.
+// Reads one formula per line (or a JSON list of strings) and writes the chosen
+// pipeline stages as JSON, LaTeX, plain Unicode or text with minimal parentheses. See `node cli.js --help`.
+'use strict';
+const fs = require('fs');
+const E = require('./engine.js');
+const I18n = require('./i18n.js');
+const R = require('./report.js');
+
+// the help text, in the current locale
+function usage() {
+  return I18n.t('cli.usage', {
+    stages: E.STAGES.join(', '), reports: R.FORMATS.join(', '), syntaxes: E.SYNTAXES.join(', '), strategies: E.PRENEX_STRATEGIES.join(', '),
+    threshold: E.DEFAULT_CNF_THRESHOLD, locales: I18n.LOCALES.join(', '), defaultLocale: I18n.DEFAULT_LOCALE
+  });
+}
+
+// ---------- Argument parsing ----------
+function parseArgs(argv) {
+  const opts = { stages: E.STAGES, format: 'json', input: 'auto', output: null, files: [], help: false, report: null, strategy: 'left', miniscope: false, close: false, cnfMode: 'auto', syntax: 'auto', implication: 'right', trace: false, cnfThreshold: E.DEFAULT_CNF_THRESHOLD, lang: I18n.DEFAULT_LOCALE, budget: {} };
+  for (let k = 0; k < argv.length; k++) {
+    const a = argv[k];
+    const value = () => {
+      if (k + 1 >= argv.length) I18n.fail('cli.missingValue', { option: a });
+      return argv[++k];
+    };
+    if (a === '-h' || a === '--help') opts.help = true;
+    else if (a === '-s' || a === '--stages') opts.stages = value().split(',').map(x => x.trim()).filter(Boolean);
+    else if (a === '-f' || a === '--format') opts.format = value();
+    else if (a === '-i' || a === '--input') opts.input = value();
+    else if (a === '-o' || a === '--output') opts.output = value();
+    else if (a === '--report') opts.report = value();
+    else if (a === '--strategy') opts.strategy = value();
+    else if (a === '--syntax') opts.syntax = value();
+    else if (a === '--implication') opts.implication = value();
+    else if (a === '--miniscope') opts.miniscope = true;
+    else if (a === '--close') opts.close = true;
+    else if (a === '--trace') opts.trace = true;
+    else if (a === '--cnf') opts.cnfMode = value();
+    else if (a === '--cnf-threshold') opts.cnfThreshold = Number(value());
+    else if (a === '--lang') opts.lang = value();
+    else if (a === '--max-nodes') opts.budget.nodes = Number(value());
+    else if (a === '--max-clauses') opts.budget.clauses = Number(value());
+    else if (a === '--max-time') opts.budget.time = Number(value());
+    else if (a !== '-' && a.startsWith('-')) I18n.fail('cli.unknownOption', { option: a });
+    else opts.files.push(a);
+  }
+  opts.stages.forEach(st => { if (!E.STAGES.includes(st)) I18n.fail('error.unknownStage', { stage: st }); });
+  if (!['json', 'latex', 'unicode', 'text'].includes(opts.format)) I18n.fail('cli.unknownFormat', { format: opts.format });
+  if (opts.report !== null && !R.FORMATS.includes(opts.report)) I18n.fail('cli.unknownReport', { format: opts.report });
+  if (!E.PRENEX_STRATEGIES.includes(opts.strategy)) I18n.fail('error.unknownStrategy', { strategy: opts.strategy });
+  if (!E.SYNTAXES.includes(opts.syntax)) I18n.fail('error.unknownSyntax', { syntax: opts.syntax });
+  if (!E.IMPLICATION_MODES.includes(opts.implication)) I18n.fail('error.unknownImplication', { mode: opts.implication });
+  if (!E.CNF_MODES.includes(opts.cnfMode)) I18n.fail('error.unknownCnfMode', { mode: opts.cnfMode });
+  if (!(opts.cnfThreshold > 0)) I18n.fail('cli.badThreshold');
+  Object.keys(opts.budget).forEach(name => { if (!(opts.budget[name] > 0)) I18n.fail('cli.badBudget', { option: '--max-' + name }); });
+  if (!['auto', 'lines', 'json'].includes(opts.input)) I18n.fail('cli.unknownInput', { mode: opts.input });
+  // accepts tags like en-US or es_AR
+  const lang = I18n.matchLocale(opts.lang);
+  if (!lang) I18n.fail('cli.unknownLang', { lang: opts.lang });
+  opts.lang = lang;
+  if (!opts.files.length) opts.files.push('-');
+  return opts;
+}
+
+// ---------- Reading formulas ----------
+// Returns [{ source, line, text }]; `line` is 1-based (index + 1 for JSON lists).
+function readFormulas(file, mode) {
+  const source = file === '-' ? '<stdin>' : file;
+  const content = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+  const asJson = mode === 'json' || (mode === 'auto' && content.trim().startsWith('['));
+  if (asJson) {
+    const list = JSON.parse(content);
+    if (!Array.isArray(list) || !list.every(x => typeof x === 'string')) {
+      I18n.fail('cli.jsonList', { source });
+    }
+    return list.map((text, idx) => ({ source, line: idx + 1, text }));
+  }
+  return content.split(/\r?\n/)
+    .map((text, idx) => ({ source, line: idx + 1, text }))
+    .filter(f => f.text.trim() && !f.text.trim().startsWith('%'));
+}
+
+// ---------- Text rendering of each stage ----------
+function printers(format) {
+  const p = format === 'latex' ? {
+    formula: E.toLatex, term: E.toLatexTerm, prefix: E.latexPrefix, arrow: ' \\mapsto ', rewrite: ' \\Longrightarrow ',
+    theta: items => `\\theta = \\{${items.join(',\\; ')}\\}`,
+    clauses: cls => cls.length ? cls.map(E.latexClause).join(' \\land ') : '\\emptyset'
+  } : format === 'text' ? {
+    formula: E.toText, term: E.toUnicodeTerm, prefix: E.unicodePrefix, arrow: ' → ', rewrite: ' ⟹ ',
+    theta: items => `θ = {${items.join(', ')}}`,
+    // the prefix goes back onto the matrix so that only the needed parentheses are printed
+    prenex: (prefix, matrix) => E.toText(E.applyPrefix(prefix, matrix)),
+    clauses: cls => cls.length ? cls.map(lits => E.textClause(lits)).join(' ∧ ') : '∅'
+  } : {
+    formula: E.toUnicode, term: E.toUnicodeTerm, prefix: E.unicodePrefix, arrow: ' → ', rewrite: ' ⟹ ',
+    theta: items => `θ = {${items.join(', ')}}`,
+    clauses: cls => cls.length ? cls.map(E.unicodeClause).join(' ∧ ') : '∅'
+  };
+  if (!p.prenex) p.prenex = (prefix, matrix) => `${p.prefix(prefix)}(${p.formula(matrix)})`;
+  return p;
+}
+// reasons reported by simplifyClauses, in the words of the page
+function simplificationText(st, p) {
+  const ref = k => 'C' + (k + 1);
+  const lit = L => p.formula(E.literalToNode(L));
+  switch (st.reason) {
+    case 'duplicate-literal': return I18n.t('simplify.duplicateLiteral', { literal: lit(st.literal) });
+    case 'tautology': return I18n.t(st.literal.pred.kind === 'Eq' && !st.literal.neg ? 'simplify.tautology' : 'simplify.tautologyPair', { literal: lit(st.literal) });
+    case 'duplicate-clause': return I18n.t('simplify.duplicate', { ref: ref(st.by) });
+    case 'subsumed': {
+      const theta = Object.keys(st.subst).map(v => v + p.arrow + p.term(st.subst[v]));
+      return I18n.t('simplify.subsumed', { ref: ref(st.by) }) + (theta.length ? ' ' + I18n.t('simplify.theta', { theta: p.theta(theta) }) : '');
+    }
+  }
+}
+function renderStage(stage, r, p) {
+  const prenex = matrix => p.prenex(r.prenex.prefix, matrix);
+  switch (stage) {
+    case 'tokens': return r.tokens.map(t => t.value).join(' ');
+    case 'analysis': {
+      const sig = r.analysis.signature;
+      const symbols = list => list.map(x => `${x.name}/${x.arity}`).join(', ') || '—';
+      return I18n.t('cli.signature', { predicates: symbols(sig.predicates), functions: symbols(sig.functions), free: r.analysis.free.join(', ') || '—' }) +
+        r.analysis.warnings.filter(w => w.code !== 'free').map(w => '; ' + I18n.t('cli.warning', { message: w.message })).join('');
+    }
+    case 'noExtra': return p.formula(r.noExtra.formula) + r.noExtra.steps.map(st => `\n  ${I18n.t('cli.noExtra', { symbol: st.symbol })}: ${p.formula(st.formula)}`).join('');
+    case 'ast': case 'noIff': case 'noImp': case 'nnf': case 'miniscoped': return p.formula(r[stage]);
+    case 'standardized': {
+      const ren = r.standardized.mapping.map(m => m.from + p.arrow + m.to).join(', ');
+      return p.formula(r.standardized.formula) + (ren ? `    [${ren}]` : '');
+    }
+    case 'prenex': return prenex(r.prenex.matrix);
+    case 'strategies': return r.strategies.map(st =>
+      `${st.strategy}: ${p.prefix(st.prefix).trim()} [${st.skolem.map(m => m.variable + p.arrow + p.term(m.term)).join(', ')}]`).join('; ');
+    case 'cnf': case 'dnf':
+      if (r[stage].skipped) return `(${I18n.t(stage === 'cnf' ? 'cli.cnfSkipped' : 'cli.dnfSkipped', { estimate: r[stage].estimate })})`;
+      return prenex(r[stage].matrix);
+    case 'definitional': return prenex(r.definitional.matrix) +
+      r.definitional.definitions.map(d => `\n  ${p.formula(d.atom)} := ${p.formula(d.formula)}`).join('');
+    case 'skolem': {
+      const sk = r.skolem.mapping.map(m => m.variable + p.arrow + p.term(m.term)).join(', ');
+      return p.formula(r.skolem.matrix) + (sk ? `    [${sk}]` : '');
+    }
+    case 'clauses': return p.clauses(r.clauses);
+    case 'simplified': return p.clauses(r.simplified.clauses) +
+      r.simplified.steps.map(st => `\n  C${st.index + 1}: ${simplificationText(st, p)}`).join('');
+    case 'dnfSimplified': return r.dnfSimplified ? prenex(r.dnfSimplified.matrix) : `(${I18n.t('cli.omitted')})`;
+    case 'horn': {
+      const ren = r.horn.renamable;
+      const extra = r.horn.all ? '' : '; ' + (ren.flip ? I18n.t('cli.renamable', { predicates: ren.flip.join(', ') })
+        : I18n.t('cli.notRenamable', { clauses: ren.blocking.map(i => i + 1).join(', ') }));
+      return I18n.t(r.horn.all ? 'horn.horn' : 'horn.notHorn') + (r.horn.dual ? ', ' + I18n.t('horn.dualHorn') : '') +
+        ` (${I18n.t('cli.positives', { counts: r.horn.clauses.map(h => h.positives).join(', ') })})` + extra;
+    }
+  }
+}
+
+// ---------- Main ----------
+function main(argv) {
+  // --lang first, so that option errors and the help are in it too
+  const langAt = argv.lastIndexOf('--lang');
+  I18n.setLocale((langAt >= 0 && I18n.matchLocale(argv[langAt + 1])) || I18n.DEFAULT_LOCALE);
+  let opts;
+  try { opts = parseArgs(argv); } catch (e) {
+    process.stderr.write(e.message + '\n\n' + usage() + '\n');
+    return 2;
+  }
+  if (opts.help) { process.stdout.write(usage() + '\n'); return 0; }
+
+  let formulas = [];
+  try {
+    opts.files.forEach(f => { formulas = formulas.concat(readFormulas(f, opts.input)); });
+  } catch (e) {
+    process.stderr.write(e.message + '\n');
+    return 2;
+  }
+
+  // text formats print CNF/DNF under the prenex prefix, so prenex is always computed there
+  // a report shows every step, whatever --stages says
+  const targets = opts.report ? E.STAGES : opts.format === 'json' || opts.stages.includes('prenex') ||
+    !opts.stages.some(st => st === 'cnf' || st === 'dnf' || st === 'definitional' || st === 'dnfSimplified') ? opts.stages : opts.stages.concat('prenex');
+  const p = printers(opts.format);
+  let failures = 0;
+  let interrupted = 0; // formulas with a stage stopped by a budget
+  const entries = [];
+  const out = [];
+  const reported = [];
+  formulas.forEach(f => {
+    try {
+      const options = { strategy: opts.strategy, miniscope: opts.miniscope, close: opts.close, cnfMode: opts.cnfMode, cnfThreshold: opts.cnfThreshold, syntax: opts.syntax, implication: opts.implication };
+      const r = E.convert(f.text, Object.assign({ targets, trace: opts.trace, budget: opts.budget }, options));
+      // a report needs every stage
+      if (r.stopped) interrupted++;
+      if (opts.report && r.stopped) throw new Error(Object.keys(r.stopped).map(st => `${st}: ${r.stopped[st].message}`).join('; '));
+      if (opts.report) reported.push({ input: f.text.trim(), result: r, options });
+      else if (opts.format === 'json') {
+        const stages = {};
+        opts.stages.forEach(st => { stages[st] = r[st]; });
+        const entry = { source: f.source, line: f.line, input: f.text, ok: true, stages };
+        if (r.stopped) entry.stopped = r.stopped;
+        if (opts.trace) {
+          entry.trace = {};
+          opts.stages.forEach(st => { if (r.trace[st]) entry.trace[st] = r.trace[st]; });
+        }
+        entries.push(entry);
+      } else {
+        out.push(`% ${f.source}:${f.line}: ${f.text.trim()}`);
+        opts.stages.forEach(st => {
+          // over budget, or needing a stage that was
+          if (r[st] === undefined) {
+            out.push(`${st}: (${r.stopped[st] ? r.stopped[st].message : I18n.t('cli.notComputed')})`);
+            return;
+          }
+          out.push(`${st}: ${renderStage(st, r, p)}`);
+          if (opts.trace && r.trace[st]) r.trace[st].forEach((e, k) => out.push(`  ${k + 1}. ${e.name}: ${p.formula(e.before)}${p.rewrite}${p.formula(e.after)}`));
+        });
+        out.push('');
+      }
+    } catch (e) {
+      failures++;
+      const msg = (e && e.message) ? e.message : String(e);
+      process.stderr.write(`${f.source}:${f.line}: ${msg}\n` + (e && e.hint ? `  ${I18n.t('error.hint', { hint: e.hint })}\n` : ''));
+      if (opts.report) return;
+      if (opts.format === 'json') {
+        const entry = { source: f.source, line: f.line, input: f.text, ok: false, error: msg, code: (e && e.code) || null };
+        if (e && typeof e.start === 'number') Object.assign(entry, { column: e.column, expected: e.expected, hint: e.hint });
+        entries.push(entry);
+      }
+      else out.push(`% ${f.source}:${f.line}: ${I18n.t('cli.error', { message: msg })}`, '');
+    }
+  });
+
+  const text = opts.report === 'latex' ? R.toLatexReport(reported)
+    : opts.report === 'markdown' ? R.toMarkdownReport(reported)
+    : opts.format === 'json' ? JSON.stringify(entries, null, 2) + '\n' : out.join('\n');
+  if (opts.output) fs.writeFileSync(opts.output, text);
+  else process.stdout.write(text);
+  return failures ? 1 : interrupted ? 3 : 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+module.exports = { main, parseArgs, readFormulas, renderStage };
@@ -0,0 +1,2084 @@
+// prenex-cnf-dnf-calculator — conversion engine.
+// Loaded as a plain <script> it exposes `PrenexEngine` on the global object;
+// under Node/CommonJS it is exported with `module.exports`. No DOM access here.
+// Messages (errors, warnings, rule names) come from the catalogue in i18n.js.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./i18n.js'));
+  else root.PrenexEngine = factory(root.PrenexI18n);
+})(typeof self !== 'undefined' ? self : this, function (I18n) {
+'use strict';
+const t = I18n.t;
+
+// ---------- Small utilities ----------
+function isLetter(ch) { return /[A-Za-z_]/.test(ch); }
+function isDigit(ch) { return /[0-9]/.test(ch); }
+// Errors carry a message code of the catalogue and its parameters (`code`,
+// `params`); the message is that code in the current locale, and
+// localizeError gives it in any other.
+const error = I18n.fail;
+
+// Syntax errors also carry where they happened: start/end offsets in the raw
+// input, the token types expected there (`expectedTokens`, with their labels in
+// `expected`) and a hint for the usual mistakes ({ code, params }, its text in
+// `hint`). readInput adds line and column to the message.
+function syntaxError(code, params, start, end, expected = [], hint = null) {
+  throw Object.assign(new Error(t(code, params)), {
+    code, params, start, end, expectedTokens: expected, expected: expected.map(x => tokenLabel(x)),
+    hintCode: hint && hint.code, hintParams: hint && hint.params, hint: hint && t(hint.code, hint.params)
+  });
+}
+const hint = (code, params = {}) => ({ code, params });
+// { message, hint, expected } of an error thrown here, in `locale`; other errors
+// keep their own message
+function localizeError(e, locale = I18n.getLocale()) {
+  if (!e || !e.code) return { message: e && e.message || String(e), hint: e && e.hint || null, expected: e && e.expected || [] };
+  let message = t(e.code, e.params, locale);
+  if (e.line) message += t(e.multiline ? 'syntax.line' : 'syntax.position', e, locale);
+  return {
+    message, hint: e.hintCode ? t(e.hintCode, e.hintParams, locale) : null,
+    expected: (e.expectedTokens || []).map(x => tokenLabel(x, locale))
+  };
+}
+
+// ---------- Normalization ----------
+// LaTeX commands and ASCII shortcuts become single-char logical symbols
+// (order matters: \neg before \ne, \top before \to, != before !)
+const LATEX_SYMBOLS = {
+  'forall': '∀', 'exists': '∃', 'neg': '¬', 'lnot': '¬',
+  'neq': '≠', 'ne': '≠', 'top': '⊤', 'bot': '⊥',
+  'land': '∧', 'lor': '∨', 'leftrightarrow': '↔', 'to': '→',
+  'oplus': '⊕', 'uparrow': '↑', 'downarrow': '↓', 'leftarrow': '←'
+};
+const ASCII_SYMBOLS = { '<->': '↔', '->': '→', '<-': '←', '!=': '≠', '!': '¬', '~': '¬', '&': '∧', '|': '∨' };
+// what people type instead of the supported commands
+const LATEX_SUGGESTIONS = {
+  implies: 'to', rightarrow: 'to', Rightarrow: 'to', longrightarrow: 'to', Longrightarrow: 'to',
+  iff: 'leftrightarrow', Leftrightarrow: 'leftrightarrow', Longleftrightarrow: 'leftrightarrow', equiv: 'leftrightarrow',
+  wedge: 'land', vee: 'lor', lneg: 'neg', sim: 'neg', not: 'neg', A: 'forall', E: 'exists', all: 'forall',
+  exist: 'exists', nexists: 'neg \\exists', neql: 'neq', true: 'top', false: 'bot', bottom: 'bot',
+  xor: 'oplus', veebar: 'oplus', nand: 'uparrow', barwedge: 'uparrow', nor: 'downarrow',
+  Leftarrow: 'leftarrow', impliedby: 'leftarrow', gets: 'leftarrow'
+};
+// { text, spans } where spans[i] = [start, end) of the raw characters that
+// produced normalized character i (spans[text.length] marks the end).
+// `keywords` also maps forall, exists, not, and, or, implies, iff, xor, nand, nor, true, false.
+function normalizeWithOffsets(raw, keywords = false) {
+  const out = [], spans = [];
+  const emit = (str, start, end) => { for (const ch of str) { out.push(ch); spans.push([start, end]); } };
+  raw = raw || '';
+  let i = 0;
+  while (i < raw.length) {
+    const ch = raw[i];
+    // non-breaking spaces
+    if (ch === '\u00A0') { emit(' ', i, i + 1); i++; continue; }
+    if (ch === '\\') {
+      // several backslashes count as one
+      let j = i;
+      while (raw[j] === '\\') j++;
+      const rest = raw.slice(j);
+      // LaTeX spacing commands -> space
+      const spacing = rest.match(/^(,|;|:|!|qquad|quad| )/);
+      if (spacing) { emit(' ', i, j + spacing[0].length); i = j + spacing[0].length; continue; }
+      const cmd = Object.keys(LATEX_SYMBOLS).find(k => rest.startsWith(k));
+      if (cmd) { emit(LATEX_SYMBOLS[cmd], i, j + cmd.length); i = j + cmd.length; continue; }
+      emit('\\', i, j);
+      i = j;
+      continue;
+    }
+    const op = Object.keys(ASCII_SYMBOLS).find(k => raw.startsWith(k, i));
+    if (op) { emit(ASCII_SYMBOLS[op], i, i + op.length); i += op.length; continue; }
+    if (keywords && !/[A-Za-z0-9_]/.test(raw[i - 1] || '')) {
+      const word = raw.slice(i).match(/^(forall|exists|not|and|or|implies|iff|xor|nand|nor|true|false)(?![A-Za-z0-9_(])/);
+      if (word) { emit(KEYWORDS[word[1]], i, i + word[1].length); i += word[1].length; continue; }
+    }
+    emit(ch, i, i + 1);
+    i++;
+  }
+  spans.push([raw.length, raw.length]);
+  return { text: out.join(''), spans };
+}
+function normalizeInput(text) {
+  return text ? normalizeWithOffsets(text).text : '';
+}
+
+// ---------- Tokenizer ----------
+// Tokens are { type, value, start, end }; start/end index the raw input when
+// `spans` (from normalizeWithOffsets) is given, else `input` itself.
+function tokenize(input, spans = null) {
+  const tokens = [];
+  const at = (i, j) => spans ? [spans[i][0], spans[j - 1][1]] : [i, j];
+  const push = (type, value, i, j) => { const [start, end] = at(i, j); tokens.push({ type, value, start, end }); };
+  const single = {
+    '∀': 'forall', '∃': 'exists', '¬': 'not', '∧': 'and', '∨': 'or', '→': 'implies', '↔': 'iff',
+    '⊕': 'xor', '↑': 'nand', '↓': 'nor', '←': 'converse', '=': 'eq', '≠': 'neq', '⊤': 'top', '⊥': 'bot'
+  };
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    // single-char punctuation
+    if ('(),.:'.includes(ch)) { push(ch, ch, i, i + 1); i++; continue; }
+    // single-char logical symbols
+    if (single[ch]) { push(single[ch], ch, i, i + 1); i++; continue; }
+    // names (letters, digits allowed after first)
+    if (isLetter(ch)) {
+      let j = i + 1;
+      while (j < input.length && /[A-Za-z0-9_]/.test(input[j])) j++;
+      push('name', input.slice(i, j), i, j);
+      i = j;
+      continue;
+    }
+    const [start, end] = at(i, i + 1);
+    if (ch === '\\') {
+      const cmd = (input.slice(i + 1).match(/^[A-Za-z]+/) || [''])[0];
+      const fix = LATEX_SUGGESTIONS[cmd];
+      syntaxError('syntax.latexCommand', { command: cmd }, start, at(i, i + 1 + cmd.length)[1], [],
+        fix ? hint('hint.latexUse', { fix, command: cmd }) : hint('hint.latexAccepted', { commands: Object.keys(LATEX_SYMBOLS).map(k => '\\' + k).join(', ') }));
+    }
+    syntaxError('syntax.unexpectedChar', { char: ch }, start, end);
+  }
+  return tokens;
+}
+
+// ---------- Other input syntaxes ----------
+// 'latex' is the native notation (LaTeX commands, Unicode and the ASCII shortcuts
+// of normalizeInput). 'tptp' reads the TPTP FOF subset (![X]: ..., ?[X]: ..., ~, &,
+// |, =>, <=, <=>, <~>, ~&, ~|, !=, $true/$false, optionally wrapped in
+// fof(name, role, ...).) and 'keywords' plain English keywords (forall x. ...,
+// not, and, or, implies, iff, xor, nand, nor).
+// Every syntax ends in the same Parser and the same Node/Term AST.
+const SYNTAXES = ['auto', 'latex', 'tptp', 'keywords'];
+const KEYWORDS = { forall: '∀', exists: '∃', not: '¬', and: '∧', or: '∨', implies: '→', iff: '↔', xor: '⊕', nand: '↑', nor: '↓', true: '⊤', false: '⊥' };
+function detectSyntax(text) {
+  if (/^\s*(fof|cnf)\s*\(/.test(text) || /[!?]\s*\[/.test(text) || /<=>|=>|\$(true|false)\b/.test(text)) return 'tptp';
+  if (!/\\/.test(text) && /(^|[^A-Za-z0-9_])(forall|exists|not|and|or|implies|iff)(?![A-Za-z0-9_(])/.test(text)) return 'keywords';
+  return 'latex';
+}
+function tokenizeTPTP(input) {
+  const tokens = [];
+  // % line comments and /* */ block comments (blanked, so offsets still match)
+  input = input.replace(/%[^\n]*|\/\*[\s\S]*?\*\//g, m => m.replace(/[^\n]/g, ' '));
+  const symbols = [
+    ['<=>', 'iff', '↔'], ['<~>', 'xor', '⊕'], ['=>', 'implies', '→'], ['<=', 'converse', '←'], ['!=', 'neq', '≠'],
+    ['$true', 'top', '⊤'], ['$false', 'bot', '⊥'], ['~&', 'nand', '↑'], ['~|', 'nor', '↓'],
+    ['~', 'not', '¬'], ['&', 'and', '∧'], ['|', 'or', '∨'], ['=', 'eq', '=']
+  ];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    // connectives first, so that != is not taken for a quantifier
+    const sym = symbols.find(([text]) => input.startsWith(text, i));
+    if (sym) { tokens.push({ type: sym[1], value: sym[2], start: i, end: i + sym[0].length }); i += sym[0].length; continue; }
+    if (ch === '!' || ch === '?') {
+      if (!/^[!?]\s*\[/.test(input.slice(i))) syntaxError('syntax.unexpectedChar', { char: ch }, i, i + 1, ['['], hint('hint.tptpQuantifier', { char: ch }));
+      tokens.push(ch === '!' ? { type: 'forall', value: '∀', start: i, end: i + 1 } : { type: 'exists', value: '∃', start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+    if ('(),.:[]'.includes(ch)) { tokens.push({ type: ch, value: ch, start: i, end: i + 1 }); i++; continue; }
+    if (isLetter(ch) || isDigit(ch)) {
+      let j = i + 1;
+      while (j < input.length && /[A-Za-z0-9_]/.test(input[j])) j++;
+      tokens.push({ type: 'name', value: input.slice(i, j), start: i, end: j });
+      i = j;
+      continue;
+    }
+    syntaxError('syntax.unexpectedChar', { char: ch }, i, i + 1);
+  }
+  return tokens;
+}
+// TPTP: lowercase bare words are constants in terms and propositions as formulas
+const TPTP_PARSER = { bareAtoms: true, lowercaseConstants: true };
+// grouping of chains of → (and ←) without parentheses
+const IMPLICATION_MODES = ['right', 'left'];
+// A list of annotated formulas fof(name, role, F). is read as one formula:
+// the conjunction of the others implies the conjecture (cnf(...) formulas are
+// closed universally first).
+function parseTPTP(tokens, options = {}, ambiguities = []) {
+  const parse = list => {
+    const parser = new Parser(list, Object.assign({}, TPTP_PARSER, options));
+    const f = parser.parse();
+    ambiguities.push(...parser.ambiguities);
+    return f;
+  };
+  const annotated = tokens.length > 1 && tokens[0].type === 'name' && ['fof', 'cnf'].includes(tokens[0].value) && tokens[1].type === '(';
+  if (!annotated) return parse(tokens);
+  const premises = [], conjectures = [];
+  let k = 0;
+  while (k < tokens.length) {
+    const lang = tokens[k];
+    if (lang.type !== 'name' || !['fof', 'cnf'].includes(lang.value) || !tokens[k + 1] || tokens[k + 1].type !== '(') {
+      syntaxError('syntax.tptpAnnotated', {}, lang.start, lang.end, ['fof', 'cnf']);
+    }
+    const role = tokens[k + 4] && tokens[k + 4].type === 'name' ? tokens[k + 4].value : null;
+    if (!tokens[k + 2] || tokens[k + 2].type !== 'name' || !tokens[k + 3] || tokens[k + 3].type !== ',' || !role || !tokens[k + 5] || tokens[k + 5].type !== ',') {
+      syntaxError('syntax.tptpFormat', { language: lang.value }, lang.start, (tokens[k + 5] || tokens[tokens.length - 1]).end);
+    }
+    // the formula runs up to the ')' that closes fof( — annotations after a comma are ignored
+    let depth = 0, end = k + 6, stop = -1;
+    for (; end < tokens.length; end++) {
+      const t = tokens[end].type;
+      if (t === '(' || t === '[') depth++;
+      else if ((t === ')' || t === ']') && depth > 0) depth--;
+      else if (depth === 0 && (t === ')' || t === ',')) { if (stop < 0) stop = end; if (t === ')') break; }
+    }
+    if (end >= tokens.length) {
+      syntaxError('syntax.tptpUnclosed', { language: lang.value }, tokens[k + 1].start, tokens[k + 1].end, [')'], hint('hint.closeParen'));
+    }
+    let f = parse(tokens.slice(k + 6, stop));
+    if (lang.value === 'cnf') f = universalClosure(f);
+    (role === 'conjecture' ? conjectures : premises).push(f);
+    k = end + 1;
+    if (tokens[k] && tokens[k].type === '.') k++;
+  }
+  const join = (list, op) => list.reduce((a, b) => Node[op](a, b));
+  if (!conjectures.length) return join(premises, 'And');
+  const goal = join(conjectures, 'And');
+  return premises.length ? Node.Implies(join(premises, 'And'), goal) : goal;
+}
+// 1-based line and column of a raw offset
+function lineColumn(text, offset) {
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+// { syntax, normalized, tokens, parse(), ambiguities } for text in the given
+// syntax ('auto' detects it); syntax errors get line, column and the position in
+// the message. `options` go to the Parser (implication); parse() fills
+// `ambiguities` (see Parser)
+function readInput(text, syntax = 'auto', options = {}) {
+  if (!SYNTAXES.includes(syntax)) error('error.unknownSyntax', { syntax });
+  text = text || '';
+  const located = fn => {
+    try { return fn(); } catch (e) {
+      if (typeof e.start === 'number' && !e.line) {
+        Object.assign(e, lineColumn(text, e.start), { multiline: text.includes('\n') });
+        e.message += t(e.multiline ? 'syntax.line' : 'syntax.position', e);
+      }
+      throw e;
+    }
+  };
+  if (options.implication && !IMPLICATION_MODES.includes(options.implication)) error('error.unknownImplication', { mode: options.implication });
+  const used = syntax === 'auto' ? detectSyntax(text) : syntax;
+  const ambiguities = [];
+  if (used === 'tptp') {
+    const tokens = located(() => tokenizeTPTP(text));
+    return {
+      syntax: used, normalized: tokens.map(t => t.value).join(' '), tokens, ambiguities,
+      parse: () => located(() => parseTPTP(tokens, options, ambiguities))
+    };
+  }
+  const norm = normalizeWithOffsets(text, used === 'keywords');
+  const tokens = located(() => tokenize(norm.text, norm.spans));
+  const parser = new Parser(tokens, used === 'keywords' ? Object.assign({ wideDot: true }, options) : options);
+  const parse = () => {
+    const f = parser.parse();
+    ambiguities.push(...parser.ambiguities);
+    return f;
+  };
+  return { syntax: used, normalized: norm.text.trim(), tokens, ambiguities, parse: () => located(parse) };
+}
+
+// ---------- AST factories (standardized shapes, hash-consed) ----------
+// Nodes and terms are immutable and maximally shared: a factory called twice
+// with the same kind, names and children returns the same frozen object, so
+// structurally equal formulas are === and a transformation can be memoised per
+// subformula. Children that did not come from a factory (JSON, a worker
+// message, hand-written objects) are interned on the way in (see intern). The
+// table holds its entries weakly: formulas nobody uses any more are collected.
+const ids = new WeakMap();       // interned node/term -> id
+const canonical = new WeakMap(); // plain object -> its interned copy
+const table = new Map();         // 'Kind name childIds' -> weak reference to the node/term
+const hold = typeof WeakRef === 'function' ? x => new WeakRef(x) : x => ({ deref: () => x });
+const collected = typeof FinalizationRegistry === 'function'
+  ? new FinalizationRegistry(key => { const ref = table.get(key); if (ref && !ref.deref()) table.delete(key); })
+  : null;
+let nextId = 1;
+function hashCons(key, build) {
+  if (meter) spendNode();
+  const ref = table.get(key);
+  const found = ref && ref.deref();
+  if (found) return found;
+  const x = Object.freeze(build());
+  ids.set(x, nextId++);
+  table.set(key, hold(x));
+  if (collected) collected.register(x, key);
+  return x;
+}
+const idsOf = list => list.map(x => ids.get(x)).join(',');
+const quantifierNode = kind => (variable, body) => {
+  body = intern(body);
+  return hashCons(`${kind} ${JSON.stringify(variable)} ${ids.get(body)}`, () => ({ kind, variable, body }));
+};
+const binaryNode = kind => (left, right) => {
+  left = intern(left); right = intern(right);
+  return hashCons(`${kind} ${ids.get(left)},${ids.get(right)}`, () => ({ kind, left, right }));
+};
+// equality atoms keep their two terms in `args`, like predicates
+const equalityNode = kind => (left, right) => {
+  const args = [intern(left), intern(right)];
+  return hashCons(`${kind} ${idsOf(args)}`, () => ({ kind, args: Object.freeze(args) }));
+};
+const Node = {
+  ForAll: quantifierNode('ForAll'),
+  Exists: quantifierNode('Exists'),
+  Not: (child) => {
+    child = intern(child);
+    return hashCons(`Not ${ids.get(child)}`, () => ({ kind: 'Not', child }));
+  },
+  And: binaryNode('And'),
+  Or: binaryNode('Or'),
+  Implies: binaryNode('Implies'),
+  Iff: binaryNode('Iff'),
+  // extra connectives, expanded by eliminateExtraConnectives before ↔ and →
+  Xor: binaryNode('Xor'),
+  Nand: binaryNode('Nand'),
+  Nor: binaryNode('Nor'),
+  // A ← B (left ← right), i.e. B → A
+  Converse: binaryNode('Converse'),
+  Pred: (name, args=[]) => {
+    args = args.map(intern);
+    return hashCons(`Pred ${JSON.stringify(name)} ${idsOf(args)}`, () => ({ kind: 'Pred', name, args: Object.freeze(args) }));
+  },
+  Eq: equalityNode('Eq'),
+  Neq: equalityNode('Neq'),
+  True: () => hashCons('True', () => ({ kind: 'True' })),
+  False: () => hashCons('False', () => ({ kind: 'False' }))
+};
+const Term = {
+  Var: (name) => hashCons(`Var ${JSON.stringify(name)}`, () => ({ term: 'Var', name })),
+  Func: (name, args=[]) => {
+    args = args.map(intern);
+    return hashCons(`Func ${JSON.stringify(name)} ${idsOf(args)}`, () => ({ term: 'Func', name, args: Object.freeze(args) }));
+  }
+};
+// the shared copy of a formula or term built any other way (itself when it came from a factory)
+function intern(x) {
+  if (ids.has(x)) return x;
+  if (canonical.has(x)) return canonical.get(x);
+  // a long chain (a CNF matrix from the worker) is interned from its bottom link up
+  chainBelow(x, m => !ids.has(m) && !canonical.has(m)).forEach(intern);
+  let y;
+  if (x.term === 'Var') y = Term.Var(x.name);
+  else if (x.term === 'Func') y = Term.Func(x.name, x.args);
+  else if (!Object.prototype.hasOwnProperty.call(Node, x.kind)) error('error.unknownNode', { kind: x.kind });
+  else if (x.kind === 'Pred') y = Node.Pred(x.name, x.args);
+  else if (x.kind === 'Eq' || x.kind === 'Neq') y = Node[x.kind](x.args[0], x.args[1]);
+  else if (x.kind === 'True' || x.kind === 'False') y = Node[x.kind]();
+  else if (x.kind === 'Not') y = Node.Not(x.child);
+  else if (x.kind === 'ForAll' || x.kind === 'Exists') y = Node[x.kind](x.variable, x.body);
+  else y = Node[x.kind](x.left, x.right);
+  canonical.set(x, y);
+  return y;
+}
+// the links of the chain nested to the left below x (x.left, x.left.left, ...
+// while of x's kind and open(link) holds, past `max` links at most), bottom
+// first. A flattened CNF is such a chain, thousands of clauses deep: a
+// recursion down it would overflow the stack, so the walks that recurse into
+// x.left do these links first.
+function chainBelow(x, open, max = Infinity) {
+  const links = [];
+  for (let m = x.left; m && m.kind === x.kind && open(m) && links.length <= max; m = m.left) links.push(m);
+  return links.reverse();
+}
+function isAtom(n) { return n.kind === 'Pred' || n.kind === 'Eq' || n.kind === 'Neq' || n.kind === 'True' || n.kind === 'False'; }
+function isLiteral(n) { return isAtom(n) || (n.kind === 'Not' && isAtom(n.child)); }
+// rebuild a Pred/Eq/Neq atom with each argument term mapped through fn
+function mapAtomArgs(atom, fn) {
+  if (atom.kind === 'Pred') return Node.Pred(atom.name, atom.args.map(fn));
+  return Node[atom.kind](fn(atom.args[0]), fn(atom.args[1]));
+}
+
+// ---------- Parser (recursive descent, clearer) ----------
+// options: wideDot (a quantifier followed by '.' scopes over the rest of the
+// formula), bareAtoms (any bare name is a proposition, not only P, Q, ...),
+// lowercaseConstants (bare lowercase names in terms are constants, not variables),
+// implication ('right', the default: A → B → C is A → (B → C); 'left': (A → B) → C)
+function Parser(tokens, options = {}) {
+  this.tokens = tokens;
+  this.i = 0;
+  this.options = options;
+  // [{ start, end, operators, formula }] for chains read by associativity alone
+  this.ambiguities = [];
+}
+// labels of token types in messages; 'name' is a word, translated by tokenLabel
+const TOKEN_LABELS = {
+  forall: '∀', exists: '∃', not: '¬', and: '∧', or: '∨', implies: '→', iff: '↔',
+  xor: '⊕', nand: '↑', nor: '↓', converse: '←', eq: '=', neq: '≠', top: '⊤', bot: '⊥'
+};
+// tokens that may start a formula, for "expected" lists
+const FORMULA_START = ['name', '(', 'not', 'forall', 'exists', 'top', 'bot'];
+function tokenLabel(type, locale = I18n.getLocale()) {
+  return type === 'name' ? t('token.name', {}, locale) : TOKEN_LABELS[type] || type;
+}
+Parser.prototype.peek = function(offset = 0) { return this.tokens[this.i + offset]; };
+// syntax error at the current token (or at the end of the input)
+Parser.prototype.fail = function(code, params, expected = [], hint = null, token = this.peek()) {
+  const last = this.tokens[this.tokens.length - 1];
+  const start = token ? token.start : last ? last.end : 0;
+  syntaxError(code, params, start, token ? token.end : start, expected, hint);
+};
+// the current token for "found" parameters: its text, or the end-of-input message
+Parser.prototype.found = function() {
+  const t = this.peek();
+  return t ? `'${t.value}'` : { key: 'token.end' };
+};
+Parser.prototype.consume = function(expectedType, why = null) {
+  const t = this.peek();
+  if (!t || (expectedType && t.type !== expectedType)) {
+    if (!why && expectedType === ')') why = hint('hint.missingClose');
+    this.fail('syntax.expected', { expected: expectedType === 'name' ? { key: 'token.name' } : tokenLabel(expectedType), found: this.found() }, [expectedType], why);
+  }
+  this.i++;
+  return t;
+};
+Parser.prototype.match = function(type) { const t = this.peek(); if (t && t.type === type) { this.i++; return true; } return false; };
+
+Parser.prototype.parse = function() {
+  const f = this.parseIff();
+  const t = this.peek();
+  if (t) {
+    this.fail('syntax.trailing', { token: t.value }, ['and', 'or', 'implies', 'iff'],
+      hint(t.type === ')' ? 'hint.unmatchedClose' : 'hint.missingConnective'));
+  }
+  return f;
+};
+// precedence chain: iff/xor -> implies/converse -> or/nor -> and/nand -> unary/atomic
+const CHAIN_NODES = { iff: 'Iff', xor: 'Xor', implies: 'Implies', converse: 'Converse', or: 'Or', nor: 'Nor', and: 'And', nand: 'Nand' };
+// operators whose grouping changes the meaning: a chain of two or more of them
+// (or mixed with others at the same level) is reported in `ambiguities`
+const NON_ASSOCIATIVE = ['implies', 'converse', 'nor', 'nand'];
+// operands separated by any of `ops`, folded to the left (or to the right)
+Parser.prototype.chain = function(ops, next, right = false) {
+  const first = this.peek();
+  const operands = [next.call(this)], operators = [];
+  for (let t = this.peek(); t && ops.includes(t.type); t = this.peek()) {
+    this.i++;
+    operators.push(t.type);
+    operands.push(next.call(this));
+  }
+  const node = (op, a, b) => Node[CHAIN_NODES[op]](a, b);
+  const f = right
+    ? operands.reduceRight((acc, g, k) => node(operators[k], g, acc))
+    : operands.reduce((acc, g, k) => node(operators[k - 1], acc, g));
+  if (operators.length > 1 && operators.some(op => NON_ASSOCIATIVE.includes(op))) {
+    const last = this.tokens[this.i - 1];
+    this.ambiguities.push({ start: first.start, end: last.end, operators, formula: f });
+  }
+  return f;
+};
+Parser.prototype.parseIff = function() { return this.chain(['iff', 'xor'], this.parseImplies); };
+Parser.prototype.parseImplies = function() {
+  return this.chain(['implies', 'converse'], this.parseOr, this.options.implication !== 'left');
+};
+Parser.prototype.parseOr = function() { return this.chain(['or', 'nor'], this.parseAnd); };
+Parser.prototype.parseAnd = function() { return this.chain(['and', 'nand'], this.parseUnary); };
+Parser.prototype.parseUnary = function() {
+  const t = this.peek();
+  if (!t) this.fail('syntax.incomplete', {}, FORMULA_START);
+  if (t.type === 'not') { this.consume('not'); return Node.Not(this.parseUnary()); }
+  if (t.type === 'forall' || t.type === 'exists') {
+    const quant = this.consume(t.type).type;
+    const bracket = this.match('[');
+    const vars = this.parseVarList(hint('hint.quantifierVariable', { quantifier: t.value }));
+    if (bracket) this.consume(']');
+    // optional dot or colon
+    const dot = this.match('.');
+    if (!dot) this.match(':');
+    let body = dot && this.options.wideDot ? this.parseIff() : this.parseUnary();
+    // multiple variables become nested quantifiers (right-assoc)
+    for (let k = vars.length - 1; k >= 0; k--) {
+      body = (quant === 'forall') ? Node.ForAll(vars[k], body) : Node.Exists(vars[k], body);
+    }
+    return body;
+  }
+  return this.parseAtomic();
+};
+Parser.prototype.parseVarList = function(hint) {
+  const names = [];
+  names.push(this.consume('name', hint).value);
+  while (this.match(',')) names.push(this.consume('name').value);
+  return names;
+};
+Parser.prototype.parseAtomic = function() {
+  if (this.match('(')) { const f = this.parseIff(); this.consume(')'); return f; }
+  if (this.match('top')) return Node.True();
+  if (this.match('bot')) return Node.False();
+  const next = this.peek();
+  if (!next || next.type !== 'name') {
+    this.fail('syntax.expectedFormula', { found: this.found() }, FORMULA_START,
+      next && ['and', 'or', 'implies', 'iff', 'eq', 'neq'].includes(next.type) ? hint('hint.missingOperand', { operator: next.value }) : null);
+  }
+  const t = this.consume('name'); const name = t.value;
+  let args = null;
+  if (this.match('(')) {
+    // parse terms list (function/pred args)
+    args = this.parseTermList();
+    this.consume(')');
+  }
+  // infix = / ≠: what was read so far is the left-hand term
+  const op = this.peek();
+  if (op && (op.type === 'eq' || op.type === 'neq')) {
+    this.i++;
+    const left = args ? Term.Func(name, args) : this.bareTerm(name);
+    const right = this.parseTerm();
+    return op.type === 'eq' ? Node.Eq(left, right) : Node.Neq(left, right);
+  }
+  if (args) return Node.Pred(name, args);
+  // bare name as predicate must start with uppercase (P) else it's invalid atomic usage
+  if (/^[A-Z]/.test(name) || this.options.bareAtoms) return Node.Pred(name, []);
+  this.fail('syntax.bareLowercase', { name }, ['('],
+    hint('hint.bareLowercase', { name, capitalized: name[0].toUpperCase() + name.slice(1) }), t);
+};
+Parser.prototype.parseTermList = function() {
+  const arr = [ this.parseTerm() ];
+  while (this.match(',')) arr.push(this.parseTerm());
+  return arr;
+};
+Parser.prototype.parseTerm = function() {
+  const t = this.consume('name', hint('hint.expectedTerm')); const name = t.value;
+  if (this.match('(')) {
+    // function application: f(t1, t2, ...)
+    const args = [ this.parseTerm() ];
+    while (this.match(',')) args.push(this.parseTerm());
+    this.consume(')');
+    return Term.Func(name, args);
+  }
+  return this.bareTerm(name);
+};
+Parser.prototype.bareTerm = function(name) {
+  return this.options.lowercaseConstants && /^[a-z0-9]/.test(name) ? Term.Func(name, []) : Term.Var(name);
+};
+
+// ---------- LaTeX rendering for display ----------
+function toLatexTerm(t) {
+  if (t.term === 'Var') return t.name;
+  if (t.term === 'Func') return t.args.length ? t.name + '(' + t.args.map(toLatexTerm).join(',') + ')' : t.name;
+  error('error.unknownTerm');
+}
+function atomToLatex(node) {
+  if (node.kind === 'Pred') {
+    return node.args.length ? `${node.name}(${node.args.map(toLatexTerm).join(',')})` : node.name;
+  }
+  if (isAtom(node)) return toLatex(node);
+  if (node.kind === 'Not' && isAtom(node.child)) return toLatex(node);
+  return `(${toLatex(node)})`;
+}
+function toLatex(node) {
+  switch (node.kind) {
+    case 'ForAll': return `\\forall ${node.variable}\\, (${toLatex(node.body)})`;
+    case 'Exists': return `\\exists ${node.variable}\\, (${toLatex(node.body)})`;
+    case 'Not': return node.child.kind === 'Eq' || node.child.kind === 'Neq'
+      ? `\\lnot (${toLatex(node.child)})` : `\\lnot ${atomToLatex(node.child)}`;
+    case 'And': return `${atomToLatex(node.left)} \\land ${atomToLatex(node.right)}`;
+    case 'Or': return `${atomToLatex(node.left)} \\lor ${atomToLatex(node.right)}`;
+    case 'Implies': return `${atomToLatex(node.left)} \\to ${atomToLatex(node.right)}`;
+    case 'Iff': return `${atomToLatex(node.left)} \\leftrightarrow ${atomToLatex(node.right)}`;
+    case 'Xor': return `${atomToLatex(node.left)} \\oplus ${atomToLatex(node.right)}`;
+    case 'Nand': return `${atomToLatex(node.left)} \\uparrow ${atomToLatex(node.right)}`;
+    case 'Nor': return `${atomToLatex(node.left)} \\downarrow ${atomToLatex(node.right)}`;
+    case 'Converse': return `${atomToLatex(node.left)} \\leftarrow ${atomToLatex(node.right)}`;
+    case 'Pred': return node.args.length ? `${node.name}(${node.args.map(toLatexTerm).join(',')})` : node.name;
+    case 'Eq': return `${toLatexTerm(node.args[0])} = ${toLatexTerm(node.args[1])}`;
+    case 'Neq': return `${toLatexTerm(node.args[0])} \\neq ${toLatexTerm(node.args[1])}`;
+    case 'True': return '\\top';
+    case 'False': return '\\bot';
+    default: error('error.unknownNode', { kind: node.kind });
+  }
+}
+
+// ---------- Plain Unicode rendering (text output, same layout as LaTeX) ----------
+function toUnicodeTerm(t) {
+  if (t.term === 'Var') return t.name;
+  if (t.term === 'Func') return t.args.length ? t.name + '(' + t.args.map(toUnicodeTerm).join(',') + ')' : t.name;
+  error('error.unknownTerm');
+}
+function atomToUnicode(node) {
+  if (isAtom(node)) return toUnicode(node);
+  if (node.kind === 'Not' && isAtom(node.child)) return toUnicode(node);
+  return `(${toUnicode(node)})`;
+}
+function toUnicode(node) {
+  switch (node.kind) {
+    case 'ForAll': return `∀${node.variable} (${toUnicode(node.body)})`;
+    case 'Exists': return `∃${node.variable} (${toUnicode(node.body)})`;
+    case 'Not': return node.child.kind === 'Eq' || node.child.kind === 'Neq'
+      ? `¬(${toUnicode(node.child)})` : `¬${atomToUnicode(node.child)}`;
+    case 'And': return `${atomToUnicode(node.left)} ∧ ${atomToUnicode(node.right)}`;
+    case 'Or': return `${atomToUnicode(node.left)} ∨ ${atomToUnicode(node.right)}`;
+    case 'Implies': return `${atomToUnicode(node.left)} → ${atomToUnicode(node.right)}`;
+    case 'Iff': return `${atomToUnicode(node.left)} ↔ ${atomToUnicode(node.right)}`;
+    case 'Xor': return `${atomToUnicode(node.left)} ⊕ ${atomToUnicode(node.right)}`;
+    case 'Nand': return `${atomToUnicode(node.left)} ↑ ${atomToUnicode(node.right)}`;
+    case 'Nor': return `${atomToUnicode(node.left)} ↓ ${atomToUnicode(node.right)}`;
+    case 'Converse': return `${atomToUnicode(node.left)} ← ${atomToUnicode(node.right)}`;
+    case 'Pred': return node.args.length ? `${node.name}(${node.args.map(toUnicodeTerm).join(',')})` : node.name;
+    case 'Eq': return `${toUnicodeTerm(node.args[0])} = ${toUnicodeTerm(node.args[1])}`;
+    case 'Neq': return `${toUnicodeTerm(node.args[0])} ≠ ${toUnicodeTerm(node.args[1])}`;
+    case 'True': return '⊤';
+    case 'False': return '⊥';
+    default: error('error.unknownNode', { kind: node.kind });
+  }
+}
+function unicodePrefix(prefix) {
+  if (!prefix.length) return '';
+  return prefix.map(p => (p.q === 'forall' ? '∀' : '∃') + p.v).join(' ') + ' ';
+}
+function unicodeClause(lits) {
+  return '{' + lits.map(L => toUnicode(literalToNode(L))).join(', ') + '}';
+}
+
+// ---------- Text rendering with minimal parentheses ----------
+// How tightly each kind binds in the parser (higher binds tighter): ↔ ⊕, then
+// → ←, then ∨ ↓, then ∧ ↑; ¬ and the quantifiers take the next unit; atoms 6.
+const PRECEDENCE = { Iff: 1, Xor: 1, Implies: 2, Converse: 2, Or: 3, Nor: 3, And: 4, Nand: 4, Not: 5, ForAll: 5, Exists: 5 };
+const TEXT_SYMBOLS = { And: '∧', Or: '∨', Implies: '→', Iff: '↔', Xor: '⊕', Nand: '↑', Nor: '↓', Converse: '←' };
+// chains of one of these print flat whichever way they nest
+const ASSOCIATIVE = ['And', 'Or', 'Iff', 'Xor'];
+function precedence(node) { return PRECEDENCE[node.kind] || 6; }
+// Like toUnicode, but with only the parentheses the parser needs to read the
+// formula back (up to regrouping chains of one associative connective):
+// A ∧ B ∧ C, ∀x ∃y P(x,y), P ∨ Q ∧ R, ¬¬A. The non-associative
+// connectives (→ ← ↑ ↓) are always grouped explicitly when nested, whatever the
+// implication mode. Options:
+//   escape: applied to every piece of output (e.g. HTML escaping),
+//   mark: { path, wrap } hands the text of the subformula at `path` (child keys
+//         as in subformulaAt) to wrap(), parentheses included
+function toText(node, options = {}) {
+  const escape = options.escape || (s => s);
+  const mark = options.mark;
+  const term = t => escape(toUnicodeTerm(t));
+  const same = (a, b) => a.length === b.length && a.every((k, i) => k === b[i]);
+  // paths are only followed when there is a subformula to mark
+  const at = (path, key) => mark ? path.concat(key) : path;
+  const operand = (child, parent, key, path) => {
+    const p = precedence(child), q = precedence(parent);
+    const bare = p > q || (p === q && (p === PRECEDENCE.Not || child.kind === parent.kind && ASSOCIATIVE.includes(child.kind)));
+    return put(child, at(path, key), !bare);
+  };
+  const marked = (path, s) => mark && same(path, mark.path) ? mark.wrap(s) : s;
+  const put = (n, path, parens) => marked(path, parens ? `(${print(n, path)})` : print(n, path));
+  // a chain nested to the left (a flattened CNF/DNF matrix, thousands of
+  // clauses long) printed in a loop: its left operands of the same kind are bare
+  function chain(n, path) {
+    const spine = [[n, path]];
+    for (let m = n; m.left.kind === n.kind; m = m.left) spine.push([m.left, at(spine[spine.length - 1][1], 'left')]);
+    const [last, lastPath] = spine[spine.length - 1];
+    let s = operand(last.left, last, 'left', lastPath);
+    for (let k = spine.length - 1; k >= 0; k--) {
+      const [m, p] = spine[k];
+      s = `${s} ${TEXT_SYMBOLS[m.kind]} ${operand(m.right, m, 'right', p)}`;
+      if (k) s = marked(p, s);
+    }
+    return s;
+  }
+  function print(n, path) {
+    switch (n.kind) {
+      case 'ForAll': case 'Exists': return `${n.kind === 'ForAll' ? '∀' : '∃'}${escape(n.variable)} ${operand(n.body, n, 'body', path)}`;
+      case 'Not': return n.child.kind === 'Eq' || n.child.kind === 'Neq'
+        ? `¬${put(n.child, at(path, 'child'), true)}` : `¬${operand(n.child, n, 'child', path)}`;
+      case 'Pred': return n.args.length ? `${escape(n.name)}(${n.args.map(term).join(',')})` : escape(n.name);
+      case 'Eq': return `${term(n.args[0])} = ${term(n.args[1])}`;
+      case 'Neq': return `${term(n.args[0])} ≠ ${term(n.args[1])}`;
+      case 'True': return '⊤';
+      case 'False': return '⊥';
+      default:
+        if (!TEXT_SYMBOLS[n.kind]) error('error.unknownNode', { kind: n.kind });
+        if (ASSOCIATIVE.includes(n.kind)) return chain(n, path);
+        return `${operand(n.left, n, 'left', path)} ${TEXT_SYMBOLS[n.kind]} ${operand(n.right, n, 'right', path)}`;
+    }
+  }
+  return put(node, [], false);
+}
+function textClause(lits, options = {}) {
+  return '{' + lits.map(L => toText(literalToNode(L), options)).join(', ') + '}';
+}
+
+// ---------- Rewrite traces ----------
+// The transformations below take an optional `trace` array and log every rule
+// they apply as { rule, path, before, after }. `path` lists the child keys
+// ('left', 'right', 'child', 'body') from the root of the formula as it stands
+// when the rule fires, so replaying the entries in order (traceSteps) rebuilds
+// each intermediate formula. Nodes are never mutated, so entries share them.
+// The memoised passes log a subformula's rules once, as a group { path, log }
+// with paths from that subformula, and log the same group again wherever the
+// subformula comes up; traceSteps unfolds the groups.
+// chains this deep are rewritten from the bottom link up (see chainBelow)
+const CHAIN_DEPTH = 256;
+function record(trace, rule, path, before, after) {
+  if (trace) trace.push({ rule, path: path.slice(), before, after });
+  return after;
+}
+// fn(x, log) computed once per (hash-consed) x in `cache`, with its rules
+// logged at paths from x; the result and the group are reused on every hit
+function memoRewrite(cache, x, trace, path, fn) {
+  let hit = cache.get(x);
+  if (!hit) {
+    const links = chainBelow(x, m => !cache.has(m));
+    if (links.length > CHAIN_DEPTH) links.forEach(m => memoRewrite(cache, m, trace && [], [], fn));
+    const log = trace && [];
+    hit = { value: fn(x, log), log };
+    cache.set(x, hit);
+  }
+  if (trace && hit.log.length) trace.push({ path: path.slice(), log: hit.log });
+  return hit.value;
+}
+// f rebuilt with every child mapped through fn(child, key); atoms are returned as they are
+function mapChildren(f, fn) {
+  switch (f.kind) {
+    case 'Pred': case 'Eq': case 'Neq': case 'True': case 'False': return f;
+    case 'Not': return Node.Not(fn(f.child, 'child'));
+    case 'ForAll': case 'Exists': return Node[f.kind](f.variable, fn(f.body, 'body'));
+    default: return Node[f.kind](fn(f.left, 'left'), fn(f.right, 'right'));
+  }
+}
+function subformulaAt(f, path) { return path.reduce((g, key) => g[key], f); }
+function replaceAt(f, path, g) {
+  if (!path.length) return g;
+  return mapChildren(f, (h, key) => key === path[0] ? replaceAt(h, path.slice(1), g) : h);
+}
+
+// ---------- Extra connectives (⊕, ↑, ↓, ←) ----------
+// f rebuilt bottom-up with every node of `kind` replaced by expand(node)
+function rewriteKind(f, kind, expand, trace = null, path = [], cache = new Map()) {
+  return memoRewrite(cache, f, trace, path, (g, log) => {
+    tick();
+    g = mapChildren(g, (h, key) => rewriteKind(h, kind, expand, log, [key], cache));
+    return g.kind === kind ? record(log, kind.toLowerCase(), [], g, expand(g)) : g;
+  });
+}
+// expansion of each extra connective, in the order they are eliminated
+const EXTRA_CONNECTIVES = [
+  { kind: 'Converse', symbol: '←', rule: 'A ← B ≡ B → A', expand: n => Node.Implies(n.right, n.left) },
+  { kind: 'Xor', symbol: '⊕', rule: 'A ⊕ B ≡ ¬(A ↔ B)', expand: n => Node.Not(Node.Iff(n.left, n.right)) },
+  { kind: 'Nand', symbol: '↑', rule: 'A ↑ B ≡ ¬(A ∧ B)', expand: n => Node.Not(Node.And(n.left, n.right)) },
+  { kind: 'Nor', symbol: '↓', rule: 'A ↓ B ≡ ¬(A ∨ B)', expand: n => Node.Not(Node.Or(n.left, n.right)) }
+];
+function hasKind(f, kind) {
+  if (f.kind === kind) return true;
+  if (f.kind === 'Not') return hasKind(f.child, kind);
+  if (f.body) return hasKind(f.body, kind);
+  return !!f.left && (hasKind(f.left, kind) || hasKind(f.right, kind));
+}
+// { formula, steps: [{ kind, symbol, rule, formula }] } — one step per extra
+// connective that occurs, each expanding only that connective
+function eliminateExtraConnectives(formula, trace = null) {
+  const steps = [];
+  EXTRA_CONNECTIVES.forEach(c => {
+    if (!hasKind(formula, c.kind)) return;
+    formula = rewriteKind(formula, c.kind, c.expand, trace);
+    steps.push({ kind: c.kind, symbol: c.symbol, rule: c.rule, formula });
+  });
+  return { formula, steps };
+}
+
+// ---------- Eliminate IFF/IMPLIES ----------
+// Mid-step helpers to show elimination in two stages; ↔ copies both sides, so
+// each shared subformula is rewritten once (see memoRewrite)
+function eliminateIffOnly(formula, trace = null, path = [], cache = new Map()) {
+  return memoRewrite(cache, formula, trace, path, (f, log) => {
+    tick();
+    if (f.kind === 'Iff') {
+      // expand ↔ into (A→B) ∧ (B→A) but keep → intact
+      f = record(log, 'iff', [], f, Node.And(Node.Implies(f.left, f.right), Node.Implies(f.right, f.left)));
+    }
+    return mapChildren(f, (g, key) => eliminateIffOnly(g, log, [key], cache));
+  });
+}
+function eliminateImpOnly(formula, trace = null, path = [], cache = new Map()) {
+  return memoRewrite(cache, formula, trace, path, (f, log) => {
+    tick();
+    if (f.kind === 'Implies') f = record(log, 'implies', [], f, Node.Or(Node.Not(f.left), f.right));
+    return mapChildren(f, (g, key) => eliminateImpOnly(g, log, [key], cache));
+  });
+}
+function eliminateIffImp(formula, cache = new Map()) {
+  // ↔ copies both sides: each shared subformula is rewritten once
+  return memoRewrite(cache, formula, null, [], f => {
+    const go = g => eliminateIffImp(g, cache);
+    const extra = EXTRA_CONNECTIVES.find(c => c.kind === f.kind);
+    if (extra) return go(extra.expand(f));
+    switch (f.kind) {
+      case 'Iff': return Node.And(go(Node.Implies(f.left, f.right)), go(Node.Implies(f.right, f.left)));
+      case 'Implies': return go(Node.Or(Node.Not(f.left), f.right));
+      case 'Not': return Node.Not(go(f.child));
+      case 'And': case 'Or': return Node[f.kind](go(f.left), go(f.right));
+      case 'ForAll': case 'Exists': return Node[f.kind](f.variable, go(f.body));
+      default: return f;
+    }
+  });
+}
+
+// ---------- NNF (push negations in) ----------
+// ¬X rewritten by the kind of X: [rule, result]
+const NNF_RULES = {
+  Not: ['double-negation', n => n.child],
+  And: ['de-morgan-and', n => Node.Or(Node.Not(n.left), Node.Not(n.right))],
+  Or: ['de-morgan-or', n => Node.And(Node.Not(n.left), Node.Not(n.right))],
+  ForAll: ['not-forall', n => Node.Exists(n.variable, Node.Not(n.body))],
+  Exists: ['not-exists', n => Node.ForAll(n.variable, Node.Not(n.body))],
+  Eq: ['not-eq', n => Node.Neq(n.args[0], n.args[1])],
+  Neq: ['not-neq', n => Node.Eq(n.args[0], n.args[1])],
+  True: ['not-true', () => Node.False()],
+  False: ['not-false', () => Node.True()]
+};
+function toNNF(formula, trace = null, path = [], cache = new Map()) {
+  return memoRewrite(cache, formula, trace, path, (f, log) => {
+    tick();
+    if (f.kind === 'Not') {
+      const inner = f.child;
+      if (inner.kind === 'Pred') return f;
+      // ¬ over a long chain goes down it link by link: the negated links first, bottom up
+      if (chainBelow(inner, () => true, CHAIN_DEPTH).length > CHAIN_DEPTH) {
+        chainBelow(inner, m => !cache.has(Node.Not(m))).forEach(m => toNNF(Node.Not(m), log && [], [], cache));
+      }
+      const rule = NNF_RULES[inner.kind];
+      if (!rule) error('error.nnfUnexpected', { kind: inner.kind });
+      return toNNF(record(log, rule[0], [], f, rule[1](inner)), log, [], cache);
+    }
+    return mapChildren(f, (g, key) => toNNF(g, log, [key], cache));
+  });
+}
+
+// ---------- Truth constants (⊤/⊥) simplification, on NNF ----------
+// [rule, result] when f (children already simplified) has a constant to drop
+function constantRule(f) {
+  const isConst = (g, kind) => g && g.kind === kind;
+  switch (f.kind) {
+    case 'And':
+      if (isConst(f.left, 'False') || isConst(f.right, 'False')) return ['and-false', Node.False()];
+      if (isConst(f.left, 'True')) return ['and-true', f.right];
+      if (isConst(f.right, 'True')) return ['and-true', f.left];
+      return null;
+    case 'Or':
+      if (isConst(f.left, 'True') || isConst(f.right, 'True')) return ['or-true', Node.True()];
+      if (isConst(f.left, 'False')) return ['or-false', f.right];
+      if (isConst(f.right, 'False')) return ['or-false', f.left];
+      return null;
+    case 'Not':
+      if (isConst(f.child, 'True')) return ['not-true', Node.False()];
+      if (isConst(f.child, 'False')) return ['not-false', Node.True()];
+      return null;
+    case 'ForAll': case 'Exists':
+      // domains are non-empty, so a quantifier over a constant is that constant
+      return isConst(f.body, 'True') || isConst(f.body, 'False') ? ['quantified-constant', f.body] : null;
+    default: return null;
+  }
+}
+function simplifyConstants(formula, trace = null, path = [], cache = new Map()) {
+  return memoRewrite(cache, formula, trace, path, (f, log) => {
+    tick();
+    f = mapChildren(f, (g, key) => simplifyConstants(g, log, [key], cache));
+    const rule = constantRule(f);
+    return rule ? record(log, rule[0], [], f, rule[1]) : f;
+  });
+}
+function hasConstants(formula) {
+  switch (formula.kind) {
+    case 'True': case 'False': return true;
+    case 'Not': return hasConstants(formula.child);
+    case 'ForAll': case 'Exists': return hasConstants(formula.body);
+    case 'Pred': case 'Eq': case 'Neq': return false;
+    default: return hasConstants(formula.left) || hasConstants(formula.right);
+  }
+}
+
+// ---------- Variable collection & standardization ----------
+function collectAllVarNames(f) {
+  const names = new Set();
+  function inTerm(t) {
+    if (t.term === 'Var') { names.add(t.name); return; }
+    t.args.forEach(inTerm);
+  }
+  function walk(n) {
+    switch (n.kind) {
+      case 'Pred': case 'Eq': case 'Neq': n.args.forEach(inTerm); break;
+      case 'Not': walk(n.child); break;
+      case 'And': walk(n.left); walk(n.right); break;
+      case 'Or': walk(n.left); walk(n.right); break;
+      case 'ForAll': names.add(n.variable); walk(n.body); break;
+      case 'Exists': names.add(n.variable); walk(n.body); break;
+    }
+  }
+  walk(f);
+  return Array.from(names);
+}
+// free variables of a formula, in order of first occurrence
+function freeVariables(f) {
+  const out = [];
+  function inTerm(t, bound) {
+    if (t.term === 'Var') { if (!bound.includes(t.name) && !out.includes(t.name)) out.push(t.name); return; }
+    t.args.forEach(a => inTerm(a, bound));
+  }
+  function walk(n, bound) {
+    switch (n.kind) {
+      case 'Pred': case 'Eq': case 'Neq': n.args.forEach(a => inTerm(a, bound)); break;
+      case 'True': case 'False': break;
+      case 'Not': walk(n.child, bound); break;
+      case 'ForAll': case 'Exists': walk(n.body, [...bound, n.variable]); break;
+      default: walk(n.left, bound); walk(n.right, bound);
+    }
+  }
+  walk(f, []);
+  return out;
+}
+// universal closure ∀x̄ F over the free variables of F
+function universalClosure(f) {
+  return freeVariables(f).reduceRight((g, v) => Node.ForAll(v, g), f);
+}
+
+// ---------- Well-formedness analysis ----------
+// Names the pipeline generates itself: Skolem constants/functions and the
+// atoms of the definitional CNF.
+const GENERATED_NAMES = { function: /^[cf][0-9]+$/, predicate: /^D[0-9]+$/ };
+// analyzeFormula(f) -> {
+//   signature: { predicates: [{ name, arity }], functions: [{ name, arity }] } (constants have arity 0),
+//   free: free variables,
+//   warnings: [{ code, symbol, key, params, message }] with code 'free' | 'arity' |
+//             'role' | 'vacuous' | 'shadowed' | 'generated', key and params the
+//             catalogue message and message its text in the current locale
+// }
+function analyzeFormula(f) {
+  const predicates = [], functions = [], variables = new Set();
+  const warnings = [];
+  const warn = (code, symbol, key, params) => {
+    if (!warnings.some(w => w.code === code && w.symbol === symbol)) warnings.push({ code, symbol, key, params, message: t(key, params) });
+  };
+  const add = (list, name, arity) => { if (!list.some(x => x.name === name && x.arity === arity)) list.push({ name, arity }); };
+  function term(t) {
+    if (t.term === 'Var') { variables.add(t.name); return; }
+    add(functions, t.name, t.args.length);
+    t.args.forEach(term);
+  }
+  const quantifier = n => (n.kind === 'ForAll' ? '∀' : '∃') + n.variable;
+  function walk(n, bound) {
+    switch (n.kind) {
+      case 'Pred': add(predicates, n.name, n.args.length); n.args.forEach(term); break;
+      case 'Eq': case 'Neq': n.args.forEach(term); break;
+      case 'True': case 'False': break;
+      case 'Not': walk(n.child, bound); break;
+      case 'ForAll': case 'Exists':
+        variables.add(n.variable);
+        if (bound.includes(n.variable)) {
+          warn('shadowed', n.variable, 'warning.shadowed', { quantifier: quantifier(n), variable: n.variable });
+        }
+        if (!freeVariables(n.body).includes(n.variable)) {
+          warn('vacuous', n.variable, 'warning.vacuous', { quantifier: quantifier(n), variable: n.variable });
+        }
+        walk(n.body, [...bound, n.variable]);
+        break;
+      default: walk(n.left, bound); walk(n.right, bound);
+    }
+  }
+  walk(f, []);
+  const free = freeVariables(f);
+  if (free.length) {
+    warn('free', free.join(','), 'warning.free', { variables: free.join(', '), closure: free.map(v => '∀' + v).join('') });
+  }
+  const arities = list => list.forEach(({ name }) => {
+    const all = list.filter(x => x.name === name).map(x => x.arity);
+    if (all.length > 1) warn('arity', name, 'warning.arity', { name, arities: all });
+  });
+  arities(predicates);
+  arities(functions);
+  const fnNames = new Set(functions.map(x => x.name));
+  predicates.forEach(({ name }) => {
+    if (fnNames.has(name)) warn('role', name, 'warning.rolePredicate', { name });
+  });
+  variables.forEach(name => {
+    if (fnNames.has(name)) warn('role', name, 'warning.roleVariable', { name });
+  });
+  const generated = [...functions, ...[...variables].map(name => ({ name }))].filter(x => GENERATED_NAMES.function.test(x.name))
+    .concat(predicates.filter(x => GENERATED_NAMES.predicate.test(x.name)));
+  generated.forEach(({ name }) => {
+    warn('generated', name, 'warning.generated', { name });
+  });
+  return { signature: { predicates, functions }, free, warnings };
+}
+
+function standardizeVariables(formula) {
+  const used = new Set(collectAllVarNames(formula));
+  let counter = 1;
+  function fresh(base) {
+    let name = base;
+    while (used.has(name)) { name = base + (counter++); }
+    used.add(name);
+    return name;
+  }
+  // substitute variable names inside terms/formulas
+  function substVarInTerm(t, from, to) {
+    if (t.term === 'Var') return (t.name === from) ? Term.Var(to) : t;
+    return Term.Func(t.name, t.args.map(a => substVarInTerm(a, from, to)));
+  }
+  function substVarInFormula(g, from, to) {
+    tick();
+    switch (g.kind) {
+      case 'Pred': case 'Eq': case 'Neq': return mapAtomArgs(g, a => substVarInTerm(a, from, to));
+      case 'Not': return Node.Not(substVarInFormula(g.child, from, to));
+      case 'And': return Node.And(substVarInFormula(g.left, from, to), substVarInFormula(g.right, from, to));
+      case 'Or': return Node.Or(substVarInFormula(g.left, from, to), substVarInFormula(g.right, from, to));
+      case 'ForAll': {
+        if (g.variable === from) return g;
+        return Node.ForAll(g.variable, substVarInFormula(g.body, from, to));
+      }
+      case 'Exists': {
+        if (g.variable === from) return g;
+        return Node.Exists(g.variable, substVarInFormula(g.body, from, to));
+      }
+      default: return g;
+    }
+  }
+  function walk(g) {
+    tick();
+    switch (g.kind) {
+      case 'ForAll': {
+        const newV = fresh('x');
+        const renamedBody = substVarInFormula(g.body, g.variable, newV);
+        return Node.ForAll(newV, walk(renamedBody));
+      }
+      case 'Exists': {
+        const newV = fresh('x');
+        const renamedBody = substVarInFormula(g.body, g.variable, newV);
+        return Node.Exists(newV, walk(renamedBody));
+      }
+      case 'Not': return Node.Not(walk(g.child));
+      case 'And': return Node.And(walk(g.left), walk(g.right));
+      case 'Or': return Node.Or(walk(g.left), walk(g.right));
+      default: return g;
+    }
+  }
+  return walk(formula);
+}
+
+// ---------- Miniscoping (anti-prenex: push quantifiers in), on NNF ----------
+// ∀ distributes over ∧ and ∃ over ∨; across the other connective a quantifier
+// only wraps the operands that mention its variable. Vacuous quantifiers vanish.
+// The same variable may end up bound twice, so standardize afterwards.
+function miniscope(formula) {
+  tick();
+  switch (formula.kind) {
+    case 'And': return Node.And(miniscope(formula.left), miniscope(formula.right));
+    case 'Or': return Node.Or(miniscope(formula.left), miniscope(formula.right));
+    case 'ForAll': case 'Exists': return pushQuantifierIn(formula.kind, formula.variable, miniscope(formula.body));
+    default: return formula;
+  }
+}
+function pushQuantifierIn(q, v, body) {
+  if (!freeVariables(body).includes(v)) return body;
+  const spread = q === 'ForAll' ? 'And' : 'Or';
+  const other = q === 'ForAll' ? 'Or' : 'And';
+  if (body.kind === spread) {
+    return Node[spread](pushQuantifierIn(q, v, body.left), pushQuantifierIn(q, v, body.right));
+  }
+  if (body.kind === other) {
+    const parts = [];
+    (function collect(n) { if (n.kind === other) { collect(n.left); collect(n.right); } else parts.push(n); })(body);
+    const withV = parts.filter(p => freeVariables(p).includes(v));
+    const without = parts.filter(p => !freeVariables(p).includes(v));
+    if (without.length) {
+      const join = list => list.reduce((a, b) => Node[other](a, b));
+      const inner = pushQuantifierIn(q, v, join(withV));
+      // keep the side the untouched operands came from
+      return without.includes(parts[0]) ? Node[other](join(without), inner) : Node[other](inner, join(without));
+    }
+  }
+  return Node[q](v, body);
+}
+
+// ---------- Prenex (pull quantifiers to front) ----------
+// Strategies decide how the prefixes of the two operands of ∧/∨ are merged
+// (variables are already unique, so any interleaving keeps the meaning):
+//   'left'         left operand's quantifiers, then the right one's
+//   'exists-first' ∃ as early as possible (fewer Skolem arguments)
+//   'forall-first' ∀ as early as possible
+const PRENEX_STRATEGIES = ['left', 'exists-first', 'forall-first'];
+function mergePrefixes(a, b, strategy) {
+  if (!strategy || strategy === 'left') return [...a, ...b];
+  const want = strategy === 'exists-first' ? 'exists' : 'forall';
+  // how many quantifiers of the other kind come before the next wanted one
+  const cost = (list, i) => {
+    let k = i;
+    while (k < list.length && list[k].q !== want) k++;
+    return k < list.length ? k - i : Infinity;
+  };
+  const out = [];
+  let i = 0, j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && a[i].q === want) out.push(a[i++]);
+    else if (j < b.length && b[j].q === want) out.push(b[j++]);
+    else if (j >= b.length || (i < a.length && cost(a, i) <= cost(b, j))) out.push(a[i++]);
+    else out.push(b[j++]);
+  }
+  return out;
+}
+// ∀/∃ prefix put back in front of a matrix
+function applyPrefix(prefix, matrix) {
+  return prefix.reduceRight((g, p) => p.q === 'forall' ? Node.ForAll(p.v, g) : Node.Exists(p.v, g), matrix);
+}
+function toPrenex(formula, strategy = 'left', trace = null, path = []) {
+  if (!PRENEX_STRATEGIES.includes(strategy)) error('error.unknownStrategy', { strategy });
+  tick();
+  switch (formula.kind) {
+    case 'ForAll': {
+      const r = toPrenex(formula.body, strategy, trace, [...path, 'body']);
+      return { prefix: [{ q: 'forall', v: formula.variable }, ...r.prefix], matrix: r.matrix };
+    }
+    case 'Exists': {
+      const r = toPrenex(formula.body, strategy, trace, [...path, 'body']);
+      return { prefix: [{ q: 'exists', v: formula.variable }, ...r.prefix], matrix: r.matrix };
+    }
+    case 'And': case 'Or': {
+      const L = toPrenex(formula.left, strategy, trace, [...path, 'left']), R = toPrenex(formula.right, strategy, trace, [...path, 'right']);
+      const out = { prefix: mergePrefixes(L.prefix, R.prefix, strategy), matrix: Node[formula.kind](L.matrix, R.matrix) };
+      // operands are standardized apart, so a quantifier never captures the other side
+      if (trace && out.prefix.length) {
+        record(trace, formula.kind === 'And' ? 'prenex-and' : 'prenex-or', path,
+          Node[formula.kind](applyPrefix(L.prefix, L.matrix), applyPrefix(R.prefix, R.matrix)), applyPrefix(out.prefix, out.matrix));
+      }
+      return out;
+    }
+    case 'Not': return { prefix: [], matrix: formula };
+    case 'Pred': case 'Eq': case 'Neq': case 'True': case 'False': return { prefix: [], matrix: formula };
+    default: error('error.prenexNotNNF', { kind: formula.kind });
+  }
+}
+function latexPrefix(prefix) {
+  if (!prefix.length) return '';
+  return prefix.map(p => (p.q === 'forall' ? `\\forall ${p.v}` : `\\exists ${p.v}`)).join(' ') + `\\, `;
+}
+
+// ---------- Substitution helper (replace variable with term everywhere, respecting quantifiers) ----------
+// (shared subformulas are rewritten once, as in dropAllQuantifiers)
+function substVarAll(formula, from, term) {
+  const cache = new Map();
+  function inTerm(t) {
+    if (t.term === 'Var') return (t.name === from) ? term : t;
+    return Term.Func(t.name, t.args.map(inTerm));
+  }
+  function go(g) {
+    if (cache.has(g)) return cache.get(g);
+    let out;
+    switch (g.kind) {
+      case 'Pred': case 'Eq': case 'Neq': out = mapAtomArgs(g, inTerm); break;
+      case 'Not': out = Node.Not(go(g.child)); break;
+      case 'And': out = Node.And(go(g.left), go(g.right)); break;
+      case 'Or': out = Node.Or(go(g.left), go(g.right)); break;
+      case 'ForAll': case 'Exists': out = g.variable === from ? g : Node[g.kind](g.variable, go(g.body)); break;
+      default: out = g;
+    }
+    cache.set(g, out);
+    return out;
+  }
+  return go(formula);
+}
+
+// ---------- Skolemization ----------
+// drops the quantifiers of g (the shared subformulas of a CNF once each; the
+// cache is looked up inline, one stack frame per level of a long clause chain)
+function dropAllQuantifiers(g, cache = new Map()) {
+  if (cache.has(g)) return cache.get(g);
+  let out;
+  switch (g.kind) {
+    case 'ForAll': case 'Exists': out = dropAllQuantifiers(g.body, cache); break;
+    case 'Not': out = Node.Not(dropAllQuantifiers(g.child, cache)); break;
+    case 'And': case 'Or': out = Node[g.kind](dropAllQuantifiers(g.left, cache), dropAllQuantifiers(g.right, cache)); break;
+    default: out = g;
+  }
+  cache.set(g, out);
+  return out;
+}
+function skolemize(prefix, matrix) {
+  let current = matrix;
+  const universals = [];
+  let fCount = 1, cCount = 1;
+  for (const p of prefix) {
+    if (p.q === 'forall') universals.push(p.v);
+    else { // exists -> replace variable with Skolem term
+      let sk;
+      if (universals.length === 0) { sk = Term.Func('c' + (cCount++), []); }
+      else { sk = Term.Func('f' + (fCount++), universals.map(u => Term.Var(u))); }
+      current = substVarAll(current, p.v, sk);
+    }
+  }
+  return dropAllQuantifiers(current);
+}
+
+// ---------- Helpers for flattening/distribution ----------
+// the nodes under repeated op, left to right (with a stack: a flattened CNF
+// is a chain of thousands of clauses)
+function operands(op, node) {
+  const out = [], stack = [node];
+  while (stack.length) {
+    const n = stack.pop();
+    if (n.kind === op) stack.push(n.right, n.left);
+    else out.push(n);
+  }
+  return out;
+}
+function flatten(op, node) {
+  const arr = operands(op, node);
+  // combine back into binary left-assoc chain (or single element)
+  return arr.reduce((a,b) => a ? Node[op](a,b) : b, null);
+}
+function isAnd(n) { return n.kind === 'And'; }
+function isOr(n) { return n.kind === 'Or'; }
+
+// distribute OR over AND (for CNF). Each distinct disjunction met (the same
+// A ∨ C comes up again and again) is distributed once, in `cache`.
+function distributeOrOverAnd(n, trace = null, path = [], cache = new Map()) {
+  if (n.kind !== 'Or') return n;
+  return memoRewrite(cache, n, trace, path, (x, log) => {
+    const A = x.left, B = x.right;
+    let out;
+    tick();
+    if (isAnd(B)) out = record(log, 'or-and-right', [], x, Node.And(Node.Or(A, B.left), Node.Or(A, B.right)));
+    else if (isAnd(A)) out = record(log, 'or-and-left', [], x, Node.And(Node.Or(A.left, B), Node.Or(A.right, B)));
+    else return Node.Or(A, B);
+    return Node.And(
+      distributeOrOverAnd(out.left, log, ['left'], cache),
+      distributeOrOverAnd(out.right, log, ['right'], cache)
+    );
+  });
+}
+function toCNFMatrix(n) {
+  function step(x) {
+    if (x.kind === 'And') return Node.And(step(x.left), step(x.right));
+    if (x.kind === 'Or') return distributeOrOverAnd(Node.Or(step(x.left), step(x.right)));
+    if (isLiteral(x)) return x;
+    error('error.cnfUnexpected', { kind: x.kind });
+  }
+  let m = step(n);
+  function fix(y) {
+    if (y.kind === 'And') return flatten('And', Node.And(fix(y.left), fix(y.right)));
+    if (y.kind === 'Or') return flatten('Or', Node.Or(fix(y.left), fix(y.right)));
+    return y;
+  }
+  return fix(m);
+}
+
+// ∧/∨ chains regrouped to the left, bottom-up (the flatten pass of CNF/DNF)
+function flattenAll(y, trace = null, path = [], cache = new Map()) {
+  if (y.kind !== 'And' && y.kind !== 'Or') return y;
+  return memoRewrite(cache, y, trace, path, (x, log) => {
+    tick();
+    const z = Node[x.kind](flattenAll(x.left, log, ['left'], cache), flattenAll(x.right, log, ['right'], cache));
+    const flat = flatten(x.kind, z);
+    return log && flat !== z ? record(log, 'associativity', [], z, flat) : flat;
+  });
+}
+
+// CNF with intermediate (pre/post flatten)
+function toCNFMatrixWithIntermediate(n, trace = null) {
+  const steps = new Map(), distributed = new Map();
+  function step(x, log, path) {
+    if (x.kind === 'And') return memoRewrite(steps, x, log, path, (y, own) => Node.And(step(y.left, own, ['left']), step(y.right, own, ['right'])));
+    if (x.kind === 'Or') return memoRewrite(steps, x, log, path, (y, own) => distributeOrOverAnd(Node.Or(step(y.left, own, ['left']), step(y.right, own, ['right'])), own, [], distributed));
+    if (isLiteral(x)) return x;
+    error('error.cnfUnexpected', { kind: x.kind });
+  }
+  const raw = step(n, trace, []);
+  const flat = flattenAll(raw, trace);
+  return { raw, flat };
+}
+
+// distribute AND over OR (for DNF), cached like distributeOrOverAnd
+function distributeAndOverOr(n, trace = null, path = [], cache = new Map()) {
+  if (n.kind !== 'And') return n;
+  return memoRewrite(cache, n, trace, path, (x, log) => {
+    const A = x.left, B = x.right;
+    let out;
+    tick();
+    if (isOr(B)) out = record(log, 'and-or-right', [], x, Node.Or(Node.And(A, B.left), Node.And(A, B.right)));
+    else if (isOr(A)) out = record(log, 'and-or-left', [], x, Node.Or(Node.And(A.left, B), Node.And(A.right, B)));
+    else return Node.And(A, B);
+    return Node.Or(
+      distributeAndOverOr(out.left, log, ['left'], cache),
+      distributeAndOverOr(out.right, log, ['right'], cache)
+    );
+  });
+}
+function toDNFMatrix(n) {
+  function step(x) {
+    if (x.kind === 'Or') return Node.Or(step(x.left), step(x.right));
+    if (x.kind === 'And') return distributeAndOverOr(Node.And(step(x.left), step(x.right)));
+    if (isLiteral(x)) return x;
+    error('error.dnfUnexpected', { kind: x.kind });
+  }
+  let m = step(n);
+  function fix(y) {
+    if (y.kind === 'And') return flatten('And', Node.And(fix(y.left), fix(y.right)));
+    if (y.kind === 'Or') return flatten('Or', Node.Or(fix(y.left), fix(y.right)));
+    return y;
+  }
+  return fix(m);
+}
+
+// DNF with intermediate (pre/post flatten)
+function toDNFMatrixWithIntermediate(n, trace = null) {
+  const steps = new Map(), distributed = new Map();
+  function step(x, log, path) {
+    if (x.kind === 'Or') return memoRewrite(steps, x, log, path, (y, own) => Node.Or(step(y.left, own, ['left']), step(y.right, own, ['right'])));
+    if (x.kind === 'And') return memoRewrite(steps, x, log, path, (y, own) => distributeAndOverOr(Node.And(step(y.left, own, ['left']), step(y.right, own, ['right'])), own, [], distributed));
+    if (isLiteral(x)) return x;
+    error('error.dnfUnexpected', { kind: x.kind });
+  }
+  const raw = step(n, trace, []);
+  const flat = flattenAll(raw, trace);
+  return { raw, flat };
+}
+
+// ---------- Definitional CNF (Plaisted–Greenbaum flavour of Tseitin) ----------
+// Clause / conjunct counts plain distribution would produce, without building it.
+function estimateCNFSize(n) {
+  if (n.kind === 'And') return estimateCNFSize(n.left) + estimateCNFSize(n.right);
+  if (n.kind === 'Or') return estimateCNFSize(n.left) * estimateCNFSize(n.right);
+  return 1;
+}
+function estimateDNFSize(n) {
+  if (n.kind === 'Or') return estimateDNFSize(n.left) + estimateDNFSize(n.right);
+  if (n.kind === 'And') return estimateDNFSize(n.left) * estimateDNFSize(n.right);
+  return 1;
+}
+// Every conjunction sitting inside a disjunction is replaced by a fresh atom
+// D_k(free variables of the conjunction). The matrix is in NNF, so each such
+// subformula occurs positively and only D_k → subformula is needed
+// (polarity-aware). The result is equisatisfiable with the input, not equivalent.
+// Returns { matrix, root: [clause], definitions: [{ atom, formula, clauses }] }.
+function toDefinitionalCNF(matrix) {
+  if (matrix.kind === 'True' || matrix.kind === 'False') return { matrix, root: [], definitions: [] };
+  const used = new Set();
+  (function names(n) {
+    if (n.kind === 'Pred') used.add(n.name);
+    else if (n.kind === 'Not') names(n.child);
+    else if (n.kind === 'And' || n.kind === 'Or') { names(n.left); names(n.right); }
+  })(matrix);
+  let k = 0;
+  const definitions = [];
+  const join = (op, items) => items.reduce((a, b) => Node[op](a, b));
+  // clauses are counted against the clause budget as they are made
+  let made = 0;
+  const conjuncts = n => {
+    const list = operands('And', n);
+    spendClauses(made += list.length);
+    return list;
+  };
+  function clauseOf(n) {
+    return join('Or', operands('Or', n).map(d => isLiteral(d) ? d : define(d)));
+  }
+  function define(conj) {
+    let name;
+    do { name = 'D' + (++k); } while (used.has(name));
+    const atom = Node.Pred(name, freeVariables(conj).map(v => Term.Var(v)));
+    const def = { atom, formula: conj, clauses: [] };
+    definitions.push(def);
+    def.clauses = conjuncts(conj).map(c => Node.Or(Node.Not(atom), clauseOf(c)));
+    return atom;
+  }
+  const root = conjuncts(matrix).map(clauseOf);
+  const all = root.concat(...definitions.map(d => d.clauses));
+  return { matrix: flatten('And', join('And', all.map(c => flatten('Or', c)))), root, definitions };
+}
+
+// ---------- CNF -> clauses (array of clause arrays of {neg, pred}) ----------
+// `pred` is a Pred or an Eq atom (x ≠ y is stored as { neg: true, pred: x = y }).
+// ⊤ gives no clauses, ⊥ the empty clause; constants elsewhere are simplified away.
+function cnfToClauses(n) {
+  if (n.kind === 'True') return [];
+  if (n.kind === 'False') return [[]];
+  function literal(x) {
+    if (x.kind === 'Not' && (x.child.kind === 'Pred' || x.child.kind === 'Eq')) return { neg: true, pred: x.child };
+    if (x.kind === 'Pred' || x.kind === 'Eq') return { neg: false, pred: x };
+    if (x.kind === 'Neq') return { neg: true, pred: Node.Eq(x.args[0], x.args[1]) };
+    error('error.cnfLiteral');
+  }
+  return operands('And', n).map(c => operands('Or', c).map(literal));
+}
+// clause literal back to a formula node (¬P(x), x ≠ y, ...)
+function literalToNode(L) {
+  if (!L.neg) return L.pred;
+  return L.pred.kind === 'Eq' ? Node.Neq(L.pred.args[0], L.pred.args[1]) : Node.Not(L.pred);
+}
+function latexClause(lits) {
+  const items = lits.map(L => toLatex(literalToNode(L)));
+  return `\\{ ${items.join(', \\; ')} \\}`;
+}
+// ---------- Variants that also report renamings / Skolem terms ----------
+function standardizeVariablesWithMap(formula) {
+  const used = new Set(collectAllVarNames(formula));
+  let counter = 1;
+  const mapping = [];
+  function fresh(base) {
+    let name = base;
+    while (used.has(name)) { name = base + (counter++); }
+    used.add(name);
+    return name;
+  }
+  function substVarInTerm(t, from, to) {
+    if (t.term === 'Var') return (t.name === from) ? Term.Var(to) : t;
+    return Term.Func(t.name, t.args.map(a => substVarInTerm(a, from, to)));
+  }
+  function substVarInFormula(g, from, to) {
+    tick();
+    switch (g.kind) {
+      case 'Pred': case 'Eq': case 'Neq': return mapAtomArgs(g, a => substVarInTerm(a, from, to));
+      case 'Not': return Node.Not(substVarInFormula(g.child, from, to));
+      case 'And': return Node.And(substVarInFormula(g.left, from, to), substVarInFormula(g.right, from, to));
+      case 'Or': return Node.Or(substVarInFormula(g.left, from, to), substVarInFormula(g.right, from, to));
+      case 'ForAll': {
+        if (g.variable === from) return g;
+        return Node.ForAll(g.variable, substVarInFormula(g.body, from, to));
+      }
+      case 'Exists': {
+        if (g.variable === from) return g;
+        return Node.Exists(g.variable, substVarInFormula(g.body, from, to));
+      }
+      default: return g;
+    }
+  }
+  function walk(g) {
+    tick();
+    switch (g.kind) {
+      case 'ForAll': {
+        const oldV = g.variable; const newV = fresh('x');
+        mapping.push({ from: oldV, to: newV });
+        const renamedBody = substVarInFormula(g.body, oldV, newV);
+        return Node.ForAll(newV, walk(renamedBody));
+      }
+      case 'Exists': {
+        const oldV = g.variable; const newV = fresh('x');
+        mapping.push({ from: oldV, to: newV });
+        const renamedBody = substVarInFormula(g.body, oldV, newV);
+        return Node.Exists(newV, walk(renamedBody));
+      }
+      case 'Not': return Node.Not(walk(g.child));
+      case 'And': return Node.And(walk(g.left), walk(g.right));
+      case 'Or': return Node.Or(walk(g.left), walk(g.right));
+      default: return g;
+    }
+  }
+  const standardized = walk(formula);
+  return { formula: standardized, mapping };
+}
+
+function skolemizeWithMap(prefix, matrix) {
+  let current = matrix;
+  const universals = [];
+  let fCount = 1, cCount = 1;
+  const mapping = [];
+  for (const p of prefix) {
+    if (p.q === 'forall') universals.push(p.v);
+    else {
+      let sk;
+      if (universals.length === 0) { sk = Term.Func('c' + (cCount++), []); }
+      else { sk = Term.Func('f' + (fCount++), universals.map(u => Term.Var(u))); }
+      mapping.push({ variable: p.v, term: sk });
+      current = substVarAll(current, p.v, sk);
+    }
+  }
+  const result = dropAllQuantifiers(current);
+  return { matrix: result, mapping };
+}
+
+// ---------- Term / literal comparison and one-way matching ----------
+// terms and atoms are hash-consed: equal ones are the same object
+function termEquals(a, b) { return a === b || intern(a) === intern(b); }
+function atomEquals(a, b) { return a === b || intern(a) === intern(b); }
+function literalEquals(a, b) { return a.neg === b.neg && atomEquals(a.pred, b.pred); }
+// '[¬]id of the atom': the same string for equal literals only
+function literalKey(L) { return (L.neg ? '¬' : '') + ids.get(intern(L.pred)); }
+// extends `subst` (variable name -> term) so that pattern·subst equals target,
+// whose variables are treated as constants; null when impossible
+function matchTerm(pattern, target, subst) {
+  if (pattern.term === 'Var') {
+    if (Object.prototype.hasOwnProperty.call(subst, pattern.name)) {
+      return termEquals(subst[pattern.name], target) ? subst : null;
+    }
+    return Object.assign({}, subst, { [pattern.name]: target });
+  }
+  if (target.term !== 'Func' || target.name !== pattern.name || target.args.length !== pattern.args.length) return null;
+  for (let i = 0; i < pattern.args.length && subst; i++) subst = matchTerm(pattern.args[i], target.args[i], subst);
+  return subst;
+}
+function matchLiteral(a, b, subst) {
+  if (a.neg !== b.neg || a.pred.kind !== b.pred.kind || a.pred.name !== b.pred.name || a.pred.args.length !== b.pred.args.length) return null;
+  for (let i = 0; i < a.pred.args.length && subst; i++) subst = matchTerm(a.pred.args[i], b.pred.args[i], subst);
+  return subst;
+}
+// ---------- Unification (most general unifier, with occurs check) ----------
+// Substitutions are plain objects, variable name -> term, kept idempotent.
+function applySubst(t, subst) {
+  if (t.term === 'Var') return Object.prototype.hasOwnProperty.call(subst, t.name) ? subst[t.name] : t;
+  return Term.Func(t.name, t.args.map(a => applySubst(a, subst)));
+}
+function applySubstToLiteral(L, subst) {
+  return { neg: L.neg, pred: mapAtomArgs(L.pred, t => applySubst(t, subst)) };
+}
+function occursIn(name, t) {
+  return t.term === 'Var' ? t.name === name : t.args.some(a => occursIn(name, a));
+}
+function unifyTerms(a, b, subst) {
+  a = applySubst(a, subst); b = applySubst(b, subst);
+  if (a.term === 'Var' && b.term === 'Var' && a.name === b.name) return subst;
+  if (a.term === 'Var' || b.term === 'Var') {
+    const v = a.term === 'Var' ? a : b, t = a.term === 'Var' ? b : a;
+    if (occursIn(v.name, t)) return null;
+    const next = {};
+    Object.keys(subst).forEach(k => { next[k] = applySubst(subst[k], { [v.name]: t }); });
+    next[v.name] = t;
+    return next;
+  }
+  if (a.name !== b.name || a.args.length !== b.args.length) return null;
+  for (let i = 0; i < a.args.length && subst; i++) subst = unifyTerms(a.args[i], b.args[i], subst);
+  return subst;
+}
+// mgu of two atoms (Pred or Eq) extending `subst`, or null
+function unifyAtoms(p, q, subst = {}) {
+  if (p.kind !== q.kind || p.name !== q.name || p.args.length !== q.args.length) return null;
+  for (let i = 0; i < p.args.length && subst; i++) subst = unifyTerms(p.args[i], q.args[i], subst);
+  return subst;
+}
+
+// θ-subsumption: the substitution θ with Cθ ⊆ D (and |C| <= |D|), or null
+function subsumes(C, D) {
+  if (C.length > D.length) return null;
+  // cheap filter: every literal of C needs a partner with the same sign and symbol
+  if (!C.every(L => D.some(M => M.neg === L.neg && M.pred.kind === L.pred.kind && M.pred.name === L.pred.name))) return null;
+  function go(i, subst) {
+    if (i === C.length) return subst;
+    for (const L of D) {
+      const next = matchLiteral(C[i], L, subst);
+      const found = next && go(i + 1, next);
+      if (found) return found;
+    }
+    return null;
+  }
+  return go(0, {});
+}
+
+// ---------- Clause-set simplification ----------
+// Removes, in this order: repeated literals inside a clause, tautologies (L and ¬L,
+// or t = t), duplicate clauses and θ-subsumed clauses. Clause variables are
+// implicitly universal, so θ-subsumption is sound here (after Skolemization).
+// Returns { clauses, steps: [{ reason, index, literal?, by?, subst? }] }, where
+// indices are 0-based positions in the input and reason is one of
+// 'duplicate-literal', 'tautology', 'duplicate-clause', 'subsumed'.
+function simplifyClauses(clauses) {
+  const steps = [];
+  // literals are compared by key (see literalKey), clauses by their sorted keys
+  const work = clauses.map((cls, index) => {
+    const lits = [], keys = new Set();
+    cls.forEach(L => {
+      const key = literalKey(L);
+      if (keys.has(key)) steps.push({ reason: 'duplicate-literal', index, literal: L });
+      else { keys.add(key); lits.push(L); }
+    });
+    // sign and symbol of each literal: C can only subsume D when D has all of C's
+    const symbols = new Set(lits.map(L => (L.neg ? '¬' : '') + L.pred.kind + ' ' + L.pred.name));
+    return { index, lits, keys, symbols: [...symbols], has: symbols, removed: false };
+  });
+  work.forEach(c => {
+    const comp = c.lits.find(L => c.keys.has(literalKey({ neg: !L.neg, pred: L.pred })));
+    const refl = c.lits.find(L => !L.neg && L.pred.kind === 'Eq' && termEquals(L.pred.args[0], L.pred.args[1]));
+    if (comp || refl) { c.removed = true; steps.push({ reason: 'tautology', index: c.index, literal: comp || refl }); }
+  });
+  const firstWith = new Map();
+  work.forEach(c => {
+    tick();
+    if (c.removed) return;
+    const key = [...c.keys].sort().join(' ');
+    const first = firstWith.get(key);
+    if (first) { c.removed = true; steps.push({ reason: 'duplicate-clause', index: c.index, by: first.index }); }
+    else firstWith.set(key, c);
+  });
+  work.forEach(d => {
+    tick();
+    if (d.removed) return;
+    for (const c of work) {
+      if (c === d || c.removed || c.lits.length > d.lits.length || !c.symbols.every(x => d.has.has(x))) continue;
+      const subst = subsumes(c.lits, d.lits);
+      // variants subsume each other: keep the earlier one
+      if (!subst || (c.index > d.index && subsumes(d.lits, c.lits))) continue;
+      d.removed = true;
+      const theta = {};
+      Object.keys(subst).forEach(v => { if (!termEquals(subst[v], Term.Var(v))) theta[v] = subst[v]; });
+      steps.push({ reason: 'subsumed', index: d.index, by: c.index, subst: theta });
+      break;
+    }
+  });
+  return { clauses: work.filter(c => !c.removed).map(c => c.lits), steps };
+}
+// The DNF counterpart, on a flattened DNF matrix (under its prenex prefix, so no
+// θ-subsumption here): drops contradictory conjuncts (L and ¬L, or t ≠ t),
+// repeated literals, duplicate conjuncts and conjuncts absorbed by a subset
+// (A ∨ (A ∧ B) → A). Returns { matrix, conjuncts, steps } like simplifyClauses,
+// with reasons 'duplicate-literal', 'contradiction', 'duplicate-conjunct', 'absorbed'.
+function simplifyDNF(matrix) {
+  if (matrix.kind === 'True' || matrix.kind === 'False') return { matrix, conjuncts: [], steps: [] };
+  // hash-consed literals: equal ones are the same object
+  matrix = intern(matrix);
+  const steps = [];
+  const work = operands('Or', matrix).map((conj, index) => {
+    const lits = [];
+    operands('And', conj).forEach(L => {
+      if (lits.includes(L)) steps.push({ reason: 'duplicate-literal', index, literal: L });
+      else lits.push(L);
+    });
+    return { index, lits, removed: false };
+  });
+  work.forEach(c => {
+    const bad = c.lits.find(L => c.lits.includes(toNNF(Node.Not(L))) ||
+      (L.kind === 'Neq' && termEquals(L.args[0], L.args[1])));
+    if (bad) { c.removed = true; steps.push({ reason: 'contradiction', index: c.index, literal: bad }); }
+  });
+  const subset = (A, B) => A.every(L => B.includes(L));
+  work.forEach((c, i) => {
+    tick();
+    if (c.removed) return;
+    const first = work.slice(0, i).find(d => !d.removed && d.lits.length === c.lits.length && subset(d.lits, c.lits));
+    if (first) { c.removed = true; steps.push({ reason: 'duplicate-conjunct', index: c.index, by: first.index }); }
+  });
+  work.forEach(d => {
+    tick();
+    if (d.removed) return;
+    const by = work.find(c => c !== d && !c.removed && c.lits.length < d.lits.length && subset(c.lits, d.lits));
+    if (by) { d.removed = true; steps.push({ reason: 'absorbed', index: d.index, by: by.index }); }
+  });
+  const kept = work.filter(c => !c.removed).map(c => c.lits);
+  const joined = kept.length
+    ? flatten('Or', kept.map(lits => flatten('And', lits.reduce((a, b) => Node.And(a, b)))).reduce((a, b) => Node.Or(a, b)))
+    : Node.False();
+  return { matrix: joined, conjuncts: kept, steps };
+}
+
+// ---------- Horn check (positive literals per clause <= 1) ----------
+// Renamable Horn: flipping the polarity of some predicate symbols (P becomes
+// ¬P', everywhere) makes every clause Horn. Each symbol is a 2-SAT variable
+// (true = flipped) and every pair of literals of a clause gives the 2-clause
+// "not both positive after renaming". = is never flipped.
+function hornConstraints(clauses) {
+  const symbols = [];
+  const out = [];
+  clauses.forEach((cls, index) => {
+    // "this literal is positive after renaming": { sym, value } with sym = -1 for a constant
+    const pos = cls.map(L => {
+      if (L.pred.kind !== 'Pred') return { sym: -1, value: !L.neg };
+      if (!symbols.includes(L.pred.name)) symbols.push(L.pred.name);
+      return { sym: symbols.indexOf(L.pred.name), value: !L.neg };
+    });
+    for (let i = 0; i < pos.length; i++) {
+      for (let j = i + 1; j < pos.length; j++) out.push({ index, a: pos[i], b: pos[j] });
+    }
+  });
+  return { symbols, constraints: out };
+}
+// flips (array of booleans) satisfying every constraint whose clause is in
+// `use` and keeping the symbols in `keep` unflipped, or null (2-SAT: implication
+// graph and strongly connected components)
+function solveHornRenaming(symbols, constraints, use, keep = []) {
+  const n = symbols.length;
+  // node 2k: symbol k flipped, 2k+1: not flipped; a literal is positive after
+  // renaming iff its symbol is not flipped (value true) or flipped (value false)
+  const node = p => 2 * p.sym + (p.value ? 1 : 0);
+  const neg = v => v ^ 1;
+  const edges = Array.from({ length: 2 * n }, () => []);
+  const forced = keep.map(k => 2 * k + 1);
+  for (const c of constraints) {
+    if (!use.has(c.index)) continue;
+    const { a, b } = c;
+    if (a.sym < 0 && b.sym < 0) { if (a.value && b.value) return null; continue; }
+    if (a.sym < 0 || b.sym < 0) {
+      const [k, x] = a.sym < 0 ? [a, b] : [b, a];
+      if (k.value) forced.push(neg(node(x)));
+      continue;
+    }
+    // ¬A ∨ ¬B: A → ¬B and B → ¬A
+    edges[node(a)].push(neg(node(b)));
+    edges[node(b)].push(neg(node(a)));
+  }
+  forced.forEach(v => edges[neg(v)].push(v));
+  const index = new Array(2 * n).fill(-1), low = new Array(2 * n).fill(0), comp = new Array(2 * n).fill(-1);
+  const stack = [], onStack = new Array(2 * n).fill(false);
+  let counter = 0, comps = 0;
+  function visit(v) {
+    index[v] = low[v] = counter++;
+    stack.push(v); onStack[v] = true;
+    for (const w of edges[v]) {
+      if (index[w] < 0) { visit(w); low[v] = Math.min(low[v], low[w]); }
+      else if (onStack[w]) low[v] = Math.min(low[v], index[w]);
+    }
+    if (low[v] === index[v]) {
+      let w;
+      do { w = stack.pop(); onStack[w] = false; comp[w] = comps; } while (w !== v);
+      comps++;
+    }
+  }
+  for (let v = 0; v < 2 * n; v++) if (index[v] < 0) visit(v);
+  const flips = [];
+  for (let k = 0; k < n; k++) {
+    if (comp[2 * k] === comp[2 * k + 1]) return null;
+    // Tarjan numbers components in reverse topological order
+    flips.push(comp[2 * k] < comp[2 * k + 1]);
+  }
+  return flips;
+}
+// { flip: [predicate names], clauses: renamed clauses (P flipped is written P') }
+// or { flip: null, blocking: indices of a minimal set of clauses that is not renamable Horn }
+function renamableHorn(clauses) {
+  const { symbols, constraints } = hornConstraints(clauses);
+  const all = new Set(clauses.map((_, i) => i));
+  let flips = solveHornRenaming(symbols, constraints, all);
+  if (!flips) {
+    // deletion-based: drop every clause that is not needed to block the renaming
+    const use = new Set(all);
+    for (let i = clauses.length - 1; i >= 0; i--) {
+      use.delete(i);
+      if (solveHornRenaming(symbols, constraints, use)) use.add(i);
+    }
+    return { flip: null, blocking: [...use].sort((a, b) => a - b) };
+  }
+  // flip as few symbols as the greedy pass allows
+  const keep = [];
+  symbols.forEach((_, k) => {
+    if (!flips[k]) { keep.push(k); return; }
+    const other = solveHornRenaming(symbols, constraints, all, keep.concat([k]));
+    if (other) { flips = other; keep.push(k); }
+  });
+  const flip = symbols.filter((_, k) => flips[k]);
+  const renamed = clauses.map(cls => cls.map(L => L.pred.kind === 'Pred' && flip.includes(L.pred.name)
+    ? { neg: !L.neg, pred: Node.Pred(L.pred.name + "'", L.pred.args) } : L));
+  return { flip, clauses: renamed };
+}
+// { clauses: [{ positives, negatives, horn, dualHorn }], all, dual,
+//   renamable: renamableHorn(clauses) }
+function hornInfo(clauses) {
+  const perClause = clauses.map(cls => {
+    const positives = cls.filter(L => !L.neg).length;
+    const negatives = cls.length - positives;
+    return { positives, negatives, horn: positives <= 1, dualHorn: negatives <= 1 };
+  });
+  return {
+    clauses: perClause, all: perClause.every(c => c.horn), dual: perClause.every(c => c.dualHorn),
+    renamable: renamableHorn(clauses)
+  };
+}
+
+// ---------- Rule-by-rule traces ----------
+// name and law of every rule logged by the traced transformations (see record);
+// names and the worded side conditions of laws are read from the catalogue in
+// the current locale
+function rewriteRule(name, law, params = {}, condition = null) {
+  return {
+    get name() { return t('rule.' + name, params); },
+    get law() { return condition ? law + t(condition) : law; }
+  };
+}
+const REWRITE_RULES = Object.assign({
+  'iff': rewriteRule('eliminate', 'A ↔ B ≡ (A → B) ∧ (B → A)', { symbol: '↔' }),
+  'implies': rewriteRule('eliminate', 'A → B ≡ ¬A ∨ B', { symbol: '→' }),
+  'double-negation': rewriteRule('doubleNegation', '¬¬A ≡ A'),
+  'de-morgan-and': rewriteRule('deMorgan', '¬(A ∧ B) ≡ ¬A ∨ ¬B'),
+  'de-morgan-or': rewriteRule('deMorgan', '¬(A ∨ B) ≡ ¬A ∧ ¬B'),
+  'not-forall': rewriteRule('quantifierDuality', '¬∀x A ≡ ∃x ¬A'),
+  'not-exists': rewriteRule('quantifierDuality', '¬∃x A ≡ ∀x ¬A'),
+  'not-eq': rewriteRule('notEq', '¬(s = t) ≡ s ≠ t'),
+  'not-neq': rewriteRule('notNeq', '¬(s ≠ t) ≡ s = t'),
+  'not-true': rewriteRule('constants', '¬⊤ ≡ ⊥'),
+  'not-false': rewriteRule('constants', '¬⊥ ≡ ⊤'),
+  'and-true': rewriteRule('constants', 'A ∧ ⊤ ≡ A'),
+  'and-false': rewriteRule('constants', 'A ∧ ⊥ ≡ ⊥'),
+  'or-true': rewriteRule('constants', 'A ∨ ⊤ ≡ ⊤'),
+  'or-false': rewriteRule('constants', 'A ∨ ⊥ ≡ A'),
+  'quantified-constant': rewriteRule('constants', '∀x ⊤ ≡ ⊤, ∃x ⊥ ≡ ⊥', {}, 'law.nonEmptyDomain'),
+  'prenex-and': rewriteRule('extraction', '(Qx A) ∧ B ≡ Qx (A ∧ B)', {}, 'law.notFreeInB'),
+  'prenex-or': rewriteRule('extraction', '(Qx A) ∨ B ≡ Qx (A ∨ B)', {}, 'law.notFreeInB'),
+  'or-and-right': rewriteRule('distributivity', 'A ∨ (B ∧ C) ≡ (A ∨ B) ∧ (A ∨ C)'),
+  'or-and-left': rewriteRule('distributivity', '(A ∧ B) ∨ C ≡ (A ∨ C) ∧ (B ∨ C)'),
+  'and-or-right': rewriteRule('distributivity', 'A ∧ (B ∨ C) ≡ (A ∧ B) ∨ (A ∧ C)'),
+  'and-or-left': rewriteRule('distributivity', '(A ∨ B) ∧ C ≡ (A ∧ C) ∨ (B ∧ C)'),
+  'associativity': rewriteRule('associativity', 'A ∘ (B ∘ C) ≡ (A ∘ B) ∘ C')
+}, ...EXTRA_CONNECTIVES.map(c => ({ [c.kind.toLowerCase()]: rewriteRule('eliminate', c.rule, { symbol: c.symbol }) })));
+// trace entries replayed on `formula` (the input of the traced transformation):
+// [{ rule, name, law, path, before, after, formula }] with `formula` the whole
+// formula right after the rule fired; groups are unfolded in place
+function traceSteps(formula, entries) {
+  const flat = [];
+  (function unfold(log, prefix) {
+    log.forEach(e => {
+      if (e.log) unfold(e.log, prefix.concat(e.path));
+      else flat.push(prefix.length ? Object.assign({}, e, { path: prefix.concat(e.path) }) : e);
+    });
+  })(entries, []);
+  return flat.map(e => {
+    formula = replaceAt(formula, e.path, e.after);
+    return Object.assign({}, e, REWRITE_RULES[e.rule], { formula });
+  });
+}
+// LaTeX of `formula` with the subformula at `path` boxed (MathJax \bbox, `color` as background)
+function latexHighlight(formula, path, color = '#fde68a') {
+  const MARK = '@@';
+  const sub = subformulaAt(formula, path);
+  const key = path[path.length - 1];
+  // printed where the parent would print the subformula: quantifier bodies and the
+  // root bare, ¬(s = t) with parentheses, other operands as atomToLatex does
+  const inner = !key || key === 'body' ? toLatex(sub)
+    : key === 'child' && (sub.kind === 'Eq' || sub.kind === 'Neq') ? `(${toLatex(sub)})` : atomToLatex(sub);
+  return toLatex(replaceAt(formula, path, Node.Pred(MARK))).replace(MARK, () => `\\bbox[${color}]{${inner}}`);
+}
+
+// ---------- Headless pipeline ----------
+// Stages in pipeline order, each with the stages it is computed from.
+const STAGES = ['tokens', 'ast', 'analysis', 'noExtra', 'noIff', 'noImp', 'nnf', 'miniscoped', 'standardized', 'prenex', 'strategies', 'cnf', 'definitional', 'dnf', 'dnfSimplified', 'skolem', 'clauses', 'simplified', 'horn'];
+const STAGE_DEPS = {
+  tokens: [], ast: ['tokens'], analysis: ['ast'], noExtra: ['ast'], noIff: ['noExtra'], noImp: ['noIff'], nnf: ['noImp'], miniscoped: ['nnf'],
+  standardized: ['miniscoped'], prenex: ['standardized'], strategies: ['standardized'], cnf: ['prenex'],
+  definitional: ['prenex'], dnf: ['prenex'], dnfSimplified: ['dnf'], skolem: ['prenex', 'cnf', 'definitional'],
+  clauses: ['skolem'], simplified: ['clauses'], horn: ['simplified']
+};
+const CNF_MODES = ['auto', 'classical', 'definitional'];
+const DEFAULT_CNF_THRESHOLD = 256;
+
+// ---------- Budgets (convert's `budget` option) ----------
+// nodes: formula nodes of one stage, counted while it builds them (every
+// factory call, so a subtree rebuilt twice costs twice) and again in its
+// result as it is printed (shared subtrees counted at each use); clauses:
+// clauses of the CNF/DNF, checked against the distribution estimate before
+// building, and of the definitional CNF, counted as it is built; time: ms of the whole conversion, checked by
+// tick() at every node the rewriting passes visit. A stage over budget is
+// left out and reported in result.stopped[stage]; the stages that need it are
+// left out too.
+const BUDGETS = ['nodes', 'clauses', 'time'];
+const DEFAULT_BUDGET = { nodes: 200000, clauses: 5000, time: 5000 };
+let meter = null; // { limits, start, built } of the running stage, read by tick() and spendNode()
+function overBudget(budget, params) {
+  throw Object.assign(new Error(t('budget.' + budget, params)), { code: 'budget.' + budget, params, budget });
+}
+function tick() {
+  if (!meter) return;
+  const elapsed = Date.now() - meter.start;
+  if (elapsed > meter.limits.time) overBudget('time', { count: elapsed, limit: meter.limits.time });
+}
+// one more node built by the running stage (called by hashCons)
+function spendNode() {
+  if (++meter.built > meter.limits.nodes) overBudget('nodes', { count: meter.built, limit: meter.limits.nodes });
+}
+function spendClauses(needed) {
+  if (meter && needed > meter.limits.clauses) overBudget('clauses', { count: meter.limits.clauses, limit: meter.limits.clauses, needed });
+}
+// formula nodes in value (a stage result), counting stops past `limit`
+function countNodes(value, limit = Infinity) {
+  let n = 0;
+  const stack = [value];
+  while (stack.length && n <= limit) {
+    const v = stack.pop();
+    if (!v || typeof v !== 'object') continue;
+    if (v.kind || v.term) n++;
+    for (const w of Array.isArray(v) ? v : Object.values(v)) stack.push(w);
+  }
+  return n;
+}
+function spendNodes(value) {
+  if (!meter || meter.limits.nodes === Infinity) return;
+  const count = countNodes(value, meter.limits.nodes);
+  if (count > meter.limits.nodes) overBudget('nodes', { count, limit: meter.limits.nodes });
+}
+// the limits of a `budget` option (missing names unlimited), null for none
+function budgetLimits(budget) {
+  budget = budget || {};
+  Object.keys(budget).forEach(name => {
+    if (!BUDGETS.includes(name) || !(budget[name] > 0)) error('error.unknownBudget', { name, value: budget[name] });
+  });
+  return Object.keys(budget).length ? Object.assign({ nodes: Infinity, clauses: Infinity, time: Infinity }, budget) : null;
+}
+// fn() counted as one stage of convert under `budget` (same option); over
+// budget the error is thrown (code 'budget.<name>', params, budget) — for the
+// callers that run the passes themselves, e.g. PrenexEquivalence.clausesOf
+function withinBudget(budget, fn) {
+  const limits = budgetLimits(budget);
+  if (!limits) return fn();
+  const previous = meter;
+  meter = { limits, start: Date.now(), built: 0 };
+  try {
+    tick();
+    const value = fn();
+    spendNodes(value);
+    return value;
+  } finally {
+    meter = previous;
+  }
+}
+
+// warning for a chain the parser grouped by associativity alone (see Parser)
+function associativityWarning(text, ambiguity) {
+  const symbols = ambiguity.operators.map(op => TOKEN_LABELS[op]).filter((x, k, all) => all.indexOf(x) === k);
+  const source = text.slice(ambiguity.start, ambiguity.end).replace(/\s+/g, ' ');
+  const params = { source, formula: toUnicode(ambiguity.formula), symbols };
+  return {
+    code: 'associativity', symbol: symbols.join(''), start: ambiguity.start, end: ambiguity.end,
+    key: 'warning.associativity', params, message: t('warning.associativity', params)
+  };
+}
+
+// prefix and Skolem terms of the same formula under every prenex strategy
+function comparePrenexStrategies(formula) {
+  return PRENEX_STRATEGIES.map(strategy => {
+    const p = toPrenex(formula, strategy);
+    return { strategy, prefix: p.prefix, skolem: skolemizeWithMap(p.prefix, p.matrix).mapping };
+  });
+}
+
+// convert(text, { targets }) runs the pipeline on a formula written in LaTeX,
+// Unicode or ASCII and returns one entry per requested stage:
+//   tokens        token list after normalization
+//   ast           parsed formula (Node/Term objects)
+//   analysis      signature, free variables and warnings of the parsed formula — see analyzeFormula
+//                 (plus 'associativity' warnings for chains grouped by precedence rules alone)
+//   noExtra       { formula, steps } without ←, ⊕, ↑, ↓ — see eliminateExtraConnectives
+//   noIff, noImp  formula without ↔, then without →
+//   nnf           negation normal form, with ⊤/⊥ simplified away
+//   miniscoped    NNF with quantifiers pushed inward (options.miniscope), else the NNF
+//   standardized  { formula, mapping: [{ from, to }] }
+//   prenex        { prefix: [{ q: 'forall'|'exists', v }], matrix }, per options.strategy
+//   strategies    [{ strategy, prefix, skolem }] for every prenex strategy
+//   cnf, dnf      { raw, matrix, estimate, skipped } — raw distribution and flattened
+//                 matrix; in 'auto' mode, when `estimate` (clauses/conjuncts distribution
+//                 would produce) exceeds the threshold, skipped is true and raw/matrix null
+//   definitional  { matrix, root, definitions: [{ atom, formula, clauses }] } — see toDefinitionalCNF
+//   skolem        { matrix, mapping: [{ variable, term }], source: 'classical'|'definitional' }
+//   dnfSimplified { matrix, conjuncts, steps } — see simplifyDNF (null when the DNF was skipped)
+//   clauses       [[{ neg, pred }]] from the Skolemized CNF (pred: Pred or Eq atom)
+//   simplified    { clauses, steps } — see simplifyClauses
+//   horn          { clauses: [{ positives, horn }], all } for the simplified clauses
+// `targets` defaults to every stage; only the stages they depend on are run.
+// Other options: strategy ('left' | 'exists-first' | 'forall-first', default 'left'),
+// miniscope (boolean, default false), close (convert ∀(free vars) formula instead),
+// negate (convert ¬∀(free vars) formula instead, e.g. to refute it), cnfMode ('auto' | 'classical' | 'definitional',
+// default 'auto': classical unless it would exceed cnfThreshold clauses, default 256;
+// the DNF is skipped past cnfThreshold conjunctions whatever the mode),
+// syntax ('auto' | 'latex' | 'tptp' | 'keywords', default 'auto'; the result's
+// `syntax` says which one was used), implication ('right' | 'left', default
+// 'right': how A → B → C is grouped), trace (boolean: the result's `trace` has,
+// for each of noExtra, noIff, noImp, nnf, prenex, cnf and dnf that was computed,
+// the rules applied in order — see traceSteps; prenex traces the standardized
+// formula, cnf and dnf the prenex matrix).
+// The clausal form is built from the classical CNF when there is one.
+// Parse errors are thrown as Error, exactly as in the web page.
+function convert(text, options = {}) {
+  const targets = options.targets || STAGES;
+  targets.forEach(t => { if (!STAGES.includes(t)) error('error.unknownStage', { stage: t }); });
+  const needed = new Set();
+  (function need(list) {
+    list.forEach(t => { if (!needed.has(t)) { needed.add(t); need(STAGE_DEPS[t]); } });
+  })(targets);
+
+  const limits = budgetLimits(options.budget);
+
+  const input = readInput(text, options.syntax || 'auto', { implication: options.implication || 'right' });
+  const normalized = input.normalized;
+  const s = {};
+  s.tokens = input.tokens;
+  // raw rule logs per stage, replayed into trace steps at the end
+  const logs = {};
+  const log = stage => options.trace ? (logs[stage] = []) : null;
+  if (needed.has('ast')) {
+    const parsed = input.parse();
+    // free variables are read universally, so ¬F is taken as ¬∀x̄ F
+    s.ast = options.negate ? Node.Not(universalClosure(parsed)) : options.close ? universalClosure(parsed) : parsed;
+    if (needed.has('analysis')) {
+      s.analysis = analyzeFormula(parsed);
+      input.ambiguities.forEach(a => s.analysis.warnings.push(associativityWarning(text, a)));
+    }
+  }
+  const cnfMode = options.cnfMode || 'auto';
+  if (!CNF_MODES.includes(cnfMode)) error('error.unknownCnfMode', { mode: cnfMode });
+  const threshold = options.cnfThreshold || DEFAULT_CNF_THRESHOLD;
+
+  // each stage runs once its inputs exist; one over budget is recorded in `stopped`
+  const stopped = {};
+  let outOfTime = false;
+  const started = Date.now();
+  function stage(name, build, deps = STAGE_DEPS[name]) {
+    if (!needed.has(name) || outOfTime || deps.some(d => s[d] === undefined)) return;
+    const previous = meter;
+    meter = limits && { limits, start: started, built: 0 };
+    try {
+      tick();
+      const value = build();
+      spendNodes(value);
+      s[name] = value;
+    } catch (e) {
+      if (!e.budget) throw e;
+      stopped[name] = Object.assign({ budget: e.budget, message: e.message }, e.params);
+      delete logs[name];
+      if (e.budget === 'time') outOfTime = true;
+    } finally {
+      meter = previous;
+    }
+  }
+  stage('noExtra', () => eliminateExtraConnectives(s.ast, log('noExtra')));
+  stage('noIff', () => eliminateIffOnly(s.noExtra.formula, log('noIff')));
+  stage('noImp', () => eliminateImpOnly(s.noIff, log('noImp')));
+  stage('nnf', () => {
+    const nnfLog = log('nnf');
+    return simplifyConstants(toNNF(s.noImp, nnfLog), nnfLog);
+  });
+  stage('miniscoped', () => options.miniscope ? miniscope(s.nnf) : s.nnf);
+  stage('standardized', () => standardizeVariablesWithMap(s.miniscoped));
+  stage('prenex', () => toPrenex(s.standardized.formula, options.strategy, log('prenex')));
+  stage('strategies', () => comparePrenexStrategies(s.standardized.formula));
+  stage('cnf', () => {
+    const estimate = estimateCNFSize(s.prenex.matrix);
+    if (cnfMode === 'definitional' || (cnfMode === 'auto' && estimate > threshold)) return { raw: null, matrix: null, estimate, skipped: true };
+    spendClauses(estimate);
+    const r = toCNFMatrixWithIntermediate(s.prenex.matrix, log('cnf'));
+    return { raw: r.raw, matrix: r.flat, estimate, skipped: false };
+  });
+  stage('definitional', () => toDefinitionalCNF(s.prenex.matrix));
+  stage('dnf', () => {
+    const estimate = estimateDNFSize(s.prenex.matrix);
+    // no definitional fallback here: past the threshold the DNF is skipped in every cnfMode
+    if (estimate > threshold) return { raw: null, matrix: null, estimate, skipped: true };
+    spendClauses(estimate);
+    const r = toDNFMatrixWithIntermediate(s.prenex.matrix, log('dnf'));
+    return { raw: r.raw, matrix: r.flat, estimate, skipped: false };
+  });
+  stage('skolem', () => {
+    const source = s.cnf.skipped ? 'definitional' : 'classical';
+    const m = source === 'classical' ? s.cnf.matrix : s.definitional.matrix;
+    return Object.assign(skolemizeWithMap(s.prenex.prefix, m), { source });
+  }, s.cnf && s.cnf.skipped ? ['prenex', 'definitional'] : ['prenex', 'cnf']); // only the CNF it reads
+  stage('dnfSimplified', () => s.dnf.skipped ? null : simplifyDNF(s.dnf.matrix));
+  stage('clauses', () => cnfToClauses(s.skolem.matrix));
+  stage('simplified', () => simplifyClauses(s.clauses));
+  stage('horn', () => hornInfo(s.simplified.clauses));
+
+  const result = { input: text, normalized, syntax: input.syntax };
+  targets.forEach(t => { result[t] = s[t]; });
+  if (Object.keys(stopped).length) result.stopped = stopped;
+  if (options.trace) {
+    const inputs = {
+      noExtra: s.ast, noIff: s.noExtra && s.noExtra.formula, noImp: s.noIff, nnf: s.noImp,
+      prenex: s.standardized && s.standardized.formula, cnf: s.prenex && s.prenex.matrix, dnf: s.prenex && s.prenex.matrix
+    };
+    result.trace = {};
+    Object.keys(logs).forEach(stage => { result.trace[stage] = traceSteps(inputs[stage], logs[stage]); });
+  }
+  return result;
+}
+
+return {
+  STAGES, convert, localizeError,
+  Node, Term, intern, Parser, normalizeInput, normalizeWithOffsets, tokenize, SYNTAXES, IMPLICATION_MODES, detectSyntax, readInput, isAtom, isLiteral, mapAtomArgs,
+  toLatex, toLatexTerm, latexPrefix, latexClause,
+  toUnicode, toUnicodeTerm, unicodePrefix, unicodeClause, PRECEDENCE, toText, textClause,
+  EXTRA_CONNECTIVES, eliminateExtraConnectives, eliminateIffOnly, eliminateImpOnly, eliminateIffImp, toNNF, simplifyConstants, hasConstants,
+  collectAllVarNames, freeVariables, universalClosure, analyzeFormula, standardizeVariables, standardizeVariablesWithMap,
+  miniscope, PRENEX_STRATEGIES, toPrenex, comparePrenexStrategies, substVarAll, skolemize, skolemizeWithMap,
+  applyPrefix, operands, flatten, flattenAll, distributeOrOverAnd, distributeAndOverOr,
+  toCNFMatrix, toCNFMatrixWithIntermediate, toDNFMatrix, toDNFMatrixWithIntermediate,
+  estimateCNFSize, estimateDNFSize, toDefinitionalCNF, CNF_MODES, DEFAULT_CNF_THRESHOLD, BUDGETS, DEFAULT_BUDGET, withinBudget, countNodes,
+  cnfToClauses, literalToNode, termEquals, atomEquals, literalEquals, matchTerm, subsumes,
+  applySubst, applySubstToLiteral, unifyTerms, unifyAtoms,
+  simplifyClauses, simplifyDNF, hornInfo, renamableHorn,
+  REWRITE_RULES, traceSteps, subformulaAt, replaceAt, latexHighlight
+};
+});
@@ -0,0 +1,108 @@
+// prenex-cnf-dnf-calculator — equivalence and entailment checks.
+// Compares two formulas by refuting ¬∀x̄(A ↔ B) (or ¬∀x̄(A → B) for A ⊨ B),
+// exhaustively for propositional inputs and with bounded search otherwise.
+// Exposed as `PrenexEquivalence` in the browser and through `module.exports` under Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine.js'), require('./propositional.js'), require('./resolution.js'), require('./models.js'), require('./i18n.js'));
+  } else root.PrenexEquivalence = factory(root.PrenexEngine, root.PrenexPropositional, root.PrenexResolution, root.PrenexModels, root.PrenexI18n);
+})(typeof self !== 'undefined' ? self : this, function (E, P, R, M, I18n) {
+'use strict';
+
+const { Node } = E;
+
+const RELATIONS = ['equivalent', 'entails'];
+
+// clause form of a closed formula through the usual pipeline (definitional CNF
+// when distribution would exceed the default threshold), under `budget` as in
+// convert (over budget it throws, see withinBudget in engine.js)
+function clausesOf(formula, budget) {
+  return E.withinBudget(budget, () => {
+    const nnf = E.simplifyConstants(E.toNNF(E.eliminateIffImp(formula)));
+    const pren = E.toPrenex(E.standardizeVariables(nnf));
+    const matrix = E.estimateCNFSize(pren.matrix) > E.DEFAULT_CNF_THRESHOLD
+      ? E.toDefinitionalCNF(pren.matrix).matrix : E.toCNFMatrix(pren.matrix);
+    return E.simplifyClauses(E.cnfToClauses(E.skolemize(pren.prefix, matrix))).clauses;
+  });
+}
+// an assignment of the free variables under which `body` is false in `model`
+function falsifyingEnv(body, vars, model) {
+  let found = null;
+  (function go(k, env) {
+    if (found) return;
+    if (k === vars.length) { if (!M.evaluate(body, model, env)) found = env; return; }
+    model.domain.forEach(d => go(k + 1, Object.assign({}, env, { [vars[k]]: d })));
+  })(0, {});
+  return found;
+}
+
+// compare(a, b, options) with a, b formula texts; options.relation is
+// 'equivalent' (default) or 'entails' (A ⊨ B), the other options are the
+// resolution limits plus the model-search ones (maxDomain, maxGround), the
+// input syntax and implication grouping of both texts (see readInput in engine.js)
+// and the budget of the clause form (as in convert; over budget compare throws).
+// Returns {
+//   relation, a, b (the parsed formulas), propositional,
+//   status: 'proved' | 'disproved' | 'unknown',
+//   method: 'dpll' | 'resolution' | 'model' | 'saturation' | null,
+//   counterexample: assignment (propositional) or { model, env } where A and B
+//                   differ (A true and B false for entailment), null otherwise,
+//   values: { a, b } truth values at the counterexample,
+//   proof: the resolution refutation when proved by resolution,
+//   resolution: status of the resolution run ('unsatisfiable'|'saturated'|'limit')
+// }
+function compare(textA, textB, options = {}) {
+  const read = text => E.convert(text, { targets: ['ast'], syntax: options.syntax || 'auto', implication: options.implication || 'right' }).ast;
+  return compareFormulas(read(textA), read(textB), options);
+}
+// compare on formulas already parsed (same options and result as compare)
+function compareFormulas(a, b, options = {}) {
+  const relation = options.relation || 'equivalent';
+  if (!RELATIONS.includes(relation)) I18n.fail('error.unknownRelation', { relation });
+  const body = relation === 'equivalent' ? Node.Iff(a, b) : Node.Implies(a, b);
+  const result = { relation, a, b, propositional: false, status: 'unknown', method: null, counterexample: null, values: null, proof: [], resolution: null };
+
+  if (P.isPropositional(a) && P.isPropositional(b)) {
+    const model = P.satisfy(Node.Not(body));
+    result.propositional = true;
+    // DPLL on ¬(A ↔ B) / ¬(A → B): no model means the relation holds
+    result.method = 'dpll';
+    if (!model) { result.status = 'proved'; return result; }
+    result.status = 'disproved';
+    result.counterexample = model;
+    result.values = { a: P.evaluate(a, model), b: P.evaluate(b, model) };
+    return result;
+  }
+
+  // free variables are read universally, as in convert(…, { negate: true })
+  const vars = E.freeVariables(body);
+  const clauses = clausesOf(Node.Not(vars.reduceRight((f, v) => Node.ForAll(v, f), body)), options.budget);
+  const found = M.findModel(clauses, options);
+  if (found.model) {
+    const symbols = M.symbolsOf(body);
+    const model = M.restrictModel(found.model, symbols);
+    const env = falsifyingEnv(body, vars, model);
+    if (env) {
+      result.status = 'disproved';
+      result.method = 'model';
+      result.counterexample = { model, env };
+      result.values = { a: M.evaluate(a, model, env), b: M.evaluate(b, model, env) };
+      return result;
+    }
+  }
+  const res = R.prove(clauses, options);
+  result.resolution = res.status;
+  if (res.status === 'unsatisfiable') {
+    result.status = 'proved';
+    result.method = 'resolution';
+    result.proof = res.proof;
+  } else if (res.status === 'saturated' && !res.equality) {
+    // a saturated set without the empty clause is satisfiable, only not by a small model
+    result.status = 'disproved';
+    result.method = 'saturation';
+  }
+  return result;
+}
+
+return { RELATIONS, compare, compareFormulas, clausesOf };
+});
@@ -0,0 +1,460 @@
+// prenex-cnf-dnf-calculator — guided exercises.
+// The student writes the result of each stage (no →, NNF, prenex, CNF,
+// Skolem, clauses) and the answer is checked against the pipeline: up to
+// equivalence for the equivalence-preserving stages, up to renaming of
+// variables and Skolem symbols for the Skolem form and the clauses. Each check
+// comes with feedback on the shape of the answer and on the usual mistakes.
+// Exposed as `PrenexExercises` in the browser and through `module.exports` under Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./resolution.js'), require('./equivalence.js'), require('./i18n.js'));
+  else root.PrenexExercises = factory(root.PrenexEngine, root.PrenexResolution, root.PrenexEquivalence, root.PrenexI18n);
+})(typeof self !== 'undefined' ? self : this, function (E, R, Q, I18n) {
+'use strict';
+
+const { toUnicode } = E;
+
+// stages a student can perform, titled as the steps of the page (title and
+// prompt read from the catalogue in i18n.js, in the current locale)
+const STAGES = ['noImp', 'nnf', 'prenex', 'cnf', 'skolem', 'clauses'].map(id => ({
+  id,
+  get title() { return I18n.t(`exercise.${id}.title`); },
+  get prompt() { return I18n.t(`exercise.${id}.prompt`); }
+}));
+// the clause-set stages are compared with at most this many Skolem symbols (all bijections are tried)
+const MAX_SKOLEM_SYMBOLS = 6;
+
+// feedback is returned as catalogue messages { key, params } (see i18n.js),
+// translated when shown with messageText
+const msg = (key, params = {}) => ({ key, params });
+const SYMBOLS = { And: '∧', Or: '∨', Implies: '→', Iff: '↔', Xor: '⊕', Nand: '↑', Nor: '↓', Converse: '←', ForAll: '∀', Exists: '∃', Not: '¬' };
+
+// ---------- Exercise ----------
+// results of convert each stage's answer is checked against
+const ANSWER_KEYS = {
+  noImp: ['noImp'], nnf: ['nnf'], prenex: ['prenex'], cnf: ['prenex', 'cnf'],
+  skolem: ['skolem', 'clauses', 'simplified'], clauses: ['skolem', 'clauses', 'simplified']
+};
+// prepare(text, options) runs the pipeline once (options as in convert; the
+// CNF is the classical one, so the definitional mode is ignored) and returns
+// { text, options, result, stages: [{ id, title, prompt, available, reason (message) }] }
+// A stage left out by options.budget is unavailable, with the budget message as reason.
+function prepare(text, options = {}) {
+  const opts = Object.assign({}, options, { cnfMode: 'auto', targets: ['ast', 'noImp', 'nnf', 'standardized', 'prenex', 'cnf', 'skolem', 'clauses', 'simplified'] });
+  const result = E.convert(text, opts);
+  const stop = result.stopped && Object.values(result.stopped)[0];
+  const stages = STAGES.map(st => {
+    const stopped = ANSWER_KEYS[st.id].some(name => result[name] === undefined);
+    const skipped = !stopped && ['cnf', 'skolem', 'clauses'].includes(st.id) && result.cnf.skipped;
+    return Object.assign({}, st, {
+      available: !stopped && !skipped,
+      reason: stopped ? msg('budget.' + stop.budget, stop) : skipped ? msg('exercise.unavailable', { estimate: result.cnf.estimate }) : null
+    });
+  });
+  return { text, options: opts, result, stages };
+}
+function expectedOf(ex, stage) {
+  const r = ex.result;
+  switch (stage) {
+    case 'noImp': return r.noImp;
+    case 'nnf': return r.nnf;
+    case 'prenex': return E.applyPrefix(r.prenex.prefix, r.prenex.matrix);
+    case 'cnf': return E.applyPrefix(r.prenex.prefix, r.cnf.matrix);
+    case 'skolem': return r.skolem.matrix;
+    default: return null;
+  }
+}
+
+// ---------- Reading answers ----------
+// In the Skolem form and the clauses every variable is implicitly universal, so
+// bare names are told apart by the usual convention: u…z (x, y1, z') are
+// variables and any other lowercase name (c, a1, b) is a constant.
+const VARIABLE_NAME = /^[u-z]/;
+function readConstants(f) {
+  const term = t => t.term === 'Var' ? (VARIABLE_NAME.test(t.name) ? t : E.Term.Func(t.name, [])) : E.Term.Func(t.name, t.args.map(term));
+  switch (f.kind) {
+    case 'Pred': case 'Eq': case 'Neq': return E.mapAtomArgs(f, term);
+    case 'Not': return E.Node.Not(readConstants(f.child));
+    case 'ForAll': case 'Exists': return E.Node[f.kind](f.variable, readConstants(f.body));
+    case 'True': case 'False': return f;
+    default: return E.Node[f.kind](readConstants(f.left), readConstants(f.right));
+  }
+}
+function parseFormula(text, ex, constants = false) {
+  const ast = E.convert(text, { targets: ['ast'], syntax: ex.options.syntax || 'auto', implication: ex.options.implication || 'right' }).ast;
+  return constants ? readConstants(ast) : ast;
+}
+// top-level pieces of `text` between separators, outside parentheses
+function splitTopLevel(text, sep) {
+  const out = [];
+  let depth = 0, last = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || ch === ']') depth--;
+    else if (ch === sep && depth === 0) { out.push(text.slice(last, i)); last = i + 1; }
+  }
+  out.push(text.slice(last));
+  return out;
+}
+// clause list of a quantifier-free formula (any shape: it is put in CNF first)
+function clausesOfMatrix(f) {
+  return E.cnfToClauses(E.toCNFMatrix(E.simplifyConstants(E.toNNF(E.eliminateIffImp(f)))));
+}
+// clauses written as sets ({¬P(x), Q(x)}, {R}, {} or □ for the empty clause)
+// or as a quantifier-free formula (put in CNF under the budget of the exercise).
+// ⊥ in a set is dropped and a set with ⊤ is a tautology, left out.
+function parseClauses(text, ex) {
+  const body = text.trim();
+  if (body === '□' || body === '∅') return body === '□' ? [[]] : [];
+  if (!body.includes('{')) return E.withinBudget(ex.options.budget, () => clausesOfMatrix(parseFormula(body, ex, true)));
+  const groups = body.match(/\{[^{}]*\}/g) || [];
+  const rest = body.replace(/\{[^{}]*\}/g, '').replace(/[\s,;∧]|\\land/g, '');
+  if (rest) I18n.fail('error.clausesOutsideBraces', { rest });
+  const clauses = groups.map(g => {
+    const inner = g.slice(1, -1).trim();
+    if (!inner || inner === '□') return [];
+    const lits = splitTopLevel(inner, ',').map(part => {
+      const lit = parseFormula(part, ex, true);
+      if (!E.isLiteral(lit)) I18n.fail('error.clauseNotLiteral', { formula: toUnicode(lit) });
+      return E.simplifyConstants(lit); // ¬⊤ is ⊥, ¬⊥ is ⊤
+    });
+    if (lits.some(L => L.kind === 'True')) return null;
+    return lits.filter(L => L.kind !== 'False').map(L => E.cnfToClauses(L)[0][0]);
+  });
+  return clauses.filter(Boolean);
+}
+
+// ---------- Shape of an answer ----------
+// first subformula (pre-order) satisfying test, with the chain of its ancestors
+function findNode(f, test, ancestors = []) {
+  if (test(f, ancestors)) return { node: f, ancestors };
+  const next = [...ancestors, f];
+  if (f.kind === 'Not') return findNode(f.child, test, next);
+  if (f.body) return findNode(f.body, test, next);
+  if (f.left) return findNode(f.left, test, next) || findNode(f.right, test, next);
+  return null;
+}
+const isQuantifier = f => f.kind === 'ForAll' || f.kind === 'Exists';
+const quantifierText = f => (f.kind === 'ForAll' ? '∀' : '∃') + f.variable;
+// negation over a non-atom: what pushing it in would take (message 'exercise.negation.<kind>')
+const NEGATED_KINDS = ['Not', 'And', 'Or', 'ForAll', 'Exists'];
+// problems with the shape the stage asks for (empty when the shape is right)
+function shapeProblems(stage, f) {
+  const out = [];
+  const connective = findNode(f, g => ['Implies', 'Iff', 'Xor', 'Nand', 'Nor', 'Converse'].includes(g.kind));
+  if (connective) out.push(msg('exercise.shape.connective', { symbol: SYMBOLS[connective.node.kind], formula: toUnicode(connective.node) }));
+  if (stage === 'noImp') return out;
+  const negation = findNode(f, g => g.kind === 'Not' && NEGATED_KINDS.includes(g.child.kind));
+  if (negation) {
+    out.push(msg('exercise.shape.notNNF', { problem: msg('exercise.negation.' + negation.node.child.kind), formula: toUnicode(negation.node) }));
+  }
+  if (stage === 'nnf') return out;
+  if (stage === 'skolem') {
+    const q = findNode(f, isQuantifier);
+    if (q && q.node.kind === 'Exists') out.push(msg('exercise.shape.existential', { quantifier: quantifierText(q.node), variable: q.node.variable }));
+    else if (q) out.push(msg('exercise.shape.universal', { quantifier: quantifierText(q.node) }));
+    return out;
+  }
+  // prenex and cnf: quantifiers only in the prefix
+  const inner = findNode(f, (g, ancestors) => isQuantifier(g) && ancestors.some(a => !isQuantifier(a)));
+  if (inner) {
+    const parent = inner.ancestors[inner.ancestors.length - 1];
+    out.push(msg('exercise.shape.innerQuantifier', { quantifier: quantifierText(inner.node), symbol: SYMBOLS[parent.kind] }));
+  }
+  if (stage === 'cnf') {
+    let matrix = f;
+    while (isQuantifier(matrix)) matrix = matrix.body;
+    const nested = findNode(matrix, (g, ancestors) => g.kind === 'And' && ancestors.some(a => a.kind === 'Or'));
+    if (nested) out.push(msg('exercise.shape.nestedAnd', { formula: toUnicode(nested.ancestors.find(a => a.kind === 'Or')) }));
+  }
+  return out;
+}
+
+// ---------- Comparing formulas ----------
+// a and b equal up to renaming of bound variables
+function alphaEqual(a, b, env = []) {
+  const term = (s, t) => {
+    if (s.term !== t.term) return false;
+    if (s.term === 'Var') {
+      const k = env.findIndex(p => p[0] === s.name || p[1] === t.name);
+      return k < 0 ? s.name === t.name : env[k][0] === s.name && env[k][1] === t.name;
+    }
+    return s.name === t.name && s.args.length === t.args.length && s.args.every((x, i) => term(x, t.args[i]));
+  };
+  if (a.kind !== b.kind) return false;
+  switch (a.kind) {
+    case 'True': case 'False': return true;
+    case 'Pred': if (a.name !== b.name) return false; // falls through
+    case 'Eq': case 'Neq': return a.args.length === b.args.length && a.args.every((x, i) => term(x, b.args[i]));
+    case 'Not': return alphaEqual(a.child, b.child, env);
+    case 'ForAll': case 'Exists': return alphaEqual(a.body, b.body, [[a.variable, b.variable], ...env]);
+    default: return alphaEqual(a.left, b.left, env) && alphaEqual(a.right, b.right, env);
+  }
+}
+// first place where the answer departs from the expected formula, walking both
+// in parallel: { expected, answer } (null when they only differ in atoms)
+function firstDifference(expected, answer) {
+  if (expected.kind !== answer.kind) return { expected, answer };
+  if (expected.kind === 'Not') return firstDifference(expected.child, answer.child);
+  if (expected.body) return firstDifference(expected.body, answer.body);
+  if (expected.left) return firstDifference(expected.left, answer.left) || firstDifference(expected.right, answer.right);
+  return null;
+}
+// the quantifiers in front of f, outermost first
+function prefixOf(f) {
+  const out = [];
+  for (; isQuantifier(f); f = f.body) out.push(f);
+  return out;
+}
+// targeted feedback for an answer that is not equivalent
+function differenceHints(stage, expected, answer) {
+  const d = firstDifference(expected, answer);
+  if (!d) return [];
+  const kinds = [d.expected.kind, d.answer.kind].sort().join('/');
+  // the NNF stage adds the rule that swaps the symbol
+  const nnf = stage === 'nnf' ? 'NNF' : '';
+  if (kinds === 'And/Or') {
+    return [msg('exercise.hint.connective' + nnf, { formula: toUnicode(d.answer), expected: SYMBOLS[d.expected.kind], answer: SYMBOLS[d.answer.kind] })];
+  }
+  if (kinds === 'Exists/ForAll') {
+    // as many ∀ and ∃ as expected from here on: they are in another order, not of the wrong kind
+    const want = prefixOf(d.expected), got = prefixOf(d.answer);
+    const universals = list => list.filter(q => q.kind === 'ForAll').length;
+    if (want.length === got.length && universals(want) === universals(got)) {
+      return [msg('exercise.hint.quantifierOrder', { prefix: got.map(quantifierText).join(' ') })];
+    }
+    return [msg('exercise.hint.quantifier' + nnf, { variable: d.answer.variable, expected: SYMBOLS[d.expected.kind] })];
+  }
+  if (d.expected.kind === 'Not' && alphaEqual(d.expected.child, d.answer)) return [msg('exercise.hint.missingNegation', { formula: toUnicode(d.answer) })];
+  if (d.answer.kind === 'Not' && alphaEqual(d.answer.child, d.expected)) return [msg('exercise.hint.extraNegation', { formula: toUnicode(d.answer) })];
+  return [];
+}
+// compareFormulas with resolution tried first: a right answer in another form is
+// the common case, and the model search is slow on unsatisfiable clause sets
+function equivalence(expected, answer, limits) {
+  const body = E.Node.Iff(expected, answer);
+  const closed = E.freeVariables(body).reduceRight((f, v) => E.Node.ForAll(v, f), body);
+  if (findNode(closed, isQuantifier) && R.prove(Q.clausesOf(E.Node.Not(closed), limits.budget), limits).status === 'unsatisfiable') {
+    return { status: 'proved', propositional: false };
+  }
+  return Q.compareFormulas(expected, answer, limits);
+}
+const truthValue = b => msg(b ? 'value.true' : 'value.false');
+// an assignment as a list of messages name=value
+function assignmentParams(assignment) {
+  return Object.keys(assignment).map(k => msg('exercise.assignment', { name: k, value: truthValue(assignment[k]) }));
+}
+
+// ---------- Comparing clause sets ----------
+function dedupeLiterals(c) {
+  return c.filter((L, i) => c.findIndex(M => E.literalEquals(L, M)) === i);
+}
+// C and D equal up to renaming of their variables (and order of literals)
+function variant(C, D) {
+  return C.length === D.length && !!E.subsumes(C, D) && !!E.subsumes(D, C);
+}
+function dedupeClauses(clauses) {
+  const out = [];
+  clauses.map(dedupeLiterals).forEach(c => { if (!out.some(d => variant(c, d))) out.push(c); });
+  return out;
+}
+// function symbols (name -> arity) of clauses, in order of first occurrence
+function functionSymbols(clauses) {
+  const out = new Map();
+  const walk = t => { if (t.term === 'Func') { if (!out.has(t.name)) out.set(t.name, t.args.length); t.args.forEach(walk); } };
+  clauses.forEach(c => c.forEach(L => L.pred.args.forEach(walk)));
+  return out;
+}
+function renameFunctions(clauses, names) {
+  const term = t => t.term === 'Var' ? t : E.Term.Func(names[t.name] || t.name, t.args.map(term));
+  return clauses.map(c => c.map(L => ({ neg: L.neg, pred: E.mapAtomArgs(L.pred, term) })));
+}
+// every bijection from `from` onto `to` keeping arities (name -> name maps)
+function bijections(from, to) {
+  const out = [];
+  (function go(k, used, map) {
+    if (k === from.length) { out.push(Object.assign({}, map)); return; }
+    to.forEach(t => {
+      if (used.includes(t.name) || t.arity !== from[k].arity) return;
+      map[from[k].name] = t.name;
+      go(k + 1, [...used, t.name], map);
+    });
+  })(0, [], {});
+  return out;
+}
+// { missing, extra } clauses of the answer against the expected ones (both deduplicated)
+function clauseDifference(expected, answer) {
+  const missing = expected.filter(c => !answer.some(d => variant(c, d)));
+  const extra = answer.filter(c => !expected.some(d => variant(c, d)));
+  return { missing, extra };
+}
+// answer clauses checked against the expected clauses (and their simplified
+// form) up to renaming of variables and of the Skolem symbols. Returns
+// { ok, names (answer symbol -> Skolem symbol), missing, extra } for the
+// renaming that leaves the fewest differing clauses, plus the symbols involved.
+function compareClauses(ex, answer) {
+  const r = ex.result;
+  const originalFunctions = new Set(E.analyzeFormula(r.ast).signature.functions.map(f => f.name));
+  const skolem = r.skolem.mapping.map(m => ({ name: m.term.name, arity: m.term.args.length }));
+  const fresh = [...functionSymbols(answer)].filter(([name]) => !originalFunctions.has(name)).map(([name, arity]) => ({ name, arity }));
+  const candidates = [dedupeClauses(r.clauses), dedupeClauses(r.simplified.clauses)];
+  const renamings = fresh.length === skolem.length && fresh.length <= MAX_SKOLEM_SYMBOLS ? bijections(fresh, skolem) : [];
+  let best = null;
+  for (const names of renamings.length ? renamings : [{}]) {
+    const mine = dedupeClauses(renameFunctions(answer, names));
+    for (const expected of candidates) {
+      const d = clauseDifference(expected, mine);
+      if (!best || d.missing.length + d.extra.length < best.missing.length + best.extra.length) best = Object.assign({ names }, d);
+    }
+    if (!best.missing.length && !best.extra.length) break;
+  }
+  return Object.assign(best, { ok: !best.missing.length && !best.extra.length, fresh, skolem, originalFunctions });
+}
+// argument slots (predicate, sign and argument path) where each function symbol occurs
+function functionSlots(clauses) {
+  const out = {};
+  const walk = (t, slot) => {
+    if (t.term !== 'Func') return;
+    (out[t.name] = out[t.name] || new Set()).add(slot);
+    t.args.forEach((a, i) => walk(a, slot + '.' + i));
+  };
+  clauses.forEach(c => c.forEach(L => L.pred.args.forEach((t, i) => walk(t, (L.neg ? '¬' : '') + L.pred.name + '/' + i))));
+  return out;
+}
+// where the Skolem terms of the answer differ from the expected ones: each
+// expected Skolem term is paired with the answer's new symbol found in the
+// same argument slot, or else the next one in order of first occurrence
+function skolemHints(ex, answer, cmp) {
+  const r = ex.result;
+  const out = [];
+  const answerVars = new Set();
+  const walkVars = t => { if (t.term === 'Var') answerVars.add(t.name); else t.args.forEach(walkVars); };
+  answer.forEach(c => c.forEach(L => L.pred.args.forEach(walkVars)));
+  r.skolem.mapping.forEach(m => {
+    if (answerVars.has(m.variable)) out.push(msg('exercise.hint.stillVariable', { variable: m.variable }));
+  });
+  const terms = [];
+  const collect = t => { if (t.term === 'Func') { if (!terms.some(s => s.name === t.name)) terms.push(t); t.args.forEach(collect); } };
+  answer.forEach(c => c.forEach(L => L.pred.args.forEach(collect)));
+  const freshTerms = terms.filter(t => !cmp.originalFunctions.has(t.name));
+  const expectedSlots = functionSlots(r.clauses), answerSlots = functionSlots(answer);
+  const shares = (a, b) => [...(expectedSlots[a] || [])].some(slot => answerSlots[b] && answerSlots[b].has(slot));
+  const paired = new Map();
+  r.skolem.mapping.forEach(m => {
+    const mine = freshTerms.find(t => !paired.has(t) && shares(m.term.name, t.name));
+    if (mine) paired.set(mine, m);
+  });
+  r.skolem.mapping.filter(m => ![...paired.values()].includes(m) && !answerVars.has(m.variable)).forEach(m => {
+    const mine = freshTerms.find(t => !paired.has(t));
+    if (mine) paired.set(mine, m); else out.push(msg('exercise.hint.missingSkolem', { variable: m.variable, term: E.toUnicodeTerm(m.term) }));
+  });
+  const universals = r.prenex.prefix.filter(p => p.q === 'forall').map(p => p.v);
+  paired.forEach((m, mine) => {
+    const deps = m.term.args.map(a => a.name);
+    const term = `${m.variable} ↦ ${E.toUnicodeTerm(m.term)}`;
+    const what = msg(mine.args.length ? 'exercise.hint.skolemFunction' : 'exercise.hint.skolemConstant', { name: mine.name, variable: m.variable });
+    const args = mine.args.filter(a => a.term === 'Var').map(a => a.name);
+    if (!args.every(v => universals.includes(v))) {
+      // variables renamed by the student: only the number of arguments can be compared
+      if (args.length !== deps.length) out.push(msg('exercise.hint.arity', { what, count: args.length, expected: deps.length, variable: m.variable, term }));
+      return;
+    }
+    const missing = deps.filter(v => !args.includes(v));
+    const extra = args.filter(v => !deps.includes(v));
+    if (missing.length) {
+      out.push(msg(missing.length > 1 ? 'exercise.hint.missingArguments' : 'exercise.hint.missingArgument', { what, arguments: missing.join(', '), variable: m.variable, term }));
+    } else if (extra.length) out.push(msg('exercise.hint.extraArguments', { what, arguments: extra.join(', '), variable: m.variable, term }));
+  });
+  if (cmp.fresh.length < cmp.skolem.length && !out.length) {
+    out.push(msg('exercise.hint.skolemCount', { expected: cmp.skolem.length, count: cmp.fresh.length }));
+  }
+  return out;
+}
+
+// ---------- Checking ----------
+// check(ex, stage, answer) returns {
+//   stage, status: 'correct' | 'incorrect' | 'unknown' (equivalence not decided
+//   within the limits or the budget of the exercise options) | 'invalid' (the answer could not be read),
+//   messages: [{ key, params }] (see messageText), error (parse error, for 'invalid')
+// }
+// a thrown error as a message, with its position for parse errors
+function errorMessage(e) {
+  if (!e || !e.code) return msg('exercise.error', { message: e && e.message || String(e) });
+  return Object.assign(msg(e.code, e.params), e.line ? { line: e.line, column: e.column, multiline: !!e.multiline } : {});
+}
+function check(ex, stage, answer, limits = {}) {
+  const info = ex.stages.find(st => st.id === stage);
+  if (!info) I18n.fail('error.unknownExerciseStage', { stage });
+  if (!info.available) return { stage, status: 'unknown', messages: [info.reason] };
+  const result = { stage, status: 'incorrect', messages: [] };
+  let parsed;
+  try {
+    parsed = stage === 'clauses' ? parseClauses(answer, ex) : parseFormula(answer, ex, stage === 'skolem');
+  } catch (e) {
+    if (e.budget) return Object.assign(result, { status: 'unknown', messages: [msg('exercise.undecided'), errorMessage(e)] });
+    return Object.assign(result, { status: 'invalid', messages: [errorMessage(e)], error: e });
+  }
+  if (stage === 'skolem' || stage === 'clauses') {
+    if (stage === 'skolem') result.messages.push(...shapeProblems(stage, parsed));
+    if (result.messages.length) return result;
+    let clauses;
+    try { clauses = stage === 'skolem' ? E.withinBudget(ex.options.budget, () => clausesOfMatrix(parsed)) : parsed; } catch (e) {
+      if (!e.budget) throw e;
+      return Object.assign(result, { status: 'unknown', messages: [msg('exercise.undecided'), errorMessage(e)] });
+    }
+    const cmp = compareClauses(ex, clauses);
+    if (cmp.ok) {
+      const renamed = Object.keys(cmp.names).filter(k => k !== cmp.names[k]).map(k => `${k} = ${cmp.names[k]}`);
+      return Object.assign(result, { status: 'correct', messages: [renamed.length ? msg('exercise.correctRenamed', { renaming: renamed.join(', ') }) : msg('exercise.correctExact')] });
+    }
+    result.messages.push(...skolemHints(ex, clauses, cmp));
+    if (!result.messages.length && stage === 'clauses') {
+      cmp.missing.slice(0, 3).forEach(c => result.messages.push(msg('exercise.missingClause', { clause: E.unicodeClause(c) })));
+      cmp.extra.slice(0, 3).forEach(c => result.messages.push(msg('exercise.extraClause', { clause: E.unicodeClause(c) })));
+    }
+    if (!result.messages.length) result.messages.push(msg('exercise.clausesDiffer'));
+    return result;
+  }
+  const expected = expectedOf(ex, stage);
+  if (alphaEqual(expected, parsed)) return Object.assign(result, { status: 'correct', messages: [msg('exercise.correctExact')] });
+  const shape = shapeProblems(stage, parsed);
+  if (shape.length) return Object.assign(result, { messages: [msg('exercise.wrongShape'), ...shape] });
+  let cmp;
+  try {
+    cmp = equivalence(expected, parsed, Object.assign({ budget: ex.options.budget }, limits));
+  } catch (e) {
+    if (!e.budget) throw e;
+    return Object.assign(result, { status: 'unknown', messages: [msg('exercise.undecided'), errorMessage(e)] });
+  }
+  if (cmp.status === 'proved') {
+    return Object.assign(result, { status: 'correct', messages: [msg('exercise.equivalent')] });
+  }
+  result.messages.push(...differenceHints(stage, expected, parsed));
+  if (cmp.status === 'disproved') {
+    result.messages.push(cmp.propositional
+      ? msg('exercise.counterexample', { assignment: assignmentParams(cmp.counterexample), a: truthValue(cmp.values.a), b: truthValue(cmp.values.b) })
+      : msg('exercise.notEquivalent'));
+    return result;
+  }
+  return Object.assign(result, { status: 'unknown', messages: [msg('exercise.undecided'), ...result.messages] });
+}
+
+// text of a feedback message in `locale`
+function messageText(m, locale = I18n.getLocale()) {
+  const text = I18n.t(m.key, m.params, locale);
+  return m.line ? text + I18n.t(m.multiline ? 'syntax.line' : 'syntax.position', m, locale) : text;
+}
+
+// ---------- Session history ----------
+// attempts ([{ at, formula, stage, answer, status, messages }]) as CSV, one
+// line each, with the header and the comments in `locale`
+function attemptsToCSV(attempts, locale = I18n.getLocale()) {
+  const cell = v => '"' + String(v).replace(/"/g, '""') + '"';
+  const header = ['at', 'formula', 'stage', 'answer', 'status', 'messages'].map(k => I18n.t('exercise.csv.' + k, {}, locale));
+  const lines = [header.map(cell).join(',')];
+  attempts.forEach(a => lines.push([a.at, a.formula, a.stage, a.answer, a.status, a.messages.map(m => messageText(m, locale)).join(' ')].map(cell).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+return { STAGES, prepare, check, parseClauses, alphaEqual, messageText, attemptsToCSV };
+});
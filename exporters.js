@@ -0,0 +1,210 @@
+// prenex-cnf-dnf-calculator — exporters.
+// Writes formulas (AST) and clause lists (`cnfToClauses`) in the input formats
+// of external tools: TPTP, SMT-LIB 2, DIMACS and Prolog. Exposed as
+// `PrenexExport` in the browser and through `module.exports` under Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./i18n.js'));
+  else root.PrenexExport = factory(root.PrenexEngine, root.PrenexI18n);
+})(typeof self !== 'undefined' ? self : this, function (E, I18n) {
+'use strict';
+
+const FORMATS = ['tptp', 'smtlib', 'dimacs', 'prolog'];
+const EXTENSIONS = { tptp: 'p', smtlib: 'smt2', dimacs: 'cnf', prolog: 'pl' };
+
+// ---------- Symbols ----------
+function termSymbols(t, out) {
+  if (t.term === 'Var') out.vars.add(t.name);
+  else { out.functions.set(t.name, t.args.length); t.args.forEach(a => termSymbols(a, out)); }
+}
+// predicates, functions (name -> arity), variable names and use of = in formulas and clauses
+function symbolsOf(formulas, clauses) {
+  const out = { predicates: new Map(), functions: new Map(), vars: new Set(), equality: false };
+  const atom = a => {
+    if (a.kind === 'Pred') out.predicates.set(a.name, a.args.length);
+    if (a.args) a.args.forEach(t => termSymbols(t, out));
+  };
+  formulas.forEach(function walk(f) {
+    if (f.kind === 'Eq' || f.kind === 'Neq') out.equality = true;
+    if (f.kind === 'Not') walk(f.child);
+    else if (f.body) { out.vars.add(f.variable); walk(f.body); }
+    else if (f.left) { walk(f.left); walk(f.right); }
+    else atom(f);
+  });
+  clauses.forEach(c => c.forEach(L => {
+    if (L.pred.kind === 'Eq') out.equality = true;
+    atom(L.pred);
+  }));
+  return out;
+}
+// TPTP and Prolog share the lexical rules: symbols are lower words (or quoted),
+// variables start with an uppercase letter
+function prologNames(sym) {
+  const symbols = {}, vars = {};
+  const taken = new Set();
+  const all = [...sym.predicates.keys(), ...sym.functions.keys()];
+  all.forEach(name => {
+    if (name in symbols) return;
+    let out = /^[a-z][A-Za-z0-9_]*$/.test(name) ? name : name[0].toLowerCase() + name.slice(1);
+    if (!/^[a-z][A-Za-z0-9_]*$/.test(out) || taken.has(out) || (out !== name && all.includes(out))) out = "'" + name.replace(/[\\']/g, '\\$&') + "'";
+    symbols[name] = out;
+    taken.add(out);
+  });
+  sym.vars.forEach(name => {
+    let base = name[0].toUpperCase() + name.slice(1).replace(/[^A-Za-z0-9_]/g, '_');
+    if (!/^[A-Z]/.test(base)) base = 'X' + base;
+    let out = base;
+    for (let k = 1; Object.values(vars).includes(out); k++) out = base + '_' + k;
+    vars[name] = out;
+  });
+  return { symbol: n => symbols[n], variable: n => vars[n] };
+}
+
+// ---------- TPTP ----------
+function tptpTerm(t, names) {
+  if (t.term === 'Var') return names.variable(t.name);
+  return names.symbol(t.name) + (t.args.length ? '(' + t.args.map(a => tptpTerm(a, names)).join(',') + ')' : '');
+}
+function tptpAtom(a, names, neg) {
+  if (a.kind === 'Eq' || a.kind === 'Neq') {
+    const op = (a.kind === 'Neq') !== !!neg ? ' != ' : ' = ';
+    return tptpTerm(a.args[0], names) + op + tptpTerm(a.args[1], names);
+  }
+  const text = names.symbol(a.name) + (a.args.length ? '(' + a.args.map(t => tptpTerm(t, names)).join(',') + ')' : '');
+  return neg ? '~ ' + text : text;
+}
+function tptpFormula(f, names) {
+  switch (f.kind) {
+    case 'True': return '$true';
+    case 'False': return '$false';
+    case 'Pred': case 'Eq': case 'Neq': return tptpAtom(f, names, false);
+    case 'Not': return f.child.kind === 'Eq' || f.child.kind === 'Neq' ? tptpAtom(f.child, names, true) : '~ ' + tptpFormula(f.child, names);
+    case 'And': return '(' + E.operands('And', f).map(g => tptpFormula(g, names)).join(' & ') + ')';
+    case 'Or': return '(' + E.operands('Or', f).map(g => tptpFormula(g, names)).join(' | ') + ')';
+    case 'Implies': return '(' + tptpFormula(f.left, names) + ' => ' + tptpFormula(f.right, names) + ')';
+    case 'Iff': return '(' + tptpFormula(f.left, names) + ' <=> ' + tptpFormula(f.right, names) + ')';
+    case 'Xor': return '(' + tptpFormula(f.left, names) + ' <~> ' + tptpFormula(f.right, names) + ')';
+    case 'Nand': return '(' + tptpFormula(f.left, names) + ' ~& ' + tptpFormula(f.right, names) + ')';
+    case 'Nor': return '(' + tptpFormula(f.left, names) + ' ~| ' + tptpFormula(f.right, names) + ')';
+    case 'Converse': return '(' + tptpFormula(f.left, names) + ' <= ' + tptpFormula(f.right, names) + ')';
+    case 'ForAll': case 'Exists': {
+      const vars = [];
+      let body = f;
+      while (body.kind === f.kind) { vars.push(names.variable(body.variable)); body = body.body; }
+      return (f.kind === 'ForAll' ? '! [' : '? [') + vars.join(',') + '] : ' + tptpFormula(body, names);
+    }
+  }
+}
+function tptpClause(lits, names) {
+  if (!lits.length) return '$false';
+  return '(' + lits.map(L => tptpAtom(L.pred, names, L.neg)).join(' | ') + ')';
+}
+// toTPTP({ formula, role, clauses }) — a fof annotated formula (free variables
+// closed universally) and/or one cnf line per clause (role axiom)
+function toTPTP({ formula = null, role = 'axiom', clauses = null }) {
+  const names = prologNames(symbolsOf(formula ? [formula] : [], clauses || []));
+  const lines = [];
+  if (formula) {
+    const closed = E.universalClosure(formula);
+    lines.push(`fof(formula, ${role}, ${tptpFormula(closed, names)}).`);
+  }
+  if (clauses) clauses.forEach((c, k) => lines.push(`cnf(c${k + 1}, axiom, ${tptpClause(c, names)}).`));
+  return lines.join('\n') + '\n';
+}
+
+// ---------- SMT-LIB 2 ----------
+function smtName(name) { return /^[A-Za-z][A-Za-z0-9_]*$/.test(name) ? name : '|' + name + '|'; }
+function smtTerm(t) {
+  if (t.term === 'Var' || !t.args.length) return smtName(t.name);
+  return '(' + smtName(t.name) + ' ' + t.args.map(smtTerm).join(' ') + ')';
+}
+function smtAtom(a) {
+  if (a.kind === 'Eq') return `(= ${smtTerm(a.args[0])} ${smtTerm(a.args[1])})`;
+  if (a.kind === 'Neq') return `(distinct ${smtTerm(a.args[0])} ${smtTerm(a.args[1])})`;
+  return a.args.length ? '(' + smtName(a.name) + ' ' + a.args.map(smtTerm).join(' ') + ')' : smtName(a.name);
+}
+function smtFormula(f) {
+  switch (f.kind) {
+    case 'True': return 'true';
+    case 'False': return 'false';
+    case 'Pred': case 'Eq': case 'Neq': return smtAtom(f);
+    case 'Not': return `(not ${smtFormula(f.child)})`;
+    case 'And': return '(and ' + E.operands('And', f).map(smtFormula).join(' ') + ')';
+    case 'Or': return '(or ' + E.operands('Or', f).map(smtFormula).join(' ') + ')';
+    case 'Implies': return `(=> ${smtFormula(f.left)} ${smtFormula(f.right)})`;
+    case 'Iff': return `(= ${smtFormula(f.left)} ${smtFormula(f.right)})`;
+    case 'Xor': return `(xor ${smtFormula(f.left)} ${smtFormula(f.right)})`;
+    case 'Nand': return `(not (and ${smtFormula(f.left)} ${smtFormula(f.right)}))`;
+    case 'Nor': return `(not (or ${smtFormula(f.left)} ${smtFormula(f.right)}))`;
+    case 'Converse': return `(=> ${smtFormula(f.right)} ${smtFormula(f.left)})`;
+    case 'ForAll': case 'Exists': {
+      const vars = [];
+      let body = f;
+      while (body.kind === f.kind) { vars.push(body.variable); body = body.body; }
+      return `(${f.kind === 'ForAll' ? 'forall' : 'exists'} (${vars.map(v => `(${smtName(v)} U)`).join(' ')}) ${smtFormula(body)})`;
+    }
+  }
+}
+function smtClause(lits) {
+  const vars = [];
+  const walk = t => { if (t.term === 'Var') { if (!vars.includes(t.name)) vars.push(t.name); } else t.args.forEach(walk); };
+  lits.forEach(L => L.pred.args.forEach(walk));
+  const body = !lits.length ? 'false' : lits.length === 1 ? smtLiteral(lits[0]) : '(or ' + lits.map(smtLiteral).join(' ') + ')';
+  return vars.length ? `(forall (${vars.map(v => `(${smtName(v)} U)`).join(' ')}) ${body})` : body;
+}
+function smtLiteral(L) { return L.neg ? `(not ${smtAtom(L.pred)})` : smtAtom(L.pred); }
+// toSMTLIB({ formula, role, clauses }) — one uninterpreted sort U, declarations,
+// then `(assert F)` (role 'axiom') or `(assert (not F))` (role 'conjecture',
+// so unsat means F is valid) and/or one assert per clause
+function toSMTLIB({ formula = null, role = 'axiom', clauses = null }) {
+  const sym = symbolsOf(formula ? [formula] : [], clauses || []);
+  const usesSort = sym.equality || sym.functions.size > 0 || sym.vars.size > 0 || [...sym.predicates.values()].some(k => k > 0);
+  const lines = [`(set-logic ${usesSort ? 'UF' : 'QF_UF'})`];
+  if (usesSort) lines.push('(declare-sort U 0)');
+  sym.functions.forEach((k, name) => lines.push(`(declare-fun ${smtName(name)} (${Array(k).fill('U').join(' ')}) U)`));
+  sym.predicates.forEach((k, name) => lines.push(`(declare-fun ${smtName(name)} (${Array(k).fill('U').join(' ')}) Bool)`));
+  if (formula) {
+    const closed = E.universalClosure(formula);
+    lines.push(role === 'conjecture' ? `(assert (not ${smtFormula(closed)}))` : `(assert ${smtFormula(closed)})`);
+  }
+  if (clauses) clauses.forEach(c => lines.push(`(assert ${smtClause(c)})`));
+  lines.push('(check-sat)');
+  return lines.join('\n') + '\n';
+}
+
+// ---------- DIMACS ----------
+// { text, atoms: [{ id, name }] } for a clause set whose atoms are all nullary
+function toDIMACS(clauses) {
+  const atoms = [];
+  const id = L => {
+    if (L.pred.kind !== 'Pred' || L.pred.args.length) I18n.fail('error.dimacs');
+    let a = atoms.find(x => x.name === L.pred.name);
+    if (!a) atoms.push(a = { id: atoms.length + 1, name: L.pred.name });
+    return L.neg ? -a.id : a.id;
+  };
+  const body = clauses.map(c => c.map(id).concat(0).join(' '));
+  const text = ['c prenex-cnf-dnf-calculator', ...atoms.map(a => `c ${a.id} ${a.name}`),
+    `p cnf ${atoms.length} ${clauses.length}`, ...body].join('\n') + '\n';
+  return { text, atoms };
+}
+
+// ---------- Prolog ----------
+// { text, rules, goals } for a Horn clause set: definite clauses become facts and
+// rules, negative clauses become goals (written as ?- comments)
+function toProlog(clauses) {
+  if (clauses.some(c => c.some(L => L.pred.kind === 'Eq'))) I18n.fail('error.prologEquality');
+  if (clauses.some(c => c.filter(L => !L.neg).length > 1)) I18n.fail('error.notHorn');
+  const names = prologNames(symbolsOf([], clauses));
+  const atom = a => tptpAtom(a, names, false);
+  const rules = [], goals = [];
+  clauses.forEach(c => {
+    const head = c.find(L => !L.neg);
+    const body = c.filter(L => L.neg).map(L => atom(L.pred));
+    if (!head) goals.push(`?- ${body.length ? body.join(', ') : 'true'}.`);
+    else rules.push(body.length ? `${atom(head.pred)} :- ${body.join(', ')}.` : `${atom(head.pred)}.`);
+  });
+  const text = rules.concat(goals.map(g => '% ' + g)).join('\n') + '\n';
+  return { text, rules, goals };
+}
+
+return { FORMATS, EXTENSIONS, toTPTP, toSMTLIB, toDIMACS, toProlog };
+});
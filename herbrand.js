@@ -0,0 +1,166 @@
+// prenex-cnf-dnf-calculator — Herbrand universe explorer.
+// Builds the Herbrand universe and base of a clause set (after Skolemization),
+// grounds the clauses over terms of growing depth and checks each finite set of
+// ground instances propositionally. Exposed as `PrenexHerbrand` in the browser
+// and through `module.exports` under Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./propositional.js'));
+  else root.PrenexHerbrand = factory(root.PrenexEngine, root.PrenexPropositional);
+})(typeof self !== 'undefined' ? self : this, function (E, P) {
+'use strict';
+
+const { Node, Term, applySubstToLiteral, literalEquals } = E;
+
+const DEFAULT_LIMITS = { maxTerms: 200, maxAtoms: 500, maxInstances: 3000 };
+// the search for a minimal unsatisfiable subset tries every instance once
+const MAX_CORE_INSTANCES = 200;
+
+// ---------- Signature ----------
+// { constants: [name], functions: [{ name, arity }], predicates: [{ name, arity }],
+//   added: name of the default constant when the clauses had none, else null }
+function signatureOf(clauses) {
+  const constants = [], functions = [], predicates = [];
+  const add = (list, name, arity) => { if (!list.some(s => s.name === name)) list.push({ name, arity }); };
+  function term(t) {
+    if (t.term === 'Var') return;
+    if (!t.args.length) { if (!constants.includes(t.name)) constants.push(t.name); }
+    else add(functions, t.name, t.args.length);
+    t.args.forEach(term);
+  }
+  clauses.forEach(c => c.forEach(L => {
+    if (L.pred.kind === 'Pred') add(predicates, L.pred.name, L.pred.args.length);
+    else add(predicates, '=', 2);
+    L.pred.args.forEach(term);
+  }));
+  let added = null;
+  if (!constants.length) {
+    added = 'a';
+    for (let k = 1; functions.some(f => f.name === added); k++) added = 'a' + k;
+    constants.push(added);
+  }
+  return { constants, functions, predicates, added };
+}
+
+// ---------- Universe, base and ground instances ----------
+// the k-tuples over items, one at a time (last position fastest), so that the
+// callers can stop at their caps without building the whole product
+function* tuplesOver(items, k) {
+  if (k && !items.length) return;
+  const index = new Array(k).fill(0);
+  for (;;) {
+    yield index.map(i => items[i]);
+    let pos = k - 1;
+    while (pos >= 0 && ++index[pos] === items.length) index[pos--] = 0;
+    if (pos < 0) return;
+  }
+}
+// terms of depth 0..depth, level by level; stops once maxTerms terms exist
+function universe(sig, depth, maxTerms = DEFAULT_LIMITS.maxTerms) {
+  const levels = [sig.constants.map(c => Term.Func(c, []))];
+  let all = levels[0].slice(), truncated = false;
+  for (let d = 1; d <= depth && !truncated; d++) {
+    const level = [];
+    const previous = new Set(levels[d - 1]);
+    for (const f of sig.functions) {
+      for (const args of tuplesOver(all, f.arity)) {
+        if (!args.some(a => previous.has(a))) continue;
+        if (all.length + level.length >= maxTerms) { truncated = true; break; }
+        level.push(Term.Func(f.name, args));
+      }
+      if (truncated) break;
+    }
+    levels.push(level);
+    all = all.concat(level);
+  }
+  return { levels, terms: all, truncated };
+}
+// ground atoms over the given terms (equality included when the clauses use it)
+function herbrandBase(sig, terms, maxAtoms = DEFAULT_LIMITS.maxAtoms) {
+  const atoms = [];
+  for (const p of sig.predicates) {
+    for (const args of tuplesOver(terms, p.arity)) {
+      if (atoms.length >= maxAtoms) return { atoms, truncated: true };
+      atoms.push(p.name === '=' ? Node.Eq(args[0], args[1]) : Node.Pred(p.name, args));
+    }
+  }
+  return { atoms, truncated: false };
+}
+function clauseVars(lits) {
+  const out = [];
+  const walk = t => { if (t.term === 'Var') { if (!out.includes(t.name)) out.push(t.name); } else t.args.forEach(walk); };
+  lits.forEach(L => L.pred.args.forEach(walk));
+  return out;
+}
+// [{ clause: index, subst, lits }] for every clause and every choice of terms
+function groundInstances(clauses, terms, maxInstances = DEFAULT_LIMITS.maxInstances) {
+  const instances = [];
+  for (let index = 0; index < clauses.length; index++) {
+    const vars = clauseVars(clauses[index]);
+    for (const values of tuplesOver(terms, vars.length)) {
+      if (instances.length >= maxInstances) return { instances, truncated: true };
+      const subst = {};
+      vars.forEach((v, i) => { subst[v] = values[i]; });
+      const lits = [];
+      clauses[index].forEach(L => {
+        const G = applySubstToLiteral(L, subst);
+        if (!lits.some(M => literalEquals(G, M))) lits.push(G);
+      });
+      instances.push({ clause: index, subst, lits });
+    }
+  }
+  return { instances, truncated: false };
+}
+
+// ---------- Propositional check ----------
+// ground atoms become propositional names (= is an ordinary atom here)
+function propositional(instances) {
+  return instances.map(inst => inst.lits.map(L => ({ neg: L.neg, name: E.toUnicode(L.pred) })));
+}
+function satisfiable(instances) { return !!P.dpll(propositional(instances)); }
+// drop every instance not needed for unsatisfiability (deletion-based)
+function minimalCore(instances) {
+  let core = instances.slice();
+  for (let k = core.length - 1; k >= 0; k--) {
+    const without = core.slice(0, k).concat(core.slice(k + 1));
+    if (!satisfiable(without)) core = without;
+  }
+  return core;
+}
+
+// explore(clauses, depth, limits) grounds the clauses over the universe of depth
+// 0, 1, ..., depth and stops at the first depth whose instances are unsatisfiable,
+// or whose universe, base or instances hit their caps (deeper levels would only
+// be cut at the same caps).
+// Returns {
+//   signature,
+//   levels: [{ depth, terms, atoms, instances, satisfiable, truncated }],
+//   universe, base, instances (of the last depth explored),
+//   unsatisfiable, core: minimal unsatisfiable set of instances (null when not
+//   unsatisfiable or when there are more than MAX_CORE_INSTANCES instances)
+// }
+function explore(clauses, depth, limits = {}) {
+  const lim = Object.assign({}, DEFAULT_LIMITS, limits);
+  const signature = signatureOf(clauses);
+  const levels = [];
+  let last = null;
+  for (let d = 0; d <= depth; d++) {
+    const u = universe(signature, d, lim.maxTerms);
+    const base = herbrandBase(signature, u.terms, lim.maxAtoms);
+    const ground = groundInstances(clauses, u.terms, lim.maxInstances);
+    const sat = satisfiable(ground.instances);
+    levels.push({
+      depth: d, terms: u.terms.length, atoms: base.atoms.length, instances: ground.instances.length,
+      satisfiable: sat, truncated: u.truncated || base.truncated || ground.truncated
+    });
+    last = { universe: u, base, instances: ground.instances };
+    if (!sat) break;
+    // no function symbols: deeper levels add nothing
+    if (!signature.functions.length || levels[levels.length - 1].truncated) break;
+  }
+  const unsatisfiable = !levels[levels.length - 1].satisfiable;
+  const core = unsatisfiable && last.instances.length <= MAX_CORE_INSTANCES ? minimalCore(last.instances) : null;
+  return Object.assign({ signature, levels, unsatisfiable, core }, last);
+}
+
+return { DEFAULT_LIMITS, signatureOf, universe, herbrandBase, groundInstances, explore };
+});
@@ -0,0 +1,1784 @@
+// prenex-cnf-dnf-calculator — message catalogue.
+// Every text the engine and the page show, keyed by a message code, in
+// Brazilian Portuguese (the default), English and Spanish. Messages take named
+// parameters ({name} placeholders); a parameter may itself be a message
+// ({ key, params }, translated in the same locale) or a list (joined with the
+// locale's "and"). Missing keys fall back to pt-BR, then to the key itself.
+// Exposed as `PrenexI18n` in the browser and through `module.exports` under Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.PrenexI18n = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+const LOCALES = ['pt-BR', 'en', 'es'];
+const DEFAULT_LOCALE = 'pt-BR';
+// name of each locale in its own language, for selectors
+const LOCALE_NAMES = { 'pt-BR': 'Português (Brasil)', 'en': 'English', 'es': 'Español' };
+
+const MESSAGES = {
+  'pt-BR': {
+    'list.and': ' e ',
+
+    // ---------- engine: errors ----------
+    'error.unknownSyntax': 'Sintaxe desconhecida: {syntax}',
+    'error.unknownImplication': 'Associatividade de → desconhecida: {mode}',
+    'error.unknownTerm': 'Termo desconhecido',
+    'error.unknownNode': 'Nó desconhecido: {kind}',
+    'error.nnfUnexpected': 'Forma inesperada em NNF: {kind}',
+    'error.unknownStrategy': 'Estratégia de prenex desconhecida: {strategy}',
+    'error.prenexNotNNF': 'Forma não-NNF em prenex: {kind}',
+    'error.cnfUnexpected': 'Forma inesperada na matrix CNF: {kind}',
+    'error.dnfUnexpected': 'Forma inesperada na matrix DNF: {kind}',
+    'error.cnfLiteral': 'Literal inválido na CNF',
+    'error.unknownStage': 'Etapa desconhecida: {stage}',
+    'error.unknownCnfMode': 'Modo de CNF desconhecido: {mode}',
+    'error.unknownBudget': 'Limite desconhecido ou inválido: {name} = {value}',
+    'error.notPropositional': 'Fórmula não proposicional: {kind}',
+    'error.unknownRelation': 'Relação desconhecida: {relation}',
+    'error.unknownExerciseStage': 'Etapa de exercício desconhecida: {stage}',
+    'error.clausesOutsideBraces': "Texto fora das chaves: '{rest}'. Escreva as cláusulas como {¬P(x), Q(x)}, {R}.",
+    'error.clauseNotLiteral': '{formula} não é um literal: cada cláusula lista literais separados por vírgula.',
+    'budget.nodes': 'grande demais — interrompido em {count} nós',
+    'budget.clauses': 'grande demais — interrompido em {count} cláusulas (seriam {needed})',
+    'budget.time': 'demorado demais — interrompido após {count} ms',
+    'budget.panel': 'Conversão interrompida: {reason}. Os limites ficam nas opções acima.',
+    'error.modelJson': 'Modelo inválido: JSON malformado ({detail}).',
+    'error.modelObject': 'Modelo inválido: esperado um objeto { "domain", "predicates", "functions" }.',
+    'error.modelDomainSize': 'Modelo inválido: "domain" deve ser um inteiro positivo ou uma lista.',
+    'error.modelDomainList': 'Modelo inválido: "domain" deve ser uma lista não vazia.',
+    'error.modelElement': 'Modelo inválido: elemento de domínio inválido: {element}',
+    'error.modelRepeated': 'Modelo inválido: elementos repetidos no domínio.',
+    'error.modelNotInDomain': 'Modelo inválido: {symbol}: {element} não está no domínio.',
+    'error.modelPredicate': 'Modelo inválido: o predicado {name} deve ser true/false ou uma lista de tuplas.',
+    'error.modelTuples': 'Modelo inválido: as tuplas de {name} têm tamanhos diferentes.',
+    'error.modelFunction': 'Modelo inválido: as entradas de {name} têm aridades diferentes.',
+    'error.unboundVariable': 'Variável livre sem valor: {name}',
+    'error.programEquality': 'O programa lógico não aceita igualdade.',
+    'error.notHorn': 'O conjunto não é Horn: alguma cláusula tem mais de um literal positivo.',
+    'error.query': 'A consulta deve ser uma conjunção de átomos, como P(x) ∧ Q(x, y).',
+    'error.dimacs': 'DIMACS só aceita cláusulas proposicionais (átomos sem argumentos).',
+    'error.prologEquality': 'A exportação para Prolog não aceita igualdade.',
+
+    // ---------- engine: syntax errors and hints ----------
+    'syntax.latexCommand': 'Comando LaTeX desconhecido: \\{command}',
+    'syntax.unexpectedChar': 'Caractere inesperado: {char}',
+    'syntax.tptpAnnotated': 'Esperado fof(...) ou cnf(...) na entrada TPTP.',
+    'syntax.tptpFormat': 'Formato TPTP esperado: {language}(nome, papel, fórmula).',
+    'syntax.tptpUnclosed': 'Parêntese de {language}(...) não fechado.',
+    'syntax.expected': 'Esperado {expected}, obtido {found}',
+    'syntax.trailing': "Tokens sobrando após a fórmula: '{token}'",
+    'syntax.incomplete': 'Fórmula incompleta.',
+    'syntax.expectedFormula': 'Esperado uma fórmula, obtido {found}',
+    'syntax.bareLowercase': 'Uso atômico inválido de identificador: {name}. Use Predicados como P(x) ou um nome iniciando com maiúscula.',
+    'syntax.line': ' (linha {line}, coluna {column})',
+    'syntax.position': ' (posição {column})',
+    'hint.latexUse': 'Use \\{fix} no lugar de \\{command}.',
+    'hint.latexAccepted': 'Comandos aceitos: {commands}.',
+    'hint.tptpQuantifier': 'Em TPTP, {char} é um quantificador: {char}[X]: ...',
+    'hint.closeParen': 'Parênteses desbalanceados: feche com ).',
+    'hint.missingClose': 'Parênteses desbalanceados: falta fechar um (.',
+    'hint.unmatchedClose': 'Parênteses desbalanceados: este ) não tem ( correspondente.',
+    'hint.missingConnective': 'Falta um conectivo (∧, ∨, →, ↔) antes deste ponto?',
+    'hint.quantifierVariable': '{quantifier} precisa de uma variável logo depois, como em {quantifier}x P(x).',
+    'hint.missingOperand': 'Falta um operando antes de {operator}.',
+    'hint.bareLowercase': 'Nomes minúsculos são termos (variáveis). Escreva {capitalized}, {name}(x) como predicado com argumentos, ou use a sintaxe TPTP.',
+    'hint.expectedTerm': 'Esperado um termo: variável, constante ou f(...).',
+    'token.name': 'um nome',
+    'token.end': 'o fim da entrada',
+
+    // ---------- engine: warnings ----------
+    'warning.shadowed': '{quantifier} está dentro do escopo de outro quantificador sobre {variable}: a variável de fora fica escondida ali dentro.',
+    'warning.vacuous': '{quantifier} não liga nada: {variable} não ocorre livre no seu escopo.',
+    'warning.free': 'Variáveis livres: {variables}. Sem fechar a fórmula, a skolemização não as leva em conta (as funções de Skolem não dependem delas); fechar universalmente lê a entrada como {closure} F.',
+    'warning.arity': '{name} aparece com aridades diferentes: {arities}.',
+    'warning.rolePredicate': '{name} é usado como predicado e como função/constante.',
+    'warning.roleVariable': '{name} é usado como variável e como função/constante.',
+    'warning.generated': '{name} tem a forma dos nomes criados pela conversão (c1, f1, ... na skolemização; D1, D2, ... na CNF definicional) e pode se confundir com eles.',
+    'warning.associativity': '{source} foi lido como {formula}: sem parênteses, o agrupamento de {symbols} segue a convenção de associatividade e muda o sentido da fórmula. Use parênteses para deixar o agrupamento explícito.',
+
+    // ---------- engine: rewrite rules ----------
+    'rule.eliminate': 'Eliminação de {symbol}',
+    'rule.doubleNegation': 'Dupla negação',
+    'rule.deMorgan': 'De Morgan',
+    'rule.quantifierDuality': 'Dualidade de quantificadores',
+    'rule.notEq': 'Negação da igualdade',
+    'rule.notNeq': 'Negação da desigualdade',
+    'rule.constants': 'Constantes',
+    'rule.extraction': 'Extração de quantificadores',
+    'rule.distributivity': 'Distributividade',
+    'rule.associativity': 'Associatividade',
+    'law.nonEmptyDomain': ' (domínio não vazio)',
+    'law.notFreeInB': ', x não livre em B',
+
+    // ---------- page (index.html) ----------
+    'page.contact': 'Contato',
+    'page.locale': 'Idioma',
+    'page.intro': 'Digite uma formula bem formada em LaTeX <b>(ou simbolos unicode unicode)</b>.',
+    'page.input': 'Entrada (aceita: \\forall, \\exists, \\neg, \\land, \\lor, \\to, \\leftrightarrow, \\oplus, \\uparrow, \\downarrow, \\leftarrow, =, \\neq, \\top, \\bot)',
+    'page.inputPlaceholder': 'Ex: \\forall x (P(x) \\to \\exists y\\, Q(x,y))',
+    'page.preview': 'Pre-visualizacao',
+    'page.examples': 'Exemplos Mais Comuns',
+    'page.tips': 'Dicas:',
+    'page.exercise': 'Exercício (faça cada etapa à mão; a resposta é conferida sem mostrar o gabarito)',
+    'page.exMode': 'Modo exercício: esconder o passo a passo',
+    'page.exJson': 'Baixar tentativas (JSON)',
+    'page.exFile': 'tentativas',
+    'page.exCsv': 'Baixar tentativas (CSV)',
+    'page.exClear': 'Limpar histórico',
+    'page.exNote': 'Use os exemplos acima como enunciados. Fórmulas são aceitas a menos de equivalência (e de renomear variáveis); a Skolemização e as cláusulas, a menos de renomear variáveis e símbolos de Skolem, em relação ao prenex do passo 6.',
+    'page.steps': 'Passo a passo',
+    'page.expandAll': 'Expandir tudo',
+    'page.collapseAll': 'Fechar tudo',
+    'page.copySummary': 'Copiar resumo',
+    'page.syntax': 'Sintaxe de entrada',
+    'page.syntaxAuto': 'detectar automaticamente',
+    'page.syntaxKeywords': 'palavras-chave (forall x. ..., implies)',
+    'page.implication': 'Associatividade de →',
+    'page.implicationRight': 'à direita: A → B → C = A → (B → C) (padrão)',
+    'page.implicationLeft': 'à esquerda: A → B → C = (A → B) → C',
+    'page.strategy': 'Estratégia de prenex',
+    'page.strategyLeft': 'esquerda → direita (padrão)',
+    'page.cnfAuto': 'automática (definicional se ficar grande)',
+    'page.cnfClassical': 'clássica (sempre distribuir)',
+    'page.cnfDefinitional': 'definicional',
+    'page.miniscope': 'Miniscoping (empurrar quantificadores para dentro antes do prenex)',
+    'page.close': 'Fechar universalmente as variáveis livres (∀x̄ F)',
+    'page.printer': 'Exibição',
+    'page.printerUnicode': 'Unicode (sem MathJax, só os parênteses necessários)',
+    'page.maxNodes': 'máx. nós',
+    'page.maxClauses': 'máx. cláusulas',
+    'page.maxTime': 'tempo máx. (ms)',
+    'page.export': 'Exportar (TPTP, SMT-LIB, DIMACS, Prolog, relatório LaTeX / Markdown, texto)',
+    'page.exportFormat': 'Formato',
+    'page.exportDimacs': 'DIMACS (cláusulas proposicionais)',
+    'page.exportProlog': 'Prolog (conjunto Horn)',
+    'page.exportReportLatex': 'relatório completo (documento LaTeX)',
+    'page.exportReportMarkdown': 'relatório completo (Markdown)',
+    'page.exportText': 'resumo em texto (Unicode)',
+    'page.exportSource': 'Conteúdo',
+    'page.exportFormula': 'fórmula original',
+    'page.exportClauses': 'cláusulas simplificadas (9.1)',
+    'page.exportRole': 'Fórmula como',
+    'page.exportConjecture': 'conjectura (provar validade)',
+    'page.exportAxiom': 'axioma (testar satisfatibilidade)',
+    'page.copy': 'Copiar',
+    'page.download': 'Baixar',
+    'page.resolution': 'Refutação por resolução (sobre as cláusulas simplificadas do passo 9.1)',
+    'page.resGoal': 'Objetivo',
+    'page.resGoalValid': 'provar que a fórmula é válida (refutar ¬F)',
+    'page.resGoalUnsat': 'testar se a fórmula é insatisfatível (refutar F)',
+    'page.resSteps': 'máx. passos',
+    'page.resClauses': 'máx. cláusulas',
+    'page.resRun': 'Executar resolução',
+    'page.sld': 'Programa lógico e consultas SLD (cláusulas Horn do passo 9.1)',
+    'page.sldQuery': 'Consulta',
+    'page.sldQueryPlaceholder': 'Ex.: Mortal(x) — vazio: objetivo da entrada',
+    'page.sldDepth': 'máx. profundidade',
+    'page.sldRun': 'Consultar',
+    'page.sldNote': 'Cláusulas definidas viram regras e fatos; cláusulas negativas, objetivos. Resolução SLD: átomo mais à esquerda, regras na ordem, em profundidade.',
+    'page.eq': 'Equivalência / consequência (A = entrada acima, B = fórmula abaixo)',
+    'page.eqPlaceholder': 'Ex.: a sua CNF feita à mão, \\forall x (\\neg P(x) \\lor Q(x))',
+    'page.eqRelation': 'Verificar',
+    'page.eqEquivalent': 'A ≡ B (equivalentes)',
+    'page.eqEntails': 'A ⊨ B (B é consequência de A)',
+    'page.eqRun': 'Comparar',
+    'page.eqNote': 'Proposicional: verificação exaustiva. Primeira ordem: busca de contramodelo em domínios de até 3 elementos e resolução com os limites acima; o resultado pode ser "desconhecido".',
+    'page.hb': 'Universo de Herbrand e instâncias básicas (sobre as cláusulas do passo 9.1)',
+    'page.hbGoal': 'Cláusulas de',
+    'page.hbGoalValid': '¬F (procurar prova de validade)',
+    'page.hbGoalUnsat': 'F (testar insatisfatibilidade)',
+    'page.hbDepth': 'profundidade máx.',
+    'page.hbRun': 'Gerar instâncias',
+    'page.model': 'Avaliação num modelo finito (cada etapa sob a mesma interpretação)',
+    'page.modelSize': 'elementos',
+    'page.modelRandom': 'Gerar modelo aleatório',
+    'page.modelRun': 'Avaliar etapas',
+    'page.modelNote': 'Predicados: lista das tuplas verdadeiras (sem argumentos: true/false). Funções: argumentos separados por vírgula ↦ valor (constantes: o valor). Símbolos ausentes são falsos / valem o primeiro elemento.',
+    'page.madeBy': 'Feito por',
+
+    // ---------- page: options shown in several places ----------
+    'syntax.latex': 'LaTeX/Unicode',
+    'syntax.tptp': 'TPTP',
+    'syntax.keywords': 'palavras-chave',
+    'strategy.left': 'esquerda → direita',
+    'strategy.exists-first': '∃ o mais cedo possível',
+    'strategy.forall-first': '∀ primeiro',
+    'value.true': 'V',
+    'value.false': 'F',
+    'answer.yes': 'Sim',
+    'answer.no': 'Não',
+    'common.yes': 'sim',
+    'common.no': 'não',
+    'status.done': 'Concluído.',
+    'status.error': 'Erro.',
+    'status.exportCopied': 'Exportação copiada.',
+    'status.summaryCopied': 'Resumo copiado.',
+    'status.copyFailed': 'Não foi possível copiar.',
+    'status.computing': 'Calculando…',
+    'summary.stopped': 'interrompido (limite atingido)',
+    'step.stoppedNote': 'Os passos que dependem deste foram omitidos; os limites ficam nas opções acima.',
+    'printer.fallback': 'MathJax não carregou (sem conexão ou CDN bloqueado): exibindo em Unicode.',
+    'error.expectedHere': 'Esperado aqui: {expected}.',
+    'error.hint': 'Dica: {hint}',
+
+    // ---------- page: warnings and traces ----------
+    'warnings.title': 'Avisos',
+    'warnings.closed': 'Variáveis livres {variables} fechadas universalmente ({closure}).',
+    'warnings.close': 'Fechar universalmente',
+    'path.left': 'esq.',
+    'path.right': 'dir.',
+    'path.body': 'corpo',
+    'path.root': 'raiz',
+    'trace.at': 'em {path}',
+    'trace.more': '… e mais {count} regras (use ◀ ▶).',
+    'trace.title': 'Regras aplicadas ({count})',
+    'trace.previous': '◀ anterior',
+    'trace.next': 'próxima ▶',
+    'trace.position': '(posição: {path})',
+    'trace.before': 'Antes:',
+    'trace.after': 'Depois:',
+
+    // ---------- page: simplification and propositional analysis ----------
+    'simplify.none': 'Nada a simplificar.',
+    'simplify.theta': 'com {theta}',
+    'simplify.duplicateLiteral': 'literal repetido {literal} mesclado',
+    'simplify.tautology': 'removida: tautologia (contém {literal})',
+    'simplify.tautologyPair': 'removida: tautologia (contém {literal} e o seu complemento)',
+    'simplify.contradiction': 'removida: contraditória (contém {literal})',
+    'simplify.contradictionPair': 'removida: contraditória (contém {literal} e o seu complemento)',
+    'simplify.duplicate': 'removida: repete {ref}',
+    'simplify.subsumed': 'removida: subsumida por {ref}',
+    'simplify.absorbed': 'removida: absorvida por {ref} (A ∨ (A ∧ B) ≡ A)',
+    'status.tautology': 'tautologia',
+    'status.contradiction': 'contradição',
+    'status.contingent': 'contingente',
+    'prop.original': 'Original',
+    'prop.cnf': 'CNF (7.1)',
+    'prop.dnf': 'DNF (8.1)',
+    'prop.dnfSimplified': 'DNF simplificada (8.2)',
+    'prop.clauses': 'Cláusulas (9.1)',
+    'prop.anyAssignment': '(qualquer valoração)',
+    'prop.methodTable': 'tabela-verdade',
+    'prop.methodDpll': 'DPLL sobre a CNF definicional de F e de ¬F',
+    'prop.classification': 'Classificação:',
+    'prop.satisfying': 'Valoração que satisfaz: {assignment}',
+    'prop.falsifying': 'Valoração que falsifica: {assignment}',
+    'prop.same': 'Todas as formas têm os mesmos valores-verdade.',
+    'prop.differs': 'Há linhas em que uma forma difere da original (em vermelho).',
+    'prop.differsAt': '(difere em {assignment})',
+    'prop.tooMany': '{count} átomos: tabela-verdade omitida (limite {limit}); equivalências verificadas por DPLL.',
+    'prop.form': 'Forma',
+    'prop.classificationColumn': 'Classificação',
+    'prop.equivalent': 'Equivalente à original?',
+    'prop.notCompared': 'não verificada: {count} cláusulas ou conjunções (limite {limit})',
+    'prop.definitional': 'A CNF definicional (7.2) é só equisatisfatível e por isso fica fora da comparação.',
+
+    // ---------- page: step-by-step ----------
+    'step.original': '1) Original (normalizado)',
+    'step.inputSyntax': 'Sintaxe de entrada: {syntax}',
+    'step.tokens': '1.1) Tokens (após normalização)',
+    'step.noExtra': '1.2{index}) Sem {symbol} (somente {symbol} expandido)',
+    'step.noExtraAll': '1.2) Sem ⊕, ↑, ↓, ←',
+    'step.noIff': '2) Sem ↔ (somente ↔ expandido)',
+    'step.noImp': '3) Sem → (somente → eliminado)',
+    'step.constants': 'Constantes ⊤/⊥ simplificadas (A ∧ ⊤ → A, A ∨ ⊤ → ⊤, ...).',
+    'step.nnf': '4) NNF (negações para dentro)',
+    'step.miniscope': '4.1) Miniscoping (quantificadores para dentro)',
+    'step.renames': 'Renomeações: {renames}',
+    'step.standardized': '5) Variáveis padronizadas (únicas)',
+    'step.prenex': '6) Prenex (quantificadores no prefixo)',
+    'step.strategy': 'Estratégia: {strategy}',
+    'step.inUse': '(em uso)',
+    'step.strategies': '6.1) Estratégias de prenex (prefixo × Skolem)',
+    'step.strategyColumn': 'Estratégia',
+    'step.prefixColumn': 'Prefixo',
+    'step.skolemColumn': 'Termos de Skolem',
+    'step.cnfSkipped': '7) Prenex CNF clássica (omitida)',
+    'step.cnfDefinitionalMode': 'modo definicional selecionado',
+    'step.cnfTooLarge': 'a distribuição geraria {estimate} cláusulas (limite {limit})',
+    'step.cnfNotBuilt': 'Não construída: {reason}. A forma cláusal usa a CNF definicional (7.2).',
+    'step.cnfRaw': '7) Prenex CNF (pré-flatten: distribuição bruta)',
+    'step.cnf': '7.1) Prenex CNF (após flatten)',
+    'step.definitionalNote': 'Equisatisfatível com a fórmula, <strong>não equivalente</strong>: cada novo átomo D<sub>k</sub> abrevia uma conjunção (só D<sub>k</sub> → subfórmula é necessário, pois ela ocorre positivamente na NNF).',
+    'step.definitionalCount': '{count} cláusulas (a distribuição clássica geraria {estimate}).',
+    'step.definitionalRoot': 'Cláusulas da raiz:',
+    'step.definitionOf': 'Definição de {atom}:',
+    'step.definitional': '7.2) CNF definicional (Tseitin / Plaisted–Greenbaum)',
+    'step.dnfSkipped': '8) Prenex DNF (omitida)',
+    'step.dnfNotBuilt': 'Não construída: a distribuição geraria {estimate} conjunções (limite {limit}).',
+    'step.dnfRaw': '8) Prenex DNF (pré-flatten: distribuição bruta)',
+    'step.dnf': '8.1) Prenex DNF (após flatten)',
+    'step.conjunction': 'conjunção {n}',
+    'step.dnfSimplified': '8.2) Prenex DNF simplificada',
+    'step.fromDefinitional': 'A partir da CNF definicional (7.2).',
+    'step.skolemMap': 'Skolem: {terms}',
+    'step.skolem': '9) Skolemização + Forma Cláusal (implícita ∀)',
+    'step.clauses': 'Cláusulas:',
+    'step.simplified': '9.1) Cláusulas simplificadas + Horn',
+    'step.propositional': '9.2) Análise proposicional (tabela-verdade / DPLL)',
+    'step.summary': '10) Resumo (principais resultados)',
+    'horn.clause': 'Cláusula {n}:',
+    'horn.horn': 'Horn',
+    'horn.notHorn': 'não-Horn',
+    'horn.dualHorn': 'dual-Horn',
+    'horn.counts': '(positivos={positives}, negativos={negatives})',
+    'horn.all': 'Conjunto Horn?',
+    'horn.dual': '<strong>Dual-Horn</strong> (no máximo um literal negativo por cláusula)?',
+    'horn.renamable': 'Horn renomeável?',
+    'horn.flip': 'trocar a polaridade de {predicates} (cada literal {literal} vira {negated} e vice-versa) deixa todas as cláusulas Horn:',
+    'horn.noFlip': 'nenhuma troca de polaridade funciona; as cláusulas {clauses} já impedem (conjunto mínimo, via 2-SAT).',
+    'summary.original': 'Original',
+    'summary.noExtra': 'Sem {symbols}',
+    'summary.noIff': 'Sem ↔',
+    'summary.noImp': 'Sem →',
+    'summary.nnf': 'NNF',
+    'summary.miniscoped': 'Miniscoping',
+    'summary.standardized': 'Variáveis padronizadas',
+    'summary.prenex': 'Prenex',
+    'summary.cnf': 'Prenex CNF',
+    'summary.cnfSkipped': 'omitida (ver CNF definicional)',
+    'summary.dnf': 'Prenex DNF',
+    'summary.dnfSimplified': 'Prenex DNF simplificada',
+    'summary.skipped': 'omitida',
+    'summary.skolem': 'Skolem (∀ implícito)',
+    'summary.clauses': 'Cláusulas',
+    'summary.simplified': 'Cláusulas simplificadas',
+
+    // ---------- step-by-step report (report.js) ----------
+    'report.title': 'Passo a passo: prenex, CNF, DNF e forma clausal',
+    'report.formula': 'Fórmula',
+    'report.formulaNumber': 'Fórmula {n}',
+    'report.input': 'Entrada',
+    'report.step.original': 'Original (normalizado)',
+    'report.step.tokens': 'Tokens (após normalização)',
+    'report.step.noExtra': 'Sem {symbol} (somente {symbol} expandido)',
+    'report.step.noIff': 'Sem ↔ (somente ↔ expandido)',
+    'report.step.noImp': 'Sem → (somente → eliminado)',
+    'report.step.nnf': 'NNF (negações para dentro)',
+    'report.step.miniscope': 'Miniscoping (quantificadores para dentro)',
+    'report.step.standardized': 'Variáveis padronizadas (únicas)',
+    'report.step.prenex': 'Prenex (quantificadores no prefixo)',
+    'report.step.strategies': 'Estratégias de prenex (prefixo × Skolem)',
+    'report.step.cnfSkipped': 'Prenex CNF clássica (omitida)',
+    'report.step.cnfRaw': 'Prenex CNF (pré-flatten: distribuição bruta)',
+    'report.step.cnf': 'Prenex CNF (após flatten)',
+    'report.step.definitional': 'CNF definicional (Tseitin / Plaisted–Greenbaum)',
+    'report.step.dnfSkipped': 'Prenex DNF (omitida)',
+    'report.step.dnfRaw': 'Prenex DNF (pré-flatten: distribuição bruta)',
+    'report.step.dnf': 'Prenex DNF (após flatten)',
+    'report.step.dnfSimplified': 'Prenex DNF simplificada',
+    'report.step.skolem': 'Skolemização + forma clausal (∀ implícito)',
+    'report.step.simplified': 'Cláusulas simplificadas + Horn',
+    'report.step.propositional': 'Análise proposicional (tabela-verdade / DPLL)',
+    'report.step.summary': 'Resumo (principais resultados)',
+    'report.constants': 'Constantes {constants} simplificadas ({examples}, ...).',
+    'report.noRenames': 'Nenhuma renomeação.',
+    'report.cnfNotBuilt': 'Não construída: {reason}. A forma clausal usa a CNF definicional (7.2).',
+    'report.definitionalNote': 'Equisatisfatível com a fórmula, não equivalente: cada novo átomo {atom} abrevia uma conjunção.',
+    'report.noSkolem': 'Nenhum quantificador existencial: nada a skolemizar.',
+    'report.clauseColumn': 'Cláusula',
+    'report.dualHornColumn': 'Dual-Horn',
+    'report.positivesColumn': 'Positivos',
+    'report.negativesColumn': 'Negativos',
+    'report.hornSets': 'Conjunto Horn? {horn}. Dual-Horn (no máximo um literal negativo por cláusula)? {dual}.',
+    'report.renamable': 'Horn renomeável? sim: trocar a polaridade de {predicates} deixa todas as cláusulas Horn.',
+    'report.notRenamable': 'Horn renomeável? não: as cláusulas {clauses} já impedem (conjunto mínimo, via 2-SAT).',
+    'report.differs': 'Há linhas em que uma forma difere da original.',
+
+    // ---------- command line (cli.js) ----------
+    'cli.usage': 'Uso: node cli.js [opções] [arquivo ...]\n' +
+      '\n' +
+      'Lê uma fórmula por linha (linhas vazias e iniciadas por % são ignoradas) ou,\n' +
+      'com --input json (ou um arquivo que começa com \'[\'), uma lista JSON de strings.\n' +
+      'Sem arquivos, ou com \'-\', lê da entrada padrão.\n' +
+      '\n' +
+      'Opções:\n' +
+      '  -s, --stages a,b,...   etapas a produzir (padrão: todas)\n' +
+      '                         {stages}\n' +
+      '  -f, --format FMT       json (padrão), latex, unicode ou text (Unicode só com os\n' +
+      '                         parênteses necessários: A ∧ B ∧ C, ∀x ∃y P(x,y))\n' +
+      '  -i, --input MODO       lines, json ou auto (padrão)\n' +
+      '      --report FMT       em vez das etapas, um relatório com o passo a passo completo\n' +
+      '                         de todas as fórmulas: {reports}\n' +
+      '      --syntax NOME      sintaxe das fórmulas: {syntaxes} (padrão: auto)\n' +
+      '      --implication LADO associatividade de → sem parênteses: right (padrão, A → (B → C)) ou left\n' +
+      '      --strategy NOME    estratégia de prenex: {strategies}\n' +
+      '      --trace            lista as regras aplicadas (De Morgan, distribuição, ...) em cada etapa\n' +
+      '      --close            fecha universalmente as variáveis livres antes de converter\n' +
+      '      --miniscope        empurra os quantificadores para dentro antes do prenex\n' +
+      '      --cnf MODO         auto (padrão), classical ou definitional\n' +
+      '      --cnf-threshold N  máximo de cláusulas da CNF clássica no modo auto e de\n' +
+      '                         conjunções da DNF (padrão {threshold})\n' +
+      '      --max-nodes N      interrompe a etapa que passar de N nós (padrão: sem limite)\n' +
+      '      --max-clauses N    interrompe a CNF/DNF que passaria de N cláusulas (padrão: sem limite)\n' +
+      '      --max-time MS      interrompe a conversão de cada fórmula após MS milissegundos\n' +
+      '      --lang IDIOMA      idioma das mensagens, das etapas e do relatório: {locales} (padrão: {defaultLocale})\n' +
+      '  -o, --output ARQ       grava a saída em ARQ em vez da saída padrão\n' +
+      '  -h, --help             mostra esta ajuda\n' +
+      '\n' +
+      'Código de saída: 0 se todas as fórmulas foram convertidas, 1 se alguma falhou,\n' +
+      '2 para erros de uso ou de leitura, 3 se algum limite (--max-*) interrompeu uma etapa.',
+    'cli.missingValue': 'Falta o valor de {option}',
+    'cli.unknownOption': 'Opção desconhecida: {option}',
+    'cli.unknownFormat': 'Formato desconhecido: {format}',
+    'cli.unknownReport': 'Formato de relatório desconhecido: {format}',
+    'cli.unknownInput': 'Modo de entrada desconhecido: {mode}',
+    'cli.unknownLang': 'Idioma desconhecido: {lang}',
+    'cli.badThreshold': 'Limite de CNF inválido.',
+    'cli.badBudget': 'Limite inválido: {option}',
+    'cli.jsonList': '{source}: a entrada JSON deve ser uma lista de strings.',
+    'cli.error': 'ERRO: {message}',
+    'cli.notComputed': 'não calculada',
+    'cli.omitted': 'omitida',
+    'cli.cnfSkipped': 'omitida: {estimate} cláusulas pela distribuição',
+    'cli.dnfSkipped': 'omitida: {estimate} conjunções pela distribuição',
+    'cli.signature': 'predicados: {predicates}; funções: {functions}; livres: {free}',
+    'cli.warning': 'aviso: {message}',
+    'cli.noExtra': 'sem {symbol}',
+    'cli.positives': 'positivos por cláusula: {counts}',
+    'cli.renamable': 'Horn renomeável trocando {predicates}',
+    'cli.notRenamable': 'não renomeável (cláusulas {clauses})',
+
+    // ---------- page: resolution and SLD ----------
+    'proof.input': 'entrada',
+    'proof.factor': 'fator de {parent}',
+    'proof.resolvent': 'resolução de {left} e {right}',
+    'proof.clause': 'Cláusula',
+    'proof.origin': 'Origem',
+    'proof.unifier': 'Unificador',
+    'res.unsatisfiable': 'Insatisfatível',
+    'res.emptyClause': 'a cláusula vazia foi derivada de {subject}.',
+    'res.emptyClauseValid': 'a cláusula vazia foi derivada de {subject}, logo F é válida.',
+    'res.saturated': 'Saturado',
+    'res.saturatedEquality': 'sem cláusula vazia, mas = foi tratado como predicado comum (sem axiomas de igualdade): nada se conclui.',
+    'res.satisfiable': 'Saturado / satisfatível',
+    'res.saturatedSat': 'nenhuma nova cláusula pode ser gerada e a cláusula vazia não apareceu, logo {subject} é satisfatível.',
+    'res.saturatedSatValid': 'nenhuma nova cláusula pode ser gerada e a cláusula vazia não apareceu, logo {subject} é satisfatível e F não é válida.',
+    'res.limit': 'Limite atingido',
+    'res.noConclusion': '({what}) sem conclusão.',
+    'res.limit.steps': 'passos',
+    'res.limit.clauses': 'cláusulas',
+    'res.limit.time': 'tempo',
+    'res.stats': '{steps} cláusulas processadas, {generated} geradas, {kept} mantidas.',
+    'sld.success': '✓ sucesso',
+    'sld.failure': '✗ falha',
+    'sld.loop': '↻ laço (variante de um ancestral)',
+    'sld.depth': '⋯ limite de profundidade',
+    'sld.open': '⋯ não explorado (limite)',
+    'sld.noRules': 'Sem regras nem fatos.',
+    'sld.noQuery': 'Digite uma consulta: a entrada não tem cláusula objetivo (só negativos).',
+    'sld.query': 'Consulta:',
+    'sld.answers': '{count} resposta(s)',
+    'sld.noAnswers': 'Sem respostas',
+    'sld.finiteFailure': 'a árvore SLD foi toda explorada (falha finita).',
+    'sld.notFound': 'Nenhuma resposta encontrada',
+    'sld.withinLimits': 'dentro dos limites.',
+    'sld.incomplete': 'Busca incompleta: a árvore foi cortada (profundidade {depth}, até {nodes} nós e {answers} respostas).',
+    'sld.tree': 'Árvore SLD',
+    'sld.nodes': '({count} nós)',
+
+    // ---------- page: equivalence and models ----------
+    'model.domain': 'Domínio: {domain}',
+    'model.freeVariables': 'Variáveis livres: {values}',
+    'eq.proved': 'Provado',
+    'eq.byDpll': '{claim} (DPLL: a negação não tem valoração que a satisfaça).',
+    'eq.byResolution': '{claim} (refutação de {negation} por resolução).',
+    'eq.disproved': 'Refutado',
+    'eq.doesNotHold': 'não vale {claim}.',
+    'eq.counterexample': 'Contraexemplo: {assignment} (A={a}, B={b})',
+    'eq.countermodel': 'Contramodelo finito (A={a}, B={b}):',
+    'eq.noSmallModel': 'A resolução saturou sem a cláusula vazia, então a negação é satisfatível; nenhum modelo pequeno foi encontrado (o contramodelo pode ser infinito).',
+    'eq.unknown': 'Desconhecido',
+    'eq.noProof': 'sem prova nem contramodelo dentro dos limites.',
+    'eq.saturatedEquality': 'A resolução saturou, mas = é tratado como predicado comum (sem axiomas de igualdade): nada se conclui.',
+    'model.same': 'igual à original',
+    'model.differs': 'difere da original!',
+    'model.searchStopped': 'busca interrompida (modelo grande demais)',
+    'model.inconsistent': 'inconsistente com a original!',
+    'model.extensionExists': 'existe interpretação dos símbolos novos que torna verdadeira',
+    'model.noExtension': 'nenhuma interpretação dos símbolos novos torna verdadeira',
+    'model.defaults': '(símbolos novos ↦ padrão)',
+    'model.found': 'Interpretação encontrada para {symbols}:',
+    'model.stage': 'Etapa',
+    'model.value': 'Valor',
+    'model.check': 'Verificação',
+    'model.broken': '{count} etapa(s) não preservam o valor: possível erro de conversão.',
+    'model.agree': 'Todas as etapas concordam com a original neste modelo.',
+    'model.skolemNote': 'A Skolemização só preserva a satisfatibilidade: com os símbolos novos no valor padrão (funções ↦ primeiro elemento, D<sub>k</sub> falso) o valor pode mudar; o que se mantém é a existência de alguma interpretação deles.',
+
+    // ---------- page: exercises and Herbrand ----------
+    'exercise.correct': 'Correto',
+    'exercise.incorrect': 'Incorreto',
+    'exercise.unknown': 'Indeciso',
+    'exercise.invalid': 'Não foi possível ler',
+    'exercise.answer': 'sua resposta',
+    'exercise.check': 'Verificar',
+    'exercise.history': 'Histórico da sessão: {attempts} tentativa(s), {correct} correta(s).',
+    'exercise.noImp.title': '3) Sem → (nem ↔)',
+    'exercise.noImp.prompt': 'Fórmula equivalente sem → e sem ↔.',
+    'exercise.nnf.title': '4) NNF (negações para dentro)',
+    'exercise.nnf.prompt': 'Negações só diante de átomos, sem → e ↔.',
+    'exercise.prenex.title': '6) Prenex (quantificadores no prefixo)',
+    'exercise.prenex.prompt': 'Todos os quantificadores na frente de uma matriz em NNF.',
+    'exercise.cnf.title': '7.1) Prenex CNF',
+    'exercise.cnf.prompt': 'Prefixo seguido de uma conjunção de disjunções de literais.',
+    'exercise.skolem.title': '9) Skolemização (∀ implícito)',
+    'exercise.skolem.prompt': 'Matriz da CNF sem quantificadores, com termos de Skolem no lugar das variáveis ∃ (nomes u…z são variáveis; os demais, constantes).',
+    'exercise.clauses.title': '9) Forma clausal',
+    'exercise.clauses.prompt': 'Conjunto de cláusulas, como {¬P(x), Q(x)}, {R(c1)} (nomes u…z são variáveis; os demais, constantes).',
+    'exercise.unavailable': 'a CNF clássica teria {estimate} cláusulas: acima do limite, não há gabarito para esta etapa.',
+    'exercise.correctExact': 'Correto.',
+    'exercise.correctRenamed': 'Correto (com {renaming}).',
+    'exercise.equivalent': 'Correto: equivalente à fórmula original (a forma difere da do passo a passo, o que é permitido).',
+    'exercise.wrongShape': 'A resposta não tem a forma pedida:',
+    'exercise.notEquivalent': 'A resposta não é equivalente à fórmula original.',
+    'exercise.counterexample': 'A resposta não é equivalente à fórmula original (com {assignment} a original vale {a} e a resposta {b}).',
+    'exercise.assignment': '{name}={value}',
+    'exercise.undecided': 'A forma está certa, mas a equivalência não foi decidida dentro dos limites de busca.',
+    'exercise.missingClause': 'Falta a cláusula {clause}.',
+    'exercise.extraClause': 'A cláusula {clause} não faz parte da forma clausal.',
+    'exercise.clausesDiffer': 'As cláusulas não coincidem com as da forma clausal, nem renomeando variáveis e símbolos de Skolem.',
+    'exercise.error': '{message}',
+    'exercise.negation.Not': 'há uma dupla negação (¬¬A ≡ A)',
+    'exercise.negation.And': 'uma negação ainda está diante de ∧ (De Morgan: ¬(A ∧ B) ≡ ¬A ∨ ¬B)',
+    'exercise.negation.Or': 'uma negação ainda está diante de ∨ (De Morgan: ¬(A ∨ B) ≡ ¬A ∧ ¬B)',
+    'exercise.negation.ForAll': 'uma negação não foi empurrada para dentro de ∀ (¬∀x A ≡ ∃x ¬A)',
+    'exercise.negation.Exists': 'uma negação não foi empurrada para dentro de ∃ (¬∃x A ≡ ∀x ¬A)',
+    'exercise.shape.connective': 'Ainda há {symbol} em {formula}.',
+    'exercise.shape.notNNF': 'Não está em NNF: {problem}, em {formula}.',
+    'exercise.shape.existential': 'Ainda há {quantifier}: troque {variable} por um termo de Skolem.',
+    'exercise.shape.universal': 'Tire os quantificadores: na forma de Skolem o ∀ fica implícito ({quantifier}).',
+    'exercise.shape.innerQuantifier': '{quantifier} ainda está dentro de {symbol}: leve-o para o prefixo.',
+    'exercise.shape.nestedAnd': 'Há ∧ dentro de ∨ em {formula}: distribua ∨ sobre ∧.',
+    'exercise.hint.connective': 'Em {formula} esperava-se {expected} no lugar de {answer}.',
+    'exercise.hint.connectiveNNF': 'Em {formula} esperava-se {expected} no lugar de {answer}: ao passar ¬ por ∧/∨, De Morgan troca um pelo outro.',
+    'exercise.hint.quantifier': 'O quantificador sobre {variable} deveria ser {expected}.',
+    'exercise.hint.quantifierNNF': 'O quantificador sobre {variable} deveria ser {expected}: ao passar ¬ por um quantificador ele troca (¬∀x A ≡ ∃x ¬A, ¬∃x A ≡ ∀x ¬A).',
+    'exercise.hint.quantifierOrder': 'Os quantificadores {prefix} estão em outra ordem: trocar ∀ e ∃ de lugar muda o sentido (∀x ∃y A não equivale a ∃y ∀x A).',
+    'exercise.hint.missingNegation': 'Falta uma negação: esperava-se ¬ diante de {formula}.',
+    'exercise.hint.extraNegation': 'Sobra uma negação em {formula}.',
+    'exercise.hint.stillVariable': '{variable} é existencial no prefixo mas continua como variável: troque-a por um termo de Skolem.',
+    'exercise.hint.missingSkolem': 'Falta o termo de Skolem de {variable} ({variable} ↦ {term}).',
+    'exercise.hint.skolemFunction': 'A função de Skolem {name} (no lugar de {variable})',
+    'exercise.hint.skolemConstant': 'A constante de Skolem {name} (no lugar de {variable})',
+    'exercise.hint.arity': '{what} tem {count} argumento(s), mas depende dos {expected} ∀ antes de ∃{variable} no prefixo ({term}).',
+    'exercise.hint.missingArgument': '{what} está sem o argumento {arguments}: ela depende dos ∀ antes de ∃{variable} no prefixo ({term}).',
+    'exercise.hint.missingArguments': '{what} está sem os argumentos {arguments}: ela depende dos ∀ antes de ∃{variable} no prefixo ({term}).',
+    'exercise.hint.extraArguments': '{what} tem argumentos a mais: {arguments} não vem antes de ∃{variable} no prefixo ({term}).',
+    'exercise.hint.skolemCount': 'Esperavam-se {expected} símbolos de Skolem novos; a resposta tem {count} (um símbolo que já está na fórmula não serve).',
+    'exercise.csv.at': 'data',
+    'exercise.csv.formula': 'fórmula',
+    'exercise.csv.stage': 'etapa',
+    'exercise.csv.answer': 'resposta',
+    'exercise.csv.status': 'resultado',
+    'exercise.csv.messages': 'comentários',
+    'hb.addedConstant': 'A assinatura não tem constantes: a constante padrão {constant} foi adicionada ao universo.',
+    'hb.signature': 'Constantes: {constants}; funções: {functions}; predicados: {predicates}',
+    'hb.depth': 'Profundidade',
+    'hb.terms': 'Termos',
+    'hb.atoms': 'Átomos da base',
+    'hb.instances': 'Instâncias',
+    'hb.result': 'Resultado',
+    'hb.satisfiable': 'satisfatível',
+    'hb.unsatisfiable': 'insatisfatível',
+    'hb.truncated': '(truncado)',
+    'hb.unsatSet': 'Conjunto finito insatisfatível',
+    'hb.herbrand': 'na profundidade {depth}: pelo teorema de Herbrand, as cláusulas são insatisfatíveis.',
+    'hb.herbrandValid': 'na profundidade {depth}: pelo teorema de Herbrand, as cláusulas são insatisfatíveis e F é válida.',
+    'hb.core': 'Subconjunto mínimo ({count} instâncias):',
+    'hb.satisfiableSet': 'Satisfatível',
+    'hb.finiteUniverse': 'sem símbolos de função o universo é finito e todas as instâncias foram verificadas.',
+    'hb.noContradiction': 'Nenhuma contradição até a profundidade {depth}',
+    'hb.increaseDepth': 'aumente a profundidade (o conjunto pode ser satisfatível).',
+    'hb.equality': '= é tratado como um átomo comum (sem axiomas de igualdade).',
+    'hb.level': 'Nível {depth}:',
+    'hb.universe': 'Universo de Herbrand',
+    'hb.base': 'Base de Herbrand',
+    'hb.baseCount': '({count} átomos):',
+    'hb.groundInstances': 'Instâncias básicas'
+  },
+
+  'en': {
+    'list.and': ' and ',
+
+    'error.unknownSyntax': 'Unknown syntax: {syntax}',
+    'error.unknownImplication': 'Unknown associativity of →: {mode}',
+    'error.unknownTerm': 'Unknown term',
+    'error.unknownNode': 'Unknown node: {kind}',
+    'error.nnfUnexpected': 'Unexpected form in NNF: {kind}',
+    'error.unknownStrategy': 'Unknown prenex strategy: {strategy}',
+    'error.prenexNotNNF': 'Non-NNF form in prenex: {kind}',
+    'error.cnfUnexpected': 'Unexpected form in the CNF matrix: {kind}',
+    'error.dnfUnexpected': 'Unexpected form in the DNF matrix: {kind}',
+    'error.cnfLiteral': 'Invalid literal in the CNF',
+    'error.unknownStage': 'Unknown stage: {stage}',
+    'error.unknownCnfMode': 'Unknown CNF mode: {mode}',
+    'error.unknownBudget': 'Unknown or invalid budget: {name} = {value}',
+    'error.notPropositional': 'Not a propositional formula: {kind}',
+    'error.unknownRelation': 'Unknown relation: {relation}',
+    'error.unknownExerciseStage': 'Unknown exercise stage: {stage}',
+    'error.clausesOutsideBraces': "Text outside the braces: '{rest}'. Write the clauses as {¬P(x), Q(x)}, {R}.",
+    'error.clauseNotLiteral': '{formula} is not a literal: each clause lists literals separated by commas.',
+    'budget.nodes': 'too large — stopped at {count} nodes',
+    'budget.clauses': 'too large — stopped at {count} clauses ({needed} needed)',
+    'budget.time': 'too slow — stopped after {count} ms',
+    'budget.panel': 'Conversion stopped: {reason}. The budgets are in the options above.',
+    'error.modelJson': 'Invalid model: malformed JSON ({detail}).',
+    'error.modelObject': 'Invalid model: expected an object { "domain", "predicates", "functions" }.',
+    'error.modelDomainSize': 'Invalid model: "domain" must be a positive integer or a list.',
+    'error.modelDomainList': 'Invalid model: "domain" must be a non-empty list.',
+    'error.modelElement': 'Invalid model: invalid domain element: {element}',
+    'error.modelRepeated': 'Invalid model: repeated elements in the domain.',
+    'error.modelNotInDomain': 'Invalid model: {symbol}: {element} is not in the domain.',
+    'error.modelPredicate': 'Invalid model: the predicate {name} must be true/false or a list of tuples.',
+    'error.modelTuples': 'Invalid model: the tuples of {name} have different sizes.',
+    'error.modelFunction': 'Invalid model: the entries of {name} have different arities.',
+    'error.unboundVariable': 'Free variable without a value: {name}',
+    'error.programEquality': 'The logic program does not accept equality.',
+    'error.notHorn': 'The set is not Horn: some clause has more than one positive literal.',
+    'error.query': 'The query must be a conjunction of atoms, such as P(x) ∧ Q(x, y).',
+    'error.dimacs': 'DIMACS only accepts propositional clauses (atoms without arguments).',
+    'error.prologEquality': 'The Prolog export does not accept equality.',
+
+    'syntax.latexCommand': 'Unknown LaTeX command: \\{command}',
+    'syntax.unexpectedChar': 'Unexpected character: {char}',
+    'syntax.tptpAnnotated': 'Expected fof(...) or cnf(...) in TPTP input.',
+    'syntax.tptpFormat': 'Expected TPTP format: {language}(name, role, formula).',
+    'syntax.tptpUnclosed': 'Parenthesis of {language}(...) not closed.',
+    'syntax.expected': 'Expected {expected}, got {found}',
+    'syntax.trailing': "Tokens left over after the formula: '{token}'",
+    'syntax.incomplete': 'Incomplete formula.',
+    'syntax.expectedFormula': 'Expected a formula, got {found}',
+    'syntax.bareLowercase': 'Invalid atomic use of identifier: {name}. Use predicates such as P(x) or a name starting with an uppercase letter.',
+    'syntax.line': ' (line {line}, column {column})',
+    'syntax.position': ' (position {column})',
+    'hint.latexUse': 'Use \\{fix} instead of \\{command}.',
+    'hint.latexAccepted': 'Accepted commands: {commands}.',
+    'hint.tptpQuantifier': 'In TPTP, {char} is a quantifier: {char}[X]: ...',
+    'hint.closeParen': 'Unbalanced parentheses: close with ).',
+    'hint.missingClose': 'Unbalanced parentheses: a ( is never closed.',
+    'hint.unmatchedClose': 'Unbalanced parentheses: this ) has no matching (.',
+    'hint.missingConnective': 'Missing a connective (∧, ∨, →, ↔) before this point?',
+    'hint.quantifierVariable': '{quantifier} needs a variable right after it, as in {quantifier}x P(x).',
+    'hint.missingOperand': 'Missing an operand before {operator}.',
+    'hint.bareLowercase': 'Lowercase names are terms (variables). Write {capitalized}, {name}(x) as a predicate with arguments, or use the TPTP syntax.',
+    'hint.expectedTerm': 'Expected a term: variable, constant or f(...).',
+    'token.name': 'a name',
+    'token.end': 'the end of the input',
+
+    'warning.shadowed': '{quantifier} is inside the scope of another quantifier over {variable}: the outer variable is hidden in there.',
+    'warning.vacuous': '{quantifier} binds nothing: {variable} does not occur free in its scope.',
+    'warning.free': 'Free variables: {variables}. Without closing the formula, Skolemization ignores them (the Skolem functions do not depend on them); the universal closure reads the input as {closure} F.',
+    'warning.arity': '{name} occurs with different arities: {arities}.',
+    'warning.rolePredicate': '{name} is used both as a predicate and as a function/constant.',
+    'warning.roleVariable': '{name} is used both as a variable and as a function/constant.',
+    'warning.generated': '{name} looks like the names created by the conversion (c1, f1, ... in Skolemization; D1, D2, ... in the definitional CNF) and may be confused with them.',
+    'warning.associativity': '{source} was read as {formula}: without parentheses, the grouping of {symbols} follows the associativity convention and changes the meaning of the formula. Use parentheses to make the grouping explicit.',
+
+    'rule.eliminate': 'Elimination of {symbol}',
+    'rule.doubleNegation': 'Double negation',
+    'rule.deMorgan': 'De Morgan',
+    'rule.quantifierDuality': 'Quantifier duality',
+    'rule.notEq': 'Negated equality',
+    'rule.notNeq': 'Negated inequality',
+    'rule.constants': 'Constants',
+    'rule.extraction': 'Quantifier extraction',
+    'rule.distributivity': 'Distributivity',
+    'rule.associativity': 'Associativity',
+    'law.nonEmptyDomain': ' (non-empty domain)',
+    'law.notFreeInB': ', x not free in B',
+
+    // ---------- page (index.html) ----------
+    'page.contact': 'Contact',
+    'page.locale': 'Language',
+    'page.intro': 'Type a well-formed formula in LaTeX <b>(or Unicode symbols)</b>.',
+    'page.input': 'Input (accepts: \\forall, \\exists, \\neg, \\land, \\lor, \\to, \\leftrightarrow, \\oplus, \\uparrow, \\downarrow, \\leftarrow, =, \\neq, \\top, \\bot)',
+    'page.inputPlaceholder': 'E.g.: \\forall x (P(x) \\to \\exists y\\, Q(x,y))',
+    'page.preview': 'Preview',
+    'page.examples': 'Common examples',
+    'page.tips': 'Tips:',
+    'page.exercise': 'Exercise (do each stage by hand; the answer is checked without showing the solution)',
+    'page.exMode': 'Exercise mode: hide the step-by-step',
+    'page.exJson': 'Download attempts (JSON)',
+    'page.exFile': 'attempts',
+    'page.exCsv': 'Download attempts (CSV)',
+    'page.exClear': 'Clear history',
+    'page.exNote': 'Use the examples above as problems. Formulas are accepted up to equivalence (and renaming of variables); the Skolemization and the clauses, up to renaming of variables and Skolem symbols, relative to the prenex of step 6.',
+    'page.steps': 'Step by step',
+    'page.expandAll': 'Expand all',
+    'page.collapseAll': 'Collapse all',
+    'page.copySummary': 'Copy summary',
+    'page.syntax': 'Input syntax',
+    'page.syntaxAuto': 'detect automatically',
+    'page.syntaxKeywords': 'keywords (forall x. ..., implies)',
+    'page.implication': 'Associativity of →',
+    'page.implicationRight': 'right: A → B → C = A → (B → C) (default)',
+    'page.implicationLeft': 'left: A → B → C = (A → B) → C',
+    'page.strategy': 'Prenex strategy',
+    'page.strategyLeft': 'left → right (default)',
+    'page.cnfAuto': 'automatic (definitional if it gets large)',
+    'page.cnfClassical': 'classical (always distribute)',
+    'page.cnfDefinitional': 'definitional',
+    'page.miniscope': 'Miniscoping (push quantifiers inwards before the prenex)',
+    'page.close': 'Universally close the free variables (∀x̄ F)',
+    'page.printer': 'Display',
+    'page.printerUnicode': 'Unicode (no MathJax, only the needed parentheses)',
+    'page.maxNodes': 'max. nodes',
+    'page.maxClauses': 'max. clauses',
+    'page.maxTime': 'max. time (ms)',
+    'page.export': 'Export (TPTP, SMT-LIB, DIMACS, Prolog, LaTeX / Markdown report, text)',
+    'page.exportFormat': 'Format',
+    'page.exportDimacs': 'DIMACS (propositional clauses)',
+    'page.exportProlog': 'Prolog (Horn set)',
+    'page.exportReportLatex': 'full report (LaTeX document)',
+    'page.exportReportMarkdown': 'full report (Markdown)',
+    'page.exportText': 'text summary (Unicode)',
+    'page.exportSource': 'Content',
+    'page.exportFormula': 'original formula',
+    'page.exportClauses': 'simplified clauses (9.1)',
+    'page.exportRole': 'Formula as',
+    'page.exportConjecture': 'conjecture (prove validity)',
+    'page.exportAxiom': 'axiom (test satisfiability)',
+    'page.copy': 'Copy',
+    'page.download': 'Download',
+    'page.resolution': 'Resolution refutation (on the simplified clauses of step 9.1)',
+    'page.resGoal': 'Goal',
+    'page.resGoalValid': 'prove that the formula is valid (refute ¬F)',
+    'page.resGoalUnsat': 'test whether the formula is unsatisfiable (refute F)',
+    'page.resSteps': 'max. steps',
+    'page.resClauses': 'max. clauses',
+    'page.resRun': 'Run resolution',
+    'page.sld': 'Logic program and SLD queries (Horn clauses of step 9.1)',
+    'page.sldQuery': 'Query',
+    'page.sldQueryPlaceholder': 'E.g.: Mortal(x) — empty: the goal of the input',
+    'page.sldDepth': 'max. depth',
+    'page.sldRun': 'Query',
+    'page.sldNote': 'Definite clauses become rules and facts; negative clauses, goals. SLD resolution: leftmost atom, rules in order, depth first.',
+    'page.eq': 'Equivalence / entailment (A = input above, B = formula below)',
+    'page.eqPlaceholder': 'E.g.: your hand-made CNF, \\forall x (\\neg P(x) \\lor Q(x))',
+    'page.eqRelation': 'Check',
+    'page.eqEquivalent': 'A ≡ B (equivalent)',
+    'page.eqEntails': 'A ⊨ B (B follows from A)',
+    'page.eqRun': 'Compare',
+    'page.eqNote': 'Propositional: exhaustive check. First order: countermodel search in domains of up to 3 elements and resolution with the limits above; the result may be "unknown".',
+    'page.hb': 'Herbrand universe and ground instances (on the clauses of step 9.1)',
+    'page.hbGoal': 'Clauses of',
+    'page.hbGoalValid': '¬F (look for a proof of validity)',
+    'page.hbGoalUnsat': 'F (test unsatisfiability)',
+    'page.hbDepth': 'max. depth',
+    'page.hbRun': 'Generate instances',
+    'page.model': 'Evaluation in a finite model (every stage under the same interpretation)',
+    'page.modelSize': 'elements',
+    'page.modelRandom': 'Generate random model',
+    'page.modelRun': 'Evaluate stages',
+    'page.modelNote': 'Predicates: list of the true tuples (no arguments: true/false). Functions: comma-separated arguments ↦ value (constants: the value). Missing symbols are false / take the first element.',
+    'page.madeBy': 'Made by',
+
+    // ---------- page: options shown in several places ----------
+    'syntax.latex': 'LaTeX/Unicode',
+    'syntax.tptp': 'TPTP',
+    'syntax.keywords': 'keywords',
+    'strategy.left': 'left → right',
+    'strategy.exists-first': '∃ as early as possible',
+    'strategy.forall-first': '∀ first',
+    'value.true': 'T',
+    'value.false': 'F',
+    'answer.yes': 'Yes',
+    'answer.no': 'No',
+    'common.yes': 'yes',
+    'common.no': 'no',
+    'status.done': 'Done.',
+    'status.error': 'Error.',
+    'status.exportCopied': 'Export copied.',
+    'status.summaryCopied': 'Summary copied.',
+    'status.copyFailed': 'Could not copy.',
+    'status.computing': 'Computing…',
+    'summary.stopped': 'stopped (budget exceeded)',
+    'step.stoppedNote': 'The steps that depend on this one were left out; the budgets are in the options above.',
+    'printer.fallback': 'MathJax did not load (offline or blocked CDN): showing Unicode.',
+    'error.expectedHere': 'Expected here: {expected}.',
+    'error.hint': 'Hint: {hint}',
+
+    // ---------- page: warnings and traces ----------
+    'warnings.title': 'Warnings',
+    'warnings.closed': 'Free variables {variables} closed universally ({closure}).',
+    'warnings.close': 'Close universally',
+    'path.left': 'left',
+    'path.right': 'right',
+    'path.body': 'body',
+    'path.root': 'root',
+    'trace.at': 'at {path}',
+    'trace.more': '… and {count} more rules (use ◀ ▶).',
+    'trace.title': 'Rules applied ({count})',
+    'trace.previous': '◀ previous',
+    'trace.next': 'next ▶',
+    'trace.position': '(position: {path})',
+    'trace.before': 'Before:',
+    'trace.after': 'After:',
+
+    // ---------- page: simplification and propositional analysis ----------
+    'simplify.none': 'Nothing to simplify.',
+    'simplify.theta': 'with {theta}',
+    'simplify.duplicateLiteral': 'repeated literal {literal} merged',
+    'simplify.tautology': 'removed: tautology (contains {literal})',
+    'simplify.tautologyPair': 'removed: tautology (contains {literal} and its complement)',
+    'simplify.contradiction': 'removed: contradictory (contains {literal})',
+    'simplify.contradictionPair': 'removed: contradictory (contains {literal} and its complement)',
+    'simplify.duplicate': 'removed: repeats {ref}',
+    'simplify.subsumed': 'removed: subsumed by {ref}',
+    'simplify.absorbed': 'removed: absorbed by {ref} (A ∨ (A ∧ B) ≡ A)',
+    'status.tautology': 'tautology',
+    'status.contradiction': 'contradiction',
+    'status.contingent': 'contingent',
+    'prop.original': 'Original',
+    'prop.cnf': 'CNF (7.1)',
+    'prop.dnf': 'DNF (8.1)',
+    'prop.dnfSimplified': 'Simplified DNF (8.2)',
+    'prop.clauses': 'Clauses (9.1)',
+    'prop.anyAssignment': '(any assignment)',
+    'prop.methodTable': 'truth table',
+    'prop.methodDpll': 'DPLL on the definitional CNF of F and of ¬F',
+    'prop.classification': 'Classification:',
+    'prop.satisfying': 'Satisfying assignment: {assignment}',
+    'prop.falsifying': 'Falsifying assignment: {assignment}',
+    'prop.same': 'All forms have the same truth values.',
+    'prop.differs': 'Some rows have a form that differs from the original (in red).',
+    'prop.differsAt': '(differs at {assignment})',
+    'prop.tooMany': '{count} atoms: truth table omitted (limit {limit}); equivalences checked by DPLL.',
+    'prop.form': 'Form',
+    'prop.classificationColumn': 'Classification',
+    'prop.equivalent': 'Equivalent to the original?',
+    'prop.notCompared': 'not checked: {count} clauses or conjuncts (limit {limit})',
+    'prop.definitional': 'The definitional CNF (7.2) is only equisatisfiable and is therefore left out of the comparison.',
+
+    // ---------- page: step-by-step ----------
+    'step.original': '1) Original (normalized)',
+    'step.inputSyntax': 'Input syntax: {syntax}',
+    'step.tokens': '1.1) Tokens (after normalization)',
+    'step.noExtra': '1.2{index}) Without {symbol} (only {symbol} expanded)',
+    'step.noExtraAll': '1.2) Without ⊕, ↑, ↓, ←',
+    'step.noIff': '2) Without ↔ (only ↔ expanded)',
+    'step.noImp': '3) Without → (only → eliminated)',
+    'step.constants': 'Constants ⊤/⊥ simplified (A ∧ ⊤ → A, A ∨ ⊤ → ⊤, ...).',
+    'step.nnf': '4) NNF (negations pushed inwards)',
+    'step.miniscope': '4.1) Miniscoping (quantifiers pushed inwards)',
+    'step.renames': 'Renamings: {renames}',
+    'step.standardized': '5) Standardized variables (unique)',
+    'step.prenex': '6) Prenex (quantifiers in the prefix)',
+    'step.strategy': 'Strategy: {strategy}',
+    'step.inUse': '(in use)',
+    'step.strategies': '6.1) Prenex strategies (prefix × Skolem)',
+    'step.strategyColumn': 'Strategy',
+    'step.prefixColumn': 'Prefix',
+    'step.skolemColumn': 'Skolem terms',
+    'step.cnfSkipped': '7) Classical prenex CNF (omitted)',
+    'step.cnfDefinitionalMode': 'definitional mode selected',
+    'step.cnfTooLarge': 'distribution would produce {estimate} clauses (limit {limit})',
+    'step.cnfNotBuilt': 'Not built: {reason}. The clausal form uses the definitional CNF (7.2).',
+    'step.cnfRaw': '7) Prenex CNF (before flattening: raw distribution)',
+    'step.cnf': '7.1) Prenex CNF (after flattening)',
+    'step.definitionalNote': 'Equisatisfiable with the formula, <strong>not equivalent</strong>: each new atom D<sub>k</sub> abbreviates a conjunction (only D<sub>k</sub> → subformula is needed, since it occurs positively in the NNF).',
+    'step.definitionalCount': '{count} clauses (classical distribution would produce {estimate}).',
+    'step.definitionalRoot': 'Root clauses:',
+    'step.definitionOf': 'Definition of {atom}:',
+    'step.definitional': '7.2) Definitional CNF (Tseitin / Plaisted–Greenbaum)',
+    'step.dnfSkipped': '8) Prenex DNF (omitted)',
+    'step.dnfNotBuilt': 'Not built: distribution would produce {estimate} conjunctions (limit {limit}).',
+    'step.dnfRaw': '8) Prenex DNF (before flattening: raw distribution)',
+    'step.dnf': '8.1) Prenex DNF (after flattening)',
+    'step.conjunction': 'conjunction {n}',
+    'step.dnfSimplified': '8.2) Simplified prenex DNF',
+    'step.fromDefinitional': 'From the definitional CNF (7.2).',
+    'step.skolemMap': 'Skolem: {terms}',
+    'step.skolem': '9) Skolemization + clausal form (implicit ∀)',
+    'step.clauses': 'Clauses:',
+    'step.simplified': '9.1) Simplified clauses + Horn',
+    'step.propositional': '9.2) Propositional analysis (truth table / DPLL)',
+    'step.summary': '10) Summary (main results)',
+    'horn.clause': 'Clause {n}:',
+    'horn.horn': 'Horn',
+    'horn.notHorn': 'non-Horn',
+    'horn.dualHorn': 'dual-Horn',
+    'horn.counts': '(positive={positives}, negative={negatives})',
+    'horn.all': 'Horn set?',
+    'horn.dual': '<strong>Dual-Horn</strong> (at most one negative literal per clause)?',
+    'horn.renamable': 'Renamable Horn?',
+    'horn.flip': 'flipping the polarity of {predicates} (each literal {literal} becomes {negated} and vice versa) makes every clause Horn:',
+    'horn.noFlip': 'no polarity flip works; the clauses {clauses} already prevent it (minimal set, via 2-SAT).',
+    'summary.original': 'Original',
+    'summary.noExtra': 'Without {symbols}',
+    'summary.noIff': 'Without ↔',
+    'summary.noImp': 'Without →',
+    'summary.nnf': 'NNF',
+    'summary.miniscoped': 'Miniscoping',
+    'summary.standardized': 'Standardized variables',
+    'summary.prenex': 'Prenex',
+    'summary.cnf': 'Prenex CNF',
+    'summary.cnfSkipped': 'omitted (see definitional CNF)',
+    'summary.dnf': 'Prenex DNF',
+    'summary.dnfSimplified': 'Simplified prenex DNF',
+    'summary.skipped': 'omitted',
+    'summary.skolem': 'Skolem (implicit ∀)',
+    'summary.clauses': 'Clauses',
+    'summary.simplified': 'Simplified clauses',
+
+    // ---------- step-by-step report (report.js) ----------
+    'report.title': 'Step by step: prenex, CNF, DNF and clausal form',
+    'report.formula': 'Formula',
+    'report.formulaNumber': 'Formula {n}',
+    'report.input': 'Input',
+    'report.step.original': 'Original (normalized)',
+    'report.step.tokens': 'Tokens (after normalization)',
+    'report.step.noExtra': 'Without {symbol} (only {symbol} expanded)',
+    'report.step.noIff': 'Without ↔ (only ↔ expanded)',
+    'report.step.noImp': 'Without → (only → eliminated)',
+    'report.step.nnf': 'NNF (negations pushed inwards)',
+    'report.step.miniscope': 'Miniscoping (quantifiers pushed inwards)',
+    'report.step.standardized': 'Standardized variables (unique)',
+    'report.step.prenex': 'Prenex (quantifiers in the prefix)',
+    'report.step.strategies': 'Prenex strategies (prefix × Skolem)',
+    'report.step.cnfSkipped': 'Classical prenex CNF (omitted)',
+    'report.step.cnfRaw': 'Prenex CNF (before flattening: raw distribution)',
+    'report.step.cnf': 'Prenex CNF (after flattening)',
+    'report.step.definitional': 'Definitional CNF (Tseitin / Plaisted–Greenbaum)',
+    'report.step.dnfSkipped': 'Prenex DNF (omitted)',
+    'report.step.dnfRaw': 'Prenex DNF (before flattening: raw distribution)',
+    'report.step.dnf': 'Prenex DNF (after flattening)',
+    'report.step.dnfSimplified': 'Simplified prenex DNF',
+    'report.step.skolem': 'Skolemization + clausal form (implicit ∀)',
+    'report.step.simplified': 'Simplified clauses + Horn',
+    'report.step.propositional': 'Propositional analysis (truth table / DPLL)',
+    'report.step.summary': 'Summary (main results)',
+    'report.constants': 'Constants {constants} simplified ({examples}, ...).',
+    'report.noRenames': 'No renaming.',
+    'report.cnfNotBuilt': 'Not built: {reason}. The clausal form uses the definitional CNF (7.2).',
+    'report.definitionalNote': 'Equisatisfiable with the formula, not equivalent: each new atom {atom} abbreviates a conjunction.',
+    'report.noSkolem': 'No existential quantifier: nothing to skolemize.',
+    'report.clauseColumn': 'Clause',
+    'report.dualHornColumn': 'Dual-Horn',
+    'report.positivesColumn': 'Positive',
+    'report.negativesColumn': 'Negative',
+    'report.hornSets': 'Horn set? {horn}. Dual-Horn (at most one negative literal per clause)? {dual}.',
+    'report.renamable': 'Renamable Horn? yes: flipping the polarity of {predicates} makes every clause Horn.',
+    'report.notRenamable': 'Renamable Horn? no: the clauses {clauses} already prevent it (minimal set, via 2-SAT).',
+    'report.differs': 'Some rows have a form that differs from the original.',
+
+    // ---------- command line (cli.js) ----------
+    'cli.usage': 'Usage: node cli.js [options] [file ...]\n' +
+      '\n' +
+      'Reads one formula per line (empty lines and lines starting with % are skipped) or,\n' +
+      'with --input json (or a file starting with \'[\'), a JSON list of strings.\n' +
+      'Without files, or with \'-\', reads standard input.\n' +
+      '\n' +
+      'Options:\n' +
+      '  -s, --stages a,b,...   stages to output (default: all)\n' +
+      '                         {stages}\n' +
+      '  -f, --format FMT       json (default), latex, unicode or text (Unicode with only the\n' +
+      '                         needed parentheses: A ∧ B ∧ C, ∀x ∃y P(x,y))\n' +
+      '  -i, --input MODE       lines, json or auto (default)\n' +
+      '      --report FMT       instead of the stages, a report with the full step-by-step\n' +
+      '                         of every formula: {reports}\n' +
+      '      --syntax NAME      syntax of the formulas: {syntaxes} (default: auto)\n' +
+      '      --implication SIDE grouping of → without parentheses: right (default, A → (B → C)) or left\n' +
+      '      --strategy NAME    prenex strategy: {strategies}\n' +
+      '      --trace            lists the rules applied (De Morgan, distribution, ...) in each stage\n' +
+      '      --close            universally closes the free variables before converting\n' +
+      '      --miniscope        pushes the quantifiers inwards before the prenex form\n' +
+      '      --cnf MODE         auto (default), classical or definitional\n' +
+      '      --cnf-threshold N  most clauses of the classical CNF in auto mode, and most\n' +
+      '                         conjunctions of the DNF (default {threshold})\n' +
+      '      --max-nodes N      stops the stage that goes past N nodes (default: no limit)\n' +
+      '      --max-clauses N    stops the CNF/DNF that would go past N clauses (default: no limit)\n' +
+      '      --max-time MS      stops the conversion of each formula after MS milliseconds\n' +
+      '      --lang LANG        language of the messages, stages and report: {locales} (default: {defaultLocale})\n' +
+      '  -o, --output FILE      writes the output to FILE instead of standard output\n' +
+      '  -h, --help             shows this help\n' +
+      '\n' +
+      'Exit status: 0 if every formula was converted, 1 if one failed,\n' +
+      '2 for usage or read errors, 3 if a budget (--max-*) stopped a stage.',
+    'cli.missingValue': 'Missing value for {option}',
+    'cli.unknownOption': 'Unknown option: {option}',
+    'cli.unknownFormat': 'Unknown format: {format}',
+    'cli.unknownReport': 'Unknown report format: {format}',
+    'cli.unknownInput': 'Unknown input mode: {mode}',
+    'cli.unknownLang': 'Unknown language: {lang}',
+    'cli.badThreshold': 'Invalid CNF threshold.',
+    'cli.badBudget': 'Invalid limit: {option}',
+    'cli.jsonList': '{source}: the JSON input must be a list of strings.',
+    'cli.error': 'ERROR: {message}',
+    'cli.notComputed': 'not computed',
+    'cli.omitted': 'skipped',
+    'cli.cnfSkipped': 'skipped: {estimate} clauses by distribution',
+    'cli.dnfSkipped': 'skipped: {estimate} conjunctions by distribution',
+    'cli.signature': 'predicates: {predicates}; functions: {functions}; free: {free}',
+    'cli.warning': 'warning: {message}',
+    'cli.noExtra': 'without {symbol}',
+    'cli.positives': 'positive literals per clause: {counts}',
+    'cli.renamable': 'renamable Horn by flipping {predicates}',
+    'cli.notRenamable': 'not renamable (clauses {clauses})',
+
+    // ---------- page: resolution and SLD ----------
+    'proof.input': 'input',
+    'proof.factor': 'factor of {parent}',
+    'proof.resolvent': 'resolution of {left} and {right}',
+    'proof.clause': 'Clause',
+    'proof.origin': 'Origin',
+    'proof.unifier': 'Unifier',
+    'res.unsatisfiable': 'Unsatisfiable',
+    'res.emptyClause': 'the empty clause was derived from {subject}.',
+    'res.emptyClauseValid': 'the empty clause was derived from {subject}, so F is valid.',
+    'res.saturated': 'Saturated',
+    'res.saturatedEquality': 'without the empty clause, but = was treated as an ordinary predicate (no equality axioms): nothing follows.',
+    'res.satisfiable': 'Saturated / satisfiable',
+    'res.saturatedSat': 'no new clause can be generated and the empty clause did not appear, so {subject} is satisfiable.',
+    'res.saturatedSatValid': 'no new clause can be generated and the empty clause did not appear, so {subject} is satisfiable and F is not valid.',
+    'res.limit': 'Limit reached',
+    'res.noConclusion': '({what}) without a conclusion.',
+    'res.limit.steps': 'steps',
+    'res.limit.clauses': 'clauses',
+    'res.limit.time': 'time',
+    'res.stats': '{steps} clauses processed, {generated} generated, {kept} kept.',
+    'sld.success': '✓ success',
+    'sld.failure': '✗ failure',
+    'sld.loop': '↻ loop (variant of an ancestor)',
+    'sld.depth': '⋯ depth limit',
+    'sld.open': '⋯ not explored (limit)',
+    'sld.noRules': 'No rules or facts.',
+    'sld.noQuery': 'Type a query: the input has no goal clause (negative literals only).',
+    'sld.query': 'Query:',
+    'sld.answers': '{count} answer(s)',
+    'sld.noAnswers': 'No answers',
+    'sld.finiteFailure': 'the whole SLD tree was explored (finite failure).',
+    'sld.notFound': 'No answer found',
+    'sld.withinLimits': 'within the limits.',
+    'sld.incomplete': 'Incomplete search: the tree was cut (depth {depth}, up to {nodes} nodes and {answers} answers).',
+    'sld.tree': 'SLD tree',
+    'sld.nodes': '({count} nodes)',
+
+    // ---------- page: equivalence and models ----------
+    'model.domain': 'Domain: {domain}',
+    'model.freeVariables': 'Free variables: {values}',
+    'eq.proved': 'Proved',
+    'eq.byDpll': '{claim} (DPLL: the negation has no satisfying assignment).',
+    'eq.byResolution': '{claim} (refutation of {negation} by resolution).',
+    'eq.disproved': 'Disproved',
+    'eq.doesNotHold': '{claim} does not hold.',
+    'eq.counterexample': 'Counterexample: {assignment} (A={a}, B={b})',
+    'eq.countermodel': 'Finite countermodel (A={a}, B={b}):',
+    'eq.noSmallModel': 'Resolution saturated without the empty clause, so the negation is satisfiable; no small model was found (the countermodel may be infinite).',
+    'eq.unknown': 'Unknown',
+    'eq.noProof': 'no proof or countermodel within the limits.',
+    'eq.saturatedEquality': 'Resolution saturated, but = is treated as an ordinary predicate (no equality axioms): nothing follows.',
+    'model.same': 'same as the original',
+    'model.differs': 'differs from the original!',
+    'model.searchStopped': 'search stopped (model too large)',
+    'model.inconsistent': 'inconsistent with the original!',
+    'model.extensionExists': 'some interpretation of the new symbols makes it true',
+    'model.noExtension': 'no interpretation of the new symbols makes it true',
+    'model.defaults': '(new symbols ↦ default)',
+    'model.found': 'Interpretation found for {symbols}:',
+    'model.stage': 'Stage',
+    'model.value': 'Value',
+    'model.check': 'Check',
+    'model.broken': '{count} stage(s) do not keep the value: possible conversion error.',
+    'model.agree': 'Every stage agrees with the original in this model.',
+    'model.skolemNote': 'Skolemization only preserves satisfiability: with the new symbols at their default value (functions ↦ first element, D<sub>k</sub> false) the value may change; what is kept is the existence of some interpretation of them.',
+
+    // ---------- page: exercises and Herbrand ----------
+    'exercise.correct': 'Correct',
+    'exercise.incorrect': 'Incorrect',
+    'exercise.unknown': 'Undecided',
+    'exercise.invalid': 'Could not be read',
+    'exercise.answer': 'your answer',
+    'exercise.check': 'Check',
+    'exercise.history': 'Session history: {attempts} attempt(s), {correct} correct.',
+    'exercise.noImp.title': '3) Without → (or ↔)',
+    'exercise.noImp.prompt': 'Equivalent formula without → and without ↔.',
+    'exercise.nnf.title': '4) NNF (negations pushed inwards)',
+    'exercise.nnf.prompt': 'Negations only in front of atoms, without → and ↔.',
+    'exercise.prenex.title': '6) Prenex (quantifiers in the prefix)',
+    'exercise.prenex.prompt': 'Every quantifier in front of a matrix in NNF.',
+    'exercise.cnf.title': '7.1) Prenex CNF',
+    'exercise.cnf.prompt': 'Prefix followed by a conjunction of disjunctions of literals.',
+    'exercise.skolem.title': '9) Skolemization (implicit ∀)',
+    'exercise.skolem.prompt': 'CNF matrix without quantifiers, with Skolem terms in place of the ∃ variables (names u…z are variables; the others, constants).',
+    'exercise.clauses.title': '9) Clausal form',
+    'exercise.clauses.prompt': 'Set of clauses, such as {¬P(x), Q(x)}, {R(c1)} (names u…z are variables; the others, constants).',
+    'exercise.unavailable': 'the classical CNF would have {estimate} clauses: above the limit, there is no answer key for this stage.',
+    'exercise.correctExact': 'Correct.',
+    'exercise.correctRenamed': 'Correct (with {renaming}).',
+    'exercise.equivalent': 'Correct: equivalent to the original formula (the form differs from the step-by-step one, which is allowed).',
+    'exercise.wrongShape': 'The answer does not have the requested form:',
+    'exercise.notEquivalent': 'The answer is not equivalent to the original formula.',
+    'exercise.counterexample': 'The answer is not equivalent to the original formula (with {assignment} the original is {a} and the answer {b}).',
+    'exercise.assignment': '{name}={value}',
+    'exercise.undecided': 'The form is right, but the equivalence was not decided within the search limits.',
+    'exercise.missingClause': 'The clause {clause} is missing.',
+    'exercise.extraClause': 'The clause {clause} is not part of the clausal form.',
+    'exercise.clausesDiffer': 'The clauses do not match those of the clausal form, even renaming variables and Skolem symbols.',
+    'exercise.error': '{message}',
+    'exercise.negation.Not': 'there is a double negation (¬¬A ≡ A)',
+    'exercise.negation.And': 'a negation is still in front of ∧ (De Morgan: ¬(A ∧ B) ≡ ¬A ∨ ¬B)',
+    'exercise.negation.Or': 'a negation is still in front of ∨ (De Morgan: ¬(A ∨ B) ≡ ¬A ∧ ¬B)',
+    'exercise.negation.ForAll': 'a negation was not pushed inside ∀ (¬∀x A ≡ ∃x ¬A)',
+    'exercise.negation.Exists': 'a negation was not pushed inside ∃ (¬∃x A ≡ ∀x ¬A)',
+    'exercise.shape.connective': 'There is still {symbol} in {formula}.',
+    'exercise.shape.notNNF': 'Not in NNF: {problem}, in {formula}.',
+    'exercise.shape.existential': 'There is still {quantifier}: replace {variable} with a Skolem term.',
+    'exercise.shape.universal': 'Remove the quantifiers: in the Skolem form ∀ is implicit ({quantifier}).',
+    'exercise.shape.innerQuantifier': '{quantifier} is still inside {symbol}: move it to the prefix.',
+    'exercise.shape.nestedAnd': 'There is ∧ inside ∨ in {formula}: distribute ∨ over ∧.',
+    'exercise.hint.connective': 'In {formula}, {expected} was expected instead of {answer}.',
+    'exercise.hint.connectiveNNF': 'In {formula}, {expected} was expected instead of {answer}: moving ¬ across ∧/∨, De Morgan swaps one for the other.',
+    'exercise.hint.quantifier': 'The quantifier over {variable} should be {expected}.',
+    'exercise.hint.quantifierNNF': 'The quantifier over {variable} should be {expected}: moving ¬ across a quantifier swaps it (¬∀x A ≡ ∃x ¬A, ¬∃x A ≡ ∀x ¬A).',
+    'exercise.hint.quantifierOrder': 'The quantifiers {prefix} are in another order: swapping ∀ and ∃ changes the meaning (∀x ∃y A is not equivalent to ∃y ∀x A).',
+    'exercise.hint.missingNegation': 'A negation is missing: ¬ was expected in front of {formula}.',
+    'exercise.hint.extraNegation': 'There is an extra negation in {formula}.',
+    'exercise.hint.stillVariable': '{variable} is existential in the prefix but is still a variable: replace it with a Skolem term.',
+    'exercise.hint.missingSkolem': 'The Skolem term of {variable} is missing ({variable} ↦ {term}).',
+    'exercise.hint.skolemFunction': 'The Skolem function {name} (in place of {variable})',
+    'exercise.hint.skolemConstant': 'The Skolem constant {name} (in place of {variable})',
+    'exercise.hint.arity': '{what} has {count} argument(s), but depends on the {expected} ∀ before ∃{variable} in the prefix ({term}).',
+    'exercise.hint.missingArgument': '{what} lacks the argument {arguments}: it depends on the ∀ before ∃{variable} in the prefix ({term}).',
+    'exercise.hint.missingArguments': '{what} lacks the arguments {arguments}: it depends on the ∀ before ∃{variable} in the prefix ({term}).',
+    'exercise.hint.extraArguments': '{what} has extra arguments: {arguments} does not come before ∃{variable} in the prefix ({term}).',
+    'exercise.hint.skolemCount': '{expected} new Skolem symbols were expected; the answer has {count} (a symbol already in the formula does not count).',
+    'exercise.csv.at': 'date',
+    'exercise.csv.formula': 'formula',
+    'exercise.csv.stage': 'stage',
+    'exercise.csv.answer': 'answer',
+    'exercise.csv.status': 'result',
+    'exercise.csv.messages': 'comments',
+    'hb.addedConstant': 'The signature has no constants: the default constant {constant} was added to the universe.',
+    'hb.signature': 'Constants: {constants}; functions: {functions}; predicates: {predicates}',
+    'hb.depth': 'Depth',
+    'hb.terms': 'Terms',
+    'hb.atoms': 'Base atoms',
+    'hb.instances': 'Instances',
+    'hb.result': 'Result',
+    'hb.satisfiable': 'satisfiable',
+    'hb.unsatisfiable': 'unsatisfiable',
+    'hb.truncated': '(truncated)',
+    'hb.unsatSet': 'Finite unsatisfiable set',
+    'hb.herbrand': 'at depth {depth}: by Herbrand\'s theorem, the clauses are unsatisfiable.',
+    'hb.herbrandValid': 'at depth {depth}: by Herbrand\'s theorem, the clauses are unsatisfiable and F is valid.',
+    'hb.core': 'Minimal subset ({count} instances):',
+    'hb.satisfiableSet': 'Satisfiable',
+    'hb.finiteUniverse': 'without function symbols the universe is finite and every instance was checked.',
+    'hb.noContradiction': 'No contradiction up to depth {depth}',
+    'hb.increaseDepth': 'increase the depth (the set may be satisfiable).',
+    'hb.equality': '= is treated as an ordinary atom (no equality axioms).',
+    'hb.level': 'Level {depth}:',
+    'hb.universe': 'Herbrand universe',
+    'hb.base': 'Herbrand base',
+    'hb.baseCount': '({count} atoms):',
+    'hb.groundInstances': 'Ground instances'
+  },
+
+  'es': {
+    'list.and': ' y ',
+
+    'error.unknownSyntax': 'Sintaxis desconocida: {syntax}',
+    'error.unknownImplication': 'Asociatividad de → desconocida: {mode}',
+    'error.unknownTerm': 'Término desconocido',
+    'error.unknownNode': 'Nodo desconocido: {kind}',
+    'error.nnfUnexpected': 'Forma inesperada en NNF: {kind}',
+    'error.unknownStrategy': 'Estrategia de prenex desconocida: {strategy}',
+    'error.prenexNotNNF': 'Forma no-NNF en prenex: {kind}',
+    'error.cnfUnexpected': 'Forma inesperada en la matriz CNF: {kind}',
+    'error.dnfUnexpected': 'Forma inesperada en la matriz DNF: {kind}',
+    'error.cnfLiteral': 'Literal inválido en la CNF',
+    'error.unknownStage': 'Etapa desconocida: {stage}',
+    'error.unknownCnfMode': 'Modo de CNF desconocido: {mode}',
+    'error.unknownBudget': 'Límite desconocido o inválido: {name} = {value}',
+    'error.notPropositional': 'Fórmula no proposicional: {kind}',
+    'error.unknownRelation': 'Relación desconocida: {relation}',
+    'error.unknownExerciseStage': 'Etapa de ejercicio desconocida: {stage}',
+    'error.clausesOutsideBraces': "Texto fuera de las llaves: '{rest}'. Escriba las cláusulas como {¬P(x), Q(x)}, {R}.",
+    'error.clauseNotLiteral': '{formula} no es un literal: cada cláusula enumera literales separados por comas.',
+    'budget.nodes': 'demasiado grande — detenido en {count} nodos',
+    'budget.clauses': 'demasiado grande — detenido en {count} cláusulas (serían {needed})',
+    'budget.time': 'demasiado lento — detenido tras {count} ms',
+    'budget.panel': 'Conversión detenida: {reason}. Los límites están en las opciones de arriba.',
+    'error.modelJson': 'Modelo inválido: JSON mal formado ({detail}).',
+    'error.modelObject': 'Modelo inválido: se esperaba un objeto { "domain", "predicates", "functions" }.',
+    'error.modelDomainSize': 'Modelo inválido: "domain" debe ser un entero positivo o una lista.',
+    'error.modelDomainList': 'Modelo inválido: "domain" debe ser una lista no vacía.',
+    'error.modelElement': 'Modelo inválido: elemento de dominio inválido: {element}',
+    'error.modelRepeated': 'Modelo inválido: elementos repetidos en el dominio.',
+    'error.modelNotInDomain': 'Modelo inválido: {symbol}: {element} no está en el dominio.',
+    'error.modelPredicate': 'Modelo inválido: el predicado {name} debe ser true/false o una lista de tuplas.',
+    'error.modelTuples': 'Modelo inválido: las tuplas de {name} tienen tamaños distintos.',
+    'error.modelFunction': 'Modelo inválido: las entradas de {name} tienen aridades distintas.',
+    'error.unboundVariable': 'Variable libre sin valor: {name}',
+    'error.programEquality': 'El programa lógico no acepta igualdad.',
+    'error.notHorn': 'El conjunto no es Horn: alguna cláusula tiene más de un literal positivo.',
+    'error.query': 'La consulta debe ser una conjunción de átomos, como P(x) ∧ Q(x, y).',
+    'error.dimacs': 'DIMACS solo acepta cláusulas proposicionales (átomos sin argumentos).',
+    'error.prologEquality': 'La exportación a Prolog no acepta igualdad.',
+
+    'syntax.latexCommand': 'Comando LaTeX desconocido: \\{command}',
+    'syntax.unexpectedChar': 'Carácter inesperado: {char}',
+    'syntax.tptpAnnotated': 'Se esperaba fof(...) o cnf(...) en la entrada TPTP.',
+    'syntax.tptpFormat': 'Formato TPTP esperado: {language}(nombre, rol, fórmula).',
+    'syntax.tptpUnclosed': 'Paréntesis de {language}(...) sin cerrar.',
+    'syntax.expected': 'Se esperaba {expected}, se obtuvo {found}',
+    'syntax.trailing': "Tokens sobrantes después de la fórmula: '{token}'",
+    'syntax.incomplete': 'Fórmula incompleta.',
+    'syntax.expectedFormula': 'Se esperaba una fórmula, se obtuvo {found}',
+    'syntax.bareLowercase': 'Uso atómico inválido del identificador: {name}. Use predicados como P(x) o un nombre que empiece con mayúscula.',
+    'syntax.line': ' (línea {line}, columna {column})',
+    'syntax.position': ' (posición {column})',
+    'hint.latexUse': 'Use \\{fix} en lugar de \\{command}.',
+    'hint.latexAccepted': 'Comandos aceptados: {commands}.',
+    'hint.tptpQuantifier': 'En TPTP, {char} es un cuantificador: {char}[X]: ...',
+    'hint.closeParen': 'Paréntesis desbalanceados: cierre con ).',
+    'hint.missingClose': 'Paréntesis desbalanceados: falta cerrar un (.',
+    'hint.unmatchedClose': 'Paréntesis desbalanceados: este ) no tiene ( correspondiente.',
+    'hint.missingConnective': '¿Falta un conectivo (∧, ∨, →, ↔) antes de este punto?',
+    'hint.quantifierVariable': '{quantifier} necesita una variable justo después, como en {quantifier}x P(x).',
+    'hint.missingOperand': 'Falta un operando antes de {operator}.',
+    'hint.bareLowercase': 'Los nombres en minúscula son términos (variables). Escriba {capitalized}, {name}(x) como predicado con argumentos, o use la sintaxis TPTP.',
+    'hint.expectedTerm': 'Se esperaba un término: variable, constante o f(...).',
+    'token.name': 'un nombre',
+    'token.end': 'el fin de la entrada',
+
+    'warning.shadowed': '{quantifier} está dentro del alcance de otro cuantificador sobre {variable}: la variable de fuera queda oculta ahí dentro.',
+    'warning.vacuous': '{quantifier} no liga nada: {variable} no aparece libre en su alcance.',
+    'warning.free': 'Variables libres: {variables}. Sin cerrar la fórmula, la skolemización no las tiene en cuenta (las funciones de Skolem no dependen de ellas); el cierre universal lee la entrada como {closure} F.',
+    'warning.arity': '{name} aparece con aridades distintas: {arities}.',
+    'warning.rolePredicate': '{name} se usa como predicado y como función/constante.',
+    'warning.roleVariable': '{name} se usa como variable y como función/constante.',
+    'warning.generated': '{name} tiene la forma de los nombres creados por la conversión (c1, f1, ... en la skolemización; D1, D2, ... en la CNF definicional) y puede confundirse con ellos.',
+    'warning.associativity': '{source} se leyó como {formula}: sin paréntesis, la agrupación de {symbols} sigue la convención de asociatividad y cambia el sentido de la fórmula. Use paréntesis para dejar la agrupación explícita.',
+
+    'rule.eliminate': 'Eliminación de {symbol}',
+    'rule.doubleNegation': 'Doble negación',
+    'rule.deMorgan': 'De Morgan',
+    'rule.quantifierDuality': 'Dualidad de cuantificadores',
+    'rule.notEq': 'Negación de la igualdad',
+    'rule.notNeq': 'Negación de la desigualdad',
+    'rule.constants': 'Constantes',
+    'rule.extraction': 'Extracción de cuantificadores',
+    'rule.distributivity': 'Distributividad',
+    'rule.associativity': 'Asociatividad',
+    'law.nonEmptyDomain': ' (dominio no vacío)',
+    'law.notFreeInB': ', x no libre en B',
+
+    // ---------- page (index.html) ----------
+    'page.contact': 'Contacto',
+    'page.locale': 'Idioma',
+    'page.intro': 'Escriba una fórmula bien formada en LaTeX <b>(o símbolos Unicode)</b>.',
+    'page.input': 'Entrada (acepta: \\forall, \\exists, \\neg, \\land, \\lor, \\to, \\leftrightarrow, \\oplus, \\uparrow, \\downarrow, \\leftarrow, =, \\neq, \\top, \\bot)',
+    'page.inputPlaceholder': 'Ej.: \\forall x (P(x) \\to \\exists y\\, Q(x,y))',
+    'page.preview': 'Vista previa',
+    'page.examples': 'Ejemplos más comunes',
+    'page.tips': 'Consejos:',
+    'page.exercise': 'Ejercicio (haga cada etapa a mano; la respuesta se comprueba sin mostrar la solución)',
+    'page.exMode': 'Modo ejercicio: ocultar el paso a paso',
+    'page.exJson': 'Descargar intentos (JSON)',
+    'page.exFile': 'intentos',
+    'page.exCsv': 'Descargar intentos (CSV)',
+    'page.exClear': 'Borrar historial',
+    'page.exNote': 'Use los ejemplos de arriba como enunciados. Las fórmulas se aceptan salvo equivalencia (y renombrado de variables); la skolemización y las cláusulas, salvo renombrado de variables y símbolos de Skolem, respecto al prenex del paso 6.',
+    'page.steps': 'Paso a paso',
+    'page.expandAll': 'Expandir todo',
+    'page.collapseAll': 'Cerrar todo',
+    'page.copySummary': 'Copiar resumen',
+    'page.syntax': 'Sintaxis de entrada',
+    'page.syntaxAuto': 'detectar automáticamente',
+    'page.syntaxKeywords': 'palabras clave (forall x. ..., implies)',
+    'page.implication': 'Asociatividad de →',
+    'page.implicationRight': 'a la derecha: A → B → C = A → (B → C) (predeterminado)',
+    'page.implicationLeft': 'a la izquierda: A → B → C = (A → B) → C',
+    'page.strategy': 'Estrategia de prenex',
+    'page.strategyLeft': 'izquierda → derecha (predeterminado)',
+    'page.cnfAuto': 'automática (definicional si crece demasiado)',
+    'page.cnfClassical': 'clásica (distribuir siempre)',
+    'page.cnfDefinitional': 'definicional',
+    'page.miniscope': 'Miniscoping (empujar los cuantificadores hacia dentro antes del prenex)',
+    'page.close': 'Cerrar universalmente las variables libres (∀x̄ F)',
+    'page.printer': 'Visualización',
+    'page.printerUnicode': 'Unicode (sin MathJax, solo los paréntesis necesarios)',
+    'page.maxNodes': 'máx. nodos',
+    'page.maxClauses': 'máx. cláusulas',
+    'page.maxTime': 'tiempo máx. (ms)',
+    'page.export': 'Exportar (TPTP, SMT-LIB, DIMACS, Prolog, informe LaTeX / Markdown, texto)',
+    'page.exportFormat': 'Formato',
+    'page.exportDimacs': 'DIMACS (cláusulas proposicionales)',
+    'page.exportProlog': 'Prolog (conjunto Horn)',
+    'page.exportReportLatex': 'informe completo (documento LaTeX)',
+    'page.exportReportMarkdown': 'informe completo (Markdown)',
+    'page.exportText': 'resumen en texto (Unicode)',
+    'page.exportSource': 'Contenido',
+    'page.exportFormula': 'fórmula original',
+    'page.exportClauses': 'cláusulas simplificadas (9.1)',
+    'page.exportRole': 'Fórmula como',
+    'page.exportConjecture': 'conjetura (probar validez)',
+    'page.exportAxiom': 'axioma (probar satisfacibilidad)',
+    'page.copy': 'Copiar',
+    'page.download': 'Descargar',
+    'page.resolution': 'Refutación por resolución (sobre las cláusulas simplificadas del paso 9.1)',
+    'page.resGoal': 'Objetivo',
+    'page.resGoalValid': 'probar que la fórmula es válida (refutar ¬F)',
+    'page.resGoalUnsat': 'probar si la fórmula es insatisfacible (refutar F)',
+    'page.resSteps': 'máx. pasos',
+    'page.resClauses': 'máx. cláusulas',
+    'page.resRun': 'Ejecutar resolución',
+    'page.sld': 'Programa lógico y consultas SLD (cláusulas Horn del paso 9.1)',
+    'page.sldQuery': 'Consulta',
+    'page.sldQueryPlaceholder': 'Ej.: Mortal(x) — vacío: objetivo de la entrada',
+    'page.sldDepth': 'máx. profundidad',
+    'page.sldRun': 'Consultar',
+    'page.sldNote': 'Las cláusulas definidas se vuelven reglas y hechos; las cláusulas negativas, objetivos. Resolución SLD: átomo más a la izquierda, reglas en orden, en profundidad.',
+    'page.eq': 'Equivalencia / consecuencia (A = entrada de arriba, B = fórmula de abajo)',
+    'page.eqPlaceholder': 'Ej.: su CNF hecha a mano, \\forall x (\\neg P(x) \\lor Q(x))',
+    'page.eqRelation': 'Verificar',
+    'page.eqEquivalent': 'A ≡ B (equivalentes)',
+    'page.eqEntails': 'A ⊨ B (B es consecuencia de A)',
+    'page.eqRun': 'Comparar',
+    'page.eqNote': 'Proposicional: verificación exhaustiva. Primer orden: búsqueda de contramodelo en dominios de hasta 3 elementos y resolución con los límites de arriba; el resultado puede ser "desconocido".',
+    'page.hb': 'Universo de Herbrand e instancias básicas (sobre las cláusulas del paso 9.1)',
+    'page.hbGoal': 'Cláusulas de',
+    'page.hbGoalValid': '¬F (buscar prueba de validez)',
+    'page.hbGoalUnsat': 'F (probar insatisfacibilidad)',
+    'page.hbDepth': 'profundidad máx.',
+    'page.hbRun': 'Generar instancias',
+    'page.model': 'Evaluación en un modelo finito (cada etapa bajo la misma interpretación)',
+    'page.modelSize': 'elementos',
+    'page.modelRandom': 'Generar modelo aleatorio',
+    'page.modelRun': 'Evaluar etapas',
+    'page.modelNote': 'Predicados: lista de las tuplas verdaderas (sin argumentos: true/false). Funciones: argumentos separados por coma ↦ valor (constantes: el valor). Los símbolos ausentes son falsos / valen el primer elemento.',
+    'page.madeBy': 'Hecho por',
+
+    // ---------- page: options shown in several places ----------
+    'syntax.latex': 'LaTeX/Unicode',
+    'syntax.tptp': 'TPTP',
+    'syntax.keywords': 'palabras clave',
+    'strategy.left': 'izquierda → derecha',
+    'strategy.exists-first': '∃ lo antes posible',
+    'strategy.forall-first': '∀ primero',
+    'value.true': 'V',
+    'value.false': 'F',
+    'answer.yes': 'Sí',
+    'answer.no': 'No',
+    'common.yes': 'sí',
+    'common.no': 'no',
+    'status.done': 'Listo.',
+    'status.error': 'Error.',
+    'status.exportCopied': 'Exportación copiada.',
+    'status.summaryCopied': 'Resumen copiado.',
+    'status.copyFailed': 'No se pudo copiar.',
+    'status.computing': 'Calculando…',
+    'summary.stopped': 'detenido (límite alcanzado)',
+    'step.stoppedNote': 'Se omitieron los pasos que dependen de este; los límites están en las opciones de arriba.',
+    'printer.fallback': 'MathJax no se cargó (sin conexión o CDN bloqueado): mostrando Unicode.',
+    'error.expectedHere': 'Se esperaba aquí: {expected}.',
+    'error.hint': 'Sugerencia: {hint}',
+
+    // ---------- page: warnings and traces ----------
+    'warnings.title': 'Avisos',
+    'warnings.closed': 'Variables libres {variables} cerradas universalmente ({closure}).',
+    'warnings.close': 'Cerrar universalmente',
+    'path.left': 'izq.',
+    'path.right': 'der.',
+    'path.body': 'cuerpo',
+    'path.root': 'raíz',
+    'trace.at': 'en {path}',
+    'trace.more': '… y {count} reglas más (use ◀ ▶).',
+    'trace.title': 'Reglas aplicadas ({count})',
+    'trace.previous': '◀ anterior',
+    'trace.next': 'siguiente ▶',
+    'trace.position': '(posición: {path})',
+    'trace.before': 'Antes:',
+    'trace.after': 'Después:',
+
+    // ---------- page: simplification and propositional analysis ----------
+    'simplify.none': 'Nada que simplificar.',
+    'simplify.theta': 'con {theta}',
+    'simplify.duplicateLiteral': 'literal repetido {literal} fusionado',
+    'simplify.tautology': 'eliminada: tautología (contiene {literal})',
+    'simplify.tautologyPair': 'eliminada: tautología (contiene {literal} y su complemento)',
+    'simplify.contradiction': 'eliminada: contradictoria (contiene {literal})',
+    'simplify.contradictionPair': 'eliminada: contradictoria (contiene {literal} y su complemento)',
+    'simplify.duplicate': 'eliminada: repite {ref}',
+    'simplify.subsumed': 'eliminada: subsumida por {ref}',
+    'simplify.absorbed': 'eliminada: absorbida por {ref} (A ∨ (A ∧ B) ≡ A)',
+    'status.tautology': 'tautología',
+    'status.contradiction': 'contradicción',
+    'status.contingent': 'contingente',
+    'prop.original': 'Original',
+    'prop.cnf': 'CNF (7.1)',
+    'prop.dnf': 'DNF (8.1)',
+    'prop.dnfSimplified': 'DNF simplificada (8.2)',
+    'prop.clauses': 'Cláusulas (9.1)',
+    'prop.anyAssignment': '(cualquier valuación)',
+    'prop.methodTable': 'tabla de verdad',
+    'prop.methodDpll': 'DPLL sobre la CNF definicional de F y de ¬F',
+    'prop.classification': 'Clasificación:',
+    'prop.satisfying': 'Valuación que satisface: {assignment}',
+    'prop.falsifying': 'Valuación que falsifica: {assignment}',
+    'prop.same': 'Todas las formas tienen los mismos valores de verdad.',
+    'prop.differs': 'Hay filas en que una forma difiere de la original (en rojo).',
+    'prop.differsAt': '(difiere en {assignment})',
+    'prop.tooMany': '{count} átomos: tabla de verdad omitida (límite {limit}); equivalencias verificadas por DPLL.',
+    'prop.form': 'Forma',
+    'prop.classificationColumn': 'Clasificación',
+    'prop.equivalent': '¿Equivalente a la original?',
+    'prop.notCompared': 'no verificada: {count} cláusulas o conjunciones (límite {limit})',
+    'prop.definitional': 'La CNF definicional (7.2) solo es equisatisfacible y por eso queda fuera de la comparación.',
+
+    // ---------- page: step-by-step ----------
+    'step.original': '1) Original (normalizado)',
+    'step.inputSyntax': 'Sintaxis de entrada: {syntax}',
+    'step.tokens': '1.1) Tokens (tras la normalización)',
+    'step.noExtra': '1.2{index}) Sin {symbol} (solo {symbol} expandido)',
+    'step.noExtraAll': '1.2) Sin ⊕, ↑, ↓, ←',
+    'step.noIff': '2) Sin ↔ (solo ↔ expandido)',
+    'step.noImp': '3) Sin → (solo → eliminado)',
+    'step.constants': 'Constantes ⊤/⊥ simplificadas (A ∧ ⊤ → A, A ∨ ⊤ → ⊤, ...).',
+    'step.nnf': '4) NNF (negaciones hacia dentro)',
+    'step.miniscope': '4.1) Miniscoping (cuantificadores hacia dentro)',
+    'step.renames': 'Renombramientos: {renames}',
+    'step.standardized': '5) Variables estandarizadas (únicas)',
+    'step.prenex': '6) Prenex (cuantificadores en el prefijo)',
+    'step.strategy': 'Estrategia: {strategy}',
+    'step.inUse': '(en uso)',
+    'step.strategies': '6.1) Estrategias de prenex (prefijo × Skolem)',
+    'step.strategyColumn': 'Estrategia',
+    'step.prefixColumn': 'Prefijo',
+    'step.skolemColumn': 'Términos de Skolem',
+    'step.cnfSkipped': '7) Prenex CNF clásica (omitida)',
+    'step.cnfDefinitionalMode': 'modo definicional seleccionado',
+    'step.cnfTooLarge': 'la distribución generaría {estimate} cláusulas (límite {limit})',
+    'step.cnfNotBuilt': 'No construida: {reason}. La forma clausal usa la CNF definicional (7.2).',
+    'step.cnfRaw': '7) Prenex CNF (antes de aplanar: distribución bruta)',
+    'step.cnf': '7.1) Prenex CNF (tras aplanar)',
+    'step.definitionalNote': 'Equisatisfacible con la fórmula, <strong>no equivalente</strong>: cada nuevo átomo D<sub>k</sub> abrevia una conjunción (solo hace falta D<sub>k</sub> → subfórmula, pues esta aparece positivamente en la NNF).',
+    'step.definitionalCount': '{count} cláusulas (la distribución clásica generaría {estimate}).',
+    'step.definitionalRoot': 'Cláusulas de la raíz:',
+    'step.definitionOf': 'Definición de {atom}:',
+    'step.definitional': '7.2) CNF definicional (Tseitin / Plaisted–Greenbaum)',
+    'step.dnfSkipped': '8) Prenex DNF (omitida)',
+    'step.dnfNotBuilt': 'No construida: la distribución generaría {estimate} conjunciones (límite {limit}).',
+    'step.dnfRaw': '8) Prenex DNF (antes de aplanar: distribución bruta)',
+    'step.dnf': '8.1) Prenex DNF (tras aplanar)',
+    'step.conjunction': 'conjunción {n}',
+    'step.dnfSimplified': '8.2) Prenex DNF simplificada',
+    'step.fromDefinitional': 'A partir de la CNF definicional (7.2).',
+    'step.skolemMap': 'Skolem: {terms}',
+    'step.skolem': '9) Skolemización + forma clausal (∀ implícito)',
+    'step.clauses': 'Cláusulas:',
+    'step.simplified': '9.1) Cláusulas simplificadas + Horn',
+    'step.propositional': '9.2) Análisis proposicional (tabla de verdad / DPLL)',
+    'step.summary': '10) Resumen (resultados principales)',
+    'horn.clause': 'Cláusula {n}:',
+    'horn.horn': 'Horn',
+    'horn.notHorn': 'no Horn',
+    'horn.dualHorn': 'dual-Horn',
+    'horn.counts': '(positivos={positives}, negativos={negatives})',
+    'horn.all': '¿Conjunto Horn?',
+    'horn.dual': '¿<strong>Dual-Horn</strong> (como máximo un literal negativo por cláusula)?',
+    'horn.renamable': '¿Horn renombrable?',
+    'horn.flip': 'cambiar la polaridad de {predicates} (cada literal {literal} pasa a {negated} y viceversa) deja todas las cláusulas Horn:',
+    'horn.noFlip': 'ningún cambio de polaridad funciona; las cláusulas {clauses} ya lo impiden (conjunto mínimo, vía 2-SAT).',
+    'summary.original': 'Original',
+    'summary.noExtra': 'Sin {symbols}',
+    'summary.noIff': 'Sin ↔',
+    'summary.noImp': 'Sin →',
+    'summary.nnf': 'NNF',
+    'summary.miniscoped': 'Miniscoping',
+    'summary.standardized': 'Variables estandarizadas',
+    'summary.prenex': 'Prenex',
+    'summary.cnf': 'Prenex CNF',
+    'summary.cnfSkipped': 'omitida (ver CNF definicional)',
+    'summary.dnf': 'Prenex DNF',
+    'summary.dnfSimplified': 'Prenex DNF simplificada',
+    'summary.skipped': 'omitida',
+    'summary.skolem': 'Skolem (∀ implícito)',
+    'summary.clauses': 'Cláusulas',
+    'summary.simplified': 'Cláusulas simplificadas',
+
+    // ---------- step-by-step report (report.js) ----------
+    'report.title': 'Paso a paso: prenex, CNF, DNF y forma clausal',
+    'report.formula': 'Fórmula',
+    'report.formulaNumber': 'Fórmula {n}',
+    'report.input': 'Entrada',
+    'report.step.original': 'Original (normalizada)',
+    'report.step.tokens': 'Tokens (tras la normalización)',
+    'report.step.noExtra': 'Sin {symbol} (solo {symbol} expandido)',
+    'report.step.noIff': 'Sin ↔ (solo ↔ expandido)',
+    'report.step.noImp': 'Sin → (solo → eliminado)',
+    'report.step.nnf': 'NNF (negaciones hacia dentro)',
+    'report.step.miniscope': 'Miniscoping (cuantificadores hacia dentro)',
+    'report.step.standardized': 'Variables estandarizadas (únicas)',
+    'report.step.prenex': 'Prenex (cuantificadores en el prefijo)',
+    'report.step.strategies': 'Estrategias de prenex (prefijo × Skolem)',
+    'report.step.cnfSkipped': 'Prenex CNF clásica (omitida)',
+    'report.step.cnfRaw': 'Prenex CNF (antes del aplanado: distribución bruta)',
+    'report.step.cnf': 'Prenex CNF (tras el aplanado)',
+    'report.step.definitional': 'CNF definicional (Tseitin / Plaisted–Greenbaum)',
+    'report.step.dnfSkipped': 'Prenex DNF (omitida)',
+    'report.step.dnfRaw': 'Prenex DNF (antes del aplanado: distribución bruta)',
+    'report.step.dnf': 'Prenex DNF (tras el aplanado)',
+    'report.step.dnfSimplified': 'Prenex DNF simplificada',
+    'report.step.skolem': 'Skolemización + forma clausal (∀ implícito)',
+    'report.step.simplified': 'Cláusulas simplificadas + Horn',
+    'report.step.propositional': 'Análisis proposicional (tabla de verdad / DPLL)',
+    'report.step.summary': 'Resumen (resultados principales)',
+    'report.constants': 'Constantes {constants} simplificadas ({examples}, ...).',
+    'report.noRenames': 'Ningún renombramiento.',
+    'report.cnfNotBuilt': 'No construida: {reason}. La forma clausal usa la CNF definicional (7.2).',
+    'report.definitionalNote': 'Equisatisfacible con la fórmula, no equivalente: cada átomo nuevo {atom} abrevia una conjunción.',
+    'report.noSkolem': 'Ningún cuantificador existencial: nada que skolemizar.',
+    'report.clauseColumn': 'Cláusula',
+    'report.dualHornColumn': 'Dual-Horn',
+    'report.positivesColumn': 'Positivos',
+    'report.negativesColumn': 'Negativos',
+    'report.hornSets': '¿Conjunto Horn? {horn}. ¿Dual-Horn (como máximo un literal negativo por cláusula)? {dual}.',
+    'report.renamable': '¿Horn renombrable? sí: cambiar la polaridad de {predicates} deja todas las cláusulas Horn.',
+    'report.notRenamable': '¿Horn renombrable? no: las cláusulas {clauses} ya lo impiden (conjunto mínimo, vía 2-SAT).',
+    'report.differs': 'Hay filas en las que una forma difiere de la original.',
+
+    // ---------- command line (cli.js) ----------
+    'cli.usage': 'Uso: node cli.js [opciones] [archivo ...]\n' +
+      '\n' +
+      'Lee una fórmula por línea (se ignoran las líneas vacías y las que empiezan con %) o,\n' +
+      'con --input json (o un archivo que empieza con \'[\'), una lista JSON de strings.\n' +
+      'Sin archivos, o con \'-\', lee de la entrada estándar.\n' +
+      '\n' +
+      'Opciones:\n' +
+      '  -s, --stages a,b,...   etapas a producir (por defecto: todas)\n' +
+      '                         {stages}\n' +
+      '  -f, --format FMT       json (por defecto), latex, unicode o text (Unicode solo con los\n' +
+      '                         paréntesis necesarios: A ∧ B ∧ C, ∀x ∃y P(x,y))\n' +
+      '  -i, --input MODO       lines, json o auto (por defecto)\n' +
+      '      --report FMT       en lugar de las etapas, un informe con el paso a paso completo\n' +
+      '                         de todas las fórmulas: {reports}\n' +
+      '      --syntax NOMBRE    sintaxis de las fórmulas: {syntaxes} (por defecto: auto)\n' +
+      '      --implication LADO asociatividad de → sin paréntesis: right (por defecto, A → (B → C)) o left\n' +
+      '      --strategy NOMBRE  estrategia de prenex: {strategies}\n' +
+      '      --trace            lista las reglas aplicadas (De Morgan, distribución, ...) en cada etapa\n' +
+      '      --close            cierra universalmente las variables libres antes de convertir\n' +
+      '      --miniscope        lleva los cuantificadores hacia adentro antes del prenex\n' +
+      '      --cnf MODO         auto (por defecto), classical o definitional\n' +
+      '      --cnf-threshold N  máximo de cláusulas de la CNF clásica en el modo auto y de\n' +
+      '                         conjunciones de la DNF (por defecto {threshold})\n' +
+      '      --max-nodes N      detiene la etapa que pase de N nodos (por defecto: sin límite)\n' +
+      '      --max-clauses N    detiene la CNF/DNF que pasaría de N cláusulas (por defecto: sin límite)\n' +
+      '      --max-time MS      detiene la conversión de cada fórmula tras MS milisegundos\n' +
+      '      --lang IDIOMA      idioma de los mensajes, de las etapas y del informe: {locales} (por defecto: {defaultLocale})\n' +
+      '  -o, --output ARCH      escribe la salida en ARCH en lugar de la salida estándar\n' +
+      '  -h, --help             muestra esta ayuda\n' +
+      '\n' +
+      'Código de salida: 0 si se convirtieron todas las fórmulas, 1 si alguna falló,\n' +
+      '2 para errores de uso o de lectura, 3 si algún límite (--max-*) detuvo una etapa.',
+    'cli.missingValue': 'Falta el valor de {option}',
+    'cli.unknownOption': 'Opción desconocida: {option}',
+    'cli.unknownFormat': 'Formato desconocido: {format}',
+    'cli.unknownReport': 'Formato de informe desconocido: {format}',
+    'cli.unknownInput': 'Modo de entrada desconocido: {mode}',
+    'cli.unknownLang': 'Idioma desconocido: {lang}',
+    'cli.badThreshold': 'Límite de CNF no válido.',
+    'cli.badBudget': 'Límite no válido: {option}',
+    'cli.jsonList': '{source}: la entrada JSON debe ser una lista de strings.',
+    'cli.error': 'ERROR: {message}',
+    'cli.notComputed': 'no calculada',
+    'cli.omitted': 'omitida',
+    'cli.cnfSkipped': 'omitida: {estimate} cláusulas por la distribución',
+    'cli.dnfSkipped': 'omitida: {estimate} conjunciones por la distribución',
+    'cli.signature': 'predicados: {predicates}; funciones: {functions}; libres: {free}',
+    'cli.warning': 'aviso: {message}',
+    'cli.noExtra': 'sin {symbol}',
+    'cli.positives': 'positivos por cláusula: {counts}',
+    'cli.renamable': 'Horn renombrable cambiando {predicates}',
+    'cli.notRenamable': 'no renombrable (cláusulas {clauses})',
+
+    // ---------- page: resolution and SLD ----------
+    'proof.input': 'entrada',
+    'proof.factor': 'factor de {parent}',
+    'proof.resolvent': 'resolución de {left} y {right}',
+    'proof.clause': 'Cláusula',
+    'proof.origin': 'Origen',
+    'proof.unifier': 'Unificador',
+    'res.unsatisfiable': 'Insatisfacible',
+    'res.emptyClause': 'la cláusula vacía se derivó de {subject}.',
+    'res.emptyClauseValid': 'la cláusula vacía se derivó de {subject}, luego F es válida.',
+    'res.saturated': 'Saturado',
+    'res.saturatedEquality': 'sin cláusula vacía, pero = se trató como un predicado común (sin axiomas de igualdad): no se concluye nada.',
+    'res.satisfiable': 'Saturado / satisfacible',
+    'res.saturatedSat': 'no se puede generar ninguna cláusula nueva y la cláusula vacía no apareció, luego {subject} es satisfacible.',
+    'res.saturatedSatValid': 'no se puede generar ninguna cláusula nueva y la cláusula vacía no apareció, luego {subject} es satisfacible y F no es válida.',
+    'res.limit': 'Límite alcanzado',
+    'res.noConclusion': '({what}) sin conclusión.',
+    'res.limit.steps': 'pasos',
+    'res.limit.clauses': 'cláusulas',
+    'res.limit.time': 'tiempo',
+    'res.stats': '{steps} cláusulas procesadas, {generated} generadas, {kept} conservadas.',
+    'sld.success': '✓ éxito',
+    'sld.failure': '✗ fallo',
+    'sld.loop': '↻ bucle (variante de un ancestro)',
+    'sld.depth': '⋯ límite de profundidad',
+    'sld.open': '⋯ no explorado (límite)',
+    'sld.noRules': 'Sin reglas ni hechos.',
+    'sld.noQuery': 'Escriba una consulta: la entrada no tiene cláusula objetivo (solo negativos).',
+    'sld.query': 'Consulta:',
+    'sld.answers': '{count} respuesta(s)',
+    'sld.noAnswers': 'Sin respuestas',
+    'sld.finiteFailure': 'se exploró todo el árbol SLD (fallo finito).',
+    'sld.notFound': 'Ninguna respuesta encontrada',
+    'sld.withinLimits': 'dentro de los límites.',
+    'sld.incomplete': 'Búsqueda incompleta: el árbol se cortó (profundidad {depth}, hasta {nodes} nodos y {answers} respuestas).',
+    'sld.tree': 'Árbol SLD',
+    'sld.nodes': '({count} nodos)',
+
+    // ---------- page: equivalence and models ----------
+    'model.domain': 'Dominio: {domain}',
+    'model.freeVariables': 'Variables libres: {values}',
+    'eq.proved': 'Probado',
+    'eq.byDpll': '{claim} (DPLL: la negación no tiene valuación que la satisfaga).',
+    'eq.byResolution': '{claim} (refutación de {negation} por resolución).',
+    'eq.disproved': 'Refutado',
+    'eq.doesNotHold': 'no vale {claim}.',
+    'eq.counterexample': 'Contraejemplo: {assignment} (A={a}, B={b})',
+    'eq.countermodel': 'Contramodelo finito (A={a}, B={b}):',
+    'eq.noSmallModel': 'La resolución saturó sin la cláusula vacía, así que la negación es satisfacible; no se encontró ningún modelo pequeño (el contramodelo puede ser infinito).',
+    'eq.unknown': 'Desconocido',
+    'eq.noProof': 'sin prueba ni contramodelo dentro de los límites.',
+    'eq.saturatedEquality': 'La resolución saturó, pero = se trata como un predicado común (sin axiomas de igualdad): no se concluye nada.',
+    'model.same': 'igual a la original',
+    'model.differs': '¡difiere de la original!',
+    'model.searchStopped': 'búsqueda interrumpida (modelo demasiado grande)',
+    'model.inconsistent': '¡inconsistente con la original!',
+    'model.extensionExists': 'existe una interpretación de los símbolos nuevos que la hace verdadera',
+    'model.noExtension': 'ninguna interpretación de los símbolos nuevos la hace verdadera',
+    'model.defaults': '(símbolos nuevos ↦ predeterminado)',
+    'model.found': 'Interpretación encontrada para {symbols}:',
+    'model.stage': 'Etapa',
+    'model.value': 'Valor',
+    'model.check': 'Verificación',
+    'model.broken': '{count} etapa(s) no conservan el valor: posible error de conversión.',
+    'model.agree': 'Todas las etapas coinciden con la original en este modelo.',
+    'model.skolemNote': 'La skolemización solo preserva la satisfacibilidad: con los símbolos nuevos en el valor predeterminado (funciones ↦ primer elemento, D<sub>k</sub> falso) el valor puede cambiar; lo que se mantiene es la existencia de alguna interpretación de ellos.',
+
+    // ---------- page: exercises and Herbrand ----------
+    'exercise.correct': 'Correcto',
+    'exercise.incorrect': 'Incorrecto',
+    'exercise.unknown': 'Indeciso',
+    'exercise.invalid': 'No se pudo leer',
+    'exercise.answer': 'su respuesta',
+    'exercise.check': 'Verificar',
+    'exercise.history': 'Historial de la sesión: {attempts} intento(s), {correct} correcto(s).',
+    'exercise.noImp.title': '3) Sin → (ni ↔)',
+    'exercise.noImp.prompt': 'Fórmula equivalente sin → y sin ↔.',
+    'exercise.nnf.title': '4) NNF (negaciones hacia dentro)',
+    'exercise.nnf.prompt': 'Negaciones solo delante de átomos, sin → ni ↔.',
+    'exercise.prenex.title': '6) Prenex (cuantificadores en el prefijo)',
+    'exercise.prenex.prompt': 'Todos los cuantificadores delante de una matriz en NNF.',
+    'exercise.cnf.title': '7.1) Prenex CNF',
+    'exercise.cnf.prompt': 'Prefijo seguido de una conjunción de disyunciones de literales.',
+    'exercise.skolem.title': '9) Skolemización (∀ implícito)',
+    'exercise.skolem.prompt': 'Matriz de la CNF sin cuantificadores, con términos de Skolem en lugar de las variables ∃ (los nombres u…z son variables; los demás, constantes).',
+    'exercise.clauses.title': '9) Forma clausal',
+    'exercise.clauses.prompt': 'Conjunto de cláusulas, como {¬P(x), Q(x)}, {R(c1)} (los nombres u…z son variables; los demás, constantes).',
+    'exercise.unavailable': 'la CNF clásica tendría {estimate} cláusulas: por encima del límite, no hay solución para esta etapa.',
+    'exercise.correctExact': 'Correcto.',
+    'exercise.correctRenamed': 'Correcto (con {renaming}).',
+    'exercise.equivalent': 'Correcto: equivalente a la fórmula original (la forma difiere de la del paso a paso, lo que está permitido).',
+    'exercise.wrongShape': 'La respuesta no tiene la forma pedida:',
+    'exercise.notEquivalent': 'La respuesta no es equivalente a la fórmula original.',
+    'exercise.counterexample': 'La respuesta no es equivalente a la fórmula original (con {assignment} la original vale {a} y la respuesta {b}).',
+    'exercise.assignment': '{name}={value}',
+    'exercise.undecided': 'La forma es correcta, pero la equivalencia no se decidió dentro de los límites de búsqueda.',
+    'exercise.missingClause': 'Falta la cláusula {clause}.',
+    'exercise.extraClause': 'La cláusula {clause} no forma parte de la forma clausal.',
+    'exercise.clausesDiffer': 'Las cláusulas no coinciden con las de la forma clausal, ni renombrando variables y símbolos de Skolem.',
+    'exercise.error': '{message}',
+    'exercise.negation.Not': 'hay una doble negación (¬¬A ≡ A)',
+    'exercise.negation.And': 'una negación sigue delante de ∧ (De Morgan: ¬(A ∧ B) ≡ ¬A ∨ ¬B)',
+    'exercise.negation.Or': 'una negación sigue delante de ∨ (De Morgan: ¬(A ∨ B) ≡ ¬A ∧ ¬B)',
+    'exercise.negation.ForAll': 'una negación no se llevó dentro de ∀ (¬∀x A ≡ ∃x ¬A)',
+    'exercise.negation.Exists': 'una negación no se llevó dentro de ∃ (¬∃x A ≡ ∀x ¬A)',
+    'exercise.shape.connective': 'Todavía hay {symbol} en {formula}.',
+    'exercise.shape.notNNF': 'No está en NNF: {problem}, en {formula}.',
+    'exercise.shape.existential': 'Todavía hay {quantifier}: cambie {variable} por un término de Skolem.',
+    'exercise.shape.universal': 'Quite los cuantificadores: en la forma de Skolem el ∀ queda implícito ({quantifier}).',
+    'exercise.shape.innerQuantifier': '{quantifier} sigue dentro de {symbol}: llévelo al prefijo.',
+    'exercise.shape.nestedAnd': 'Hay ∧ dentro de ∨ en {formula}: distribuya ∨ sobre ∧.',
+    'exercise.hint.connective': 'En {formula} se esperaba {expected} en lugar de {answer}.',
+    'exercise.hint.connectiveNNF': 'En {formula} se esperaba {expected} en lugar de {answer}: al pasar ¬ por ∧/∨, De Morgan cambia uno por el otro.',
+    'exercise.hint.quantifier': 'El cuantificador sobre {variable} debería ser {expected}.',
+    'exercise.hint.quantifierNNF': 'El cuantificador sobre {variable} debería ser {expected}: al pasar ¬ por un cuantificador este cambia (¬∀x A ≡ ∃x ¬A, ¬∃x A ≡ ∀x ¬A).',
+    'exercise.hint.quantifierOrder': 'Los cuantificadores {prefix} están en otro orden: intercambiar ∀ y ∃ cambia el sentido (∀x ∃y A no equivale a ∃y ∀x A).',
+    'exercise.hint.missingNegation': 'Falta una negación: se esperaba ¬ delante de {formula}.',
+    'exercise.hint.extraNegation': 'Sobra una negación en {formula}.',
+    'exercise.hint.stillVariable': '{variable} es existencial en el prefijo pero sigue siendo una variable: cámbiela por un término de Skolem.',
+    'exercise.hint.missingSkolem': 'Falta el término de Skolem de {variable} ({variable} ↦ {term}).',
+    'exercise.hint.skolemFunction': 'La función de Skolem {name} (en lugar de {variable})',
+    'exercise.hint.skolemConstant': 'La constante de Skolem {name} (en lugar de {variable})',
+    'exercise.hint.arity': '{what} tiene {count} argumento(s), pero depende de los {expected} ∀ antes de ∃{variable} en el prefijo ({term}).',
+    'exercise.hint.missingArgument': '{what} no tiene el argumento {arguments}: depende de los ∀ antes de ∃{variable} en el prefijo ({term}).',
+    'exercise.hint.missingArguments': '{what} no tiene los argumentos {arguments}: depende de los ∀ antes de ∃{variable} en el prefijo ({term}).',
+    'exercise.hint.extraArguments': '{what} tiene argumentos de más: {arguments} no viene antes de ∃{variable} en el prefijo ({term}).',
+    'exercise.hint.skolemCount': 'Se esperaban {expected} símbolos de Skolem nuevos; la respuesta tiene {count} (un símbolo que ya está en la fórmula no sirve).',
+    'exercise.csv.at': 'fecha',
+    'exercise.csv.formula': 'fórmula',
+    'exercise.csv.stage': 'etapa',
+    'exercise.csv.answer': 'respuesta',
+    'exercise.csv.status': 'resultado',
+    'exercise.csv.messages': 'comentarios',
+    'hb.addedConstant': 'La signatura no tiene constantes: la constante predeterminada {constant} se añadió al universo.',
+    'hb.signature': 'Constantes: {constants}; funciones: {functions}; predicados: {predicates}',
+    'hb.depth': 'Profundidad',
+    'hb.terms': 'Términos',
+    'hb.atoms': 'Átomos de la base',
+    'hb.instances': 'Instancias',
+    'hb.result': 'Resultado',
+    'hb.satisfiable': 'satisfacible',
+    'hb.unsatisfiable': 'insatisfacible',
+    'hb.truncated': '(truncado)',
+    'hb.unsatSet': 'Conjunto finito insatisfacible',
+    'hb.herbrand': 'en la profundidad {depth}: por el teorema de Herbrand, las cláusulas son insatisfacibles.',
+    'hb.herbrandValid': 'en la profundidad {depth}: por el teorema de Herbrand, las cláusulas son insatisfacibles y F es válida.',
+    'hb.core': 'Subconjunto mínimo ({count} instancias):',
+    'hb.satisfiableSet': 'Satisfacible',
+    'hb.finiteUniverse': 'sin símbolos de función el universo es finito y se verificaron todas las instancias.',
+    'hb.noContradiction': 'Ninguna contradicción hasta la profundidad {depth}',
+    'hb.increaseDepth': 'aumente la profundidad (el conjunto puede ser satisfacible).',
+    'hb.equality': '= se trata como un átomo común (sin axiomas de igualdad).',
+    'hb.level': 'Nivel {depth}:',
+    'hb.universe': 'Universo de Herbrand',
+    'hb.base': 'Base de Herbrand',
+    'hb.baseCount': '({count} átomos):',
+    'hb.groundInstances': 'Instancias básicas'
+  }
+};
+
+let current = DEFAULT_LOCALE;
+function setLocale(locale) {
+  if (!LOCALES.includes(locale)) throw new Error('Unknown locale: ' + locale);
+  current = locale;
+}
+function getLocale() { return current; }
+// the locale of LOCALES closest to a BCP 47 tag ('pt-PT' → 'pt-BR', 'en-US' → 'en'), or null
+function matchLocale(tag) {
+  const lang = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES.find(l => l.toLowerCase() === String(tag || '').toLowerCase()) || LOCALES.find(l => l.toLowerCase().split('-')[0] === lang) || null;
+}
+
+// text of message `key` in `locale` with its {placeholders} filled from params
+function t(key, params = {}, locale = current) {
+  const table = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const text = key in table ? table[key] : key in MESSAGES[DEFAULT_LOCALE] ? MESSAGES[DEFAULT_LOCALE][key] : key;
+  const value = v => v && typeof v === 'object' && !Array.isArray(v) && v.key ? t(v.key, v.params, locale)
+    : Array.isArray(v) ? v.map(value).join(t('list.and', {}, locale)) : v;
+  return text.replace(/\{(\w+)\}/g, (m, name) => name in (params || {}) ? value(params[name]) : m);
+}
+// throws an Error with the text of `code` in the current locale as message and
+// `code` and `params` attached, so callers can show it in another locale
+function fail(code, params = {}) { throw Object.assign(new Error(t(code, params)), { code, params }); }
+
+return { LOCALES, DEFAULT_LOCALE, LOCALE_NAMES, MESSAGES, setLocale, getLocale, matchLocale, t, fail };
+});
@@ -0,0 +1,275 @@
+// prenex-cnf-dnf-calculator — finite interpretations.
+// Evaluates formulas in a finite model and searches small domains for a model
+// of a clause set. Exposed as `PrenexModels` in the browser and through
+// `module.exports` under Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./propositional.js'), require('./i18n.js'));
+  else root.PrenexModels = factory(root.PrenexEngine, root.PrenexPropositional, root.PrenexI18n);
+})(typeof self !== 'undefined' ? self : this, function (E, P, I18n) {
+'use strict';
+
+// A model is plain JSON:
+//   { domain: [0, 1, 2],
+//     predicates: { P: [[0], [2]], Q: true },     tuples where P holds; nullary: true/false
+//     functions: { f: { '0': 1, '1': 2, '2': 0 }, c: 1 } }   comma-joined arguments -> value; constants: value
+// Missing predicates are false everywhere and missing functions map to the first element.
+const DEFAULT_SEARCH = { maxDomain: 3, maxGround: 20000 };
+
+// ---------- Evaluation ----------
+const tupleKey = args => args.map(String).join(',');
+// interpretation of one symbol at a tuple of domain elements
+function holdsAt(model, name, elems) {
+  const ext = model.predicates && model.predicates[name];
+  if (!elems.length) return ext === true;
+  const key = tupleKey(elems);
+  return Array.isArray(ext) && ext.some(tuple => tupleKey(tuple) === key);
+}
+function valueAt(model, name, elems) {
+  const table = model.functions && model.functions[name];
+  const value = !elems.length ? table : table && table[tupleKey(elems)];
+  return value === undefined ? model.domain[0] : value;
+}
+function evalTerm(t, model, env) {
+  if (t.term === 'Var') {
+    if (!(t.name in env)) I18n.fail('error.unboundVariable', { name: t.name });
+    return env[t.name];
+  }
+  return valueAt(model, t.name, t.args.map(a => evalTerm(a, model, env)));
+}
+// value of f in `model`, free variables read from `env` (name -> element)
+function evaluate(f, model, env = {}) {
+  switch (f.kind) {
+    case 'True': return true;
+    case 'False': return false;
+    case 'Pred': return holdsAt(model, f.name, f.args.map(a => evalTerm(a, model, env)));
+    case 'Eq': return String(evalTerm(f.args[0], model, env)) === String(evalTerm(f.args[1], model, env));
+    case 'Neq': return String(evalTerm(f.args[0], model, env)) !== String(evalTerm(f.args[1], model, env));
+    case 'Not': return !evaluate(f.child, model, env);
+    case 'And': return evaluate(f.left, model, env) && evaluate(f.right, model, env);
+    case 'Or': return evaluate(f.left, model, env) || evaluate(f.right, model, env);
+    case 'Implies': return !evaluate(f.left, model, env) || evaluate(f.right, model, env);
+    case 'Iff': return evaluate(f.left, model, env) === evaluate(f.right, model, env);
+    case 'Xor': return evaluate(f.left, model, env) !== evaluate(f.right, model, env);
+    case 'Nand': return !(evaluate(f.left, model, env) && evaluate(f.right, model, env));
+    case 'Nor': return !(evaluate(f.left, model, env) || evaluate(f.right, model, env));
+    case 'Converse': return evaluate(f.left, model, env) || !evaluate(f.right, model, env);
+    case 'ForAll': case 'Exists': {
+      const test = d => evaluate(f.body, model, Object.assign({}, env, { [f.variable]: d }));
+      return f.kind === 'ForAll' ? model.domain.every(test) : model.domain.some(test);
+    }
+  }
+}
+
+// ---------- Reading models ----------
+// parse and check a model given as JSON (format above); `domain` may also be a
+// number n, read as [0, ..., n-1]
+function parseModel(text) {
+  let m;
+  try { m = JSON.parse(text); } catch (e) { I18n.fail('error.modelJson', { detail: e.message }); }
+  const fail = I18n.fail;
+  if (!m || typeof m !== 'object' || Array.isArray(m)) fail('error.modelObject');
+  let domain = m.domain;
+  if (typeof domain === 'number') {
+    if (!Number.isInteger(domain) || domain < 1) fail('error.modelDomainSize');
+    domain = Array.from({ length: domain }, (_, i) => i);
+  }
+  if (!Array.isArray(domain) || !domain.length) fail('error.modelDomainList');
+  domain.forEach(d => { if (typeof d !== 'number' && typeof d !== 'string') fail('error.modelElement', { element: JSON.stringify(d) }); });
+  if (new Set(domain.map(String)).size !== domain.length) fail('error.modelRepeated');
+  const element = (d, where) => {
+    const found = domain.find(e => String(e) === String(d));
+    if (found === undefined) fail('error.modelNotInDomain', { symbol: where, element: JSON.stringify(d) });
+    return found;
+  };
+  const predicates = {};
+  Object.keys(m.predicates || {}).forEach(p => {
+    const ext = m.predicates[p];
+    if (typeof ext === 'boolean') { predicates[p] = ext; return; }
+    if (!Array.isArray(ext) || !ext.every(Array.isArray)) fail('error.modelPredicate', { name: p });
+    if (ext.some(t => t.length !== ext[0].length || !t.length)) fail('error.modelTuples', { name: p });
+    predicates[p] = ext.map(t => t.map(d => element(d, p)));
+  });
+  const functions = {};
+  Object.keys(m.functions || {}).forEach(f => {
+    const table = m.functions[f];
+    if (table === null || typeof table !== 'object') { functions[f] = element(table, f); return; }
+    const keys = Object.keys(table);
+    if (keys.some(k => k.split(',').length !== keys[0].split(',').length)) fail('error.modelFunction', { name: f });
+    functions[f] = {};
+    keys.forEach(k => { functions[f][tupleKey(k.split(',').map(d => element(d.trim(), f)))] = element(table[k], f); });
+  });
+  return { domain, predicates, functions };
+}
+
+// ---------- Signatures ----------
+// { predicates: name -> arity, functions: name -> arity } of a formula
+function symbolsOf(formula) {
+  const out = { predicates: {}, functions: {} };
+  function term(t) {
+    if (t.term === 'Var') return;
+    out.functions[t.name] = t.args.length;
+    t.args.forEach(term);
+  }
+  (function walk(f) {
+    if (f.kind === 'Pred') { out.predicates[f.name] = f.args.length; f.args.forEach(term); }
+    else if (f.kind === 'Eq' || f.kind === 'Neq') f.args.forEach(term);
+    else if (f.kind === 'Not') walk(f.child);
+    else if (f.body) walk(f.body);
+    else if (f.left) { walk(f.left); walk(f.right); }
+  })(formula);
+  return out;
+}
+// the same model keeping only the given symbols
+function restrictModel(model, symbols) {
+  const pick = (table, names) => {
+    const out = {};
+    Object.keys(table).forEach(k => { if (k in names) out[k] = table[k]; });
+    return out;
+  };
+  return { domain: model.domain, predicates: pick(model.predicates, symbols.predicates), functions: pick(model.functions, symbols.functions) };
+}
+
+// ---------- Model search ----------
+// Clauses are flattened so every atom only has variables as arguments: a nested
+// f(t) becomes a fresh variable y plus the literal f(t) ≠ y. Over a domain of
+// size n the flat clauses are grounded into a propositional problem (with one
+// "f(d) = e" atom per function entry, exactly one true per entry) solved by DPLL.
+// Equality is read as identity, so = needs no axioms here.
+function flattenClause(lits) {
+  const vars = [];
+  const items = [];
+  const memo = {};
+  let k = 0;
+  const addVar = v => { if (!vars.includes(v)) vars.push(v); return v; };
+  function flat(t) {
+    if (t.term === 'Var') return addVar(t.name);
+    const key = E.toUnicodeTerm(t);
+    if (memo[key]) return memo[key];
+    const args = t.args.map(flat);
+    const value = addVar('#' + (++k));
+    items.push({ type: 'fn', name: t.name, args, value });
+    return (memo[key] = value);
+  }
+  lits.forEach(L => {
+    if (L.pred.kind === 'Eq') items.push({ type: 'eq', neg: L.neg, args: L.pred.args.map(flat) });
+    else items.push({ type: 'pred', neg: L.neg, name: L.pred.name, args: L.pred.args.map(flat) });
+  });
+  return { vars, items };
+}
+function tuples(n, k) {
+  const out = [];
+  (function go(prefix) {
+    if (prefix.length === k) { out.push(prefix); return; }
+    for (let d = 0; d < n; d++) go(prefix.concat(d));
+  })([]);
+  return out;
+}
+const atomName = (name, args) => name + '(' + args.join(',') + ')';
+
+function flatSignature(flatClauses) {
+  const sig = { functions: {}, predicates: {} };
+  flatClauses.forEach(c => c.items.forEach(it => {
+    if (it.type === 'fn') sig.functions[it.name] = it.args.length;
+    if (it.type === 'pred') sig.predicates[it.name] = it.args.length;
+  }));
+  return sig;
+}
+// ground clauses over the domain 0..n-1, or null when there would be more than maxGround
+function groundFlat(flatClauses, sig, n, maxGround) {
+  const ground = [];
+  let over = false;
+  const push = c => { if (ground.length >= maxGround) over = true; else ground.push(c); };
+  Object.keys(sig.functions).forEach(f => tuples(n, sig.functions[f]).forEach(args => {
+    const entries = tuples(n, 1).map(([e]) => atomName(f, args) + '=' + e);
+    push(entries.map(name => ({ neg: false, name })));
+    entries.forEach((a, i) => entries.slice(i + 1).forEach(b => push([{ neg: true, name: a }, { neg: true, name: b }])));
+  }));
+  for (const c of flatClauses) {
+    if (over || Math.pow(n, c.vars.length) > maxGround - ground.length) return null;
+    tuples(n, c.vars.length).forEach(values => {
+      const env = {};
+      c.vars.forEach((v, i) => { env[v] = values[i]; });
+      const lits = [];
+      for (const it of c.items) {
+        if (it.type === 'eq') {
+          if ((env[it.args[0]] === env[it.args[1]]) !== it.neg) return; // clause already true
+          continue;
+        }
+        const args = it.args.map(v => env[v]);
+        const L = it.type === 'fn' ? { neg: true, name: atomName(it.name, args) + '=' + env[it.value] } : { neg: it.neg, name: atomName(it.name, args) };
+        const same = lits.find(M => M.name === L.name);
+        if (same && same.neg !== L.neg) return; // tautology
+        if (!same) lits.push(L);
+      }
+      push(lits);
+    });
+  }
+  return over ? null : ground;
+}
+// read the symbols of `sig` back from a DPLL assignment, naming element i domain[i]
+function decode(assignment, sig, domain) {
+  const n = domain.length;
+  const out = { predicates: {}, functions: {} };
+  Object.keys(sig.predicates).forEach(p => {
+    const k = sig.predicates[p];
+    out.predicates[p] = k ? tuples(n, k).filter(args => assignment[atomName(p, args)]).map(args => args.map(i => domain[i])) : !!assignment[atomName(p, [])];
+  });
+  Object.keys(sig.functions).forEach(f => {
+    const k = sig.functions[f];
+    const valueAt = args => domain[tuples(n, 1).find(([e]) => assignment[atomName(f, args) + '=' + e])[0]];
+    if (!k) { out.functions[f] = valueAt([]); return; }
+    out.functions[f] = {};
+    tuples(n, k).forEach(args => { out.functions[f][tupleKey(args.map(i => domain[i]))] = valueAt(args); });
+  });
+  return out;
+}
+
+// Returns { model, size } for the smallest domain (up to options.maxDomain) with a
+// model of the clauses, or { model: null, limit } where limit is true when the
+// grounding budget stopped the search early (otherwise no model of that size exists).
+function findModel(clauses, options = {}) {
+  const opts = Object.assign({}, DEFAULT_SEARCH, options);
+  const flatClauses = clauses.map(flattenClause);
+  const sig = flatSignature(flatClauses);
+  for (let n = 1; n <= opts.maxDomain; n++) {
+    const ground = groundFlat(flatClauses, sig, n, opts.maxGround);
+    if (!ground) return { model: null, limit: true };
+    const assignment = P.dpll(ground);
+    if (!assignment) continue;
+    const domain = tuples(n, 1).map(([d]) => d);
+    return { model: Object.assign({ domain }, decode(assignment, sig, domain)), size: n };
+  }
+  return { model: null, limit: false };
+}
+// Interpretations of the symbols named in `free` (Skolem functions, definitional
+// atoms, ...) that make the clauses true in `model`, every other symbol keeping its
+// meaning there. Returns { model: model extended with them, limit: false }, or
+// { model: null, limit } (limit true when the grounding budget was exceeded).
+function extendModel(clauses, model, free, options = {}) {
+  const opts = Object.assign({}, DEFAULT_SEARCH, options);
+  const flatClauses = clauses.map(flattenClause);
+  const sig = flatSignature(flatClauses);
+  const n = model.domain.length;
+  const ground = groundFlat(flatClauses, sig, n, opts.maxGround);
+  if (!ground) return { model: null, limit: true };
+  const elems = args => args.map(i => model.domain[i]);
+  Object.keys(sig.predicates).filter(p => !free.includes(p)).forEach(p => tuples(n, sig.predicates[p]).forEach(args => {
+    ground.push([{ neg: !holdsAt(model, p, elems(args)), name: atomName(p, args) }]);
+  }));
+  Object.keys(sig.functions).filter(f => !free.includes(f)).forEach(f => tuples(n, sig.functions[f]).forEach(args => {
+    const value = String(valueAt(model, f, elems(args)));
+    ground.push([{ neg: false, name: atomName(f, args) + '=' + model.domain.findIndex(d => String(d) === value) }]);
+  }));
+  const assignment = P.dpll(ground);
+  if (!assignment) return { model: null, limit: false };
+  const found = decode(assignment, sig, model.domain);
+  const extended = { domain: model.domain, predicates: Object.assign({}, model.predicates), functions: Object.assign({}, model.functions) };
+  free.forEach(name => {
+    if (name in found.predicates) extended.predicates[name] = found.predicates[name];
+    if (name in found.functions) extended.functions[name] = found.functions[name];
+  });
+  return { model: extended, limit: false };
+}
+
+return { DEFAULT_SEARCH, evaluate, evalTerm, parseModel, symbolsOf, restrictModel, findModel, extendModel };
+});
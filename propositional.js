@@ -0,0 +1,170 @@
+// prenex-cnf-dnf-calculator — propositional analysis.
+// Truth tables and a DPLL satisfiability check for formulas without quantifiers
+// whose atoms are all nullary predicates (P, Q, ...). Exposed as
+// `PrenexPropositional` in the browser and through `module.exports` under Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./i18n.js'));
+  else root.PrenexPropositional = factory(root.PrenexEngine, root.PrenexI18n);
+})(typeof self !== 'undefined' ? self : this, function (E, I18n) {
+'use strict';
+
+const { Node } = E;
+
+// largest atom count for which a full truth table is built and shown
+const TRUTH_TABLE_MAX_ATOMS = 6;
+// larger forms (clauses of a CNF, conjuncts of a DNF, see formSize) are not
+// compared by DPLL: the search on ¬(A ↔ B) grows exponentially with them
+const DPLL_MAX_CLAUSES = 256;
+
+// ---------- Recognition and evaluation ----------
+function isPropositional(f) {
+  switch (f.kind) {
+    case 'Pred': return f.args.length === 0;
+    case 'True': case 'False': return true;
+    case 'Not': return isPropositional(f.child);
+    case 'ForAll': case 'Exists': case 'Eq': case 'Neq': return false;
+    default: return isPropositional(f.left) && isPropositional(f.right);
+  }
+}
+// atom names in order of first occurrence, over one or more formulas
+function atomsOf(...formulas) {
+  const out = [];
+  function walk(f) {
+    if (f.kind === 'Pred') { if (!out.includes(f.name)) out.push(f.name); }
+    else if (f.kind === 'Not') walk(f.child);
+    else if (f.left) { walk(f.left); walk(f.right); }
+  }
+  formulas.forEach(walk);
+  return out;
+}
+// value of f under `assignment` (atom name -> boolean; missing atoms are false)
+function evaluate(f, assignment) {
+  switch (f.kind) {
+    case 'Pred': return !!assignment[f.name];
+    case 'True': return true;
+    case 'False': return false;
+    case 'Not': return !evaluate(f.child, assignment);
+    case 'And': return evaluate(f.left, assignment) && evaluate(f.right, assignment);
+    case 'Or': return evaluate(f.left, assignment) || evaluate(f.right, assignment);
+    case 'Implies': return !evaluate(f.left, assignment) || evaluate(f.right, assignment);
+    case 'Iff': return evaluate(f.left, assignment) === evaluate(f.right, assignment);
+    case 'Xor': return evaluate(f.left, assignment) !== evaluate(f.right, assignment);
+    case 'Nand': return !(evaluate(f.left, assignment) && evaluate(f.right, assignment));
+    case 'Nor': return !(evaluate(f.left, assignment) || evaluate(f.right, assignment));
+    case 'Converse': return evaluate(f.left, assignment) || !evaluate(f.right, assignment);
+    default: I18n.fail('error.notPropositional', { kind: f.kind });
+  }
+}
+
+// a clause list (as in the engine's `clauses` stage) read back as a formula
+function clausesToFormula(clauses) {
+  if (!clauses.length) return Node.True();
+  return clauses.map(c => c.length ? c.map(E.literalToNode).reduce(Node.Or) : Node.False()).reduce(Node.And);
+}
+
+// ---------- Truth tables ----------
+// rows: [{ assignment, values }] with one value per formula, atoms varying
+// from all-true to all-false (textbook order)
+function truthTable(formulas, atoms = atomsOf(...formulas)) {
+  const rows = [];
+  for (let k = 0; k < (1 << atoms.length); k++) {
+    const assignment = {};
+    atoms.forEach((a, i) => { assignment[a] = !((k >> (atoms.length - 1 - i)) & 1); });
+    rows.push({ assignment, values: formulas.map(f => evaluate(f, assignment)) });
+  }
+  return { atoms, rows };
+}
+
+// ---------- DPLL ----------
+// clauses: arrays of { neg, name }. Returns a satisfying assignment or null.
+function dpll(clauses) {
+  function assign(cls, name, value) {
+    const out = [];
+    for (const c of cls) {
+      if (c.some(L => L.name === name && L.neg !== value)) continue;
+      const rest = c.filter(L => L.name !== name);
+      if (!rest.length) return null;
+      out.push(rest);
+    }
+    return out;
+  }
+  function solve(cls, model) {
+    for (;;) {
+      const unit = cls.find(c => c.length === 1);
+      if (!unit) break;
+      const L = unit[0];
+      model = Object.assign({}, model, { [L.name]: !L.neg });
+      cls = assign(cls, L.name, !L.neg);
+      if (!cls) return null;
+    }
+    // pure literals can be set to the value that satisfies them
+    const polarity = {};
+    cls.forEach(c => c.forEach(L => { polarity[L.name] = polarity[L.name] === undefined || polarity[L.name] === L.neg ? L.neg : 'mixed'; }));
+    // all at once: a pure literal only ever satisfies the clauses it is in
+    const pure = Object.keys(polarity).filter(name => polarity[name] !== 'mixed');
+    if (pure.length) {
+      model = Object.assign({}, model);
+      pure.forEach(name => { model[name] = !polarity[name]; });
+      cls = cls.filter(c => !c.some(L => polarity[L.name] !== 'mixed'));
+    }
+    if (!cls.length) return model;
+    const shortest = cls.reduce((a, b) => (b.length < a.length ? b : a));
+    const name = shortest[0].name;
+    for (const value of [!shortest[0].neg, shortest[0].neg]) {
+      const next = assign(cls, name, value);
+      const found = next && solve(next, Object.assign({}, model, { [name]: value }));
+      if (found) return found;
+    }
+    return null;
+  }
+  return solve(clauses, {});
+}
+// satisfying assignment of a propositional formula (over its own atoms), or null
+function satisfy(f) {
+  const nnf = E.simplifyConstants(E.toNNF(E.eliminateIffImp(f)));
+  if (nnf.kind === 'True') return {};
+  if (nnf.kind === 'False') return null;
+  const clauses = E.cnfToClauses(E.toDefinitionalCNF(nnf).matrix)
+    .map(c => c.map(L => ({ neg: L.neg, name: L.pred.name })));
+  const model = dpll(clauses);
+  if (!model) return null;
+  const out = {};
+  atomsOf(f).forEach(a => { out[a] = !!model[a]; });
+  return out;
+}
+
+// ---------- Classification ----------
+// { status: 'tautology'|'contradiction'|'contingent', satisfying, falsifying, method }
+// satisfying / falsifying are assignments (null when none exists)
+function classify(f) {
+  const atoms = atomsOf(f);
+  let satisfying = null, falsifying = null, method;
+  if (atoms.length <= TRUTH_TABLE_MAX_ATOMS) {
+    method = 'table';
+    truthTable([f], atoms).rows.forEach(row => {
+      if (row.values[0] && !satisfying) satisfying = row.assignment;
+      if (!row.values[0] && !falsifying) falsifying = row.assignment;
+    });
+  } else {
+    method = 'dpll';
+    satisfying = satisfy(f);
+    falsifying = satisfy(Node.Not(f));
+  }
+  const status = !falsifying ? 'tautology' : !satisfying ? 'contradiction' : 'contingent';
+  return { status, satisfying, falsifying, method };
+}
+// clauses of a CNF (conjuncts of a DNF) in f, the size DPLL_MAX_CLAUSES bounds
+function formSize(f) {
+  return Math.max(E.operands('And', f).length, E.operands('Or', f).length);
+}
+// null when a and b take the same value under every assignment, else an
+// assignment (over the atoms of both) where they differ
+function differ(a, b) {
+  const model = satisfy(Node.Not(Node.Iff(a, b)));
+  if (!model) return null;
+  atomsOf(a, b).forEach(x => { model[x] = !!model[x]; });
+  return model;
+}
+
+return { TRUTH_TABLE_MAX_ATOMS, DPLL_MAX_CLAUSES, isPropositional, atomsOf, evaluate, clausesToFormula, truthTable, dpll, satisfy, classify, formSize, differ };
+});
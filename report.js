@@ -0,0 +1,328 @@
+// prenex-cnf-dnf-calculator — step-by-step reports.
+// Builds the whole step-by-step of the page (tokens, every normal form, the
+// renaming and Skolem maps, the clauses and the Horn verdicts) from `convert`
+// results, as a LaTeX document (numbered steps, align* environments) or as
+// Markdown with $$ blocks. Everything is printed from the ASTs, never from the
+// rendered page. The texts come from the catalogue in i18n.js, in the locale
+// given to the report (the current one by default). Exposed as `PrenexReport`
+// in the browser and through `module.exports` under Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./propositional.js'), require('./i18n.js'));
+  else root.PrenexReport = factory(root.PrenexEngine, root.PrenexPropositional, root.PrenexI18n);
+})(typeof self !== 'undefined' ? self : this, function (E, P, I18n) {
+'use strict';
+
+const { toLatex, toLatexTerm, latexPrefix, latexClause, literalToNode } = E;
+
+const FORMATS = ['latex', 'markdown'];
+const EXTENSIONS = { latex: 'tex', markdown: 'md' };
+const TOKEN_TEX = {
+  forall: '\\forall', exists: '\\exists', not: '\\lnot', and: '\\land', or: '\\lor', implies: '\\to', iff: '\\leftrightarrow',
+  xor: '\\oplus', nand: '\\uparrow', nor: '\\downarrow', converse: '\\leftarrow', eq: '=', neq: '\\neq', top: '\\top', bot: '\\bot',
+  '(': '(', ')': ')', ',': ',', '.': '.', ':': ':', '[': '[', ']': ']'
+};
+
+// ---------- Report model ----------
+// A report is a list of steps { number, title, blocks }. Text (titles, paragraphs,
+// cells) is a list of parts: plain strings and { math } pieces of LaTeX. Blocks:
+//   { type: 'math', rows: [{ label, tex }] }   one aligned display (label: LaTeX or null)
+//   { type: 'text', parts }                    a paragraph
+//   { type: 'list', items: [parts] }
+//   { type: 'table', head: [parts], rows: [[parts]] }
+const m = tex => ({ math: tex });
+const formula = (tex, label = null) => ({ type: 'math', rows: [{ label, tex }] });
+const text = (...parts) => ({ type: 'text', parts });
+const inPrefix = (prefix, matrix) => `${latexPrefix(prefix)}(${toLatex(matrix)})`;
+const clausesTex = cls => cls.length ? cls.map(latexClause).join(' \\land ') : '\\emptyset';
+const clauseRows = (cls, name = 'C') => cls.length ? cls.map((c, i) => ({ label: `${name}_{${i + 1}}`, tex: latexClause(c) })) : [{ label: null, tex: '\\emptyset' }];
+function tokensTex(tokens) {
+  return tokens.map(t => t.type === 'name' ? `\\mathrm{${t.value.replace(/_/g, '\\_')}}` : (TOKEN_TEX[t.type] || t.value)).join('\\;\\;');
+}
+// message `key` in `locale` as text parts: each {name} becomes params[name]
+// (a string, a { math } piece or a list of parts)
+function say(locale, key, params = {}) {
+  return I18n.t(key, {}, locale).split(/\{(\w+)\}/)
+    .reduce((out, piece, i) => i % 2 ? out.concat(piece in params ? params[piece] : `{${piece}}`) : piece ? out.concat([piece]) : out, []);
+}
+function assignmentParts(a, locale) {
+  const names = Object.keys(a);
+  const value = b => I18n.t(b ? 'value.true' : 'value.false', {}, locale);
+  return names.length ? names.map(x => `${x}=${value(a[x])}`).join(', ') : I18n.t('prop.anyAssignment', {}, locale);
+}
+
+// reasons reported by simplifyClauses / simplifyDNF, as in the page
+function simplificationItems(steps, ref, locale) {
+  const lit = L => m(toLatex(L.pred ? literalToNode(L) : L));
+  const theta = subst => {
+    const parts = Object.keys(subst).map(v => `${v} \\mapsto ${toLatexTerm(subst[v])}`);
+    return parts.length ? [' ', ...say(locale, 'simplify.theta', { theta: m(`\\theta = \\{${parts.join(',\\; ')}\\}`) })] : [];
+  };
+  const reason = st => {
+    switch (st.reason) {
+      case 'duplicate-literal': return say(locale, 'simplify.duplicateLiteral', { literal: lit(st.literal) });
+      case 'tautology': return say(locale, st.literal.pred.kind === 'Eq' && !st.literal.neg ? 'simplify.tautology' : 'simplify.tautologyPair', { literal: lit(st.literal) });
+      case 'contradiction': return say(locale, st.literal.kind === 'Neq' ? 'simplify.contradiction' : 'simplify.contradictionPair', { literal: lit(st.literal) });
+      case 'duplicate-clause': case 'duplicate-conjunct': return say(locale, 'simplify.duplicate', { ref: ref(st.by) });
+      case 'subsumed': return [...say(locale, 'simplify.subsumed', { ref: ref(st.by) }), ...theta(st.subst)];
+      case 'absorbed': return say(locale, 'simplify.absorbed', { ref: ref(st.by) });
+    }
+  };
+  return steps.map(st => [...ref(st.index), ': ', ...reason(st)]);
+}
+function simplificationBlock(steps, ref, locale) {
+  return steps.length ? { type: 'list', items: simplificationItems(steps, ref, locale) } : text(I18n.t('simplify.none', {}, locale));
+}
+
+// truth table (small inputs) or DPLL comparison of the forms that keep the truth values
+function propositionalBlocks(r, locale) {
+  const t = (key, params) => I18n.t(key, params, locale);
+  const forms = [{ label: t('prop.original'), formula: r.ast }];
+  if (!r.cnf.skipped) forms.push({ label: t('prop.cnf'), formula: r.cnf.matrix });
+  if (!r.dnf.skipped) forms.push({ label: t('prop.dnf'), formula: r.dnf.matrix });
+  if (r.dnfSimplified) forms.push({ label: t('prop.dnfSimplified'), formula: r.dnfSimplified.matrix });
+  if (r.skolem.source === 'classical') forms.push({ label: t('prop.clauses'), formula: P.clausesToFormula(r.simplified.clauses) });
+  const tv = b => t(b ? 'value.true' : 'value.false');
+  const c = P.classify(r.ast);
+  const out = [text(t('prop.classification'), ' ', t('status.' + c.status), ` (${t(c.method === 'table' ? 'prop.methodTable' : 'prop.methodDpll')}).`)];
+  if (c.satisfying) out.push(text(t('prop.satisfying', { assignment: assignmentParts(c.satisfying, locale) }), '.'));
+  if (c.falsifying) out.push(text(t('prop.falsifying', { assignment: assignmentParts(c.falsifying, locale) }), '.'));
+  const atoms = P.atomsOf(...forms.map(f => f.formula));
+  if (atoms.length <= P.TRUTH_TABLE_MAX_ATOMS) {
+    const table = P.truthTable(forms.map(f => f.formula), atoms);
+    out.push({
+      type: 'table',
+      head: [...atoms.map(a => [m(a)]), ...forms.map(f => [f.label])],
+      rows: table.rows.map(row => [...atoms.map(a => [tv(row.assignment[a])]), ...row.values.map(v => [tv(v)])])
+    });
+    const same = table.rows.every(row => row.values.every(v => v === row.values[0]));
+    out.push(text(t(same ? 'prop.same' : 'report.differs')));
+  } else {
+    out.push(text(t('prop.tooMany', { count: atoms.length, limit: P.TRUTH_TABLE_MAX_ATOMS })));
+    out.push({
+      type: 'table',
+      head: [[t('prop.form')], [t('prop.classificationColumn')], [t('prop.equivalent')]],
+      rows: forms.slice(1).map(f => {
+        const size = P.formSize(f.formula);
+        if (size > P.DPLL_MAX_CLAUSES) return [[f.label], ['—'], [t('prop.notCompared', { count: size, limit: P.DPLL_MAX_CLAUSES })]];
+        const diff = P.differ(r.ast, f.formula);
+        return [[f.label], [t('status.' + P.classify(f.formula).status)],
+          diff ? [t('common.no'), ' ', t('prop.differsAt', { assignment: assignmentParts(diff, locale) })] : [t('common.yes')]];
+      })
+    });
+  }
+  return out;
+}
+
+// reportSteps(result, options, locale) — the steps of the page for a convert
+// result computed with every stage; options are the pipeline options it was
+// computed with (strategy, miniscope, cnfMode, cnfThreshold)
+function reportSteps(r, options = {}, locale = I18n.getLocale()) {
+  const t = (key, params) => I18n.t(key, params, locale);
+  const strategy = options.strategy || 'left';
+  const threshold = options.cnfThreshold || E.DEFAULT_CNF_THRESHOLD;
+  const steps = [];
+  const step = (number, title, blocks) => steps.push({ number, title: typeof title === 'string' ? [title] : title, blocks: blocks.filter(Boolean) });
+  const pren = r.prenex;
+
+  const warnings = r.analysis.warnings;
+  step('1', t('report.step.original'), [
+    formula(toLatex(r.ast)),
+    r.syntax !== 'latex' ? text(t('step.inputSyntax', { syntax: t('syntax.' + r.syntax) }), '.') : null,
+    warnings.length ? text(t('warnings.title'), ':') : null,
+    warnings.length ? { type: 'list', items: warnings.map(w => [w.key ? t(w.key, w.params) : w.message]) } : null
+  ]);
+  step('1.1', t('report.step.tokens'), [formula(tokensTex(r.tokens))]);
+  r.noExtra.steps.forEach((st, k) => {
+    step(`1.2${r.noExtra.steps.length > 1 ? '.' + (k + 1) : ''}`, t('report.step.noExtra', { symbol: st.symbol }), [formula(toLatex(st.formula)), text(st.rule)]);
+  });
+  step('2', t('report.step.noIff'), [formula(toLatex(r.noIff))]);
+  step('3', t('report.step.noImp'), [formula(toLatex(r.noImp))]);
+  step('4', t('report.step.nnf'), [
+    formula(toLatex(r.nnf)),
+    E.hasConstants(r.noImp) ? text(...say(locale, 'report.constants', { constants: m('\\top/\\bot'), examples: m('A \\land \\top \\to A,\\; A \\lor \\top \\to \\top') })) : null
+  ]);
+  if (options.miniscope) step('4.1', t('report.step.miniscope'), [formula(toLatex(r.miniscoped))]);
+  const renames = r.standardized.mapping;
+  step('5', t('report.step.standardized'), [
+    formula(toLatex(r.standardized.formula)),
+    renames.length ? text(...say(locale, 'step.renames', { renames: m(renames.map(x => `${x.from} \\mapsto ${x.to}`).join(',\\; ')) }), '.') : text(t('report.noRenames'))
+  ]);
+  step('6', t('report.step.prenex'), [formula(inPrefix(pren.prefix, pren.matrix)), text(t('step.strategy', { strategy: t('strategy.' + strategy) }), '.')]);
+  step('6.1', t('report.step.strategies'), [{
+    type: 'table',
+    head: [[t('step.strategyColumn')], [t('step.prefixColumn')], [t('step.skolemColumn')]],
+    rows: r.strategies.map(st => [
+      [t('strategy.' + st.strategy) + (st.strategy === strategy ? ' ' + t('step.inUse') : '')],
+      st.prefix.length ? [m(latexPrefix(st.prefix))] : ['—'],
+      st.skolem.length ? [m(st.skolem.map(x => `${x.variable} \\mapsto ${toLatexTerm(x.term)}`).join(',\\; '))] : ['—']
+    ])
+  }]);
+
+  if (r.cnf.skipped) {
+    const why = options.cnfMode === 'definitional' ? t('step.cnfDefinitionalMode') : t('step.cnfTooLarge', { estimate: r.cnf.estimate, limit: threshold });
+    step('7', t('report.step.cnfSkipped'), [text(t('report.cnfNotBuilt', { reason: why }))]);
+  } else {
+    step('7', t('report.step.cnfRaw'), [formula(inPrefix(pren.prefix, r.cnf.raw))]);
+    step('7.1', t('report.step.cnf'), [formula(inPrefix(pren.prefix, r.cnf.matrix))]);
+  }
+  const def = r.definitional;
+  const defCount = def.root.length + def.definitions.reduce((n, d) => n + d.clauses.length, 0);
+  step('7.2', t('report.step.definitional'), [
+    def.definitions.length ? formula(inPrefix(pren.prefix, def.matrix)) : null,
+    text(...say(locale, 'report.definitionalNote', { atom: m('D_k') }), ' ', t('step.definitionalCount', { count: defCount, estimate: r.cnf.estimate })),
+    text(t('step.definitionalRoot')),
+    { type: 'math', rows: def.root.length ? def.root.map((c, i) => ({ label: `R_{${i + 1}}`, tex: toLatex(c) })) : [{ label: null, tex: '\\top' }] },
+    ...def.definitions.map(d => ({
+      type: 'math',
+      rows: [{ label: toLatex(d.atom), tex: `${toLatex(d.atom)} \\to (${toLatex(d.formula)})` },
+        ...d.clauses.map(c => ({ label: null, tex: toLatex(c) }))]
+    }))
+  ]);
+  if (r.dnf.skipped) {
+    step('8', t('report.step.dnfSkipped'), [text(t('step.dnfNotBuilt', { estimate: r.dnf.estimate, limit: threshold }))]);
+  } else {
+    step('8', t('report.step.dnfRaw'), [formula(inPrefix(pren.prefix, r.dnf.raw))]);
+    step('8.1', t('report.step.dnf'), [formula(inPrefix(pren.prefix, r.dnf.matrix))]);
+  }
+  if (r.dnfSimplified) {
+    step('8.2', t('report.step.dnfSimplified'), [
+      formula(inPrefix(pren.prefix, r.dnfSimplified.matrix)),
+      simplificationBlock(r.dnfSimplified.steps, i => [t('step.conjunction', { n: i + 1 })], locale)
+    ]);
+  }
+
+  step('9', t('report.step.skolem'), [
+    formula(toLatex(r.skolem.matrix)),
+    r.skolem.source === 'definitional' ? text(t('step.fromDefinitional')) : null,
+    r.skolem.mapping.length
+      ? text(...say(locale, 'step.skolemMap', { terms: m(r.skolem.mapping.map(x => `${x.variable} \\mapsto ${toLatexTerm(x.term)}`).join(',\\; ')) }), '.')
+      : text(t('report.noSkolem')),
+    text(t('step.clauses')),
+    { type: 'math', rows: clauseRows(r.clauses) }
+  ]);
+  const yesNo = b => t(b ? 'common.yes' : 'common.no');
+  const ren = r.horn.renamable;
+  step('9.1', t('report.step.simplified'), [
+    simplificationBlock(r.simplified.steps, i => [m(`C_{${i + 1}}`)], locale),
+    text(t('step.clauses')),
+    { type: 'math', rows: clauseRows(r.simplified.clauses) },
+    r.horn.clauses.length ? {
+      type: 'table',
+      head: [[t('report.clauseColumn')], [t('horn.horn')], [t('report.dualHornColumn')], [t('report.positivesColumn')], [t('report.negativesColumn')]],
+      rows: r.horn.clauses.map((h, i) => [[m(`C_{${i + 1}}`)], [yesNo(h.horn)], [yesNo(h.dualHorn)], [String(h.positives)], [String(h.negatives)]])
+    } : null,
+    text(t('report.hornSets', { horn: yesNo(r.horn.all), dual: yesNo(r.horn.dual) })),
+    !r.horn.all && ren.flip ? text(t('report.renamable', { predicates: ren.flip.join(', ') })) : null,
+    !r.horn.all && ren.flip ? formula(clausesTex(ren.clauses)) : null,
+    !r.horn.all && !ren.flip ? text(t('report.notRenamable', { clauses: ren.blocking.map(i => `C${i + 1}`).join(', ') })) : null
+  ]);
+  if (P.isPropositional(r.ast)) step('9.2', t('report.step.propositional'), propositionalBlocks(r, locale));
+
+  // labels of the summary rows, as \text{...} in the aligned display
+  const label = (key, params) => `\\text{${t(key, params).replace(/[\\{}$&#^_%~]/g, ch => LATEX_ESCAPES[ch])}}`;
+  const summary = [
+    { label: label('summary.original'), tex: toLatex(r.ast) },
+    r.noExtra.steps.length ? { label: label('summary.noExtra', { symbols: r.noExtra.steps.map(st => st.symbol).join(', ') }), tex: toLatex(r.noExtra.formula) } : null,
+    { label: label('summary.noIff'), tex: toLatex(r.noIff) },
+    { label: label('summary.noImp'), tex: toLatex(r.noImp) },
+    { label: label('summary.nnf'), tex: toLatex(r.nnf) },
+    { label: label('summary.standardized'), tex: toLatex(r.standardized.formula) },
+    { label: label('summary.prenex'), tex: inPrefix(pren.prefix, pren.matrix) },
+    { label: label('summary.cnf'), tex: r.cnf.skipped ? label('summary.cnfSkipped') : inPrefix(pren.prefix, r.cnf.matrix) },
+    { label: label('summary.dnf'), tex: r.dnf.skipped ? label('summary.skipped') : inPrefix(pren.prefix, (r.dnfSimplified || r.dnf).matrix) },
+    { label: label('summary.skolem'), tex: toLatex(r.skolem.matrix) },
+    { label: label('summary.clauses'), tex: clausesTex(r.simplified.clauses) }
+  ].filter(Boolean);
+  step('10', t('report.step.summary'), [{ type: 'math', rows: summary }, text(t('horn.all'), ' ', yesNo(r.horn.all), '.')]);
+  return steps;
+}
+
+// "Fórmula k: " heading of item k (without the number for a single item)
+function formulaHeading(items, k, locale) {
+  return I18n.t(items.length > 1 ? 'report.formulaNumber' : 'report.formula', { n: k + 1 }, locale) + ': ';
+}
+
+// ---------- LaTeX ----------
+// labeled rows line up on ':', rows without a label continue the one above
+const LATEX_ESCAPES = { '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '$': '\\$', '&': '\\&', '#': '\\#', '^': '\\^{}', '_': '\\_', '%': '\\%', '~': '\\~{}' };
+// the symbols that appear in the texts of the engine (rules, warnings), for newunicodechar
+const UNICODE_MATH = { '∀': '\\forall', '∃': '\\exists', '¬': '\\lnot', '∧': '\\land', '∨': '\\lor', '→': '\\to', '↔': '\\leftrightarrow',
+  '⊕': '\\oplus', '↑': '\\uparrow', '↓': '\\downarrow', '←': '\\leftarrow', '≠': '\\neq', '≡': '\\equiv', '⊤': '\\top', '⊥': '\\bot',
+  '↦': '\\mapsto', '×': '\\times', '□': '\\square', '∅': '\\emptyset', '⟹': '\\Longrightarrow', 'θ': '\\theta' };
+function latexText(parts) {
+  return parts.map(p => typeof p === 'string' ? p.replace(/[\\{}$&#^_%~]/g, ch => LATEX_ESCAPES[ch]) : `$${p.math}$`).join('');
+}
+function latexBlock(b) {
+  switch (b.type) {
+    case 'math': {
+      const labeled = b.rows.some(row => row.label);
+      const rows = b.rows.map(row => labeled ? `${row.label ? row.label + ' &: ' : '&\\phantom{:} '}${row.tex}` : row.tex);
+      return `\\begin{align*}\n  ${rows.join(' \\\\\n  ')}\n\\end{align*}`;
+    }
+    case 'text': return latexText(b.parts) + '\n';
+    case 'list': return `\\begin{itemize}\n${b.items.map(it => `  \\item ${latexText(it)}`).join('\n')}\n\\end{itemize}`;
+    case 'table': return `\\begin{center}\n\\begin{tabular}{${'l'.repeat(b.head.length)}}\n\\hline\n` +
+      `${b.head.map(latexText).join(' & ')} \\\\\n\\hline\n${b.rows.map(row => row.map(latexText).join(' & ') + ' \\\\').join('\n')}\n\\hline\n\\end{tabular}\n\\end{center}`;
+  }
+}
+// toLatexReport(items, { title, locale }) — a complete LaTeX document, one section per
+// item { input, result, options } (result computed with every stage)
+function toLatexReport(items, { locale = I18n.getLocale(), title = I18n.t('report.title', {}, locale) } = {}) {
+  const out = [
+    '\\documentclass[a4paper]{article}',
+    '\\usepackage[utf8]{inputenc}',
+    '\\usepackage[T1]{fontenc}',
+    '\\usepackage{amsmath,amssymb}',
+    '\\usepackage{newunicodechar}',
+    ...Object.keys(UNICODE_MATH).map(ch => `\\newunicodechar{${ch}}{\\ensuremath{${UNICODE_MATH[ch]}}}`),
+    '\\allowdisplaybreaks',
+    `\\title{${latexText([title])}}`,
+    '\\date{}',
+    '\\begin{document}',
+    '\\maketitle'
+  ];
+  items.forEach((item, k) => {
+    out.push('', `\\section*{${latexText([formulaHeading(items, k, locale)])}$${toLatex(item.result.ast)}$}`);
+    out.push(`${latexText([I18n.t('report.input', {}, locale)])}: \\texttt{${latexText([item.input])}}`);
+    reportSteps(item.result, item.options, locale).forEach(st => {
+      out.push('', `\\subsection*{${st.number}) ${latexText(st.title)}}`, ...st.blocks.map(latexBlock));
+    });
+  });
+  out.push('', '\\end{document}');
+  return out.join('\n') + '\n';
+}
+
+// ---------- Markdown ----------
+function markdownText(parts, cell = false) {
+  return parts.map(p => typeof p === 'string' ? p.replace(cell ? /[\\`*_|<>]/g : /[\\`*_<>]/g, '\\$&') : `$${p.math}$`).join('');
+}
+function markdownBlock(b) {
+  switch (b.type) {
+    case 'math': {
+      const labeled = b.rows.some(row => row.label);
+      if (b.rows.length === 1 && !labeled) return `$$\n${b.rows[0].tex}\n$$`;
+      const rows = b.rows.map(row => labeled ? `${row.label ? row.label + ' &: ' : '&\\phantom{:} '}${row.tex}` : row.tex);
+      return `$$\n\\begin{aligned}\n${rows.join(' \\\\\n')}\n\\end{aligned}\n$$`;
+    }
+    case 'text': return markdownText(b.parts);
+    case 'list': return b.items.map(it => '- ' + markdownText(it)).join('\n');
+    case 'table': return [`| ${b.head.map(h => markdownText(h, true)).join(' | ')} |`, `|${b.head.map(() => ' --- |').join('')}`,
+      ...b.rows.map(row => `| ${row.map(c => markdownText(c, true)).join(' | ')} |`)].join('\n');
+  }
+}
+// toMarkdownReport(items, { title, locale }) — the same report as Markdown with $$ blocks
+function toMarkdownReport(items, { locale = I18n.getLocale(), title = I18n.t('report.title', {}, locale) } = {}) {
+  const out = [`# ${markdownText([title])}`];
+  items.forEach((item, k) => {
+    out.push('', `## ${markdownText([formulaHeading(items, k, locale)])}$${toLatex(item.result.ast)}$`, '',
+      `${markdownText([I18n.t('report.input', {}, locale)])}: \`\` ${item.input} \`\``);
+    reportSteps(item.result, item.options, locale).forEach(st => {
+      out.push('', `### ${st.number}) ${markdownText(st.title)}`);
+      st.blocks.forEach(b => out.push('', markdownBlock(b)));
+    });
+  });
+  return out.join('\n') + '\n';
+}
+
+return { FORMATS, EXTENSIONS, reportSteps, toLatexReport, toMarkdownReport };
+});
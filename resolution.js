@@ -0,0 +1,178 @@
+// prenex-cnf-dnf-calculator — first-order resolution prover.
+// Works on the clause lists produced by PrenexEngine (`clauses` / `simplified`
+// stages, i.e. after Skolemization). Exposed as `PrenexResolution` in the
+// browser and through `module.exports` under Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'));
+  else root.PrenexResolution = factory(root.PrenexEngine);
+})(typeof self !== 'undefined' ? self : this, function (E) {
+'use strict';
+
+const { Term, literalEquals, applySubstToLiteral, unifyAtoms, subsumes, termEquals } = E;
+
+const DEFAULT_LIMITS = { maxSteps: 500, maxClauses: 2000, maxMillis: 3000 };
+
+// ---------- Clause helpers ----------
+function termVars(t, out) {
+  if (t.term === 'Var') { if (!out.includes(t.name)) out.push(t.name); }
+  else t.args.forEach(a => termVars(a, out));
+  return out;
+}
+function clauseVars(lits) {
+  const out = [];
+  lits.forEach(L => L.pred.args.forEach(a => termVars(a, out)));
+  return out;
+}
+function renameClause(lits, rename) {
+  const subst = {};
+  clauseVars(lits).forEach(v => { subst[v] = Term.Var(rename(v)); });
+  return applySubst(lits, subst);
+}
+function applySubst(lits, subst) { return lits.map(L => applySubstToLiteral(L, subst)); }
+function dedupe(lits) {
+  const out = [];
+  lits.forEach(L => { if (!out.some(M => literalEquals(L, M))) out.push(L); });
+  return out;
+}
+// variables renamed in order of occurrence, so equal clauses print alike
+function canonical(lits) {
+  let k = 0;
+  const names = {};
+  return renameClause(lits, v => names[v] || (names[v] = 'x' + (++k)));
+}
+function isTautology(lits) {
+  return lits.some(L => lits.some(M => M.neg !== L.neg && E.atomEquals(L.pred, M.pred)));
+}
+function weight(lits) {
+  const termSize = t => t.term === 'Var' ? 1 : 1 + t.args.reduce((n, a) => n + termSize(a), 0);
+  return lits.reduce((n, L) => n + 1 + L.pred.args.reduce((m, a) => m + termSize(a), 0), 0);
+}
+// keep only the bindings of variables that occur in the parents
+function restrictSubst(subst, vars) {
+  const out = {};
+  vars.forEach(v => { if (subst[v] && !termEquals(subst[v], Term.Var(v))) out[v] = subst[v]; });
+  return out;
+}
+
+// ---------- Inference rules ----------
+// binary resolvents of a and b (b's variables are renamed apart with a prime)
+function resolvents(a, b) {
+  const bLits = renameClause(b.lits, v => v + "'");
+  const out = [];
+  a.lits.forEach((L, i) => {
+    bLits.forEach((M, j) => {
+      if (L.neg === M.neg) return;
+      const subst = unifyAtoms(L.pred, M.pred);
+      if (!subst) return;
+      const rest = a.lits.filter((_, k) => k !== i).concat(bLits.filter((_, k) => k !== j));
+      out.push({
+        lits: dedupe(applySubst(rest, subst)),
+        rule: 'resolution', parents: [a.id, b.id], on: [i, j],
+        subst: restrictSubst(subst, clauseVars(a.lits).concat(clauseVars(bLits)))
+      });
+    });
+  });
+  return out;
+}
+// binary factors: two literals of the same sign unified into one
+function factors(c) {
+  const out = [];
+  for (let i = 0; i < c.lits.length; i++) {
+    for (let j = i + 1; j < c.lits.length; j++) {
+      const L = c.lits[i], M = c.lits[j];
+      if (L.neg !== M.neg) continue;
+      const subst = unifyAtoms(L.pred, M.pred);
+      if (!subst) continue;
+      out.push({
+        lits: dedupe(applySubst(c.lits, subst)),
+        rule: 'factor', parents: [c.id], on: [i, j], subst: restrictSubst(subst, clauseVars(c.lits))
+      });
+    }
+  }
+  return out;
+}
+
+// ---------- Given-clause loop ----------
+// prove(clauses, limits) saturates the clause set by binary resolution and
+// factoring, always picking the lightest unprocessed clause (every fifth pick
+// takes the oldest one instead, so no clause waits forever).
+// Returns {
+//   status: 'unsatisfiable' | 'saturated' | 'limit',
+//   limit: 'steps' | 'clauses' | 'time' (when status is 'limit'),
+//   equality: true when some clause uses =, which is handled as an ordinary
+//             predicate (no equality axioms), so 'saturated' proves nothing then,
+//   clauses: every kept clause { id, lits, rule: 'input'|'resolution'|'factor', parents, on, subst },
+//   proof: the clauses of the refutation, premises first (only when unsatisfiable),
+//   steps, generated
+// }
+function prove(input, limits = {}) {
+  const lim = Object.assign({}, DEFAULT_LIMITS, limits);
+  const started = Date.now();
+  const all = [];
+  const processed = [];
+  let unprocessed = [];
+  const equality = input.some(cls => cls.some(L => L.pred.kind === 'Eq'));
+  let steps = 0, generated = 0, empty = null;
+
+  function keep(c) {
+    c.id = all.length + 1;
+    c.weight = weight(c.lits);
+    all.push(c);
+    unprocessed.push(c);
+    if (!c.lits.length) empty = c;
+  }
+  function redundant(lits) {
+    if (isTautology(lits)) return true;
+    return processed.concat(unprocessed).some(d => subsumes(d.lits, lits));
+  }
+  input.forEach(lits => {
+    const c = { lits: canonical(dedupe(lits)), rule: 'input', parents: [], on: [], subst: {} };
+    if (!redundant(c.lits)) keep(c);
+  });
+
+  let status = null, limit = null;
+  while (!empty) {
+    if (!unprocessed.length) { status = 'saturated'; break; }
+    if (steps >= lim.maxSteps) { limit = 'steps'; break; }
+    if (all.length >= lim.maxClauses) { limit = 'clauses'; break; }
+    if (Date.now() - started > lim.maxMillis) { limit = 'time'; break; }
+    steps++;
+    let pick = 0;
+    if (steps % 5 !== 0) {
+      unprocessed.forEach((c, k) => { if (c.weight < unprocessed[pick].weight) pick = k; });
+    }
+    const given = unprocessed.splice(pick, 1)[0];
+    // backward subsumption: the given clause retires heavier clauses it subsumes
+    for (let k = processed.length - 1; k >= 0; k--) {
+      if (subsumes(given.lits, processed[k].lits)) processed.splice(k, 1);
+    }
+    unprocessed = unprocessed.filter(c => !subsumes(given.lits, c.lits));
+    processed.push(given);
+    const fresh = factors(given);
+    processed.forEach(other => { fresh.push(...resolvents(given, other)); });
+    for (const c of fresh) {
+      generated++;
+      c.lits = canonical(c.lits);
+      if (c.lits.length && redundant(c.lits)) continue;
+      keep(c);
+      if (empty || all.length >= lim.maxClauses) break;
+    }
+  }
+  if (empty) status = 'unsatisfiable';
+  else if (!status) status = 'limit';
+  return { status, limit, equality, clauses: all, proof: empty ? extractProof(all, empty) : [], steps, generated };
+}
+function extractProof(all, empty) {
+  const byId = {};
+  all.forEach(c => { byId[c.id] = c; });
+  const ids = new Set();
+  (function visit(c) {
+    if (ids.has(c.id)) return;
+    ids.add(c.id);
+    c.parents.forEach(p => visit(byId[p]));
+  })(empty);
+  return all.filter(c => ids.has(c.id));
+}
+
+return { DEFAULT_LIMITS, prove, resolvents, factors, canonical };
+});
@@ -0,0 +1,137 @@
+// prenex-cnf-dnf-calculator — logic programs and SLD resolution.
+// Reads a Horn clause set (`cnfToClauses` after simplification) as a logic
+// program: definite clauses are rules and facts, negative clauses are goals.
+// Queries are answered by SLD resolution (leftmost atom, clauses in order,
+// depth first) and the whole derivation tree is returned. Exposed as
+// `PrenexSLD` in the browser and through `module.exports` under Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./i18n.js'));
+  else root.PrenexSLD = factory(root.PrenexEngine, root.PrenexI18n);
+})(typeof self !== 'undefined' ? self : this, function (E, I18n) {
+'use strict';
+
+const { Node, Term, applySubst, unifyAtoms, mapAtomArgs } = E;
+
+const DEFAULT_LIMITS = { maxDepth: 20, maxNodes: 500, maxAnswers: 10 };
+
+// ---------- Program ----------
+function termVars(t, out) {
+  if (t.term === 'Var') { if (!out.includes(t.name)) out.push(t.name); }
+  else t.args.forEach(a => termVars(a, out));
+  return out;
+}
+function atomsVars(atoms) {
+  const out = [];
+  atoms.forEach(a => a.args.forEach(t => termVars(t, out)));
+  return out;
+}
+// { rules: [{ head, body: [atom] }], goals: [[atom]] } for a Horn clause set
+function program(clauses) {
+  if (clauses.some(c => c.some(L => L.pred.kind === 'Eq'))) I18n.fail('error.programEquality');
+  if (clauses.some(c => c.filter(L => !L.neg).length > 1)) I18n.fail('error.notHorn');
+  const rules = [], goals = [];
+  clauses.forEach(c => {
+    const head = c.find(L => !L.neg);
+    const body = c.filter(L => L.neg).map(L => L.pred);
+    if (head) rules.push({ head: head.pred, body });
+    else goals.push(body);
+  });
+  return { rules, goals };
+}
+// names of the constants of the program (0-ary function symbols)
+function constantsOf(prog) {
+  const out = [];
+  const walk = t => { if (t.term === 'Func') { if (!t.args.length && !out.includes(t.name)) out.push(t.name); t.args.forEach(walk); } };
+  prog.rules.forEach(r => [r.head, ...r.body].forEach(a => a.args.forEach(walk)));
+  prog.goals.forEach(g => g.forEach(a => a.args.forEach(walk)));
+  return out;
+}
+// atoms of a query text (a conjunction of atoms, in the given input syntax);
+// variables named like a constant of the program are read as that constant
+function parseQuery(text, prog, syntax = 'auto') {
+  const ast = E.convert(text, { targets: ['ast'], syntax }).ast;
+  const conj = n => n.kind === 'And' ? [...conj(n.left), ...conj(n.right)] : [n];
+  const atoms = conj(ast);
+  if (!atoms.every(a => a.kind === 'Pred')) I18n.fail('error.query');
+  const constants = constantsOf(prog);
+  const fix = t => t.term === 'Var' ? (constants.includes(t.name) ? Term.Func(t.name, []) : t) : Term.Func(t.name, t.args.map(fix));
+  return atoms.map(a => mapAtomArgs(a, fix));
+}
+
+// ---------- SLD resolution ----------
+function renameRule(rule, suffix) {
+  const subst = {};
+  atomsVars([rule.head, ...rule.body]).forEach(v => { subst[v] = Term.Var(v + '_' + suffix); });
+  const rn = a => mapAtomArgs(a, t => applySubst(t, subst));
+  return { head: rn(rule.head), body: rule.body.map(rn) };
+}
+// goals and answer renamed in order of occurrence: equal keys, same subtree
+function variantKey(goals, answer) {
+  const names = {};
+  let k = 0;
+  const term = t => t.term === 'Var' ? '_' + (names[t.name] || (names[t.name] = ++k)) : t.name + '(' + t.args.map(term).join(',') + ')';
+  return goals.concat([answer]).map(a => a.name + '(' + a.args.map(term).join(',') + ')').join(';');
+}
+// bindings of `vars` under `subst`, only the ones that changed
+function bindings(vars, subst) {
+  const out = {};
+  vars.forEach(v => { const t = applySubst(Term.Var(v), subst); if (!(t.term === 'Var' && t.name === v)) out[v] = t; });
+  return out;
+}
+
+// solve(prog, query, limits) runs SLD resolution on the goal list `query`.
+// Returns {
+//   answers: [{ [queryVar]: term }],
+//   tree: { goals, depth, status, children: [{ rule: index, mgu, node }] }
+//     (mgu restricted to the variables of the goals; goals is null for 'open' nodes),
+//     status: 'success' | 'failure' | 'loop' (variant of an ancestor) |
+//             'depth' (maxDepth reached) | 'open' (not explored: other limits) | 'inner',
+//   complete: true when the whole tree was explored (no depth/limit cuts),
+//   nodes: number of nodes built
+// }
+function solve(prog, query, limits = {}) {
+  const lim = Object.assign({}, DEFAULT_LIMITS, limits);
+  const vars = atomsVars(query);
+  const answerAtom = subst => Node.Pred('$answer', vars.map(v => applySubst(Term.Var(v), subst)));
+  const answers = [];
+  let nodes = 0, complete = true;
+
+  function expand(goals, subst, depth, ancestors) {
+    nodes++;
+    const node = { goals, depth, status: 'inner', children: [] };
+    if (!goals.length) {
+      node.status = 'success';
+      answers.push(bindings(vars, subst));
+      return node;
+    }
+    const key = variantKey(goals, answerAtom(subst));
+    if (ancestors.includes(key)) { node.status = 'loop'; return node; }
+    if (depth >= lim.maxDepth) { node.status = 'depth'; complete = false; return node; }
+    const [selected, ...rest] = goals;
+    const goalVars = atomsVars(goals);
+    prog.rules.forEach((rule, index) => {
+      if (rule.head.name !== selected.name || rule.head.args.length !== selected.args.length) return;
+      const renamed = renameRule(rule, depth + 1);
+      const mgu = unifyAtoms(selected, renamed.head, {});
+      if (!mgu) return;
+      if (nodes >= lim.maxNodes || answers.length >= lim.maxAnswers) {
+        node.children.push({ rule: index, mgu: bindings(goalVars, mgu), node: { goals: null, depth: depth + 1, status: 'open', children: [] } });
+        complete = false;
+        return;
+      }
+      const next = renamed.body.concat(rest).map(a => mapAtomArgs(a, t => applySubst(t, mgu)));
+      const composed = {};
+      Object.keys(subst).forEach(v => { composed[v] = applySubst(subst[v], mgu); });
+      Object.keys(mgu).forEach(v => { if (!(v in composed)) composed[v] = mgu[v]; });
+      node.children.push({ rule: index, mgu: bindings(goalVars, mgu), node: expand(next, composed, depth + 1, ancestors.concat([key])) });
+    });
+    if (!node.children.length) node.status = 'failure';
+    return node;
+  }
+
+  const tree = expand(query, {}, 0, []);
+  return { answers, tree, complete, nodes };
+}
+
+return { DEFAULT_LIMITS, program, parseQuery, solve };
+});
@@ -0,0 +1,17 @@
+// prenex-cnf-dnf-calculator — conversion off the page's main thread.
+// Runs PrenexEngine.convert in a Web Worker so that a formula whose CNF blows
+// up does not freeze the tab. app.js posts { id, text, options, locale } and
+// gets back { id, result } or { id, error }; a run that is no longer wanted is
+// cancelled by terminating the worker (see startConversion in app.js).
+importScripts('./i18n.js', './engine.js');
+
+self.onmessage = e => {
+  const { id, text, options, locale } = e.data;
+  try {
+    PrenexI18n.setLocale(locale);
+    self.postMessage({ id, result: PrenexEngine.convert(text, options) });
+  } catch (err) {
+    // Error objects lose their own fields when posted: send them as a plain object
+    self.postMessage({ id, error: Object.assign({ message: (err && err.message) ? err.message : String(err) }, err) });
+  }
+};